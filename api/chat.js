@@ -7,6 +7,9 @@ import { neon } from '@neondatabase/serverless';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import { createRateLimitMiddleware } from './utils/rateLimiter.js';
+import { getBudgetUsage, recordUsage } from './controllers/usage.js';
+import { describeBudgetExceeded } from '../src/utils/budget.js';
+import { estimateTokens, estimateMessageTokens } from '../src/utils/context.js';
 
 // Initialize Neon client
 const sql = neon(process.env.DATABASE_URL);
@@ -107,6 +110,81 @@ async function getUserApiKey(userId) {
     }
 }
 
+/**
+ * Check the user's spending cap. A database error lets the request through
+ * rather than locking the user out of chat.
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} - Refusal message, or null when allowed
+ */
+async function checkBudget(userId) {
+    try {
+        const status = await getBudgetUsage(userId);
+        if (status.budget && status.used >= status.budget.limit) {
+            return describeBudgetExceeded(status);
+        }
+    } catch (error) {
+        console.error('Error checking budget:', error);
+    }
+    return null;
+}
+
+/**
+ * Record usage reported by OpenRouter, logging rather than failing the request
+ * @param {string} userId - User ID
+ * @param {string} model - Model requested
+ * @param {Object|undefined} usage - OpenRouter usage object
+ */
+async function trackUsage(userId, model, usage) {
+    if (!usage) return;
+    try {
+        await recordUsage(userId, model, usage);
+    } catch (error) {
+        console.error('Error recording usage:', error);
+    }
+}
+
+/**
+ * Pull the usage object and the generated text out of SSE lines
+ * @param {string[]} lines - Complete lines from the stream
+ * @returns {{usage: Object|undefined, text: string}}
+ */
+function readStreamLines(lines) {
+    let usage;
+    let text = '';
+    for (const line of lines) {
+        if (!line.startsWith('data: ') || line === 'data: [DONE]') continue;
+        try {
+            const parsed = JSON.parse(line.slice(6));
+            if (parsed.usage) usage = parsed.usage;
+            const delta = parsed.choices?.[0]?.delta;
+            if (delta) {
+                text += (delta.content || '') + (delta.reasoning || '');
+                for (const call of delta.tool_calls || []) {
+                    text += call.function?.arguments || '';
+                }
+            }
+        } catch {
+            // Partial or non-JSON payloads are forwarded untouched
+        }
+    }
+    return { usage, text };
+}
+
+/**
+ * Estimate usage for a stream that ended before OpenRouter's final usage
+ * chunk (stopped by the user or cut off by an error), so the tokens still
+ * count toward the spending cap
+ * @param {Array} messages - Request messages
+ * @param {string} completionText - Text forwarded to the client so far
+ * @returns {{prompt_tokens: number, completion_tokens: number}}
+ */
+function estimateStreamUsage(messages, completionText) {
+    return {
+        prompt_tokens: (Array.isArray(messages) ? messages : []).reduce((sum, message) => sum + estimateMessageTokens(message), 0),
+        completion_tokens: estimateTokens(completionText),
+    };
+}
+
 /**
  * Handle chat completion requests
  * Streams responses back to the client
@@ -139,6 +217,12 @@ export default async function handler(req, res) {
         return res.status(400).json({ error: 'API key not configured. Please add your OpenRouter API key in Settings.' });
     }
 
+    // Refuse new requests once the spending cap is used up
+    const budgetError = await checkBudget(userId);
+    if (budgetError) {
+        return res.status(402).json({ error: budgetError, code: 'BUDGET_EXCEEDED' });
+    }
+
     // Get request body
     const { model, messages, stream = true, ...options } = req.body;
 
@@ -146,10 +230,22 @@ export default async function handler(req, res) {
         return res.status(400).json({ error: 'Missing required fields: model and messages' });
     }
 
+    let clientClosed = false;
+
     try {
         // Make request to OpenRouter
         const controller = new AbortController();
         const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+        // Cancel the upstream request if the client goes away (e.g. user pressed stop)
+        // so OpenRouter stops generating tokens nobody will read
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                clientClosed = true;
+                controller.abort();
+            }
+        });
+
         const openRouterResponse = await fetch(OPENROUTER_API_URL, {
             method: 'POST',
             headers: {
@@ -163,6 +259,8 @@ export default async function handler(req, res) {
                 messages,
                 stream,
                 ...options,
+                // Always ask for usage so spending caps can be enforced
+                usage: { include: true },
             }),
             signal: controller.signal,
         });
@@ -185,27 +283,46 @@ export default async function handler(req, res) {
             // Get the response body as a readable stream
             const reader = openRouterResponse.body.getReader();
             const decoder = new TextDecoder();
+            // Chunks can split SSE lines, so keep the unfinished tail for the usage scan
+            let pending = '';
+            let usage;
+            let streamedText = '';
 
             try {
-                while (true) {
+                while (!clientClosed) {
                     const { done, value } = await reader.read();
                     if (done) break;
 
                     // Decode and forward the chunk
                     const chunk = decoder.decode(value, { stream: true });
                     res.write(chunk);
+
+                    const lines = (pending + chunk).split('\n');
+                    pending = lines.pop();
+                    const scanned = readStreamLines(lines);
+                    usage = scanned.usage || usage;
+                    streamedText += scanned.text;
                 }
             } catch (streamError) {
-                console.error('Stream error:', streamError);
+                if (!clientClosed) {
+                    console.error('Stream error:', streamError);
+                }
             } finally {
+                reader.cancel().catch(() => {});
+                await trackUsage(userId, model, usage || estimateStreamUsage(messages, streamedText));
                 res.end();
             }
         } else {
             // Non-streaming response
             const data = await openRouterResponse.json();
+            await trackUsage(userId, model, data.usage);
             return res.status(200).json(data);
         }
     } catch (error) {
+        if (clientClosed) {
+            // Nobody is listening for a response
+            return;
+        }
         console.error('Chat proxy error:', error);
         const status = error.name === 'AbortError' ? 504 : 500;
         const message = error.name === 'AbortError' ? 'Upstream timeout' : 'Failed to process chat request';
@@ -1,10 +1,15 @@
 import { sql } from '../lib/sql.js';
-import { createChat } from './chats.js';
-import { addMessage } from './messages.js';
+import { createChat, updateChat } from './chats.js';
+import { addMessage, updateMessage } from './messages.js';
+import { ownsPersona } from './personas.js';
 import { getUser } from './users.js';
 import { getSettings, saveSettings, DEFAULT_MODELS } from './settings.js';
+import { DEFAULT_MODEL } from '../../src/config/models.js';
+import { CONTEXT_STRATEGIES, isValidContextSummary } from '../../src/utils/context.js';
+import { isValidModelFallbacks } from '../../src/utils/fallbacks.js';
 
 const DEFAULT_EXPORT_BATCH_SIZE = 50;
+const MESSAGE_DETAIL_FIELDS = ['stats', 'generatedImages', 'citations', 'reasoning', 'toolCalls'];
 const MIN_EXPORT_BATCH_SIZE = 10;
 const MAX_EXPORT_BATCH_SIZE = 250;
 
@@ -22,6 +27,13 @@ async function fetchChatBatch(userId, limit, offset) {
             c.id,
             c.title,
             c.project_id as "projectId",
+            c.pinned,
+            c.archived,
+            c.reasoning_effort as "reasoningEffort",
+            c.model,
+            c.params,
+            c.persona_id as "personaId",
+            c.context_summary as "contextSummary",
             c.created_at as "createdAt",
             c.updated_at as "updatedAt"
         FROM chats c
@@ -44,11 +56,15 @@ async function fetchChatBatch(userId, limit, offset) {
         SELECT
             m.id,
             m.chat_id as "chatId",
+            m.parent_id as "parentId",
             m.role,
             m.content,
             m.model,
             m.stats,
             m.generated_images as "generatedImages",
+            m.citations,
+            m.reasoning,
+            m.tool_calls as "toolCalls",
             m.created_at as "createdAt"
         FROM messages m
         WHERE m.chat_id = ANY(${chatIds}::uuid[])
@@ -221,13 +237,52 @@ export async function importAll(userId, data = {}) {
         try {
             if (data.chats) {
                 for (const chat of Object.values(data.chats)) {
-                    const createResult = await createChat(userId, { title: chat.title });
+                    // Personas are per account, so a persona from another account or local mode falls back to the default
+                    const personaId = chat.personaId && await ownsPersona(userId, chat.personaId) ? chat.personaId : null;
+                    const createResult = await createChat(userId, {
+                        title: chat.title,
+                        pinned: chat.pinned,
+                        archived: chat.archived,
+                        reasoningEffort: chat.reasoningEffort,
+                        model: chat.model,
+                        params: chat.params,
+                        personaId,
+                    });
                     if (createResult.data && chat.messages) {
+                        // Messages get new IDs on import, so remap parents to keep branches intact.
+                        // Older exports have no parentId and are linked as a single linear branch.
+                        const idMap = new Map();
+                        let previousId = null;
                         for (const message of chat.messages) {
-                            await addMessage(userId, createResult.data.id, {
+                            const parentId = message.parentId !== undefined
+                                ? (idMap.get(message.parentId) ?? null)
+                                : previousId;
+                            const messageResult = await addMessage(userId, createResult.data.id, {
                                 role: message.role,
                                 content: message.content,
                                 model: message.model,
+                                parentId,
+                            });
+                            if (messageResult.data) {
+                                idMap.set(message.id, messageResult.data.id);
+                                previousId = messageResult.data.id;
+
+                                // addMessage only stores the basics, so restore the rest of the turn separately
+                                const details = {};
+                                for (const field of MESSAGE_DETAIL_FIELDS) {
+                                    if (message[field] != null) details[field] = message[field];
+                                }
+                                if (Object.keys(details).length > 0) {
+                                    await updateMessage(userId, createResult.data.id, messageResult.data.id, details);
+                                }
+                            }
+                        }
+
+                        const summary = chat.contextSummary;
+                        const throughMessageId = summary ? idMap.get(summary.throughMessageId) : null;
+                        if (throughMessageId && isValidContextSummary(summary)) {
+                            await updateChat(userId, createResult.data.id, {
+                                contextSummary: { content: summary.content, throughMessageId },
                             });
                         }
                     }
@@ -239,6 +294,10 @@ export async function importAll(userId, data = {}) {
                     selectedModel: data.settings.selectedModel,
                     enabledModels: data.settings.enabledModels,
                     webSearchEnabled: data.settings.webSearchEnabled,
+                    titleModel: data.settings.titleModel,
+                    // Unknown values would trip the column's CHECK and abort the import
+                    contextStrategy: CONTEXT_STRATEGIES.includes(data.settings.contextStrategy) ? data.settings.contextStrategy : undefined,
+                    modelFallbacks: isValidModelFallbacks(data.settings.modelFallbacks) ? data.settings.modelFallbacks : undefined,
                 });
             }
 
@@ -261,7 +320,7 @@ export async function clearAll(userId) {
         await sql`
             UPDATE user_settings
             SET api_key = '',
-                selected_model = ${DEFAULT_MODELS[0]},
+                selected_model = ${DEFAULT_MODEL},
                 enabled_models = ${DEFAULT_MODELS},
                 web_search_enabled = false,
                 updated_at = NOW()
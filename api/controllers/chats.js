@@ -1,8 +1,15 @@
 import { sql, isValidUUID } from '../lib/sql.js';
+import { getProjectRole, canEditProject, canReadChat } from './projects.js';
+import { ownsPersona } from './personas.js';
+import { sanitizeGenerationParams } from '../../src/utils/generationParams.js';
+
+const REASONING_EFFORTS = ['low', 'medium', 'high'];
 
 export async function getChats(userId, options = {}) {
     try {
         const { projectId = null, limit = 20, offset = 0 } = options;
+        // Archived chats are listed separately from the main thread list
+        const archived = options.archived === true;
 
         // Validate projectId if provided
         if (projectId && !isValidUUID(projectId)) {
@@ -13,9 +20,15 @@ export async function getChats(userId, options = {}) {
         let totalCount;
 
         if (projectId) {
+            // Project chats are listed for everyone with access, not just their author
+            const role = await getProjectRole(userId, projectId);
+            if (!role) {
+                return { error: 'Project not found', status: 404 };
+            }
+
             const countResult = await sql`
                 SELECT COUNT(*) as count FROM chats
-                WHERE user_id = ${userId} AND project_id = ${projectId}
+                WHERE project_id = ${projectId} AND archived = ${archived}
             `;
             totalCount = parseInt(countResult[0]?.count || 0, 10);
 
@@ -24,18 +37,25 @@ export async function getChats(userId, options = {}) {
                     c.id,
                     c.title,
                     c.project_id as "projectId",
+                    c.pinned,
+                    c.archived,
+                    c.reasoning_effort as "reasoningEffort",
+                    c.model,
+                    c.params,
+                    c.persona_id as "personaId",
+                    c.context_summary as "contextSummary",
                     c.created_at as "createdAt",
                     c.updated_at as "updatedAt",
-                    ${userId} as "userId"
+                    c.user_id as "userId"
                 FROM chats c
-                WHERE c.user_id = ${userId} AND c.project_id = ${projectId}
-                ORDER BY c.updated_at DESC
+                WHERE c.project_id = ${projectId} AND c.archived = ${archived}
+                ORDER BY c.pinned DESC, c.updated_at DESC
                 LIMIT ${limit}
                 OFFSET ${offset}
             `;
         } else {
             const countResult = await sql`
-                SELECT COUNT(*) as count FROM chats WHERE user_id = ${userId}
+                SELECT COUNT(*) as count FROM chats WHERE user_id = ${userId} AND archived = ${archived}
             `;
             totalCount = parseInt(countResult[0]?.count || 0, 10);
 
@@ -44,12 +64,19 @@ export async function getChats(userId, options = {}) {
                     c.id,
                     c.title,
                     c.project_id as "projectId",
+                    c.pinned,
+                    c.archived,
+                    c.reasoning_effort as "reasoningEffort",
+                    c.model,
+                    c.params,
+                    c.persona_id as "personaId",
+                    c.context_summary as "contextSummary",
                     c.created_at as "createdAt",
                     c.updated_at as "updatedAt",
                     ${userId} as "userId"
                 FROM chats c
-                WHERE c.user_id = ${userId}
-                ORDER BY c.updated_at DESC
+                WHERE c.user_id = ${userId} AND c.archived = ${archived}
+                ORDER BY c.pinned DESC, c.updated_at DESC
                 LIMIT ${limit}
                 OFFSET ${offset}
             `;
@@ -71,23 +98,38 @@ export async function getChatById(userId, chatId) {
             return { error: 'Invalid chat ID format', status: 400 };
         }
 
+        if (!(await canReadChat(userId, chatId))) {
+            return { error: 'Chat not found', status: 404 };
+        }
+
         const chats = await sql`
             SELECT
                 c.id,
                 c.title,
                 c.project_id as "projectId",
+                c.pinned,
+                c.archived,
+                c.reasoning_effort as "reasoningEffort",
+                c.model,
+                c.params,
+                c.persona_id as "personaId",
+                c.context_summary as "contextSummary",
                 c.created_at as "createdAt",
                 c.updated_at as "updatedAt",
-                ${userId} as "userId",
+                c.user_id as "userId",
                 COALESCE(
                     json_agg(
                         json_build_object(
                             'id', m.id,
+                            'parentId', m.parent_id,
                             'role', m.role,
                             'content', m.content,
                             'model', m.model,
                             'stats', m.stats,
                             'generatedImages', m.generated_images,
+                            'citations', m.citations,
+                            'reasoning', m.reasoning,
+                            'toolCalls', m.tool_calls,
                             'createdAt', m.created_at
                         ) ORDER BY m.created_at ASC
                     ) FILTER (WHERE m.id IS NOT NULL),
@@ -95,7 +137,7 @@ export async function getChatById(userId, chatId) {
                 ) as messages
             FROM chats c
             LEFT JOIN messages m ON m.chat_id = c.id
-            WHERE c.id = ${chatId} AND c.user_id = ${userId}
+            WHERE c.id = ${chatId}
             GROUP BY c.id
         `;
 
@@ -114,16 +156,29 @@ export async function createChat(userId, chatData = {}) {
     try {
         const title = chatData.title || 'New Chat';
         const projectId = chatData.projectId || null;
+        const pinned = chatData.pinned === true;
+        const archived = chatData.archived === true;
+        // Imports may carry values from older exports, so fall back to the model default
+        const reasoningEffort = REASONING_EFFORTS.includes(chatData.reasoningEffort) ? chatData.reasoningEffort : '';
+        const model = chatData.model || null;
+        const paramsJson = chatData.params ? JSON.stringify(sanitizeGenerationParams(chatData.params)) : null;
+        const personaId = chatData.personaId || null;
 
         // Validate projectId if provided
         if (projectId && !isValidUUID(projectId)) {
             return { error: 'Invalid project ID format', status: 400 };
         }
+        if (projectId && !canEditProject(await getProjectRole(userId, projectId))) {
+            return { error: 'You do not have permission to add chats to this project', status: 403 };
+        }
+        if (personaId && !(await ownsPersona(userId, personaId))) {
+            return { error: 'Persona not found', status: 404 };
+        }
 
         const newChat = await sql`
-            INSERT INTO chats (user_id, title, project_id)
-            VALUES (${userId}, ${title}, ${projectId})
-            RETURNING id, title, project_id as "projectId", created_at as "createdAt", updated_at as "updatedAt"
+            INSERT INTO chats (user_id, title, project_id, pinned, archived, reasoning_effort, model, params, persona_id)
+            VALUES (${userId}, ${title}, ${projectId}, ${pinned}, ${archived}, ${reasoningEffort}, ${model}, ${paramsJson}::jsonb, ${personaId})
+            RETURNING id, title, project_id as "projectId", pinned, archived, reasoning_effort as "reasoningEffort", model, params, persona_id as "personaId", created_at as "createdAt", updated_at as "updatedAt"
         `;
 
         const chat = {
@@ -159,11 +214,36 @@ export async function updateChat(userId, chatId, updates = {}) {
             return { error: 'Chat not found', status: 404 };
         }
 
+        if (updates.projectId && !canEditProject(await getProjectRole(userId, updates.projectId))) {
+            return { error: 'You do not have permission to add chats to this project', status: 403 };
+        }
+
+        const paramsJson = updates.params ? JSON.stringify(sanitizeGenerationParams(updates.params)) : null;
+        const summaryJson = updates.contextSummary ? JSON.stringify({
+            content: updates.contextSummary.content,
+            throughMessageId: updates.contextSummary.throughMessageId,
+        }) : null;
+        const clearSummary = updates.contextSummary === null;
+        // null switches the chat back to the default persona
+        const setPersona = updates.personaId !== undefined;
+        // Pinning, archiving and settings changes keep the chat's place in the date-grouped list
+        const isActivity = updates.title !== undefined || updates.projectId !== undefined;
+        if (updates.personaId && !(await ownsPersona(userId, updates.personaId))) {
+            return { error: 'Persona not found', status: 404 };
+        }
+
         await sql`
             UPDATE chats
             SET title = COALESCE(${updates.title}, title),
                 project_id = COALESCE(${updates.projectId}, project_id),
-                updated_at = NOW()
+                pinned = COALESCE(${updates.pinned}, pinned),
+                archived = COALESCE(${updates.archived}, archived),
+                reasoning_effort = COALESCE(${updates.reasoningEffort}, reasoning_effort),
+                model = COALESCE(${updates.model}, model),
+                params = COALESCE(${paramsJson}::jsonb, params),
+                persona_id = CASE WHEN ${setPersona} THEN ${updates.personaId || null}::uuid ELSE persona_id END,
+                context_summary = CASE WHEN ${clearSummary} THEN NULL ELSE COALESCE(${summaryJson}::jsonb, context_summary) END,
+                updated_at = CASE WHEN ${isActivity} THEN NOW() ELSE updated_at END
             WHERE id = ${chatId}
         `;
 
@@ -174,6 +254,81 @@ export async function updateChat(userId, chatId, updates = {}) {
     }
 }
 
+export async function forkChat(userId, chatId, messageId) {
+    try {
+        // Validate IDs format
+        if (!isValidUUID(chatId)) {
+            return { error: 'Invalid chat ID format', status: 400 };
+        }
+        if (!isValidUUID(messageId)) {
+            return { error: 'Invalid message ID format', status: 400 };
+        }
+
+        const source = await sql`
+            SELECT c.title, c.project_id as "projectId", c.reasoning_effort as "reasoningEffort", c.model, c.params, c.persona_id as "personaId"
+            FROM chats c
+            JOIN messages m ON m.chat_id = c.id
+            WHERE c.id = ${chatId} AND c.user_id = ${userId} AND m.id = ${messageId}
+        `;
+
+        if (source.length === 0) {
+            return { error: 'Message not found', status: 404 };
+        }
+
+        const title = `Fork of ${source[0].title || 'New Chat'}`.slice(0, 255);
+        const paramsJson = source[0].params ? JSON.stringify(source[0].params) : null;
+        const newChat = await sql`
+            INSERT INTO chats (user_id, title, project_id, reasoning_effort, model, params, persona_id)
+            VALUES (${userId}, ${title}, ${source[0].projectId}, ${source[0].reasoningEffort}, ${source[0].model}, ${paramsJson}::jsonb, ${source[0].personaId})
+            RETURNING id, title, project_id as "projectId", pinned, archived, reasoning_effort as "reasoningEffort", model, params, persona_id as "personaId", created_at as "createdAt", updated_at as "updatedAt"
+        `;
+        const forkId = newChat[0].id;
+
+        try {
+            // Copy the branch ending at messageId with fresh IDs, re-linking each copy to the previous one
+            await sql`
+                WITH RECURSIVE path AS (
+                    SELECT id, parent_id FROM messages
+                    WHERE id = ${messageId} AND chat_id = ${chatId}
+                    UNION ALL
+                    SELECT m.id, m.parent_id
+                    FROM messages m
+                    JOIN path p ON m.id = p.parent_id
+                    WHERE m.chat_id = ${chatId}
+                ),
+                copies AS (
+                    SELECT m.*, uuid_generate_v4() AS new_id
+                    FROM messages m
+                    JOIN path p ON p.id = m.id
+                )
+                INSERT INTO messages (id, chat_id, parent_id, role, content, model, stats, generated_images, citations, reasoning, tool_calls, created_at)
+                SELECT
+                    new_id,
+                    ${forkId},
+                    LAG(new_id) OVER (ORDER BY created_at),
+                    role,
+                    content,
+                    model,
+                    stats,
+                    generated_images,
+                    citations,
+                    reasoning,
+                    tool_calls,
+                    created_at
+                FROM copies
+            `;
+        } catch (copyError) {
+            await sql`DELETE FROM chats WHERE id = ${forkId}`;
+            throw copyError;
+        }
+
+        return { data: { ...newChat[0], userId }, status: 201 };
+    } catch (error) {
+        console.error('Fork chat error:', error);
+        return { error: 'Failed to fork chat', status: 500 };
+    }
+}
+
 export async function deleteChat(userId, chatId) {
     try {
         // Validate chatId format
@@ -223,6 +378,13 @@ export async function searchChats(userId, query, options = {}) {
                 c.id,
                 c.title,
                 c.project_id as "projectId",
+                c.pinned,
+                c.archived,
+                c.reasoning_effort as "reasoningEffort",
+                c.model,
+                c.params,
+                c.persona_id as "personaId",
+                c.context_summary as "contextSummary",
                 c.created_at as "createdAt",
                 c.updated_at as "updatedAt",
                 ${userId} as "userId"
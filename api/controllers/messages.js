@@ -1,4 +1,5 @@
 import { sql, isValidUUID } from '../lib/sql.js';
+import { canReadChat } from './projects.js';
 
 export async function addMessage(userId, chatId, messageData = {}) {
     try {
@@ -11,6 +12,9 @@ export async function addMessage(userId, chatId, messageData = {}) {
         if (messageData.id && !isValidUUID(messageData.id)) {
             return { error: 'Invalid message ID format', status: 400 };
         }
+        if (messageData.parentId && !isValidUUID(messageData.parentId)) {
+            return { error: 'Invalid parent message ID format', status: 400 };
+        }
 
         const ownership = await sql`
             SELECT id FROM chats WHERE id = ${chatId} AND user_id = ${userId}
@@ -21,6 +25,17 @@ export async function addMessage(userId, chatId, messageData = {}) {
         }
 
         const clientId = messageData.id || null;
+        const parentId = messageData.parentId || null;
+
+        // A parent from another chat would stitch two trees together
+        if (parentId) {
+            const parent = await sql`
+                SELECT 1 FROM messages WHERE id = ${parentId} AND chat_id = ${chatId}
+            `;
+            if (parent.length === 0) {
+                return { error: 'Parent message not found in this chat', status: 400 };
+            }
+        }
 
         let clientCreatedAt = null;
         if (messageData.createdAt) {
@@ -32,25 +47,26 @@ export async function addMessage(userId, chatId, messageData = {}) {
         let newMessage;
         if (clientId && clientCreatedAt) {
             newMessage = await sql`
-                INSERT INTO messages (id, chat_id, role, content, model, created_at)
-                VALUES (${clientId}, ${chatId}, ${messageData.role || 'user'}, ${messageData.content || ''}, ${messageData.model || null}, ${clientCreatedAt})
-                RETURNING id, role, content, model, created_at as "createdAt"
+                INSERT INTO messages (id, chat_id, parent_id, role, content, model, created_at)
+                VALUES (${clientId}, ${chatId}, ${parentId}, ${messageData.role || 'user'}, ${messageData.content || ''}, ${messageData.model || null}, ${clientCreatedAt})
+                RETURNING id, parent_id as "parentId", role, content, model, created_at as "createdAt"
             `;
         } else if (clientId) {
             newMessage = await sql`
-                INSERT INTO messages (id, chat_id, role, content, model)
-                VALUES (${clientId}, ${chatId}, ${messageData.role || 'user'}, ${messageData.content || ''}, ${messageData.model || null})
-                RETURNING id, role, content, model, created_at as "createdAt"
+                INSERT INTO messages (id, chat_id, parent_id, role, content, model)
+                VALUES (${clientId}, ${chatId}, ${parentId}, ${messageData.role || 'user'}, ${messageData.content || ''}, ${messageData.model || null})
+                RETURNING id, parent_id as "parentId", role, content, model, created_at as "createdAt"
             `;
         } else {
             newMessage = await sql`
-                INSERT INTO messages (chat_id, role, content, model)
-                VALUES (${chatId}, ${messageData.role || 'user'}, ${messageData.content || ''}, ${messageData.model || null})
-                RETURNING id, role, content, model, created_at as "createdAt"
+                INSERT INTO messages (chat_id, parent_id, role, content, model)
+                VALUES (${chatId}, ${parentId}, ${messageData.role || 'user'}, ${messageData.content || ''}, ${messageData.model || null})
+                RETURNING id, parent_id as "parentId", role, content, model, created_at as "createdAt"
             `;
         }
 
-        await sql`UPDATE chats SET updated_at = NOW() WHERE id = ${chatId}`;
+        // A new message is always the newest leaf, so go back to following the latest branch
+        await sql`UPDATE chats SET updated_at = NOW(), active_leaf_id = NULL WHERE id = ${chatId}`;
 
         return { data: newMessage[0], status: 201 };
     } catch (error) {
@@ -81,15 +97,20 @@ export async function updateMessage(userId, chatId, messageId, updates = {}) {
 
         const statsJson = updates.stats ? JSON.stringify(updates.stats) : null;
         const imagesJson = updates.generatedImages ? JSON.stringify(updates.generatedImages) : null;
+        const citationsJson = updates.citations ? JSON.stringify(updates.citations) : null;
+        const toolCallsJson = updates.toolCalls ? JSON.stringify(updates.toolCalls) : null;
 
         const updatedMessage = await sql`
             UPDATE messages
             SET content = COALESCE(${updates.content}, content),
                 model = COALESCE(${updates.model}, model),
                 stats = COALESCE(${statsJson}::jsonb, stats),
-                generated_images = COALESCE(${imagesJson}::jsonb, generated_images)
+                generated_images = COALESCE(${imagesJson}::jsonb, generated_images),
+                citations = COALESCE(${citationsJson}::jsonb, citations),
+                reasoning = COALESCE(${updates.reasoning}, reasoning),
+                tool_calls = COALESCE(${toolCallsJson}::jsonb, tool_calls)
             WHERE id = ${messageId}
-            RETURNING id, role, content, model, stats, generated_images as "generatedImages", created_at as "createdAt"
+            RETURNING id, parent_id as "parentId", role, content, model, stats, generated_images as "generatedImages", citations, reasoning, tool_calls as "toolCalls", created_at as "createdAt"
         `;
 
         await sql`UPDATE chats SET updated_at = NOW() WHERE id = ${chatId}`;
@@ -111,33 +132,56 @@ export async function getMessages(userId, chatId, options = {}) {
             return { error: 'Invalid chat ID format', status: 400 };
         }
 
-        const ownership = await sql`
-            SELECT id FROM chats WHERE id = ${chatId} AND user_id = ${userId}
-        `;
-
-        if (ownership.length === 0) {
+        // Members of a shared project can read its chats
+        if (!(await canReadChat(userId, chatId))) {
             return { error: 'Chat not found', status: 404 };
         }
 
-        const countResult = await sql`
-            SELECT COUNT(*) AS count
-            FROM messages
-            WHERE chat_id = ${chatId}
+        // Walk from the active leaf up to the root to get the branch being shown.
+        // Without an explicit leaf, the newest message in the chat is used.
+        const path = await sql`
+            WITH RECURSIVE path AS (
+                SELECT id, parent_id, created_at
+                FROM messages
+                WHERE chat_id = ${chatId} AND id = COALESCE(
+                    (SELECT active_leaf_id FROM chats WHERE id = ${chatId}),
+                    (SELECT id FROM messages WHERE chat_id = ${chatId} ORDER BY created_at DESC LIMIT 1)
+                )
+                UNION ALL
+                SELECT m.id, m.parent_id, m.created_at
+                FROM messages m
+                JOIN path p ON m.id = p.parent_id
+                WHERE m.chat_id = ${chatId}
+            )
+            SELECT id FROM path ORDER BY created_at DESC
         `;
-        const total = parseInt(countResult[0]?.count || 0, 10);
-
-        const messagesDesc = await sql`
-            SELECT id, role, content, model, stats, generated_images as "generatedImages", created_at as "createdAt"
-            FROM messages
-            WHERE chat_id = ${chatId}
-            ORDER BY created_at DESC
-            LIMIT ${limit}
-            OFFSET ${offset}
+        const total = path.length;
+        const pageIds = path.slice(offset, offset + limit).map(row => row.id);
+
+        // Siblings share a parent; they drive the branch switcher in the UI
+        const messages = pageIds.length === 0 ? [] : await sql`
+            SELECT
+                m.id,
+                m.parent_id as "parentId",
+                m.role,
+                m.content,
+                m.model,
+                m.stats,
+                m.generated_images as "generatedImages",
+                m.citations,
+                m.reasoning,
+                m.tool_calls as "toolCalls",
+                m.created_at as "createdAt",
+                ARRAY(
+                    SELECT s.id FROM messages s
+                    WHERE s.chat_id = m.chat_id AND s.parent_id IS NOT DISTINCT FROM m.parent_id
+                    ORDER BY s.created_at ASC
+                ) as "siblingIds"
+            FROM messages m
+            WHERE m.id = ANY(${pageIds}::uuid[])
+            ORDER BY m.created_at ASC
         `;
-
-        // Return messages in chronological order for the UI
-        const messages = messagesDesc.reverse();
-        const hasMore = offset + messagesDesc.length < total;
+        const hasMore = offset + pageIds.length < total;
 
         return { data: { messages, hasMore, total }, status: 200 };
     } catch (error) {
@@ -145,3 +189,47 @@ export async function getMessages(userId, chatId, options = {}) {
         return { error: 'Failed to fetch messages', status: 500 };
     }
 }
+
+export async function setActiveBranch(userId, chatId, messageId) {
+    try {
+        // Validate IDs format
+        if (!isValidUUID(chatId)) {
+            return { error: 'Invalid chat ID format', status: 400 };
+        }
+        if (!isValidUUID(messageId)) {
+            return { error: 'Invalid message ID format', status: 400 };
+        }
+
+        const ownership = await sql`
+            SELECT c.id FROM chats c
+            JOIN messages m ON m.chat_id = c.id
+            WHERE c.id = ${chatId} AND c.user_id = ${userId} AND m.id = ${messageId}
+        `;
+
+        if (ownership.length === 0) {
+            return { error: 'Message not found', status: 404 };
+        }
+
+        // Show the most recently created message under the chosen branch
+        const leaf = await sql`
+            WITH RECURSIVE descendants AS (
+                SELECT id, created_at FROM messages
+                WHERE id = ${messageId} AND chat_id = ${chatId}
+                UNION ALL
+                SELECT m.id, m.created_at
+                FROM messages m
+                JOIN descendants d ON m.parent_id = d.id
+                WHERE m.chat_id = ${chatId}
+            )
+            SELECT id FROM descendants ORDER BY created_at DESC LIMIT 1
+        `;
+        const leafId = leaf[0]?.id || messageId;
+
+        await sql`UPDATE chats SET active_leaf_id = ${leafId} WHERE id = ${chatId}`;
+
+        return { data: { activeLeafId: leafId }, status: 200 };
+    } catch (error) {
+        console.error('Set active branch error:', error);
+        return { error: 'Failed to switch branch', status: 500 };
+    }
+}
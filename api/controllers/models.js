@@ -0,0 +1,87 @@
+const OPENROUTER_MODELS_URL = 'https://openrouter.ai/api/v1/models';
+const CATALOG_TTL_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+const MODEL_ID_PATTERN = /^[A-Za-z0-9._\-/:]{1,200}$/;
+
+// Kept per warm instance; a cold start fetches the list again
+let cachedCatalog = null;
+let cachedAt = 0;
+
+/**
+ * OpenRouter prices are USD per token as strings; the app uses USD per million
+ */
+function toPricePerMillion(value) {
+    const price = Number(value);
+    return Number.isFinite(price) && price >= 0 ? Math.round(price * 1e6 * 1e4) / 1e4 : null;
+}
+
+/**
+ * Reduce an OpenRouter model entry to the fields the app uses. Capabilities
+ * follow the tags the curated list in src/config/models.js uses.
+ */
+function normalizeModel(entry) {
+    if (!entry || !MODEL_ID_PATTERN.test(entry.id || '')) return null;
+
+    const inputModalities = entry.architecture?.input_modalities || [];
+    const outputModalities = entry.architecture?.output_modalities || ['text'];
+    const supportedParameters = Array.isArray(entry.supported_parameters) ? entry.supported_parameters : [];
+    const prompt = toPricePerMillion(entry.pricing?.prompt);
+    const completion = toPricePerMillion(entry.pricing?.completion);
+
+    // Names read "Provider: Model"
+    const [provider, ...rest] = String(entry.name || entry.id).split(': ');
+    const name = rest.length > 0 ? rest.join(': ') : provider;
+
+    const capabilities = [];
+    if (outputModalities.includes('text')) capabilities.push('chat');
+    if (outputModalities.includes('image')) capabilities.push('image');
+    if (inputModalities.includes('image')) capabilities.push('vision');
+    if (supportedParameters.includes('tools')) capabilities.push('tools');
+    if (supportedParameters.includes('reasoning')) capabilities.push('reasoning');
+    if (prompt === 0 && completion === 0) capabilities.push('free');
+
+    return {
+        id: entry.id,
+        name: name.slice(0, 120),
+        provider: rest.length > 0 ? provider.slice(0, 60) : entry.id.split('/')[0],
+        capabilities,
+        description: typeof entry.description === 'string' ? entry.description.slice(0, 500) : '',
+        contextLength: Number(entry.context_length) || null,
+        pricing: prompt !== null && completion !== null ? { prompt, completion } : null,
+        inputModalities,
+        outputModalities,
+        supportedParameters,
+    };
+}
+
+/**
+ * OpenRouter's model list, normalized and cached for an hour. A failed
+ * refresh serves the previous copy when there is one.
+ */
+export async function getModelCatalog() {
+    if (cachedCatalog && Date.now() - cachedAt < CATALOG_TTL_MS) {
+        return { data: cachedCatalog, status: 200 };
+    }
+
+    try {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+        const response = await fetch(OPENROUTER_MODELS_URL, { signal: controller.signal });
+        clearTimeout(timeout);
+
+        if (!response.ok) {
+            throw new Error(`OpenRouter models request failed: ${response.status}`);
+        }
+
+        const body = await response.json();
+        cachedCatalog = (body.data || []).map(normalizeModel).filter(Boolean);
+        cachedAt = Date.now();
+        return { data: cachedCatalog, status: 200 };
+    } catch (error) {
+        console.error('Get model catalog error:', error);
+        if (cachedCatalog) {
+            return { data: cachedCatalog, status: 200 };
+        }
+        return { error: 'Failed to fetch model catalog', status: 502 };
+    }
+}
@@ -0,0 +1,120 @@
+import { sql, isValidUUID } from '../lib/sql.js';
+
+export async function getPersonas(userId) {
+    try {
+        const personas = await sql`
+            SELECT
+                id,
+                name,
+                prompt,
+                default_model as "defaultModel",
+                is_default as "isDefault",
+                created_at as "createdAt",
+                updated_at as "updatedAt"
+            FROM personas
+            WHERE user_id = ${userId}
+            ORDER BY is_default DESC, name ASC
+        `;
+
+        return { data: personas, status: 200 };
+    } catch (error) {
+        console.error('Get personas error:', error);
+        return { error: 'Failed to fetch personas', status: 500 };
+    }
+}
+
+export async function createPersona(userId, personaData = {}) {
+    try {
+        const name = personaData.name || 'New Persona';
+        const prompt = personaData.prompt || '';
+        const defaultModel = personaData.defaultModel || null;
+
+        // A user has at most one edited copy of the built-in prompt, so saving it again replaces it
+        const result = personaData.isDefault === true
+            ? await sql`
+                INSERT INTO personas (user_id, name, prompt, default_model, is_default)
+                VALUES (${userId}, ${name}, ${prompt}, ${defaultModel}, TRUE)
+                ON CONFLICT (user_id) WHERE is_default
+                DO UPDATE SET name = EXCLUDED.name, prompt = EXCLUDED.prompt, default_model = EXCLUDED.default_model, updated_at = NOW()
+                RETURNING id, name, prompt, default_model as "defaultModel", is_default as "isDefault", created_at as "createdAt", updated_at as "updatedAt"
+            `
+            : await sql`
+                INSERT INTO personas (user_id, name, prompt, default_model)
+                VALUES (${userId}, ${name}, ${prompt}, ${defaultModel})
+                RETURNING id, name, prompt, default_model as "defaultModel", is_default as "isDefault", created_at as "createdAt", updated_at as "updatedAt"
+            `;
+
+        return { data: result[0], status: 201 };
+    } catch (error) {
+        console.error('Create persona error:', error);
+        return { error: 'Failed to create persona', status: 500 };
+    }
+}
+
+export async function updatePersona(userId, personaId, updates = {}) {
+    try {
+        if (!isValidUUID(personaId)) {
+            return { error: 'Invalid persona ID format', status: 400 };
+        }
+
+        // An empty default model clears it so the chat keeps its current model
+        const clearDefaultModel = updates.defaultModel === '';
+
+        const result = await sql`
+            UPDATE personas
+            SET name = COALESCE(${updates.name || null}, name),
+                prompt = COALESCE(${updates.prompt ?? null}, prompt),
+                default_model = CASE WHEN ${clearDefaultModel} THEN NULL ELSE COALESCE(${updates.defaultModel || null}, default_model) END,
+                updated_at = NOW()
+            WHERE id = ${personaId} AND user_id = ${userId}
+            RETURNING id, name, prompt, default_model as "defaultModel", is_default as "isDefault", created_at as "createdAt", updated_at as "updatedAt"
+        `;
+
+        if (result.length === 0) {
+            return { error: 'Persona not found', status: 404 };
+        }
+
+        return { data: result[0], status: 200 };
+    } catch (error) {
+        console.error('Update persona error:', error);
+        return { error: 'Failed to update persona', status: 500 };
+    }
+}
+
+export async function deletePersona(userId, personaId) {
+    try {
+        if (!isValidUUID(personaId)) {
+            return { error: 'Invalid persona ID format', status: 400 };
+        }
+
+        // Chats using the persona fall back to the default (persona_id is SET NULL)
+        const result = await sql`
+            DELETE FROM personas
+            WHERE id = ${personaId} AND user_id = ${userId}
+            RETURNING id
+        `;
+
+        if (result.length === 0) {
+            return { error: 'Persona not found', status: 404 };
+        }
+
+        return { data: { success: true }, status: 200 };
+    } catch (error) {
+        console.error('Delete persona error:', error);
+        return { error: 'Failed to delete persona', status: 500 };
+    }
+}
+
+/**
+ * Check that a persona belongs to the user before a chat points at it
+ * @param {string} userId
+ * @param {string} personaId
+ * @returns {Promise<boolean>}
+ */
+export async function ownsPersona(userId, personaId) {
+    if (!isValidUUID(personaId)) return false;
+    const rows = await sql`
+        SELECT 1 FROM personas WHERE id = ${personaId} AND user_id = ${userId}
+    `;
+    return rows.length > 0;
+}
@@ -1,4 +1,56 @@
 import { sql, isValidUUID } from '../lib/sql.js';
+import {
+    indexProjectFile,
+    removeFileIndex,
+    removeProjectIndex,
+    searchProjectChunks,
+} from '../lib/knowledge.js';
+import { isTextFile, decodeTextData, DEFAULT_TOP_K } from '../../src/utils/knowledge.js';
+import { sanitizeGenerationParams } from '../../src/utils/generationParams.js';
+
+const MEMBER_ROLES = ['viewer', 'editor'];
+const EDIT_ROLES = ['owner', 'editor'];
+const MAX_TOP_K = 20;
+
+/**
+ * Resolve a user's role on a project: 'owner', 'editor', 'viewer' or null.
+ * Memberships only count while the project is shared.
+ */
+export async function getProjectRole(userId, projectId) {
+    const rows = await sql`
+        SELECT CASE WHEN p.user_id = ${userId} THEN 'owner' ELSE pm.role END as role
+        FROM projects p
+        LEFT JOIN project_members pm
+            ON pm.project_id = p.id AND pm.user_id = ${userId} AND p.visibility = 'shared'
+        WHERE p.id = ${projectId}
+    `;
+    return rows[0]?.role || null;
+}
+
+export function canEditProject(role) {
+    return EDIT_ROLES.includes(role);
+}
+
+/**
+ * Chats are readable by their owner and by members of the shared project they are filed under
+ */
+export async function canReadChat(userId, chatId) {
+    const rows = await sql`
+        SELECT c.id
+        FROM chats c
+        LEFT JOIN projects p ON p.id = c.project_id
+        WHERE c.id = ${chatId}
+          AND (
+              c.user_id = ${userId}
+              OR p.user_id = ${userId}
+              OR (p.visibility = 'shared' AND EXISTS (
+                  SELECT 1 FROM project_members pm
+                  WHERE pm.project_id = p.id AND pm.user_id = ${userId}
+              ))
+          )
+    `;
+    return rows.length > 0;
+}
 
 export async function getProjects(userId) {
     try {
@@ -9,9 +61,13 @@ export async function getProjects(userId) {
                 p.description,
                 p.instructions,
                 p.visibility,
+                p.default_model as "defaultModel",
+                p.default_params as "defaultParams",
                 p.created_at as "createdAt",
                 p.updated_at as "updatedAt",
-                ${userId} as "userId",
+                p.user_id as "userId",
+                CASE WHEN p.user_id = ${userId} THEN 'owner' ELSE pm.role END as role,
+                owner.email as "ownerEmail",
                 COALESCE(
                     json_agg(
                         json_build_object(
@@ -25,9 +81,11 @@ export async function getProjects(userId) {
                     '[]'
                 ) as files
             FROM projects p
+            JOIN users owner ON owner.id = p.user_id
+            LEFT JOIN project_members pm ON pm.project_id = p.id AND pm.user_id = ${userId}
             LEFT JOIN project_files pf ON pf.project_id = p.id
-            WHERE p.user_id = ${userId}
-            GROUP BY p.id
+            WHERE p.user_id = ${userId} OR (pm.id IS NOT NULL AND p.visibility = 'shared')
+            GROUP BY p.id, pm.role, owner.email
             ORDER BY p.updated_at DESC
         `;
 
@@ -52,9 +110,13 @@ export async function getProjectById(userId, projectId) {
                 p.description,
                 p.instructions,
                 p.visibility,
+                p.default_model as "defaultModel",
+                p.default_params as "defaultParams",
                 p.created_at as "createdAt",
                 p.updated_at as "updatedAt",
-                ${userId} as "userId",
+                p.user_id as "userId",
+                CASE WHEN p.user_id = ${userId} THEN 'owner' ELSE pm.role END as role,
+                owner.email as "ownerEmail",
                 COALESCE(
                     json_agg(
                         json_build_object(
@@ -69,9 +131,12 @@ export async function getProjectById(userId, projectId) {
                     '[]'
                 ) as files
             FROM projects p
+            JOIN users owner ON owner.id = p.user_id
+            LEFT JOIN project_members pm ON pm.project_id = p.id AND pm.user_id = ${userId}
             LEFT JOIN project_files pf ON pf.project_id = p.id
-            WHERE p.id = ${projectId} AND p.user_id = ${userId}
-            GROUP BY p.id
+            WHERE p.id = ${projectId}
+              AND (p.user_id = ${userId} OR (pm.id IS NOT NULL AND p.visibility = 'shared'))
+            GROUP BY p.id, pm.role, owner.email
         `;
 
         if (projects.length === 0) {
@@ -91,16 +156,19 @@ export async function createProject(userId, projectData = {}) {
         const description = projectData.description || '';
         const instructions = projectData.instructions || '';
         const visibility = projectData.visibility || 'private';
+        const defaultModel = projectData.defaultModel || null;
+        const defaultParamsJson = projectData.defaultParams ? JSON.stringify(sanitizeGenerationParams(projectData.defaultParams)) : null;
 
         const newProject = await sql`
-            INSERT INTO projects (user_id, name, description, instructions, visibility)
-            VALUES (${userId}, ${name}, ${description}, ${instructions}, ${visibility})
-            RETURNING id, name, description, instructions, visibility, created_at as "createdAt", updated_at as "updatedAt"
+            INSERT INTO projects (user_id, name, description, instructions, visibility, default_model, default_params)
+            VALUES (${userId}, ${name}, ${description}, ${instructions}, ${visibility}, ${defaultModel}, ${defaultParamsJson}::jsonb)
+            RETURNING id, name, description, instructions, visibility, default_model as "defaultModel", default_params as "defaultParams", created_at as "createdAt", updated_at as "updatedAt"
         `;
 
         const project = {
             ...newProject[0],
             userId,
+            role: 'owner',
             files: [],
         };
 
@@ -118,20 +186,28 @@ export async function updateProject(userId, projectId, updates = {}) {
             return { error: 'Invalid project ID format', status: 400 };
         }
 
-        const ownership = await sql`
-            SELECT id FROM projects WHERE id = ${projectId} AND user_id = ${userId}
-        `;
-
-        if (ownership.length === 0) {
+        const role = await getProjectRole(userId, projectId);
+        if (!role) {
             return { error: 'Project not found', status: 404 };
         }
+        if (!canEditProject(role)) {
+            return { error: 'You do not have permission to edit this project', status: 403 };
+        }
+
+        // Only the owner decides who can see the project
+        const visibility = role === 'owner' ? updates.visibility : null;
+        // An empty default model clears it so new chats use the user's own model again
+        const clearDefaultModel = updates.defaultModel === '';
+        const defaultParamsJson = updates.defaultParams ? JSON.stringify(sanitizeGenerationParams(updates.defaultParams)) : null;
 
         await sql`
             UPDATE projects
             SET name = COALESCE(${updates.name}, name),
                 description = COALESCE(${updates.description}, description),
                 instructions = COALESCE(${updates.instructions}, instructions),
-                visibility = COALESCE(${updates.visibility}, visibility),
+                visibility = COALESCE(${visibility}, visibility),
+                default_model = CASE WHEN ${clearDefaultModel} THEN NULL ELSE COALESCE(${updates.defaultModel || null}, default_model) END,
+                default_params = COALESCE(${defaultParamsJson}::jsonb, default_params),
                 updated_at = NOW()
             WHERE id = ${projectId}
         `;
@@ -160,6 +236,10 @@ export async function deleteProject(userId, projectId) {
             return { error: 'Project not found', status: 404 };
         }
 
+        await removeProjectIndex(projectId).catch(error =>
+            console.error('Remove project index error:', error)
+        );
+
         return { data: { success: true }, status: 200 };
     } catch (error) {
         console.error('Delete project error:', error);
@@ -179,6 +259,7 @@ export async function addProjectFile(userId, projectId, fileData = {}) {
             'text/plain',
             'application/pdf',
             'text/markdown',
+            'text/csv',
             'application/json',
         ]);
 
@@ -201,13 +282,13 @@ export async function addProjectFile(userId, projectId, fileData = {}) {
             }
         }
 
-        const ownership = await sql`
-            SELECT id FROM projects WHERE id = ${projectId} AND user_id = ${userId}
-        `;
-
-        if (ownership.length === 0) {
+        const role = await getProjectRole(userId, projectId);
+        if (!role) {
             return { error: 'Project not found', status: 404 };
         }
+        if (!canEditProject(role)) {
+            return { error: 'You do not have permission to edit this project', status: 403 };
+        }
 
         const newFile = await sql`
             INSERT INTO project_files (project_id, name, type, data, size)
@@ -217,6 +298,15 @@ export async function addProjectFile(userId, projectId, fileData = {}) {
 
         await sql`UPDATE projects SET updated_at = NOW() WHERE id = ${projectId}`;
 
+        try {
+            // Older clients send no extracted text; plain text files can be decoded here
+            const text = fileData.text || (isTextFile(fileData) ? decodeTextData(fileData.data) : '');
+            await indexProjectFile(projectId, newFile[0], text);
+        } catch (error) {
+            // The file is saved either way; unindexed text files are backfilled on search
+            console.error('Index project file error:', error);
+        }
+
         return { data: newFile[0], status: 201 };
     } catch (error) {
         console.error('Add project file error:', error);
@@ -234,18 +324,27 @@ export async function removeProjectFile(userId, projectId, fileId) {
             return { error: 'Invalid file ID format', status: 400 };
         }
 
-        const ownership = await sql`
-            SELECT p.id FROM projects p
-            JOIN project_files pf ON pf.project_id = p.id
-            WHERE p.id = ${projectId} AND p.user_id = ${userId} AND pf.id = ${fileId}
+        const role = await getProjectRole(userId, projectId);
+        if (!role) {
+            return { error: 'Project not found', status: 404 };
+        }
+        if (!canEditProject(role)) {
+            return { error: 'You do not have permission to edit this project', status: 403 };
+        }
+
+        const files = await sql`
+            SELECT id FROM project_files WHERE id = ${fileId} AND project_id = ${projectId}
         `;
 
-        if (ownership.length === 0) {
+        if (files.length === 0) {
             return { error: 'File not found', status: 404 };
         }
 
         await sql`DELETE FROM project_files WHERE id = ${fileId}`;
         await sql`UPDATE projects SET updated_at = NOW() WHERE id = ${projectId}`;
+        await removeFileIndex(projectId, fileId).catch(error =>
+            console.error('Remove file index error:', error)
+        );
 
         return { data: { success: true }, status: 200 };
     } catch (error) {
@@ -254,6 +353,27 @@ export async function removeProjectFile(userId, projectId, fileId) {
     }
 }
 
+export async function searchProjectKnowledge(userId, projectId, query = '', topK = DEFAULT_TOP_K) {
+    try {
+        if (!isValidUUID(projectId)) {
+            return { error: 'Invalid project ID format', status: 400 };
+        }
+
+        const role = await getProjectRole(userId, projectId);
+        if (!role) {
+            return { error: 'Project not found', status: 404 };
+        }
+
+        const limit = Math.min(Math.max(Number.parseInt(topK, 10) || DEFAULT_TOP_K, 1), MAX_TOP_K);
+        const results = await searchProjectChunks(projectId, query, limit);
+
+        return { data: results, status: 200 };
+    } catch (error) {
+        console.error('Search project knowledge error:', error);
+        return { error: 'Failed to search project files', status: 500 };
+    }
+}
+
 export async function getProjectChats(userId, projectId) {
     try {
         // Validate projectId format
@@ -261,31 +381,40 @@ export async function getProjectChats(userId, projectId) {
             return { error: 'Invalid project ID format', status: 400 };
         }
 
-        const ownership = await sql`
-            SELECT id FROM projects WHERE id = ${projectId} AND user_id = ${userId}
-        `;
-
-        if (ownership.length === 0) {
+        const role = await getProjectRole(userId, projectId);
+        if (!role) {
             return { error: 'Project not found', status: 404 };
         }
 
+        // Everyone with access sees every chat filed under the project
         const chats = await sql`
             SELECT
                 c.id,
                 c.title,
                 c.project_id as "projectId",
+                c.pinned,
+                c.archived,
+                c.reasoning_effort as "reasoningEffort",
+                c.model,
+                c.params,
+                c.persona_id as "personaId",
+                c.context_summary as "contextSummary",
                 c.created_at as "createdAt",
                 c.updated_at as "updatedAt",
-                ${userId} as "userId",
+                c.user_id as "userId",
                 COALESCE(
                     json_agg(
                         json_build_object(
                             'id', m.id,
+                            'parentId', m.parent_id,
                             'role', m.role,
                             'content', m.content,
                             'model', m.model,
                             'stats', m.stats,
                             'generatedImages', m.generated_images,
+                            'citations', m.citations,
+                            'reasoning', m.reasoning,
+                            'toolCalls', m.tool_calls,
                             'createdAt', m.created_at
                         ) ORDER BY m.created_at ASC
                     ) FILTER (WHERE m.id IS NOT NULL),
@@ -293,7 +422,7 @@ export async function getProjectChats(userId, projectId) {
                 ) as messages
             FROM chats c
             LEFT JOIN messages m ON m.chat_id = c.id
-            WHERE c.user_id = ${userId} AND c.project_id = ${projectId}
+            WHERE c.project_id = ${projectId}
             GROUP BY c.id
             ORDER BY c.updated_at DESC
         `;
@@ -304,3 +433,145 @@ export async function getProjectChats(userId, projectId) {
         return { error: 'Failed to fetch project chats', status: 500 };
     }
 }
+
+export async function getProjectMembers(userId, projectId) {
+    try {
+        if (!isValidUUID(projectId)) {
+            return { error: 'Invalid project ID format', status: 400 };
+        }
+
+        const role = await getProjectRole(userId, projectId);
+        if (!role) {
+            return { error: 'Project not found', status: 404 };
+        }
+
+        const members = await sql`
+            SELECT
+                pm.id,
+                pm.user_id as "userId",
+                u.email,
+                u.name,
+                pm.role,
+                pm.created_at as "createdAt"
+            FROM project_members pm
+            JOIN users u ON u.id = pm.user_id
+            WHERE pm.project_id = ${projectId}
+            ORDER BY pm.created_at ASC
+        `;
+
+        return { data: members, status: 200 };
+    } catch (error) {
+        console.error('Get project members error:', error);
+        return { error: 'Failed to fetch project members', status: 500 };
+    }
+}
+
+export async function addProjectMember(userId, projectId, memberData = {}) {
+    try {
+        if (!isValidUUID(projectId)) {
+            return { error: 'Invalid project ID format', status: 400 };
+        }
+
+        const email = typeof memberData.email === 'string' ? memberData.email.trim().toLowerCase() : '';
+        const memberRole = memberData.role || 'viewer';
+        if (!email) {
+            return { error: 'Email is required', status: 400 };
+        }
+        if (!MEMBER_ROLES.includes(memberRole)) {
+            return { error: 'Invalid member role', status: 400 };
+        }
+
+        const projects = await sql`
+            SELECT id, visibility FROM projects WHERE id = ${projectId} AND user_id = ${userId}
+        `;
+        if (projects.length === 0) {
+            return { error: 'Project not found', status: 404 };
+        }
+        if (projects[0].visibility !== 'shared') {
+            return { error: 'Make the project shared before inviting members', status: 400 };
+        }
+
+        const users = await sql`SELECT id, email, name FROM users WHERE email = ${email}`;
+        if (users.length === 0) {
+            return { error: 'No LampChat account uses that email', status: 404 };
+        }
+        if (users[0].id === userId) {
+            return { error: 'You already own this project', status: 400 };
+        }
+
+        // Re-inviting an existing member just updates their role
+        const result = await sql`
+            INSERT INTO project_members (project_id, user_id, role, invited_by)
+            VALUES (${projectId}, ${users[0].id}, ${memberRole}, ${userId})
+            ON CONFLICT (project_id, user_id) DO UPDATE SET role = EXCLUDED.role
+            RETURNING id, user_id as "userId", role, created_at as "createdAt"
+        `;
+
+        return {
+            data: { ...result[0], email: users[0].email, name: users[0].name },
+            status: 201,
+        };
+    } catch (error) {
+        console.error('Add project member error:', error);
+        return { error: 'Failed to invite member', status: 500 };
+    }
+}
+
+export async function updateProjectMember(userId, projectId, memberId, updates = {}) {
+    try {
+        if (!isValidUUID(projectId) || !isValidUUID(memberId)) {
+            return { error: 'Invalid project or member ID format', status: 400 };
+        }
+        if (!MEMBER_ROLES.includes(updates.role)) {
+            return { error: 'Invalid member role', status: 400 };
+        }
+
+        const result = await sql`
+            UPDATE project_members pm
+            SET role = ${updates.role}
+            FROM projects p
+            WHERE pm.id = ${memberId}
+              AND pm.project_id = ${projectId}
+              AND p.id = pm.project_id
+              AND p.user_id = ${userId}
+            RETURNING pm.id, pm.user_id as "userId", pm.role, pm.created_at as "createdAt"
+        `;
+
+        if (result.length === 0) {
+            return { error: 'Member not found', status: 404 };
+        }
+
+        return { data: result[0], status: 200 };
+    } catch (error) {
+        console.error('Update project member error:', error);
+        return { error: 'Failed to update member', status: 500 };
+    }
+}
+
+export async function removeProjectMember(userId, projectId, memberId) {
+    try {
+        if (!isValidUUID(projectId) || !isValidUUID(memberId)) {
+            return { error: 'Invalid project or member ID format', status: 400 };
+        }
+
+        // The owner can remove anyone; members can remove themselves (leave)
+        const result = await sql`
+            DELETE FROM project_members pm
+            USING projects p
+            WHERE pm.id = ${memberId}
+              AND pm.project_id = ${projectId}
+              AND p.id = pm.project_id
+              AND (p.user_id = ${userId} OR pm.user_id = ${userId})
+            RETURNING pm.id
+        `;
+
+        if (result.length === 0) {
+            return { error: 'Member not found', status: 404 };
+        }
+
+        return { data: { success: true }, status: 200 };
+    } catch (error) {
+        console.error('Remove project member error:', error);
+        return { error: 'Failed to remove member', status: 500 };
+    }
+}
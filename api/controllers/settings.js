@@ -1,4 +1,6 @@
 import { sql } from '../lib/sql.js';
+import { DEFAULT_CONTEXT_STRATEGY } from '../../src/utils/context.js';
+import { MODELS, DEFAULT_MODEL, DEFAULT_TITLE_MODEL, resolveModelId } from '../../src/config/models.js';
 import crypto from 'crypto';
 
 const ENC_KEY = (process.env.ENCRYPTION_KEY || process.env.JWT_SECRET || '').padEnd(32, '0').slice(0, 32);
@@ -26,22 +28,8 @@ function decrypt(value) {
     }
 }
 
-export const DEFAULT_MODELS = [
-    'openai/gpt-5.1',
-    'openai/gpt-5.1-chat',
-    'x-ai/grok-4-fast',
-    'x-ai/grok-code-fast-1',
-    'anthropic/claude-opus-4.5',
-    'anthropic/claude-haiku-4.5',
-    'anthropic/claude-sonnet-4.5',
-    'google/gemini-3-pro-preview',
-    'google/gemini-2.5-pro',
-    'google/gemini-2.5-flash',
-    'google/gemini-2.5-flash-lite',
-    'openai/gpt-5-image',
-    'openai/gpt-5-image-mini',
-    'google/gemini-2.5-flash-preview-image-generation'
-];
+// Shared with the client so both sides agree on model IDs
+export const DEFAULT_MODELS = MODELS.map(m => m.id);
 
 export async function getSettings(userId) {
     try {
@@ -50,7 +38,11 @@ export async function getSettings(userId) {
                 api_key as "apiKey",
                 selected_model as "selectedModel",
                 enabled_models as "enabledModels",
-                web_search_enabled as "webSearchEnabled"
+                web_search_enabled as "webSearchEnabled",
+                title_model as "titleModel",
+                context_strategy as "contextStrategy",
+                budget,
+                model_fallbacks as "modelFallbacks"
             FROM user_settings
             WHERE user_id = ${userId}
         `;
@@ -65,17 +57,25 @@ export async function getSettings(userId) {
             return {
                 data: {
                     apiKey: '',
-                    selectedModel: DEFAULT_MODELS[0],
+                    selectedModel: DEFAULT_MODEL,
                     enabledModels: DEFAULT_MODELS,
                     webSearchEnabled: false,
+                    titleModel: DEFAULT_TITLE_MODEL,
+                    contextStrategy: DEFAULT_CONTEXT_STRATEGY,
+                    budget: null,
+                    modelFallbacks: {},
                 },
                 status: 200,
             };
         }
 
+        const stored = settings[0];
         const safe = {
-            ...settings[0],
+            ...stored,
             apiKey: '', // never return stored key
+            // Rows saved before a model was renamed still hold its old ID
+            selectedModel: stored.selectedModel && resolveModelId(stored.selectedModel),
+            enabledModels: stored.enabledModels && [...new Set(stored.enabledModels.map(resolveModelId))],
         };
 
         return { data: safe, status: 200 };
@@ -88,14 +88,26 @@ export async function getSettings(userId) {
 export async function saveSettings(userId, updates = {}) {
     try {
         const encryptedKey = updates.apiKey ? encrypt(updates.apiKey) : null;
+        const budgetJson = updates.budget ? JSON.stringify({
+            period: updates.budget.period,
+            unit: updates.budget.unit,
+            limit: updates.budget.limit,
+        }) : null;
+        // null removes the cap
+        const clearBudget = updates.budget === null;
+        const fallbacksJson = updates.modelFallbacks ? JSON.stringify(updates.modelFallbacks) : null;
         const updatedSettings = await sql`
-            INSERT INTO user_settings (user_id, api_key, selected_model, enabled_models, web_search_enabled)
+            INSERT INTO user_settings (user_id, api_key, selected_model, enabled_models, web_search_enabled, title_model, context_strategy, budget, model_fallbacks)
             VALUES (
                 ${userId},
                 ${encryptedKey || ''},
-                ${updates.selectedModel || DEFAULT_MODELS[0]},
+                ${updates.selectedModel || DEFAULT_MODEL},
                 ${updates.enabledModels || DEFAULT_MODELS},
-                ${updates.webSearchEnabled || false}
+                ${updates.webSearchEnabled || false},
+                ${updates.titleModel || DEFAULT_TITLE_MODEL},
+                ${updates.contextStrategy || DEFAULT_CONTEXT_STRATEGY},
+                ${budgetJson}::jsonb,
+                COALESCE(${fallbacksJson}::jsonb, '{}'::jsonb)
             )
             ON CONFLICT (user_id)
             DO UPDATE SET
@@ -103,11 +115,19 @@ export async function saveSettings(userId, updates = {}) {
                 selected_model = COALESCE(${updates.selectedModel}, user_settings.selected_model),
                 enabled_models = COALESCE(${updates.enabledModels}, user_settings.enabled_models),
                 web_search_enabled = COALESCE(${updates.webSearchEnabled}, user_settings.web_search_enabled),
+                title_model = COALESCE(${updates.titleModel}, user_settings.title_model),
+                context_strategy = COALESCE(${updates.contextStrategy}, user_settings.context_strategy),
+                budget = CASE WHEN ${clearBudget} THEN NULL ELSE COALESCE(${budgetJson}::jsonb, user_settings.budget) END,
+                model_fallbacks = COALESCE(${fallbacksJson}::jsonb, user_settings.model_fallbacks),
                 updated_at = NOW()
             RETURNING 
                 selected_model as "selectedModel",
                 enabled_models as "enabledModels",
-                web_search_enabled as "webSearchEnabled"
+                web_search_enabled as "webSearchEnabled",
+                title_model as "titleModel",
+                context_strategy as "contextStrategy",
+                budget,
+                model_fallbacks as "modelFallbacks"
         `;
 
         return { data: { ...updatedSettings[0], apiKey: '' }, status: 200 };
@@ -0,0 +1,150 @@
+import crypto from 'crypto';
+import { sql, isValidUUID } from '../lib/sql.js';
+
+const SHARE_TOKEN_BYTES = 24;
+const SHARE_TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+export function isValidShareToken(token) {
+    return typeof token === 'string' && SHARE_TOKEN_PATTERN.test(token);
+}
+
+export async function createShare(userId, chatId) {
+    try {
+        if (!isValidUUID(chatId)) {
+            return { error: 'Invalid chat ID format', status: 400 };
+        }
+
+        // Freeze the link at the branch currently shown in the chat
+        const chats = await sql`
+            SELECT
+                c.id,
+                COALESCE(
+                    c.active_leaf_id,
+                    (SELECT id FROM messages WHERE chat_id = c.id ORDER BY created_at DESC LIMIT 1)
+                ) as "leafId"
+            FROM chats c
+            WHERE c.id = ${chatId} AND c.user_id = ${userId}
+        `;
+
+        if (chats.length === 0) {
+            return { error: 'Chat not found', status: 404 };
+        }
+        if (!chats[0].leafId) {
+            return { error: 'Cannot share an empty chat', status: 400 };
+        }
+
+        const token = crypto.randomBytes(SHARE_TOKEN_BYTES).toString('base64url');
+        const result = await sql`
+            INSERT INTO chat_shares (chat_id, user_id, token, leaf_message_id)
+            VALUES (${chatId}, ${userId}, ${token}, ${chats[0].leafId})
+            RETURNING id, chat_id as "chatId", token, created_at as "createdAt"
+        `;
+
+        return { data: result[0], status: 201 };
+    } catch (error) {
+        console.error('Create share error:', error);
+        return { error: 'Failed to create share link', status: 500 };
+    }
+}
+
+export async function getShares(userId, chatId) {
+    try {
+        if (!isValidUUID(chatId)) {
+            return { error: 'Invalid chat ID format', status: 400 };
+        }
+
+        const shares = await sql`
+            SELECT id, chat_id as "chatId", token, created_at as "createdAt"
+            FROM chat_shares
+            WHERE chat_id = ${chatId} AND user_id = ${userId}
+            ORDER BY created_at DESC
+        `;
+
+        return { data: shares, status: 200 };
+    } catch (error) {
+        console.error('Get shares error:', error);
+        return { error: 'Failed to fetch share links', status: 500 };
+    }
+}
+
+export async function revokeShare(userId, shareId) {
+    try {
+        if (!isValidUUID(shareId)) {
+            return { error: 'Invalid share ID format', status: 400 };
+        }
+
+        const result = await sql`
+            DELETE FROM chat_shares
+            WHERE id = ${shareId} AND user_id = ${userId}
+            RETURNING id
+        `;
+
+        if (result.length === 0) {
+            return { error: 'Share link not found', status: 404 };
+        }
+
+        return { data: { success: true }, status: 200 };
+    } catch (error) {
+        console.error('Revoke share error:', error);
+        return { error: 'Failed to revoke share link', status: 500 };
+    }
+}
+
+/**
+ * Public read of a shared chat. Only conversation content is returned:
+ * no user, chat or message IDs, usage stats, or settings.
+ */
+export async function getSharedChat(token) {
+    try {
+        if (!isValidShareToken(token)) {
+            return { error: 'Share link not found', status: 404 };
+        }
+
+        const shares = await sql`
+            SELECT s.chat_id, s.leaf_message_id, s.created_at, c.title
+            FROM chat_shares s
+            JOIN chats c ON c.id = s.chat_id
+            WHERE s.token = ${token}
+        `;
+
+        if (shares.length === 0) {
+            return { error: 'Share link not found', status: 404 };
+        }
+
+        const share = shares[0];
+        const messages = await sql`
+            WITH RECURSIVE path AS (
+                SELECT *
+                FROM messages
+                WHERE chat_id = ${share.chat_id} AND id = ${share.leaf_message_id}
+                UNION ALL
+                SELECT m.*
+                FROM messages m
+                JOIN path p ON m.id = p.parent_id
+                WHERE m.chat_id = ${share.chat_id}
+            )
+            SELECT
+                role,
+                content,
+                model,
+                generated_images as "generatedImages",
+                citations,
+                created_at as "createdAt"
+            FROM path
+            WHERE role IN ('user', 'assistant')
+            ORDER BY created_at ASC
+        `;
+
+        return {
+            data: {
+                title: share.title,
+                sharedAt: share.created_at,
+                messages,
+            },
+            status: 200,
+        };
+    } catch (error) {
+        console.error('Get shared chat error:', error);
+        return { error: 'Failed to load shared chat', status: 500 };
+    }
+}
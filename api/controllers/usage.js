@@ -0,0 +1,127 @@
+import { sql } from '../lib/sql.js';
+import { estimateCost } from '../../src/config/models.js';
+import { isValidBudget, getBudgetPeriodStart, getBudgetResetTime } from '../../src/utils/budget.js';
+
+const TIME_ZONE_PATTERN = /^[A-Za-z0-9_+\-/]{1,64}$/;
+
+/**
+ * Whether a time zone is a known IANA name. Postgres throws on unknown
+ * zones in AT TIME ZONE, so well-formed names are checked against Intl too.
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || !TIME_ZONE_PATTERN.test(timeZone)) return false;
+    try {
+        new Intl.DateTimeFormat(undefined, { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Assistant message usage since a point in time, grouped by day, model and project.
+ * Stats are written by clients, so only JSON numbers are summed.
+ */
+export async function getUsage(userId, { since, timeZone = 'UTC' } = {}) {
+    try {
+        if (!isValidTimeZone(timeZone)) {
+            return { error: 'Invalid time zone', status: 400 };
+        }
+
+        const sinceDate = new Date(Number(since) || 0);
+
+        const rows = await sql`
+            SELECT
+                to_char(m.created_at AT TIME ZONE ${timeZone}, 'YYYY-MM-DD') as day,
+                COALESCE(m.stats->>'model', m.model) as model,
+                c.project_id as "projectId",
+                SUM(CASE WHEN jsonb_typeof(m.stats->'cost') = 'number' THEN (m.stats->>'cost')::numeric END)::float8 as cost,
+                SUM(CASE WHEN jsonb_typeof(m.stats->'promptTokens') = 'number' THEN (m.stats->>'promptTokens')::numeric END)::float8 as "promptTokens",
+                SUM(CASE WHEN jsonb_typeof(m.stats->'completionTokens') = 'number' THEN (m.stats->>'completionTokens')::numeric END)::float8 as "completionTokens",
+                COUNT(*)::int as messages
+            FROM messages m
+            JOIN chats c ON c.id = m.chat_id
+            WHERE c.user_id = ${userId}
+                AND m.role = 'assistant'
+                AND m.stats IS NOT NULL
+                AND m.created_at >= ${sinceDate.toISOString()}
+            GROUP BY 1, 2, 3
+            ORDER BY 1 DESC
+        `;
+
+        return {
+            data: rows.map(row => ({
+                ...row,
+                cost: row.cost || 0,
+                promptTokens: row.promptTokens || 0,
+                completionTokens: row.completionTokens || 0,
+            })),
+            status: 200,
+        };
+    } catch (error) {
+        console.error('Get usage error:', error);
+        return { error: 'Failed to fetch usage', status: 500 };
+    }
+}
+
+/**
+ * The user's spending cap and what they have used of it this period.
+ * Throws on database errors so the chat proxy can decide how to fail.
+ * @param {string} userId
+ * @returns {Promise<import('../../src/utils/budget.js').BudgetStatus>}
+ */
+export async function getBudgetUsage(userId) {
+    const settings = await sql`
+        SELECT budget FROM user_settings WHERE user_id = ${userId}
+    `;
+    const budget = settings[0]?.budget || null;
+    if (!budget || !isValidBudget(budget)) {
+        return { budget: null, used: 0 };
+    }
+
+    const since = getBudgetPeriodStart(budget.period);
+    const totals = await sql`
+        SELECT
+            COALESCE(SUM(cost), 0)::float8 as cost,
+            COALESCE(SUM(prompt_tokens + completion_tokens), 0)::float8 as tokens
+        FROM usage_events
+        WHERE user_id = ${userId} AND created_at >= ${since.toISOString()}
+    `;
+
+    return {
+        budget,
+        used: budget.unit === 'usd' ? totals[0].cost : totals[0].tokens,
+        resetsAt: getBudgetResetTime(budget.period).toISOString(),
+    };
+}
+
+/**
+ * Record the usage OpenRouter reported for a proxied request. Models that
+ * report no cost are priced from the model table.
+ * @param {string} userId
+ * @param {string} model
+ * @param {{prompt_tokens?: number, completion_tokens?: number, cost?: number}} usage
+ */
+export async function recordUsage(userId, model, usage) {
+    const promptTokens = Math.max(0, Math.round(Number(usage.prompt_tokens) || 0));
+    const completionTokens = Math.max(0, Math.round(Number(usage.completion_tokens) || 0));
+    const cost = typeof usage.cost === 'number'
+        ? usage.cost
+        : estimateCost(model, promptTokens, completionTokens) || 0;
+
+    await sql`
+        INSERT INTO usage_events (user_id, model, prompt_tokens, completion_tokens, cost)
+        VALUES (${userId}, ${String(model).slice(0, 255)}, ${promptTokens}, ${completionTokens}, ${cost})
+    `;
+}
+
+export async function getBudgetStatus(userId) {
+    try {
+        return { data: await getBudgetUsage(userId), status: 200 };
+    } catch (error) {
+        console.error('Get budget status error:', error);
+        return { error: 'Failed to fetch budget status', status: 500 };
+    }
+}
@@ -4,8 +4,8 @@
 
 import jwt from 'jsonwebtoken';
 import { isValidUUID } from './lib/sql.js';
-import { getChats, getChatById, createChat, updateChat, deleteChat, searchChats } from './controllers/chats.js';
-import { addMessage, updateMessage, getMessages } from './controllers/messages.js';
+import { getChats, getChatById, createChat, updateChat, deleteChat, forkChat, searchChats } from './controllers/chats.js';
+import { addMessage, updateMessage, getMessages, setActiveBranch } from './controllers/messages.js';
 import {
     getProjects,
     getProjectById,
@@ -15,11 +15,24 @@ import {
     addProjectFile,
     removeProjectFile,
     getProjectChats,
+    searchProjectKnowledge,
+    getProjectMembers,
+    addProjectMember,
+    updateProjectMember,
+    removeProjectMember,
 } from './controllers/projects.js';
 import { getUser, updateUser } from './controllers/users.js';
 import { getSettings, saveSettings } from './controllers/settings.js';
 import { exportAll, importAll, clearAll } from './controllers/bulk.js';
+import { createShare, getShares, revokeShare } from './controllers/shares.js';
+import { getPersonas, createPersona, updatePersona, deletePersona } from './controllers/personas.js';
+import { getUsage, getBudgetStatus, isValidTimeZone } from './controllers/usage.js';
 import { createRateLimitMiddleware } from './utils/rateLimiter.js';
+import { isValidGenerationParams } from '../src/utils/generationParams.js';
+import { CONTEXT_STRATEGIES, isValidContextSummary } from '../src/utils/context.js';
+import { isValidBudget } from '../src/utils/budget.js';
+import { isValidModelFallbacks } from '../src/utils/fallbacks.js';
+import { MAX_FILE_TEXT_LENGTH } from '../src/utils/knowledge.js';
 
 if (!process.env.JWT_SECRET) {
     throw new Error('Missing JWT_SECRET environment variable');
@@ -36,13 +49,21 @@ const MAX_MESSAGE_LENGTH = 16000;
 const MAX_TITLE_LENGTH = 200;
 const MAX_DESCRIPTION_LENGTH = 4000;
 const MAX_INSTRUCTIONS_LENGTH = 20000;
+const MAX_PERSONA_PROMPT_LENGTH = 20000;
 const MAX_MODEL_ID_LENGTH = 200;
 const MAX_FILE_NAME_LENGTH = 120;
+const MAX_EMAIL_LENGTH = 255;
+const MEMBER_ROLES = ['viewer', 'editor'];
+const REASONING_EFFORTS = ['', 'low', 'medium', 'high'];
+const MAX_REASONING_LENGTH = 100000;
+const MAX_TOOL_CALLS = 50;
+const MAX_TOOL_CALLS_BYTES = 512 * 1024;
 const MAX_FILE_BYTES = 2 * 1024 * 1024; // 2MB
 const ALLOWED_FILE_TYPES = new Set([
     'text/plain',
     'application/pdf',
     'text/markdown',
+    'text/csv',
     'application/json',
 ]);
 
@@ -64,6 +85,9 @@ function validateFileData(fileData = {}) {
     if (fileData.type && !ALLOWED_FILE_TYPES.has(fileData.type)) {
         return { error: 'Unsupported file type', status: 400 };
     }
+    if (!optionalString(fileData.text, MAX_FILE_TEXT_LENGTH)) {
+        return { error: 'Extracted file text too long', status: 400 };
+    }
     if (fileData.data) {
         try {
             const decodedSize = Buffer.from(fileData.data, 'base64').byteLength;
@@ -83,17 +107,34 @@ function validateActionPayload(action, payload) {
             if (payload.data?.projectId && !isValidUUID(payload.data.projectId)) {
                 return { error: 'Invalid project ID', status: 400 };
             }
+            if (payload.data?.reasoningEffort !== undefined && !REASONING_EFFORTS.includes(payload.data.reasoningEffort)) {
+                return { error: 'Invalid reasoning effort', status: 400 };
+            }
+            if (payload.data?.model && !optionalString(payload.data.model, MAX_MODEL_ID_LENGTH)) {
+                return { error: 'Model id too long', status: 400 };
+            }
+            if (payload.data?.params !== undefined && !isValidGenerationParams(payload.data.params)) {
+                return { error: 'Invalid generation parameters', status: 400 };
+            }
+            if (payload.data?.personaId && !isValidUUID(payload.data.personaId)) {
+                return { error: 'Invalid persona ID', status: 400 };
+            }
             return { data: payload };
         case 'getChats': {
             const data = payload.data || {};
             if (data.projectId && !isValidUUID(data.projectId)) {
                 return { error: 'Invalid project ID', status: 400 };
             }
+            if (data.archived !== undefined && typeof data.archived !== 'boolean') {
+                return { error: 'archived must be boolean', status: 400 };
+            }
             return { data: payload };
         }
         case 'getChatById':
         case 'deleteChat':
         case 'getMessages':
+        case 'createShare':
+        case 'getShares':
             if (!isValidUUID(payload.chatId)) {
                 return { error: 'Invalid chat ID', status: 400 };
             }
@@ -105,6 +146,27 @@ function validateActionPayload(action, payload) {
             if (payload.data?.title && !optionalString(payload.data.title, MAX_TITLE_LENGTH)) {
                 return { error: 'Title too long', status: 400 };
             }
+            if (payload.data?.pinned !== undefined && typeof payload.data.pinned !== 'boolean') {
+                return { error: 'pinned must be boolean', status: 400 };
+            }
+            if (payload.data?.archived !== undefined && typeof payload.data.archived !== 'boolean') {
+                return { error: 'archived must be boolean', status: 400 };
+            }
+            if (payload.data?.reasoningEffort !== undefined && !REASONING_EFFORTS.includes(payload.data.reasoningEffort)) {
+                return { error: 'Invalid reasoning effort', status: 400 };
+            }
+            if (payload.data?.model && !optionalString(payload.data.model, MAX_MODEL_ID_LENGTH)) {
+                return { error: 'Model id too long', status: 400 };
+            }
+            if (payload.data?.params !== undefined && !isValidGenerationParams(payload.data.params)) {
+                return { error: 'Invalid generation parameters', status: 400 };
+            }
+            if (payload.data?.personaId && !isValidUUID(payload.data.personaId)) {
+                return { error: 'Invalid persona ID', status: 400 };
+            }
+            if (payload.data?.contextSummary !== undefined && !isValidContextSummary(payload.data.contextSummary)) {
+                return { error: 'Invalid context summary', status: 400 };
+            }
             return { data: payload };
         case 'addMessage': {
             if (!isValidUUID(payload.chatId)) {
@@ -127,6 +189,9 @@ function validateActionPayload(action, payload) {
             if (payload.data?.model && !optionalString(payload.data.model, MAX_MODEL_ID_LENGTH)) {
                 return { error: 'Model id too long', status: 400 };
             }
+            if (payload.data?.parentId && !isValidUUID(payload.data.parentId)) {
+                return { error: 'Invalid parent message ID', status: 400 };
+            }
             return { data: payload };
         }
         case 'updateMessage': {
@@ -139,8 +204,29 @@ function validateActionPayload(action, payload) {
             if (payload.data?.model && !optionalString(payload.data.model, MAX_MODEL_ID_LENGTH)) {
                 return { error: 'Model id too long', status: 400 };
             }
+            if (!optionalString(payload.data?.reasoning, MAX_REASONING_LENGTH)) {
+                return { error: 'Reasoning too long', status: 400 };
+            }
+            if (payload.data?.toolCalls !== undefined && (
+                !Array.isArray(payload.data.toolCalls) ||
+                payload.data.toolCalls.length > MAX_TOOL_CALLS ||
+                JSON.stringify(payload.data.toolCalls).length > MAX_TOOL_CALLS_BYTES
+            )) {
+                return { error: 'Invalid tool calls', status: 400 };
+            }
             return { data: payload };
         }
+        case 'setActiveBranch':
+        case 'forkChat':
+            if (!isValidUUID(payload.chatId) || !isValidUUID(payload.messageId)) {
+                return { error: 'Invalid chat or message ID', status: 400 };
+            }
+            return { data: payload };
+        case 'revokeShare':
+            if (!isValidUUID(payload.shareId)) {
+                return { error: 'Invalid share ID', status: 400 };
+            }
+            return { data: payload };
         case 'searchChats':
             if (payload.data?.query && !optionalString(payload.data.query, MAX_TITLE_LENGTH)) {
                 return { error: 'Search query too long', status: 400 };
@@ -151,7 +237,7 @@ function validateActionPayload(action, payload) {
             if (payload.projectId && !isValidUUID(payload.projectId)) {
                 return { error: 'Invalid project ID', status: 400 };
             }
-            const { name, description, instructions, visibility } = payload.data || {};
+            const { name, description, instructions, visibility, defaultModel, defaultParams } = payload.data || {};
             if (name && !optionalString(name, MAX_TITLE_LENGTH)) {
                 return { error: 'Project name too long', status: 400 };
             }
@@ -164,11 +250,43 @@ function validateActionPayload(action, payload) {
             if (visibility && !['private', 'shared', 'public'].includes(visibility)) {
                 return { error: 'Invalid visibility', status: 400 };
             }
+            if (defaultModel && !optionalString(defaultModel, MAX_MODEL_ID_LENGTH)) {
+                return { error: 'Model id too long', status: 400 };
+            }
+            if (defaultParams !== undefined && !isValidGenerationParams(defaultParams)) {
+                return { error: 'Invalid generation parameters', status: 400 };
+            }
+            return { data: payload };
+        }
+        case 'createPersona':
+        case 'updatePersona': {
+            if (payload.action === 'updatePersona' && !isValidUUID(payload.personaId)) {
+                return { error: 'Invalid persona ID', status: 400 };
+            }
+            const { name, prompt, defaultModel, isDefault } = payload.data || {};
+            if (name && !optionalString(name, MAX_TITLE_LENGTH)) {
+                return { error: 'Persona name too long', status: 400 };
+            }
+            if (!optionalString(prompt, MAX_PERSONA_PROMPT_LENGTH)) {
+                return { error: 'Persona prompt too long', status: 400 };
+            }
+            if (defaultModel && !optionalString(defaultModel, MAX_MODEL_ID_LENGTH)) {
+                return { error: 'Model id too long', status: 400 };
+            }
+            if (isDefault !== undefined && typeof isDefault !== 'boolean') {
+                return { error: 'isDefault must be boolean', status: 400 };
+            }
             return { data: payload };
         }
+        case 'deletePersona':
+            if (!isValidUUID(payload.personaId)) {
+                return { error: 'Invalid persona ID', status: 400 };
+            }
+            return { data: payload };
         case 'deleteProject':
         case 'getProjectById':
         case 'getProjectChats':
+        case 'getProjectMembers':
             if (!isValidUUID(payload.projectId)) {
                 return { error: 'Invalid project ID', status: 400 };
             }
@@ -181,6 +299,36 @@ function validateActionPayload(action, payload) {
             if (fileError) return fileError;
             return { data: payload };
         }
+        case 'searchProjectKnowledge':
+            if (!isValidUUID(payload.projectId)) {
+                return { error: 'Invalid project ID', status: 400 };
+            }
+            if (!isNonEmptyString(payload.data?.query, MAX_MESSAGE_LENGTH)) {
+                return { error: 'Search query is required', status: 400 };
+            }
+            return { data: payload };
+        case 'addProjectMember': {
+            if (!isValidUUID(payload.projectId)) {
+                return { error: 'Invalid project ID', status: 400 };
+            }
+            const { email, role } = payload.data || {};
+            if (!isNonEmptyString(email, MAX_EMAIL_LENGTH)) {
+                return { error: 'Email is required', status: 400 };
+            }
+            if (role !== undefined && !MEMBER_ROLES.includes(role)) {
+                return { error: 'Invalid member role', status: 400 };
+            }
+            return { data: payload };
+        }
+        case 'updateProjectMember':
+        case 'removeProjectMember':
+            if (!isValidUUID(payload.projectId) || !isValidUUID(payload.memberId)) {
+                return { error: 'Invalid project or member ID', status: 400 };
+            }
+            if (payload.action === 'updateProjectMember' && !MEMBER_ROLES.includes(payload.data?.role)) {
+                return { error: 'Invalid member role', status: 400 };
+            }
+            return { data: payload };
         case 'removeProjectFile':
             if (!isValidUUID(payload.projectId) || !isValidUUID(payload.fileId)) {
                 return { error: 'Invalid project or file ID', status: 400 };
@@ -188,11 +336,13 @@ function validateActionPayload(action, payload) {
             return { data: payload };
         case 'getUser':
         case 'getProjects':
+        case 'getPersonas':
+        case 'getBudgetStatus':
         case 'getSettings':
         case 'clearAll':
             return { data: payload };
         case 'saveSettings': {
-            const { apiKey, selectedModel, enabledModels, webSearchEnabled } = payload.data || {};
+            const { apiKey, selectedModel, enabledModels, webSearchEnabled, titleModel, contextStrategy, budget, modelFallbacks } = payload.data || {};
             if (apiKey && typeof apiKey !== 'string') {
                 return { error: 'Invalid apiKey', status: 400 };
             }
@@ -205,6 +355,28 @@ function validateActionPayload(action, payload) {
             if (webSearchEnabled !== undefined && typeof webSearchEnabled !== 'boolean') {
                 return { error: 'webSearchEnabled must be boolean', status: 400 };
             }
+            if (titleModel && !optionalString(titleModel, MAX_MODEL_ID_LENGTH)) {
+                return { error: 'Invalid title model', status: 400 };
+            }
+            if (contextStrategy !== undefined && !CONTEXT_STRATEGIES.includes(contextStrategy)) {
+                return { error: 'Invalid context strategy', status: 400 };
+            }
+            if (budget !== undefined && !isValidBudget(budget)) {
+                return { error: 'Invalid budget', status: 400 };
+            }
+            if (modelFallbacks !== undefined && !isValidModelFallbacks(modelFallbacks)) {
+                return { error: 'Invalid model fallbacks', status: 400 };
+            }
+            return { data: payload };
+        }
+        case 'getUsage': {
+            const { since, timeZone } = payload.data || {};
+            if (since !== undefined && (typeof since !== 'number' || !Number.isFinite(since))) {
+                return { error: 'since must be a timestamp', status: 400 };
+            }
+            if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+                return { error: 'Invalid time zone', status: 400 };
+            }
             return { data: payload };
         }
         case 'exportAll':
@@ -279,11 +451,13 @@ const actionHandlers = {
         projectId: data?.projectId,
         limit: data?.limit || 20,
         offset: data?.offset || 0,
+        archived: data?.archived,
     }),
     getChatById: ({ userId, chatId }) => getChatById(userId, chatId),
     createChat: ({ userId, data }) => createChat(userId, data),
     updateChat: ({ userId, chatId, data }) => updateChat(userId, chatId, data),
     deleteChat: ({ userId, chatId }) => deleteChat(userId, chatId),
+    forkChat: ({ userId, chatId, messageId }) => forkChat(userId, chatId, messageId),
     searchChats: ({ userId, data }) => searchChats(userId, data?.query || '', {
         limit: data?.limit || 20,
         offset: data?.offset || 0,
@@ -296,6 +470,12 @@ const actionHandlers = {
         limit: data?.limit,
         offset: data?.offset,
     }),
+    setActiveBranch: ({ userId, chatId, messageId }) => setActiveBranch(userId, chatId, messageId),
+
+    // Share link operations
+    createShare: ({ userId, chatId }) => createShare(userId, chatId),
+    getShares: ({ userId, chatId }) => getShares(userId, chatId),
+    revokeShare: ({ userId, shareId }) => revokeShare(userId, shareId),
 
     // Project operations
     getProjects: ({ userId }) => getProjects(userId),
@@ -306,6 +486,17 @@ const actionHandlers = {
     addProjectFile: ({ userId, projectId, data }) => addProjectFile(userId, projectId, data),
     removeProjectFile: ({ userId, projectId, fileId }) => removeProjectFile(userId, projectId, fileId),
     getProjectChats: ({ userId, projectId }) => getProjectChats(userId, projectId),
+    searchProjectKnowledge: ({ userId, projectId, data }) => searchProjectKnowledge(userId, projectId, data?.query, data?.topK),
+    getProjectMembers: ({ userId, projectId }) => getProjectMembers(userId, projectId),
+    addProjectMember: ({ userId, projectId, data }) => addProjectMember(userId, projectId, data),
+    updateProjectMember: ({ userId, projectId, memberId, data }) => updateProjectMember(userId, projectId, memberId, data),
+    removeProjectMember: ({ userId, projectId, memberId }) => removeProjectMember(userId, projectId, memberId),
+
+    // Persona operations
+    getPersonas: ({ userId }) => getPersonas(userId),
+    createPersona: ({ userId, data }) => createPersona(userId, data),
+    updatePersona: ({ userId, personaId, data }) => updatePersona(userId, personaId, data),
+    deletePersona: ({ userId, personaId }) => deletePersona(userId, personaId),
 
     // User operations
     getUser: ({ userId }) => getUser(userId),
@@ -315,6 +506,13 @@ const actionHandlers = {
     getSettings: ({ userId }) => getSettings(userId),
     saveSettings: ({ userId, data }) => saveSettings(userId, data),
 
+    // Usage operations
+    getUsage: ({ userId, data }) => getUsage(userId, {
+        since: data?.since,
+        timeZone: data?.timeZone,
+    }),
+    getBudgetStatus: ({ userId }) => getBudgetStatus(userId),
+
     // Bulk operations
     exportAll: ({ userId, res, data }) => exportAll(userId, {
         res,
@@ -363,7 +561,7 @@ export default async function handler(req, res) {
     }
 
     const payload = req.body;
-    const { action, chatId, messageId, projectId, fileId, data: bodyData } = payload;
+    const { action, chatId, messageId, projectId, fileId, shareId, memberId, personaId, data: bodyData } = payload;
 
     const validated = validateActionPayload(action, {
         action,
@@ -371,6 +569,9 @@ export default async function handler(req, res) {
         messageId,
         projectId,
         fileId,
+        shareId,
+        memberId,
+        personaId,
         data: bodyData,
         req,
         res,
@@ -388,6 +589,9 @@ export default async function handler(req, res) {
             messageId: validated.data.messageId,
             projectId: validated.data.projectId,
             fileId: validated.data.fileId,
+            shareId: validated.data.shareId,
+            memberId: validated.data.memberId,
+            personaId: validated.data.personaId,
             data: validated.data.data,
             req,
             res,
@@ -0,0 +1,183 @@
+// Project Knowledge Index
+// =======================
+// Chunks of project files are stored in Postgres and, when Upstash Vector is
+// configured, embedded into one vector namespace per project. Without a
+// vector index, retrieval ranks the stored chunks by keyword relevance.
+
+import { Index } from '@upstash/vector';
+import { sql } from './sql.js';
+import {
+    chunkText,
+    rankChunks,
+    isTextFile,
+    decodeTextData,
+    DEFAULT_TOP_K,
+} from '../../src/utils/knowledge.js';
+import { isPdfFile, extractPdfText } from '../../src/utils/files.js';
+
+/**
+ * Initialize Upstash Vector client
+ * Uses environment variables: UPSTASH_VECTOR_REST_URL and UPSTASH_VECTOR_REST_TOKEN.
+ * The index must be created with an embedding model so raw text can be upserted.
+ */
+const VECTOR_URL = process.env.UPSTASH_VECTOR_REST_URL;
+const VECTOR_TOKEN = process.env.UPSTASH_VECTOR_REST_TOKEN;
+const isVectorConfigured = !!(VECTOR_URL && VECTOR_TOKEN);
+
+const vectorIndex = isVectorConfigured ? new Index({
+    url: VECTOR_URL,
+    token: VECTOR_TOKEN,
+}) : null;
+
+// Upstash accepts at most 1000 vectors per upsert
+const UPSERT_BATCH_SIZE = 100;
+
+/**
+ * Chunk a file's text and store it for retrieval
+ * @param {string} projectId
+ * @param {{id: string, name: string}} file - Saved project file
+ * @param {string} text - Extracted file text
+ * @returns {Promise<number>} Number of chunks stored
+ */
+export async function indexProjectFile(projectId, file, text) {
+    const chunks = chunkText(text);
+    if (chunks.length === 0) {
+        await markFileIndexed(file.id);
+        return 0;
+    }
+
+    await sql`
+        INSERT INTO project_file_chunks (project_id, file_id, chunk_index, section, content)
+        SELECT ${projectId}, ${file.id}, t.chunk_index, t.section, t.content
+        FROM unnest(
+            ${chunks.map(chunk => chunk.index)}::int[],
+            ${chunks.map(chunk => chunk.section.slice(0, 255))}::text[],
+            ${chunks.map(chunk => chunk.content)}::text[]
+        ) AS t(chunk_index, section, content)
+        ON CONFLICT (file_id, chunk_index) DO NOTHING
+    `;
+
+    if (vectorIndex) {
+        const namespace = vectorIndex.namespace(projectId);
+        for (let i = 0; i < chunks.length; i += UPSERT_BATCH_SIZE) {
+            await namespace.upsert(chunks.slice(i, i + UPSERT_BATCH_SIZE).map(chunk => ({
+                id: `${file.id}:${chunk.index}`,
+                data: chunk.content,
+                metadata: {
+                    fileId: file.id,
+                    fileName: file.name,
+                    section: chunk.section,
+                    index: chunk.index,
+                },
+            })));
+        }
+    }
+
+    await markFileIndexed(file.id);
+    return chunks.length;
+}
+
+/**
+ * Record that a file's chunking was tried so search doesn't backfill it again
+ * @param {string} fileId
+ */
+async function markFileIndexed(fileId) {
+    await sql`UPDATE project_files SET indexed_at = NOW() WHERE id = ${fileId}`;
+}
+
+/**
+ * Remove a file's vectors (its chunk rows cascade with the file)
+ * @param {string} projectId
+ * @param {string} fileId
+ */
+export async function removeFileIndex(projectId, fileId) {
+    if (!vectorIndex) return;
+    await vectorIndex.namespace(projectId).delete({ prefix: `${fileId}:` });
+}
+
+/**
+ * Remove a project's vector namespace
+ * @param {string} projectId
+ */
+export async function removeProjectIndex(projectId) {
+    if (!vectorIndex) return;
+    await vectorIndex.deleteNamespace(projectId);
+}
+
+/**
+ * Index text files and PDFs uploaded before retrieval existed, or whose
+ * indexing failed at upload. Each file is tried once; empty files and
+ * failures are marked so they are not read again on every search.
+ * @param {string} projectId
+ */
+async function backfillProjectChunks(projectId) {
+    const files = await sql`
+        SELECT f.id, f.name, f.type, f.data
+        FROM project_files f
+        WHERE f.project_id = ${projectId}
+            AND f.indexed_at IS NULL
+            AND (f.type LIKE 'text/%' OR f.type = 'application/json' OR f.type = 'application/pdf')
+            AND NOT EXISTS (SELECT 1 FROM project_file_chunks c WHERE c.file_id = f.id)
+    `;
+
+    for (const file of files) {
+        try {
+            const text = isTextFile(file)
+                ? decodeTextData(file.data)
+                : isPdfFile(file) ? await extractPdfText(file.data) : '';
+            await indexProjectFile(projectId, file, text);
+        } catch (error) {
+            console.error('Backfill project file chunks error:', error);
+            await markFileIndexed(file.id).catch(() => {});
+        }
+    }
+}
+
+/**
+ * Find the chunks of a project's files most relevant to a query
+ * @param {string} projectId
+ * @param {string} query
+ * @param {number} [topK]
+ * @returns {Promise<Array<{fileId: string, fileName: string, section: string, index: number, content: string, score: number}>>}
+ */
+export async function searchProjectChunks(projectId, query, topK = DEFAULT_TOP_K) {
+    await backfillProjectChunks(projectId);
+
+    if (vectorIndex) {
+        try {
+            const results = await vectorIndex.namespace(projectId).query({
+                data: query,
+                topK,
+                includeMetadata: true,
+                includeData: true,
+            });
+            if (results.length > 0) {
+                return results.map(result => ({
+                    fileId: result.metadata?.fileId,
+                    fileName: result.metadata?.fileName,
+                    section: result.metadata?.section,
+                    index: result.metadata?.index,
+                    content: result.data,
+                    score: result.score,
+                }));
+            }
+        } catch (error) {
+            // Fall through to keyword ranking over the stored chunks
+            console.error('Vector query error:', error);
+        }
+    }
+
+    const chunks = await sql`
+        SELECT
+            c.file_id as "fileId",
+            f.name as "fileName",
+            c.section,
+            c.chunk_index as "index",
+            c.content
+        FROM project_file_chunks c
+        JOIN project_files f ON f.id = c.file_id
+        WHERE c.project_id = ${projectId}
+    `;
+
+    return rankChunks(chunks, query, topK);
+}
@@ -0,0 +1,37 @@
+// Vercel Serverless Function - Model Catalog
+// ==========================================
+// Public list of the models OpenRouter offers, so the client can go beyond
+// the curated list in src/config/models.js. No key or login is needed.
+
+import { getModelCatalog } from './controllers/models.js';
+import { createRateLimitMiddleware } from './utils/rateLimiter.js';
+
+const modelsRateLimit = createRateLimitMiddleware('models');
+
+export default async function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    await new Promise((resolve, reject) => {
+        modelsRateLimit(req, res, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+
+    const result = await getModelCatalog();
+    if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+    }
+
+    // Let the CDN share one copy of the list between users
+    res.setHeader('Cache-Control', 'public, s-maxage=3600, stale-while-revalidate=86400');
+    return res.status(result.status).json(result.data);
+}
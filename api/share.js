@@ -0,0 +1,38 @@
+// Vercel Serverless Function - Public Share Links
+// ===============================================
+// Read-only, unauthenticated access to chats shared with a link.
+// Only the conversation content is returned; see getSharedChat.
+
+import { getSharedChat } from './controllers/shares.js';
+import { createRateLimitMiddleware } from './utils/rateLimiter.js';
+
+const shareRateLimit = createRateLimitMiddleware('share');
+
+export default async function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    await new Promise((resolve, reject) => {
+        shareRateLimit(req, res, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+
+    // Revoked links must stop working immediately
+    res.setHeader('Cache-Control', 'no-store');
+
+    const result = await getSharedChat(req.query?.token);
+    if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.status(result.status).json(result.data);
+}
@@ -49,6 +49,16 @@ const RATE_LIMIT_CONFIG = {
         windowMs: 60 * 1000, // 1 minute
         maxRequests: 300, // High ceiling for CRUD/import/export bursts
     },
+    // Public share links are unauthenticated, so keep token guessing slow
+    share: {
+        windowMs: 60 * 1000, // 1 minute
+        maxRequests: 60, // 60 shared chat views per minute
+    },
+    // Model catalog is public and CDN-cached, so this only stops abuse
+    models: {
+        windowMs: 60 * 1000, // 1 minute
+        maxRequests: 60, // 60 catalog fetches per minute
+    },
 };
 
 /**
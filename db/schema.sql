@@ -46,11 +46,23 @@ CREATE TABLE IF NOT EXISTS user_settings (
         'google/gemini-2.5-flash-image'
     ],
     web_search_enabled BOOLEAN DEFAULT FALSE,
+    title_model VARCHAR(255) DEFAULT 'google/gemini-2.5-flash-lite',
+    -- How history past a model's context window is handled
+    context_strategy VARCHAR(20) NOT NULL DEFAULT 'truncate' CHECK (context_strategy IN ('truncate', 'summarize')),
+    -- Spending cap enforced by /api/chat: {period: 'daily'|'monthly', unit: 'usd'|'tokens', limit}; NULL means no cap
+    budget JSONB DEFAULT NULL,
+    -- Models to try when one is rate limited or down: {modelId: [fallbackId, ...]}
+    model_fallbacks JSONB NOT NULL DEFAULT '{}',
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     UNIQUE(user_id)
 );
 
+-- Run this if upgrading: ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS title_model VARCHAR(255) DEFAULT 'google/gemini-2.5-flash-lite';
+-- Run this if upgrading: ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS budget JSONB DEFAULT NULL;
+-- Run this if upgrading: ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS context_strategy VARCHAR(20) NOT NULL DEFAULT 'truncate' CHECK (context_strategy IN ('truncate', 'summarize'));
+-- Run this if upgrading: ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS model_fallbacks JSONB NOT NULL DEFAULT '{}';
+
 -- ==================
 -- Projects Table
 -- ==================
@@ -61,6 +73,9 @@ CREATE TABLE IF NOT EXISTS projects (
     description TEXT DEFAULT '',
     instructions TEXT DEFAULT '',
     visibility VARCHAR(50) DEFAULT 'private' CHECK (visibility IN ('private', 'shared')),
+    -- Model and sampling parameters given to new chats in this project
+    default_model VARCHAR(255) DEFAULT NULL,
+    default_params JSONB DEFAULT NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -69,6 +84,26 @@ CREATE TABLE IF NOT EXISTS projects (
 CREATE INDEX IF NOT EXISTS idx_projects_user_id ON projects(user_id);
 CREATE INDEX IF NOT EXISTS idx_projects_updated_at ON projects(updated_at DESC);
 
+-- Run this if upgrading: ALTER TABLE projects ADD COLUMN IF NOT EXISTS default_model VARCHAR(255) DEFAULT NULL;
+-- Run this if upgrading: ALTER TABLE projects ADD COLUMN IF NOT EXISTS default_params JSONB DEFAULT NULL;
+
+-- ==================
+-- Project Members Table
+-- ==================
+-- Other users invited to a project. Membership only grants access while
+-- the project's visibility is 'shared'; the owner stays on projects.user_id.
+CREATE TABLE IF NOT EXISTS project_members (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL DEFAULT 'viewer' CHECK (role IN ('viewer', 'editor')),
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(project_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_members_user_id ON project_members(user_id);
+
 -- ==================
 -- Project Files Table
 -- ==================
@@ -79,12 +114,52 @@ CREATE TABLE IF NOT EXISTS project_files (
     type VARCHAR(100) NOT NULL,
     data TEXT NOT NULL,
     size INTEGER DEFAULT 0,
+    -- Set once chunking has been tried, even when it produced no chunks
+    indexed_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Run this if upgrading: ALTER TABLE project_files ADD COLUMN IF NOT EXISTS indexed_at TIMESTAMP WITH TIME ZONE DEFAULT NULL;
+
 -- Index for faster file lookups by project
 CREATE INDEX IF NOT EXISTS idx_project_files_project_id ON project_files(project_id);
 
+-- ==================
+-- Project File Chunks Table
+-- ==================
+-- Text chunks of project files used for retrieval. Searched with keyword
+-- ranking when no Upstash Vector index is configured.
+CREATE TABLE IF NOT EXISTS project_file_chunks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    file_id UUID NOT NULL REFERENCES project_files(id) ON DELETE CASCADE,
+    chunk_index INTEGER NOT NULL,
+    section VARCHAR(255) NOT NULL DEFAULT '',
+    content TEXT NOT NULL,
+    UNIQUE(file_id, chunk_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_file_chunks_project_id ON project_file_chunks(project_id);
+
+-- ==================
+-- Personas Table
+-- ==================
+-- Named system prompts. The row with is_default = TRUE is the user's edited
+-- copy of the built-in LampChat prompt; without one the built-in is used.
+CREATE TABLE IF NOT EXISTS personas (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL DEFAULT 'New Persona',
+    prompt TEXT NOT NULL DEFAULT '',
+    default_model VARCHAR(255) DEFAULT NULL,
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_personas_user_id ON personas(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_personas_user_default ON personas(user_id) WHERE is_default;
+
 -- ==================
 -- Chats Table
 -- ==================
@@ -93,6 +168,19 @@ CREATE TABLE IF NOT EXISTS chats (
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     project_id UUID REFERENCES projects(id) ON DELETE SET NULL,
     title VARCHAR(255) DEFAULT 'New Chat',
+    -- Leaf of the branch currently shown; NULL means follow the newest message
+    active_leaf_id UUID DEFAULT NULL,
+    pinned BOOLEAN NOT NULL DEFAULT FALSE,
+    archived BOOLEAN NOT NULL DEFAULT FALSE,
+    -- OpenRouter reasoning effort for this chat; '' leaves the model default
+    reasoning_effort VARCHAR(10) NOT NULL DEFAULT '' CHECK (reasoning_effort IN ('', 'low', 'medium', 'high')),
+    -- Model and sampling parameters for this chat; NULL falls back to the user's default model
+    model VARCHAR(255) DEFAULT NULL,
+    params JSONB DEFAULT NULL,
+    -- System prompt persona; NULL uses the user's default persona
+    persona_id UUID REFERENCES personas(id) ON DELETE SET NULL,
+    -- Rolling summary of turns that no longer fit the context window: {content, throughMessageId}
+    context_summary JSONB DEFAULT NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -101,6 +189,16 @@ CREATE TABLE IF NOT EXISTS chats (
 CREATE INDEX IF NOT EXISTS idx_chats_user_id ON chats(user_id);
 CREATE INDEX IF NOT EXISTS idx_chats_project_id ON chats(project_id);
 CREATE INDEX IF NOT EXISTS idx_chats_updated_at ON chats(updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_chats_user_listing ON chats(user_id, archived, pinned DESC, updated_at DESC);
+
+-- Run this if upgrading: ALTER TABLE chats ADD COLUMN IF NOT EXISTS active_leaf_id UUID DEFAULT NULL;
+-- Run this if upgrading: ALTER TABLE chats ADD COLUMN IF NOT EXISTS pinned BOOLEAN NOT NULL DEFAULT FALSE;
+-- Run this if upgrading: ALTER TABLE chats ADD COLUMN IF NOT EXISTS archived BOOLEAN NOT NULL DEFAULT FALSE;
+-- Run this if upgrading: ALTER TABLE chats ADD COLUMN IF NOT EXISTS reasoning_effort VARCHAR(10) NOT NULL DEFAULT '' CHECK (reasoning_effort IN ('', 'low', 'medium', 'high'));
+-- Run this if upgrading: ALTER TABLE chats ADD COLUMN IF NOT EXISTS model VARCHAR(255) DEFAULT NULL;
+-- Run this if upgrading: ALTER TABLE chats ADD COLUMN IF NOT EXISTS params JSONB DEFAULT NULL;
+-- Run this if upgrading (after creating the personas table): ALTER TABLE chats ADD COLUMN IF NOT EXISTS persona_id UUID REFERENCES personas(id) ON DELETE SET NULL;
+-- Run this if upgrading: ALTER TABLE chats ADD COLUMN IF NOT EXISTS context_summary JSONB DEFAULT NULL;
 
 -- ==================
 -- Messages Table
@@ -108,21 +206,72 @@ CREATE INDEX IF NOT EXISTS idx_chats_updated_at ON chats(updated_at DESC);
 CREATE TABLE IF NOT EXISTS messages (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     chat_id UUID NOT NULL REFERENCES chats(id) ON DELETE CASCADE,
+    -- Previous message in the conversation tree (siblings share a parent).
+    -- Not a foreign key: messages are persisted in parallel and may arrive out of order.
+    parent_id UUID DEFAULT NULL,
     role VARCHAR(50) NOT NULL CHECK (role IN ('user', 'assistant', 'system')),
     content TEXT NOT NULL,
     model VARCHAR(255),
     stats JSONB DEFAULT NULL,
     generated_images JSONB DEFAULT NULL,
+    citations JSONB DEFAULT NULL,
+    reasoning TEXT DEFAULT NULL,
+    -- Tool calls the assistant made while answering: [{id, name, arguments, result, error}]
+    tool_calls JSONB DEFAULT NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 -- Index for faster message lookups by chat
 CREATE INDEX IF NOT EXISTS idx_messages_chat_id ON messages(chat_id);
 CREATE INDEX IF NOT EXISTS idx_messages_created_at ON messages(created_at);
+CREATE INDEX IF NOT EXISTS idx_messages_parent_id ON messages(chat_id, parent_id);
 
 -- Migration: Add stats column if it doesn't exist (for existing databases)
 -- Run this if upgrading: ALTER TABLE messages ADD COLUMN IF NOT EXISTS stats JSONB DEFAULT NULL;
 -- Run this if upgrading: ALTER TABLE messages ADD COLUMN IF NOT EXISTS generated_images JSONB DEFAULT NULL;
+-- Run this if upgrading: ALTER TABLE messages ADD COLUMN IF NOT EXISTS citations JSONB DEFAULT NULL;
+-- Run this if upgrading: ALTER TABLE messages ADD COLUMN IF NOT EXISTS reasoning TEXT DEFAULT NULL;
+-- Run this if upgrading: ALTER TABLE messages ADD COLUMN IF NOT EXISTS tool_calls JSONB DEFAULT NULL;
+-- Run this if upgrading: ALTER TABLE messages ADD COLUMN IF NOT EXISTS parent_id UUID DEFAULT NULL;
+-- Run this ONCE after adding parent_id to link existing messages into a single linear branch:
+-- UPDATE messages m SET parent_id = linked.prev_id
+-- FROM (
+--     SELECT id, LAG(id) OVER (PARTITION BY chat_id ORDER BY created_at) AS prev_id FROM messages
+-- ) linked
+-- WHERE m.id = linked.id AND m.parent_id IS NULL AND linked.prev_id IS NOT NULL;
+
+-- ==================
+-- Chat Shares Table
+-- ==================
+-- Public read-only links. The snapshot is the branch ending at leaf_message_id,
+-- so messages added after the link was created are not exposed.
+CREATE TABLE IF NOT EXISTS chat_shares (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    chat_id UUID NOT NULL REFERENCES chats(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token VARCHAR(64) UNIQUE NOT NULL,
+    leaf_message_id UUID NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_shares_chat_id ON chat_shares(chat_id);
+
+-- ==================
+-- Usage Events Table
+-- ==================
+-- One row per request proxied through /api/chat, summed to enforce spending caps.
+-- Kept apart from messages so title, summary and retried requests count too.
+CREATE TABLE IF NOT EXISTS usage_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    model VARCHAR(255),
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    cost NUMERIC(12, 6) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_events_user_created ON usage_events(user_id, created_at);
 
 -- ==================
 -- Functions for automatic updated_at
@@ -160,6 +309,12 @@ CREATE TRIGGER update_projects_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_personas_updated_at ON personas;
+CREATE TRIGGER update_personas_updated_at
+    BEFORE UPDATE ON personas
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
 -- ==================
 -- Full-text search for chats (optional, for search functionality)
 -- ==================
@@ -4,11 +4,14 @@
 // Import CSS (processed by Vite + Tailwind)
 import './src/style.css';
 
-import { stateManager, getOpenRouterService, ChatController } from './src/services/index.js';
+import { stateManager, getOpenRouterService, ChatController, modelCatalog } from './src/services/index.js';
 import { authService } from './src/services/auth.js';
 import { Sidebar, ChatArea, MessageInput, Settings, AuthModal } from './src/components/index.js';
 import { ProjectModal } from './src/components/ProjectModal.js';
 import { ProjectDashboard } from './src/components/ProjectDashboard.js';
+import { ShareModal } from './src/components/ShareModal.js';
+import { SharedChatView, getShareTokenFromPath } from './src/components/SharedChatView.js';
+import { runCommand } from './src/services/commands.js';
 import { configureMarked } from './src/utils/markdown.js';
 import { showConfirm } from './src/utils/dom.js';
 
@@ -25,6 +28,7 @@ class LampChat {
         this.authModal = new AuthModal();
         this.projectModal = new ProjectModal();
         this.projectDashboard = new ProjectDashboard();
+        this.shareModal = new ShareModal();
 
         // Services
         this.openRouter = null;
@@ -42,6 +46,9 @@ class LampChat {
             // Configure markdown renderer
             configureMarked();
 
+            // Apply the cached model catalog; a stale one refreshes in the background
+            modelCatalog.init();
+
             // Initialize auth service first
             await authService.initialize();
             this._lastAuthState = authService.isLoggedIn();
@@ -179,6 +186,9 @@ class LampChat {
 
         // Project dashboard
         this.projectDashboard.init('projectDashboardContainer');
+
+        // Share modal
+        this.shareModal.init('shareModalContainer');
     }
 
     /**
@@ -191,6 +201,11 @@ class LampChat {
             onNewChat: () => this._createNewChat(),
             onSelectChat: (chatId) => this._selectChat(chatId),
             onDeleteChat: (chatId) => this._deleteChat(chatId),
+            onRegenerateTitle: (chatId) => this.chatController.generateTitle(chatId),
+            onRenameChat: (chatId, title) => stateManager.updateChat(chatId, { title }),
+            onPinChat: (chatId, pinned) => stateManager.updateChat(chatId, { pinned }),
+            onArchiveChat: (chatId, archived) => stateManager.updateChat(chatId, { archived }),
+            onShareChat: (chat) => this.shareModal.show(chat),
             onSearch: (query) => this._searchChats(query),
             onSettingsClick: () => this.settings.open(),
             onAuthClick: () => this._handleAuthClick(),
@@ -203,11 +218,21 @@ class LampChat {
             onSettingsClick: () => this.settings.open(),
             onPromptSelect: (prompt) => this._usePrompt(prompt),
             onRegenerate: (messageId) => this.chatController.regenerateResponse(messageId),
+            onEditMessage: (messageId, content) => this.chatController.editMessage(messageId, content),
+            onSwitchBranch: (messageId) => stateManager.switchBranch(messageId),
+            onKeepComparison: (responseId) => this.chatController.keepComparisonResponse(responseId),
+            onForkChat: (messageId) => this._forkChat(messageId),
+            onRepairStructured: (messageId) => this.chatController.repairStructuredOutput(messageId),
+            onUseImage: (url) => this.messageInput.attachImage(url),
         });
 
         // Message input handlers - delegate to chat controller
         this.messageInput.setHandlers({
             onSubmit: (message, attachments) => this.chatController.sendMessage(message, attachments),
+            onStop: () => this.chatController.stopStreaming(),
+            onSendQueued: (itemId) => this.chatController.sendQueuedMessage(itemId),
+            onCommand: (text, attachments) => runCommand(text, { chatController: this.chatController, attachments }),
+            onManagePersonas: () => this.settings.open('personas'),
         });
 
         // Project dashboard handlers
@@ -325,6 +350,19 @@ class LampChat {
         }
     }
 
+    /**
+     * Branch the current chat off into a new one at a message
+     * @private
+     */
+    async _forkChat(messageId) {
+        try {
+            await stateManager.forkChat(messageId);
+        } catch (error) {
+            console.error('Fork chat error:', error);
+            alert('Failed to branch off chat: ' + error.message);
+        }
+    }
+
     /**
      * Search chats
      * @private
@@ -366,6 +404,14 @@ class LampChat {
 
 // Initialize app when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
+    // Public share links render a standalone read-only view instead of the app
+    const shareToken = getShareTokenFromPath(window.location.pathname);
+    if (shareToken) {
+        configureMarked();
+        new SharedChatView().init('app', shareToken);
+        return;
+    }
+
     const app = new LampChat();
     app.init();
 
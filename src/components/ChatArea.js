@@ -8,6 +8,9 @@ import { MessageRenderer } from './chat/MessageRenderer.js';
 import { TypingIndicator } from './chat/TypingIndicator.js';
 import { WelcomeScreen } from './chat/WelcomeScreen.js';
 import { PromptSelector } from './chat/PromptSelector.js';
+import { getModelById } from '../config/models.js';
+import { formatCost, getMessagesCost } from '../utils/usage.js';
+import { BUDGET_WARNING_RATIO, formatBudgetAmount } from '../utils/budget.js';
 import { mixinComponentLifecycle } from './Component.js';
 
 const MARKDOWN_CACHE_LIMIT = 200;
@@ -32,6 +35,18 @@ export class ChatArea {
         this._pendingStreamContent = null;
         this._rafId = null;
 
+        // Live "Thinking..." block for reasoning models
+        this._streamingReasoningElement = null;
+        this._pendingStreamReasoning = null;
+        this._reasoningRafId = null;
+
+        // Tool call steps last drawn into the streaming message
+        this._renderedToolCalls = null;
+
+        // Side-by-side compare columns, redrawn once per animation frame
+        this._compareRafId = null;
+        this._renderedCompareKeys = new Map();
+
         this._streamingRawContent = '';
         this._streamingLastLength = 0;
         this._streamingStableIndex = 0;
@@ -94,7 +109,8 @@ export class ChatArea {
                         </svg>
                     </button>
                 </div>
-                <div class="flex items-center">
+                <div class="flex items-center gap-2">
+                    <span id="chatCost" class="hidden text-xs text-lamp-muted" title="Spent on the replies shown in this chat"></span>
                     <button id="headerSettingsBtn" class="p-2 text-lamp-muted hover:text-lamp-text transition-colors" title="Settings">
                         <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z"/>
@@ -124,6 +140,11 @@ export class ChatArea {
                         </div>
                     </div>
                 </div>
+
+                <!-- Spending Cap Banner -->
+                <div id="budgetBanner" class="hidden max-w-4xl mx-auto px-4 pt-20 md:pt-6">
+                    <div id="budgetBannerText" class="bg-amber-500/10 border border-amber-500/40 text-amber-100 rounded-xl px-4 py-3 text-sm"></div>
+                </div>
                 
                 <!-- Welcome Screen -->
                 <div id="welcomeScreen" class="h-full flex flex-col items-center justify-center p-8">
@@ -135,6 +156,9 @@ export class ChatArea {
                     <!-- Messages will be rendered here -->
                 </div>
 
+                <!-- Compare Mode: one column per model under the latest user message -->
+                <div id="comparePanel" class="hidden max-w-7xl mx-auto px-4 pb-6"></div>
+
                 <!-- Messages Loading State -->
                 <div id="messagesLoadingState" class="hidden max-w-4xl mx-auto p-8 text-center">
                     <div class="inline-flex flex-col items-center gap-3 text-lamp-muted">
@@ -167,8 +191,10 @@ export class ChatArea {
     _cacheElements() {
         this.elements.chatArea = $('chatArea');
         this.elements.chatHeader = $('chatHeader');
+        this.elements.chatCost = $('chatCost');
         this.elements.welcomeScreen = $('welcomeScreen');
         this.elements.messagesContainer = $('messagesContainer');
+        this.elements.comparePanel = $('comparePanel');
         this.elements.messagesLoading = $('messagesLoadingState');
         this.elements.messagesError = $('messagesErrorState');
         this.elements.retryMessagesBtn = $('retryMessagesBtn');
@@ -179,6 +205,8 @@ export class ChatArea {
         this.elements.chatSyncBannerText = $('chatSyncBannerText');
         this.elements.retryChatSyncBtn = $('retryChatSyncBtn');
         this.elements.discardUnsavedChatBtn = $('discardUnsavedChatBtn');
+        this.elements.budgetBanner = $('budgetBanner');
+        this.elements.budgetBannerText = $('budgetBannerText');
     }
 
     /**
@@ -287,11 +315,26 @@ export class ChatArea {
             this._promptSelector.bindPromptSelection(this.elements.suggestedPrompts);
         }
 
+        // Keep one compare reply (delegated)
+        if (this.elements.comparePanel) {
+            this.on(this.elements.comparePanel, 'click', (e) => {
+                const keepBtn = e.target.closest('[data-keep-compare]');
+                if (keepBtn && !keepBtn.disabled && this.onKeepComparison) {
+                    this.onKeepComparison(keepBtn.dataset.keepCompare);
+                }
+            });
+        }
+
         // Message actions (delegated)
         if (this.elements.messagesContainer) {
             this.on(this.elements.messagesContainer, 'click', (e) => {
                 const copyBtn = e.target.closest('[data-copy-msg]');
                 const regenBtn = e.target.closest('[data-regen-msg]');
+                const editBtn = e.target.closest('[data-edit-msg]');
+                const branchBtn = e.target.closest('[data-branch-target]');
+                const forkBtn = e.target.closest('[data-fork-msg]');
+                const repairBtn = e.target.closest('[data-repair-msg]');
+                const useImageBtn = e.target.closest('[data-use-image]');
                 const imageEl = e.target.closest('[data-image-url]');
                 const downloadBtn = e.target.closest('.download-btn');
                 const olderBtn = e.target.closest('#olderMessagesBtn');
@@ -302,6 +345,22 @@ export class ChatArea {
                     if (this.onRegenerate) {
                         this.onRegenerate(regenBtn.dataset.regenMsg);
                     }
+                } else if (editBtn) {
+                    this._startEditingMessage(editBtn.dataset.editMsg);
+                } else if (branchBtn) {
+                    if (this.onSwitchBranch && !stateManager.isStreaming) {
+                        this.onSwitchBranch(branchBtn.dataset.branchTarget);
+                    }
+                } else if (forkBtn) {
+                    if (this.onForkChat && !stateManager.isStreaming) {
+                        this.onForkChat(forkBtn.dataset.forkMsg);
+                    }
+                } else if (repairBtn) {
+                    if (this.onRepairStructured && !stateManager.isStreaming) {
+                        this.onRepairStructured(repairBtn.dataset.repairMsg);
+                    }
+                } else if (useImageBtn) {
+                    this._useGeneratedImage(useImageBtn);
                 } else if (imageEl && !downloadBtn) {
                     // Open image in lightbox (unless clicking download button)
                     const url = imageEl.dataset.imageUrl;
@@ -331,6 +390,83 @@ export class ChatArea {
         }
     }
 
+    /**
+     * Replace a user message bubble with an inline editor
+     * @private
+     */
+    _startEditingMessage(messageId) {
+        if (stateManager.isStreaming) return;
+
+        const messageNode = this.elements.messagesContainer?.querySelector(`[data-message-id="${messageId}"]`);
+        if (!messageNode || messageNode.querySelector('.message-editor')) return;
+
+        const msg = stateManager.currentChat?.messages?.find(m => m.id === messageId);
+        if (!msg) return;
+
+        const bubbleEl = messageNode.querySelector('.user-bubble');
+        const actionsEl = messageNode.querySelector('.user-actions');
+        bubbleEl?.classList.add('hidden');
+        actionsEl?.classList.add('hidden');
+
+        messageNode.insertAdjacentHTML('beforeend', `
+            <div class="message-editor w-full max-w-[80%] bg-lamp-card border border-lamp-border rounded-2xl p-3 shadow-sm">
+                <textarea rows="3" class="w-full bg-transparent resize-none focus:outline-none text-lamp-text text-sm"></textarea>
+                <div class="flex justify-end gap-2 mt-2">
+                    <button type="button" data-edit-cancel class="px-3 py-1.5 text-sm text-lamp-muted hover:text-lamp-text hover:bg-lamp-input rounded-lg transition-colors">Cancel</button>
+                    <button type="button" data-edit-save class="px-3 py-1.5 text-sm bg-lamp-accent hover:bg-lamp-hover text-white rounded-lg transition-colors">Save &amp; Send</button>
+                </div>
+            </div>
+        `);
+
+        const editorEl = messageNode.querySelector('.message-editor');
+        const textarea = editorEl.querySelector('textarea');
+        const original = this._messageRenderer.extractTextContent(msg.content);
+        textarea.value = original;
+
+        const close = () => {
+            editorEl.remove();
+            bubbleEl?.classList.remove('hidden');
+            actionsEl?.classList.remove('hidden');
+        };
+
+        const save = () => {
+            const content = textarea.value.trim();
+            const hasAttachments = msg.attachments?.length > 0;
+            close();
+            if (content === original.trim() || (!content && !hasAttachments)) return;
+            if (this.onEditMessage) {
+                this.onEditMessage(messageId, content);
+            }
+        };
+
+        editorEl.querySelector('[data-edit-cancel]').addEventListener('click', close);
+        editorEl.querySelector('[data-edit-save]').addEventListener('click', save);
+        textarea.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                save();
+            } else if (e.key === 'Escape') {
+                close();
+            }
+        });
+
+        textarea.focus();
+        textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+    }
+
+    /**
+     * Remove messages cut off by a new branch from the DOM
+     * @private
+     */
+    _onMessagesTruncated(data) {
+        if (data?.chat?.id !== stateManager.currentChat?.id) return;
+
+        for (const messageId of data.messageIds || []) {
+            this.elements.messagesContainer?.querySelector(`[data-message-id="${messageId}"]`)?.remove();
+            this._renderedMessageIds.delete(messageId);
+        }
+    }
+
     /**
      * Copy message content to clipboard
      * @private
@@ -365,11 +501,17 @@ export class ChatArea {
      */
     _subscribeToState() {
         this._unsubscribers.push(
-            stateManager.subscribe('currentChatChanged', () => this.refresh()),
+            stateManager.subscribe('currentChatChanged', () => {
+                this.refresh();
+                this._scheduleComparisonRender();
+            }),
+            stateManager.subscribe('comparisonUpdated', () => this._scheduleComparisonRender()),
             stateManager.subscribe('messageAdded', (state, data) => this._onMessageAdded(data)),
             stateManager.subscribe('messageUpdated', (state, data) => this._onMessageUpdated(data)),
+            stateManager.subscribe('messagesTruncated', (state, data) => this._onMessagesTruncated(data)),
             stateManager.subscribe('userUpdated', () => this._updateWelcomeName()),
             stateManager.subscribe('chatSyncStatusChanged', () => this._updateSyncBanner()),
+            stateManager.subscribe('budgetStatusChanged', () => this._updateBudgetBanner()),
             stateManager.subscribe('streamingChanged', (state, isStreaming) => {
                 if (!isStreaming) {
                     // Streaming ended - cleanup
@@ -377,6 +519,9 @@ export class ChatArea {
                     this._streamingMessageId = null;
                     this._streamingElement = null;
                     this._pendingStreamContent = null;
+                    this._streamingReasoningElement = null;
+                    this._pendingStreamReasoning = null;
+                    this._renderedToolCalls = null;
                     this._streamingTailNode = null;
                     this._streamingTailText = '';
                     this._streamingStableIndex = 0;
@@ -388,13 +533,20 @@ export class ChatArea {
                         cancelAnimationFrame(this._rafId);
                         this._rafId = null;
                     }
+                    if (this._reasoningRafId) {
+                        cancelAnimationFrame(this._reasoningRafId);
+                        this._reasoningRafId = null;
+                    }
 
                     // Convert the streaming element to a finalized message
                     // Find the streaming node and update it with final content + stats
                     if (streamingMsgId) {
                         this._finalizeStreamingMessage(streamingMsgId);
                     }
+                    this._updateChatCost();
                 }
+                // Keep buttons unlock once every column has finished
+                this._scheduleComparisonRender();
             }),
             stateManager.subscribe('messagesLoading', (state, payload) => {
                 if (payload?.chatId === stateManager.currentChat?.id) {
@@ -404,6 +556,7 @@ export class ChatArea {
             stateManager.subscribe('messagesLoaded', (state, payload) => {
                 if (payload?.chatId === stateManager.currentChat?.id) {
                     this.renderMessages();
+                    this._scheduleComparisonRender();
                 }
             }),
             stateManager.subscribe('messagesAppending', (state, payload) => {
@@ -415,6 +568,11 @@ export class ChatArea {
                 if (payload?.chatId === stateManager.currentChat?.id) {
                     this.renderMessages();
                 }
+            }),
+            stateManager.subscribe('contextWindowChanged', (state, payload) => {
+                if (payload?.chatId === stateManager.currentChat?.id) {
+                    this._updateContextMarkers();
+                }
             })
         );
     }
@@ -471,40 +629,70 @@ export class ChatArea {
     _generateMessageHtml(msg, animate = false) {
         const isUser = msg.role === 'user';
         const animateClass = animate ? ' animate-fade-in' : '';
+        const readOnly = stateManager.isChatReadOnly();
 
         if (isUser) {
             return `
-                <div class="flex${animateClass} justify-end" data-message-id="${msg.id}">
-                    <div class="bg-lamp-accent text-white rounded-2xl px-4 py-2.5 max-w-[80%]">
+                <div class="group flex flex-col items-end${animateClass}" data-message-id="${msg.id}">
+                    <div class="user-bubble bg-lamp-accent text-white rounded-2xl px-4 py-2.5 max-w-[80%]">
                         ${this._messageRenderer.renderUserMessageContent(msg)}
                     </div>
+                    ${readOnly ? '' : `<div class="user-actions flex items-center gap-1 mt-1 opacity-0 group-hover:opacity-100 transition-opacity duration-150">
+                        ${this._messageRenderer.renderBranchSwitcher(msg)}
+                        <button data-edit-msg="${msg.id}" class="p-1.5 hover:bg-lamp-input rounded-md transition-colors" title="Edit">
+                            <svg class="w-3.5 h-3.5 text-lamp-muted" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"/>
+                            </svg>
+                        </button>
+                        <button data-fork-msg="${msg.id}" class="p-1.5 hover:bg-lamp-input rounded-md transition-colors" title="Branch off here">
+                            <svg class="w-3.5 h-3.5 text-lamp-muted" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" viewBox="0 0 24 24">
+                                <path d="M6 3v12"/><circle cx="18" cy="6" r="3"/><circle cx="6" cy="18" r="3"/><path d="M18 9a9 9 0 01-9 9"/>
+                            </svg>
+                        </button>
+                    </div>`}
                 </div>
             `;
         } else {
-            const stats = msg.stats;
             return `
                 <div class="group flex flex-col${animateClass}" data-message-id="${msg.id}">
                     <div class="max-w-[80%]">
-                        ${this._messageRenderer.renderAssistantMessageContent(msg)}
-                    </div>
-                    <div class="flex items-center gap-3 mt-2 opacity-0 group-hover:opacity-100 transition-opacity duration-150">
-                        <button data-copy-msg="${msg.id}" class="p-1.5 hover:bg-lamp-input rounded-md transition-colors" title="Copy">
-                            <svg class="w-3.5 h-3.5 text-lamp-muted" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z"/>
-                            </svg>
-                        </button>
-                        <button data-regen-msg="${msg.id}" class="p-1.5 hover:bg-lamp-input rounded-md transition-colors" title="Regenerate">
-                            <svg class="w-3.5 h-3.5 text-lamp-muted" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"/>
-                            </svg>
-                        </button>
-                        ${this._messageRenderer.renderMessageStats(stats)}
+                        ${this._messageRenderer.renderAssistantMessageContent(msg, { readOnly })}
                     </div>
+                    ${this._renderAssistantActions(msg, readOnly)}
                 </div>
             `;
         }
     }
 
+    /**
+     * Action row under an assistant message: copy, regenerate, branch switcher and stats.
+     * A read-only chat keeps only copy and stats.
+     * @private
+     */
+    _renderAssistantActions(msg, readOnly = false) {
+        return `
+            <div class="flex items-center gap-3 mt-2 opacity-0 group-hover:opacity-100 transition-opacity duration-150">
+                <button data-copy-msg="${msg.id}" class="p-1.5 hover:bg-lamp-input rounded-md transition-colors" title="Copy">
+                    <svg class="w-3.5 h-3.5 text-lamp-muted" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z"/>
+                    </svg>
+                </button>
+                ${readOnly ? '' : `<button data-regen-msg="${msg.id}" class="p-1.5 hover:bg-lamp-input rounded-md transition-colors" title="Regenerate">
+                    <svg class="w-3.5 h-3.5 text-lamp-muted" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"/>
+                    </svg>
+                </button>
+                <button data-fork-msg="${msg.id}" class="p-1.5 hover:bg-lamp-input rounded-md transition-colors" title="Branch off here">
+                    <svg class="w-3.5 h-3.5 text-lamp-muted" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" viewBox="0 0 24 24">
+                        <path d="M6 3v12"/><circle cx="18" cy="6" r="3"/><circle cx="6" cy="18" r="3"/><path d="M18 9a9 9 0 01-9 9"/>
+                    </svg>
+                </button>
+                ${this._messageRenderer.renderBranchSwitcher(msg)}`}
+                ${this._messageRenderer.renderMessageStats(msg.stats)}
+            </div>
+        `;
+    }
+
     /**
      * Append a single message to the DOM without rebuilding everything
      * @private
@@ -543,6 +731,15 @@ export class ChatArea {
         if (this._streamingMessageId) {
             if (msg.id === this._streamingMessageId && this._streamingElement) {
                 // Streaming update - just update the content efficiently
+                if (msg.reasoning) {
+                    this._updateStreamingReasoning(msg.reasoning);
+                }
+                // Steps change a few times per call, so redraw only when a new list arrives
+                if (msg.toolCalls && msg.toolCalls !== this._renderedToolCalls) {
+                    this._renderedToolCalls = msg.toolCalls;
+                    const streamingNode = this.elements.messagesContainer?.querySelector('#streaming-msg');
+                    if (streamingNode) this._updateToolCalls(streamingNode, msg);
+                }
                 this._updateStreamingContent(msg.content);
             }
             // Ignore updates to other messages during streaming
@@ -552,13 +749,27 @@ export class ChatArea {
         // Find the specific message node and update only its content
         const messageNode = this.elements.messagesContainer?.querySelector(`[data-message-id="${msg.id}"]`);
         if (messageNode) {
+            // User messages change when edited - re-render the bubble
+            const bubbleEl = messageNode.querySelector('.user-bubble');
+            if (bubbleEl && msg.role === 'user') {
+                bubbleEl.innerHTML = this._messageRenderer.renderUserMessageContent(msg);
+                return;
+            }
+
             // Update the message content
             const contentEl = messageNode.querySelector('.message-content');
             if (contentEl && msg.role === 'assistant') {
-                contentEl.innerHTML = this._getRenderedMarkdown(msg.content || '');
+                contentEl.innerHTML = this._messageRenderer.renderStructuredOutput(msg, { readOnly: stateManager.isChatReadOnly() }) || this._getRenderedMarkdown(msg.content || '');
                 processMessageContent(messageNode);
             }
 
+            if (msg.role === 'assistant') {
+                this._updateMentionedModel(messageNode, msg);
+                this._updateReasoning(messageNode, msg);
+                this._updateToolCalls(messageNode, msg);
+                this._updateCitations(messageNode, msg);
+            }
+
             // Update stats for assistant messages
             if (msg.role === 'assistant' && msg.stats) {
                 const actionsContainer = messageNode.querySelector('.flex.items-center.gap-3.mt-2');
@@ -572,6 +783,7 @@ export class ChatArea {
                         actionsContainer.insertAdjacentHTML('beforeend', newStatsHtml);
                     }
                 }
+                this._updateChatCost();
             }
             return;
         }
@@ -615,12 +827,17 @@ export class ChatArea {
         const html = `
             <div id="streaming-msg" class="group flex flex-col animate-fade-in" data-message-id="${msg.id}">
                 <div class="max-w-[80%]">
+                    <details class="message-reasoning hidden mb-3 text-sm" open>
+                        <summary class="cursor-pointer select-none text-lamp-muted hover:text-lamp-text">Thinking...</summary>
+                        <div class="reasoning-content mt-2 pl-3 border-l-2 border-lamp-border text-lamp-muted whitespace-pre-wrap"></div>
+                    </details>
                     <div class="message-content prose prose-sm max-w-none text-lamp-text"></div>
                 </div>
             </div>
         `;
         this.elements.messagesContainer?.insertAdjacentHTML('beforeend', html);
         this._streamingElement = document.querySelector('#streaming-msg .message-content');
+        this._streamingReasoningElement = document.querySelector('#streaming-msg .message-reasoning');
         this._renderedMessageIds.add(msg.id);
         this._streamingRawContent = '';
         this._streamingLastLength = 0;
@@ -652,6 +869,36 @@ export class ChatArea {
         });
     }
 
+    /**
+     * Show the reasoning streamed so far, batched to animation frames like the content.
+     * The block collapses once the answer itself starts streaming.
+     * @private
+     */
+    _updateStreamingReasoning(reasoning) {
+        this._pendingStreamReasoning = reasoning;
+        if (this._reasoningRafId) return;
+
+        this._reasoningRafId = requestAnimationFrame(() => {
+            this._reasoningRafId = null;
+            const details = this._streamingReasoningElement;
+            if (!details || this._pendingStreamReasoning === null) return;
+
+            details.classList.remove('hidden');
+            const body = details.querySelector('.reasoning-content');
+            if (body.textContent !== this._pendingStreamReasoning) {
+                body.textContent = this._pendingStreamReasoning;
+            }
+            this._pendingStreamReasoning = null;
+
+            if (this._streamingRawContent && details.dataset.answerStarted !== 'true') {
+                details.dataset.answerStarted = 'true';
+                details.open = false;
+                details.querySelector('summary').textContent = 'Thoughts';
+            }
+            scrollToBottom(this.elements.chatArea);
+        });
+    }
+
     _applyStreamingBuffer(content) {
         this._pendingStreamContent = null;
         const prev = this._streamingRawContent || '';
@@ -767,27 +1014,154 @@ export class ChatArea {
         // Update content with final rendered markdown
         const contentEl = streamingNode.querySelector('.message-content');
         if (contentEl && msg.content) {
-            contentEl.innerHTML = this._getRenderedMarkdown(msg.content);
+            contentEl.innerHTML = this._messageRenderer.renderStructuredOutput(msg) || this._getRenderedMarkdown(msg.content);
             processMessageContent(streamingNode);
         }
 
+        this._updateMentionedModel(streamingNode, msg);
+        this._updateReasoning(streamingNode, msg);
+        this._updateToolCalls(streamingNode, msg);
+        this._updateCitations(streamingNode, msg);
+
         // Add the action buttons and stats (they don't exist on streaming message)
-        const actionsHtml = `
-            <div class="flex items-center gap-3 mt-2 opacity-0 group-hover:opacity-100 transition-opacity duration-150">
-                <button data-copy-msg="${msg.id}" class="p-1.5 hover:bg-lamp-input rounded-md transition-colors" title="Copy">
-                    <svg class="w-3.5 h-3.5 text-lamp-muted" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z"/>
-                    </svg>
-                </button>
-                <button data-regen-msg="${msg.id}" class="p-1.5 hover:bg-lamp-input rounded-md transition-colors" title="Regenerate">
-                    <svg class="w-3.5 h-3.5 text-lamp-muted" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"/>
-                    </svg>
+        streamingNode.insertAdjacentHTML('beforeend', this._renderAssistantActions(msg));
+    }
+
+    /**
+     * Replace the reasoning block above an assistant message
+     * @private
+     */
+    _updateReasoning(messageNode, msg) {
+        messageNode.querySelector('.message-reasoning')?.remove();
+        const html = this._messageRenderer.renderReasoning(msg);
+        if (!html) return;
+
+        messageNode.querySelector('.message-content')?.insertAdjacentHTML('beforebegin', html);
+    }
+
+    /**
+     * Replace the "@Model" line at the top of a reply
+     * @private
+     */
+    _updateMentionedModel(messageNode, msg) {
+        messageNode.querySelector('.message-mention')?.remove();
+        const html = this._messageRenderer.renderMentionedModel(msg);
+        if (!html) return;
+
+        messageNode.querySelector('.message-content')?.parentElement?.insertAdjacentHTML('afterbegin', html);
+    }
+
+    /**
+     * Replace the tool call steps between the reasoning and the answer
+     * @private
+     */
+    _updateToolCalls(messageNode, msg) {
+        messageNode.querySelector('.message-tool-calls')?.remove();
+        const html = this._messageRenderer.renderToolCalls(msg.toolCalls);
+        if (!html) return;
+
+        messageNode.querySelector('.message-content')?.insertAdjacentHTML('beforebegin', html);
+    }
+
+    /**
+     * Redraw the compare panel on the next animation frame
+     * @private
+     */
+    _scheduleComparisonRender() {
+        if (this._compareRafId) return;
+        this._compareRafId = requestAnimationFrame(() => {
+            this._compareRafId = null;
+            this._renderComparison();
+        });
+    }
+
+    /**
+     * Show the current comparison as columns, each with its model, reply, stats
+     * and a button to keep it. Columns are only re-rendered when their reply changed.
+     * @private
+     */
+    _renderComparison() {
+        const panel = this.elements.comparePanel;
+        if (!panel) return;
+
+        const comparison = stateManager.activeComparison;
+        if (!comparison) {
+            if (!panel.classList.contains('hidden')) {
+                panel.classList.add('hidden');
+                panel.innerHTML = '';
+                delete panel.dataset.parentId;
+                this._renderedCompareKeys.clear();
+            }
+            return;
+        }
+
+        if (panel.dataset.parentId !== comparison.parentId) {
+            const gridClass = {
+                2: 'md:grid-cols-2',
+                3: 'md:grid-cols-3',
+                4: 'md:grid-cols-2 xl:grid-cols-4',
+            }[comparison.responses.length] || 'md:grid-cols-2';
+
+            panel.dataset.parentId = comparison.parentId;
+            this._renderedCompareKeys.clear();
+            panel.innerHTML = `
+                <div class="grid grid-cols-1 ${gridClass} gap-4">
+                    ${comparison.responses.map(response => `
+                        <div class="flex flex-col min-w-0 bg-lamp-card border border-lamp-border rounded-xl" data-compare-id="${response.id}">
+                            <div class="px-4 py-2 border-b border-lamp-border text-sm font-medium text-lamp-text truncate">
+                                ${getModelById(response.model)?.name || response.model}
+                            </div>
+                            <div class="compare-body flex-1 px-4 py-3 min-w-0 overflow-x-auto"></div>
+                            <div class="compare-footer flex flex-wrap items-center justify-between gap-2 px-4 py-2 border-t border-lamp-border"></div>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        }
+        panel.classList.remove('hidden');
+
+        for (const response of comparison.responses) {
+            const column = panel.querySelector(`[data-compare-id="${response.id}"]`);
+            if (!column) continue;
+
+            const key = `${response.status}:${response.content.length}:${response.reasoning?.length || 0}:${response.toolCalls?.length || 0}`;
+            if (this._renderedCompareKeys.get(response.id) !== key) {
+                this._renderedCompareKeys.set(response.id, key);
+                const body = column.querySelector('.compare-body');
+                body.innerHTML = response.content || response.reasoning || response.toolCalls?.length
+                    ? this._messageRenderer.renderAssistantMessageContent(response)
+                    : '<div class="text-sm text-lamp-muted animate-pulse">Waiting for the first token...</div>';
+                if (response.status !== 'streaming') {
+                    processMessageContent(body);
+                }
+            }
+
+            const canKeep = response.status === 'done' && !stateManager.isStreaming;
+            column.querySelector('.compare-footer').innerHTML = `
+                ${response.stats ? this._messageRenderer.renderMessageStats({ ...response.stats, model: null }) : '<span></span>'}
+                <button type="button" data-keep-compare="${response.id}" ${canKeep ? '' : 'disabled'}
+                    class="px-3 py-1.5 text-xs font-medium bg-lamp-accent text-white rounded-lg hover:bg-lamp-hover transition-colors disabled:opacity-40 disabled:cursor-not-allowed">
+                    Keep this answer
                 </button>
-                ${this._messageRenderer.renderMessageStats(msg.stats)}
-            </div>
-        `;
-        streamingNode.insertAdjacentHTML('beforeend', actionsHtml);
+            `;
+        }
+
+        if (stateManager.isStreaming) {
+            scrollToBottom(this.elements.chatArea);
+        }
+    }
+
+    /**
+     * Replace the sources list under an assistant message
+     * @private
+     */
+    _updateCitations(messageNode, msg) {
+        messageNode.querySelector('.message-citations')?.remove();
+        const html = this._messageRenderer.renderCitations(msg.citations);
+        if (!html) return;
+
+        const contentEl = messageNode.querySelector('.message-content');
+        contentEl?.parentElement?.insertAdjacentHTML('beforeend', html);
     }
 
     /**
@@ -797,6 +1171,7 @@ export class ChatArea {
         // Reset tracking for new chat context
         this._updateWelcomeName();
         this._updateSyncBanner();
+        this._updateBudgetBanner();
         this.renderMessages();
     }
 
@@ -969,9 +1344,92 @@ export class ChatArea {
             this._removeOlderMessagesNotice();
         }
 
+        this._updateContextMarkers();
+        this._updateChatCost();
         scrollToBottom(this.elements.chatArea);
     }
 
+    /**
+     * Warn once most of the spending cap is used, and say when it resets
+     * once it is used up
+     * @private
+     */
+    _updateBudgetBanner() {
+        const banner = this.elements.budgetBanner;
+        if (!banner) return;
+
+        const status = stateManager.budgetStatus;
+        const budget = status?.budget;
+        const ratio = budget ? status.used / budget.limit : 0;
+        if (ratio < BUDGET_WARNING_RATIO) {
+            banner.classList.add('hidden');
+            return;
+        }
+
+        const period = budget.period === 'monthly' ? 'monthly' : 'daily';
+        const amounts = `${formatBudgetAmount(status.used, budget.unit)} of ${formatBudgetAmount(budget.limit, budget.unit)}`;
+        this.elements.budgetBannerText.textContent = ratio >= 1
+            ? `You've reached your ${period} spending cap (${amounts}). New messages are blocked until it resets ${new Date(status.resetsAt).toLocaleString()}, or you raise it in Settings → Usage.`
+            : `You've used ${Math.floor(ratio * 100)}% of your ${period} spending cap (${amounts}).`;
+        banner.classList.remove('hidden');
+    }
+
+    /**
+     * Show what the replies on the current branch cost in the header
+     * @private
+     */
+    _updateChatCost() {
+        const el = this.elements.chatCost;
+        if (!el) return;
+
+        const cost = getMessagesCost(stateManager.currentChat?.messages);
+        el.textContent = formatCost(cost);
+        el.classList.toggle('hidden', cost === 0);
+    }
+
+    /**
+     * Dim the messages left out of the model's context and label the boundary
+     * @private
+     */
+    _updateContextMarkers() {
+        const container = this.elements.messagesContainer;
+        const chat = stateManager.currentChat;
+        if (!container || !chat) return;
+
+        container.querySelector('#contextBoundary')?.remove();
+
+        const contextWindow = stateManager.getContextWindow(chat.id);
+        const indexById = new Map((chat.messages || []).map((m, i) => [m.id, i]));
+        const startIndex = contextWindow?.startMessageId ? indexById.get(contextWindow.startMessageId) ?? -1 : -1;
+
+        for (const node of container.querySelectorAll('[data-message-id]')) {
+            const index = indexById.get(node.getAttribute('data-message-id'));
+            node.classList.toggle('opacity-50', startIndex > 0 && index !== undefined && index < startIndex);
+        }
+
+        const startNode = startIndex > 0
+            ? container.querySelector(`[data-message-id="${contextWindow.startMessageId}"]`)
+            : null;
+        if (!startNode) return;
+
+        const summary = contextWindow.summarized ? chat.contextSummary?.content : '';
+        const boundary = document.createElement('div');
+        boundary.id = 'contextBoundary';
+        boundary.className = 'flex items-center gap-3 text-xs text-lamp-muted';
+        boundary.innerHTML = `
+            <div class="flex-1 border-t border-dashed border-lamp-border"></div>
+            <span>${summary ? 'Earlier messages are summarized for the model' : 'Earlier messages are outside the model\'s context'}</span>
+            <div class="flex-1 border-t border-dashed border-lamp-border"></div>
+        `;
+        if (summary) {
+            // Hovering the label shows what the model gets instead
+            const label = boundary.querySelector('span');
+            label.title = summary;
+            label.classList.add('cursor-help');
+        }
+        startNode.insertAdjacentElement('beforebegin', boundary);
+    }
+
     _insertOlderMessagesNotice({ isAppending = false } = {}) {
         const container = this.elements.messagesContainer;
         if (!container) return;
@@ -1098,6 +1556,21 @@ export class ChatArea {
         shimmer?.remove();
     }
 
+    /**
+     * Hand a generated image to the input so the next message edits it
+     * @param {HTMLElement} button - A `data-use-image` button inside a message
+     * @private
+     */
+    _useGeneratedImage(button) {
+        const messageId = button.closest('[data-message-id]')?.dataset.messageId;
+        const msg = stateManager.currentChat?.messages?.find(m => m.id === messageId);
+        const img = (msg?.generatedImages || msg?.images || [])[Number(button.dataset.useImage)];
+        const url = img?.url || img?.image_url?.url;
+        if (url && this.onUseImage) {
+            this.onUseImage(url);
+        }
+    }
+
     /**
      * Open image in lightbox modal
      * @param {string} url - Image URL
@@ -1173,6 +1646,12 @@ export class ChatArea {
         this.onSettingsClick = handlers.onSettingsClick;
         this.onPromptSelect = handlers.onPromptSelect;
         this.onRegenerate = handlers.onRegenerate;
+        this.onEditMessage = handlers.onEditMessage;
+        this.onSwitchBranch = handlers.onSwitchBranch;
+        this.onForkChat = handlers.onForkChat;
+        this.onRepairStructured = handlers.onRepairStructured;
+        this.onUseImage = handlers.onUseImage;
+        this.onKeepComparison = handlers.onKeepComparison;
     }
 
     /**
@@ -1186,5 +1665,13 @@ export class ChatArea {
             cancelAnimationFrame(this._rafId);
             this._rafId = null;
         }
+        if (this._reasoningRafId) {
+            cancelAnimationFrame(this._reasoningRafId);
+            this._reasoningRafId = null;
+        }
+        if (this._compareRafId) {
+            cancelAnimationFrame(this._compareRafId);
+            this._compareRafId = null;
+        }
     }
 }
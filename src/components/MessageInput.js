@@ -2,10 +2,17 @@
 // =======================
 
 import { stateManager } from '../services/state.js';
+import { modelCatalog } from '../services/modelCatalog.js';
 import { $ } from '../utils/dom.js';
 import { ModelSelector } from './input/ModelSelector.js';
+import { ParamsPopover } from './input/ParamsPopover.js';
+import { PersonaSelector } from './input/PersonaSelector.js';
 import { AttachmentManager } from './input/AttachmentManager.js';
+import { MessageQueue } from './input/MessageQueue.js';
+import { CommandMenu } from './input/CommandMenu.js';
+import { parseCommand } from '../services/commands.js';
 import { MAX_TEXTAREA_HEIGHT } from '../config/constants.js';
+import { REASONING_EFFORTS, supportsReasoning } from '../config/models.js';
 import { mixinComponentLifecycle } from './Component.js';
 
 /**
@@ -29,22 +36,37 @@ export class MessageInput {
             form: null,
             textarea: null,
             sendButton: null,
+            stopButton: null,
             modelButton: null,
             modelDropdown: null,
             modelList: null,
             modelSearch: null,
             selectedModelName: null,
+            compareToggle: null,
+            paramsButton: null,
+            paramsPopover: null,
+            personaButton: null,
+            personaDropdown: null,
+            personaName: null,
             webSearchBtn: null,
+            reasoningBtn: null,
+            reasoningLabel: null,
             attachBtn: null,
             fileInput: null,
             attachmentsArea: null,
+            messageQueue: null,
+            commandMenu: null,
         };
 
         this._unsubscribers = [];
 
         // Sub-components
         this._modelSelector = null;
+        this._paramsPopover = null;
+        this._personaSelector = null;
         this._attachmentManager = null;
+        this._messageQueue = null;
+        this._commandMenu = null;
     }
 
     /**
@@ -74,7 +96,13 @@ export class MessageInput {
         return `
             <div class="p-4 pb-6 bg-gradient-to-t from-lamp-bg via-lamp-bg to-transparent relative z-10">
                 <div class="max-w-3xl mx-auto">
+                    <!-- Follow-ups queued while a reply streams -->
+                    <div id="messageQueue" class="hidden mb-2 pb-1 bg-lamp-card border border-lamp-border rounded-2xl shadow-lg"></div>
+
                     <form id="chatForm" class="relative">
+                        <!-- Slash command suggestions -->
+                        <div id="commandMenu" class="hidden absolute bottom-full left-0 right-0 mb-2 p-1 max-h-64 overflow-y-auto bg-lamp-card border border-lamp-border rounded-xl shadow-2xl" style="z-index: 9999;"></div>
+
                         <!-- Hidden file input for attachments -->
                         <input type="file" id="fileInput" multiple accept="image/png,image/jpeg,image/jpg,image/webp,image/gif,application/pdf" class="hidden">
                         
@@ -97,16 +125,17 @@ export class MessageInput {
                                 <div class="flex items-center gap-1.5">
                                     <!-- Model Selector -->
                                     <div class="relative z-50">
-                                        <button type="button" id="modelButton" class="flex items-center gap-1.5 px-3 py-1.5 text-sm text-lamp-muted hover:text-lamp-text hover:bg-lamp-input rounded-lg transition-colors">
+                                        <button type="button" id="modelButton" class="flex items-center gap-1.5 px-3 py-1.5 text-sm text-lamp-muted hover:text-lamp-text hover:bg-lamp-input rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed">
                                             <span id="selectedModelName">GPT-4o</span>
                                             <svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"/>
                                             </svg>
                                         </button>
                                         <div id="modelDropdown" class="hidden absolute bottom-full left-0 mb-2 w-64 bg-lamp-card border border-lamp-border rounded-xl shadow-2xl overflow-hidden" style="z-index: 9999;">
-                                            <div class="p-2 border-b border-lamp-border">
+                                            <div class="p-2 border-b border-lamp-border flex items-center gap-2">
                                                 <input type="text" id="modelSearch" placeholder="Search models..." 
-                                                    class="w-full px-3 py-2 text-sm bg-lamp-input border border-lamp-border rounded-lg focus:outline-none focus:border-lamp-accent">
+                                                    class="flex-1 min-w-0 px-3 py-2 text-sm bg-lamp-input border border-lamp-border rounded-lg focus:outline-none focus:border-lamp-accent">
+                                                <button type="button" id="compareToggle" class="shrink-0 px-2.5 py-2 text-xs font-medium text-lamp-muted border border-lamp-border rounded-lg transition-colors">Compare</button>
                                             </div>
                                             <div id="modelList" class="max-h-64 overflow-y-auto p-2">
                                                 <!-- Models will be rendered here -->
@@ -114,6 +143,31 @@ export class MessageInput {
                                         </div>
                                     </div>
                                     
+                                    <!-- Generation Parameters (per chat) -->
+                                    <div class="relative z-50">
+                                        <button type="button" id="paramsButton" title="Generation parameters for this chat" class="flex items-center px-2 py-1.5 text-sm text-lamp-muted hover:text-lamp-text hover:bg-lamp-input rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed">
+                                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 6V4m0 2a2 2 0 100 4m0-4a2 2 0 110 4m-6 8a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4m6 6v10m6-2a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4"/>
+                                            </svg>
+                                        </button>
+                                        <div id="paramsPopover" class="hidden absolute bottom-full left-0 mb-2 w-80 p-3 bg-lamp-card border border-lamp-border rounded-xl shadow-2xl" style="z-index: 9999;">
+                                            <!-- Parameter fields will be rendered here -->
+                                        </div>
+                                    </div>
+                                    
+                                    <!-- Persona Selector (per chat) -->
+                                    <div class="relative z-50">
+                                        <button type="button" id="personaButton" title="Persona for this chat" class="flex items-center gap-1.5 px-3 py-1.5 text-sm text-lamp-muted hover:text-lamp-text hover:bg-lamp-input rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed">
+                                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z"/>
+                                            </svg>
+                                            <span id="personaName" class="max-w-[8rem] truncate">LampChat</span>
+                                        </button>
+                                        <div id="personaDropdown" class="hidden absolute bottom-full left-0 mb-2 w-64 bg-lamp-card border border-lamp-border rounded-xl shadow-2xl overflow-hidden" style="z-index: 9999;">
+                                            <!-- Personas will be rendered here -->
+                                        </div>
+                                    </div>
+                                    
                                     <!-- Web Search Toggle -->
                                     <button type="button" id="webSearchBtn" class="flex items-center gap-1.5 px-3 py-1.5 text-sm text-lamp-muted hover:text-lamp-text hover:bg-lamp-input rounded-lg transition-colors">
                                         <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -122,6 +176,14 @@ export class MessageInput {
                                         Search
                                     </button>
                                     
+                                    <!-- Reasoning Effort (per chat, reasoning models only) -->
+                                    <button type="button" id="reasoningBtn" title="Reasoning effort for this chat" class="hidden flex items-center gap-1.5 px-3 py-1.5 text-sm text-lamp-muted hover:text-lamp-text hover:bg-lamp-input rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed">
+                                        <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z"/>
+                                        </svg>
+                                        <span id="reasoningLabel">Think</span>
+                                    </button>
+                                    
                                     <!-- Attach Button -->
                                     <button type="button" id="attachBtn" class="flex items-center gap-1.5 px-3 py-1.5 text-sm text-lamp-muted hover:text-lamp-text hover:bg-lamp-input rounded-lg transition-colors">
                                         <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -137,6 +199,13 @@ export class MessageInput {
                                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2.5" d="M5 10l7-7m0 0l7 7m-7-7v18"/>
                                     </svg>
                                 </button>
+                                
+                                <!-- Stop Button - replaces send while a response is streaming -->
+                                <button type="button" id="stopButton" title="Stop generating" class="hidden w-9 h-9 flex items-center justify-center bg-lamp-accent hover:bg-lamp-hover text-white rounded-full transition-all duration-200">
+                                    <svg class="w-3.5 h-3.5" fill="currentColor" viewBox="0 0 24 24">
+                                        <rect x="5" y="5" width="14" height="14" rx="2"/>
+                                    </svg>
+                                </button>
                             </div>
                         </div>
                     </form>
@@ -153,15 +222,26 @@ export class MessageInput {
         this.elements.form = $('chatForm');
         this.elements.textarea = $('messageInput');
         this.elements.sendButton = $('sendButton');
+        this.elements.stopButton = $('stopButton');
         this.elements.modelButton = $('modelButton');
         this.elements.modelDropdown = $('modelDropdown');
         this.elements.modelList = $('modelList');
         this.elements.modelSearch = $('modelSearch');
         this.elements.selectedModelName = $('selectedModelName');
+        this.elements.compareToggle = $('compareToggle');
+        this.elements.paramsButton = $('paramsButton');
+        this.elements.paramsPopover = $('paramsPopover');
+        this.elements.personaButton = $('personaButton');
+        this.elements.personaDropdown = $('personaDropdown');
+        this.elements.personaName = $('personaName');
         this.elements.webSearchBtn = $('webSearchBtn');
+        this.elements.reasoningBtn = $('reasoningBtn');
+        this.elements.reasoningLabel = $('reasoningLabel');
         this.elements.attachBtn = $('attachBtn');
         this.elements.fileInput = $('fileInput');
         this.elements.attachmentsArea = $('attachmentsArea');
+        this.elements.messageQueue = $('messageQueue');
+        this.elements.commandMenu = $('commandMenu');
     }
 
     /**
@@ -175,16 +255,43 @@ export class MessageInput {
             this.elements.modelDropdown,
             this.elements.modelList,
             this.elements.modelSearch,
-            this.elements.selectedModelName
+            this.elements.selectedModelName,
+            this.elements.compareToggle
         );
         this._modelSelector.init();
 
+        // Initialize generation parameters popover
+        this._paramsPopover = new ParamsPopover(
+            this.elements.paramsButton,
+            this.elements.paramsPopover
+        );
+        this._paramsPopover.init();
+
+        // Initialize persona selector
+        this._personaSelector = new PersonaSelector(
+            this.elements.personaButton,
+            this.elements.personaDropdown,
+            this.elements.personaName
+        );
+        this._personaSelector.onManage = () => this.onManagePersonas?.();
+        this._personaSelector.init();
+
         // Initialize attachment manager
         this._attachmentManager = new AttachmentManager(
             this.elements.attachmentsArea,
             this.elements.fileInput
         );
         this._attachmentManager.init();
+
+        // Initialize queued follow-ups
+        this._messageQueue = new MessageQueue(this.elements.messageQueue);
+        this._messageQueue.onSend = (itemId) => this.onSendQueued?.(itemId);
+        this._messageQueue.init();
+
+        // Initialize slash command autocomplete
+        this._commandMenu = new CommandMenu(this.elements.textarea, this.elements.commandMenu);
+        this._commandMenu.onComplete = () => this._autoResize();
+        this._commandMenu.init();
     }
 
     /**
@@ -198,12 +305,20 @@ export class MessageInput {
             this._handleSubmit();
         });
 
+        // Stop the in-flight response
+        this.elements.stopButton?.addEventListener('click', () => {
+            if (this.onStop) {
+                this.onStop();
+            }
+        });
+
         // Textarea auto-resize and enter key
         this.elements.textarea?.addEventListener('input', () => {
             this._autoResize();
         });
 
         this.elements.textarea?.addEventListener('keydown', (e) => {
+            if (this._commandMenu?.handleKeydown(e)) return;
             if (e.key === 'Enter' && !e.shiftKey) {
                 e.preventDefault();
                 this._handleSubmit();
@@ -217,6 +332,11 @@ export class MessageInput {
             this._toggleWebSearch();
         });
 
+        // Reasoning effort - cycles through model default, low, medium and high
+        this.elements.reasoningBtn?.addEventListener('click', () => {
+            this._cycleReasoningEffort();
+        });
+
         // Attach button - trigger file input
         this.elements.attachBtn?.addEventListener('click', () => {
             this.elements.fileInput?.click();
@@ -278,7 +398,27 @@ export class MessageInput {
         this._unsubscribers.push(
             stateManager.subscribe('settingsUpdated', () => this.refresh()),
             stateManager.subscribe('streamingChanged', () => this._updateInputAvailability()),
-            stateManager.subscribe('currentChatChanged', () => this._updateInputAvailability()),
+            stateManager.subscribe('currentChatChanged', () => {
+                // Model, parameters and persona are stored per chat
+                this._modelSelector?.refresh();
+                this._paramsPopover?.refresh();
+                this._personaSelector?.refresh();
+                this._updateReasoningButton();
+                this._updateInputAvailability();
+            }),
+            stateManager.subscribe('reasoningEffortChanged', () => this._updateReasoningButton()),
+            stateManager.subscribe('selectedModelChanged', () => {
+                this._modelSelector?.refresh();
+                this._updateReasoningButton();
+            }),
+            stateManager.subscribe('personaChanged', () => this._personaSelector?.refresh()),
+            stateManager.subscribe('personasUpdated', () => this._personaSelector?.refresh()),
+            stateManager.subscribe('projectSelected', () => {
+                // A project's defaults apply to the next new chat
+                this._modelSelector?.refresh();
+                this._paramsPopover?.refresh();
+                this._updateReasoningButton();
+            }),
             stateManager.subscribe('messagesLoading', (state, payload) => {
                 if (payload?.chatId === stateManager.currentChat?.id) {
                     this._updateInputAvailability();
@@ -294,7 +434,9 @@ export class MessageInput {
                     this._updateInputAvailability();
                 }
             }),
-            stateManager.subscribe('chatSyncStatusChanged', () => this._updateInputAvailability())
+            stateManager.subscribe('chatSyncStatusChanged', () => this._updateInputAvailability()),
+            // Capabilities and the model list change when the live catalog arrives
+            modelCatalog.subscribe(() => this.refresh())
         );
     }
 
@@ -305,7 +447,10 @@ export class MessageInput {
         if (this._modelSelector) {
             this._modelSelector.refresh();
         }
+        this._paramsPopover?.refresh();
+        this._personaSelector?.refresh();
         this._updateWebSearchButton();
+        this._updateReasoningButton();
         this._updateInputAvailability();
     }
 
@@ -332,9 +477,16 @@ export class MessageInput {
 
         // Allow sending if there's a message OR attachments
         if (!message && !hasAttachments) return;
-        if (stateManager.isStreaming) return;
 
-        if (this.onSubmit) {
+        if (parseCommand(message)) {
+            this._runCommand(message, [...attachments]);
+            return;
+        }
+
+        if (stateManager.isStreaming) {
+            // Hold the follow-up until the reply in progress finishes
+            if (!stateManager.enqueueMessage(message, [...attachments])) return;
+        } else if (this.onSubmit) {
             // Pass both message and attachments
             this.onSubmit(message, [...attachments]);
         }
@@ -349,6 +501,29 @@ export class MessageInput {
         }
     }
 
+    /**
+     * Run a slash command. A command that fails puts its text and
+     * attachments back so it can be corrected.
+     * @private
+     */
+    async _runCommand(text, attachments) {
+        this._commandMenu?.close();
+        if (this.elements.textarea) {
+            this.elements.textarea.value = '';
+            this.elements.textarea.style.height = 'auto';
+        }
+        this._attachmentManager?.clearAttachments();
+
+        try {
+            await this.onCommand?.(text, attachments);
+        } catch (error) {
+            console.error('Command failed:', error);
+            alert(error.message);
+            if (!this.elements.textarea?.value) this.setValue(text);
+            this._attachmentManager?.restoreAttachments(attachments);
+        }
+    }
+
     /**
      * Clear all attachments
      */
@@ -358,6 +533,20 @@ export class MessageInput {
         }
     }
 
+    /**
+     * Attach an image for the next message to edit or vary
+     * @param {string} url
+     */
+    async attachImage(url) {
+        try {
+            await this._attachmentManager?.addImageFromUrl(url);
+            this.focus();
+        } catch (error) {
+            console.error('Failed to attach image:', error);
+            alert(error.message);
+        }
+    }
+
     /**
      * Get current attachments
      * @returns {Attachment[]}
@@ -395,6 +584,40 @@ export class MessageInput {
         }
     }
 
+    /**
+     * Move the current chat to the next reasoning effort
+     * @private
+     */
+    async _cycleReasoningEffort() {
+        const levels = ['', ...REASONING_EFFORTS];
+        const next = levels[(levels.indexOf(stateManager.reasoningEffort) + 1) % levels.length];
+        await stateManager.setReasoningEffort(next);
+    }
+
+    /**
+     * Show the reasoning effort button for reasoning models and reflect the chat's level
+     * @private
+     */
+    _updateReasoningButton() {
+        const btn = this.elements.reasoningBtn;
+        if (!btn) return;
+
+        const model = stateManager.selectedModel;
+        btn.classList.toggle('hidden', !supportsReasoning(model));
+
+        const effort = stateManager.reasoningEffort;
+        if (this.elements.reasoningLabel) {
+            this.elements.reasoningLabel.textContent = effort
+                ? `Think: ${effort.charAt(0).toUpperCase()}${effort.slice(1)}`
+                : 'Think';
+        }
+        btn.classList.toggle('bg-lamp-accent', !!effort);
+        btn.classList.toggle('text-white', !!effort);
+        btn.classList.toggle('text-lamp-muted', !effort);
+        btn.classList.toggle('hover:text-lamp-text', !effort);
+        btn.classList.toggle('hover:bg-lamp-input', !effort);
+    }
+
     /**
      * Set disabled state
      * @private
@@ -422,17 +645,32 @@ export class MessageInput {
         const hasLoadedMessages = currentChatId ? stateManager.isChatMessagesLoaded(currentChatId) : true;
         const hasError = currentChatId ? stateManager.hasChatMessagesError(currentChatId) : false;
         const isUnsaved = currentChatId ? stateManager.isChatSendBlocked(currentChatId) : false;
-        const shouldDisable = isStreaming || isLoadingMessages || !hasLoadedMessages || hasError || isUnsaved;
+        const isReadOnly = stateManager.isChatReadOnly();
+        // Typing stays open while streaming; submitting then queues the message
+        const shouldDisable = isLoadingMessages || !hasLoadedMessages || hasError || isUnsaved || isReadOnly;
         this._setDisabled(shouldDisable);
 
+        // A teammate's chat can be read but its settings are the owner's
+        for (const btn of [this.elements.modelButton, this.elements.paramsButton, this.elements.personaButton, this.elements.reasoningBtn]) {
+            if (btn) btn.disabled = isReadOnly;
+        }
+
+        // Swap the send button for a stop button while a response is streaming
+        this.elements.sendButton?.classList.toggle('hidden', isStreaming);
+        this.elements.stopButton?.classList.toggle('hidden', !isStreaming);
+
         if (this.elements.textarea) {
-            if (isLoadingMessages && currentChatId) {
+            if (isReadOnly) {
+                this.elements.textarea.placeholder = "This is a teammate's chat. Only they can reply.";
+            } else if (isLoadingMessages && currentChatId) {
                 this.elements.textarea.placeholder = 'Loading messages...';
             } else if (hasError) {
                 this.elements.textarea.placeholder = 'Unable to load messages';
             } else if (isUnsaved) {
                 const syncError = stateManager.getChatSyncError(currentChatId);
                 this.elements.textarea.placeholder = syncError || 'Chat failed to save. Retry to continue.';
+            } else if (isStreaming) {
+                this.elements.textarea.placeholder = 'Queue a follow-up...';
             } else {
                 this.elements.textarea.placeholder = 'Type your message here...';
             }
@@ -464,6 +702,10 @@ export class MessageInput {
      */
     setHandlers(handlers) {
         this.onSubmit = handlers.onSubmit;
+        this.onStop = handlers.onStop;
+        this.onSendQueued = handlers.onSendQueued;
+        this.onCommand = handlers.onCommand;
+        this.onManagePersonas = handlers.onManagePersonas;
     }
 
     /**
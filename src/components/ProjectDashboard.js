@@ -2,10 +2,13 @@
 // ============================
 // Dashboard view for managing a project's settings, files, and chats
 
-import { $, setHtml, showConfirm } from '../utils/dom.js';
+import { $, setHtml, showConfirm, escapeHtml } from '../utils/dom.js';
 import { stateManager } from '../services/state.js';
 import { formatRelativeTime } from '../utils/date.js';
-import { fileToBase64 } from '../utils/files.js';
+import { fileToBase64, isPdfFile, extractPdfText } from '../utils/files.js';
+import { MAX_FILE_TEXT_LENGTH } from '../utils/knowledge.js';
+import { getListedModels } from '../config/models.js';
+import { renderParamsFields, readParamsFields, checkSchemaField } from './input/ParamsPopover.js';
 import { mixinComponentLifecycle } from './Component.js';
 
 /**
@@ -25,6 +28,7 @@ export class ProjectDashboard {
         this._handlers = {};
         this._unsubscribers = [];
         this._saveTimeout = null;
+        this._members = [];
     }
 
     /**
@@ -73,6 +77,10 @@ export class ProjectDashboard {
         this.elements.container.innerHTML = this._render(project);
         this._cacheElements();
         this._bindEvents(project);
+        this._bindMemberEvents(project);
+        this._loadMembers(project).catch(error => {
+            console.error('Failed to load project members:', error);
+        });
     }
 
     /**
@@ -82,6 +90,9 @@ export class ProjectDashboard {
     _render(project) {
         const files = project.files || [];
         const chats = stateManager.allChats; // Already filtered by currentProjectId
+        // Local projects carry no role; whoever has them owns them
+        const role = project.role || 'owner';
+        const canEdit = role === 'owner' || role === 'editor';
 
         return `
             <div class="flex-1 overflow-y-auto p-6 md:p-10">
@@ -96,15 +107,22 @@ export class ProjectDashboard {
                         <div>
                             <h1 class="text-2xl font-bold text-lamp-text">${this._escapeHtml(project.name)}</h1>
                             <p class="text-sm text-lamp-muted">${project.description || 'No description'}</p>
+                            ${role !== 'owner' ? `
+                                <p class="text-xs text-lamp-muted mt-1">Shared by ${this._escapeHtml(project.ownerEmail || 'another user')} · You can ${role === 'editor' ? 'edit' : 'view'}</p>
+                            ` : ''}
                         </div>
                     </div>
                     <div class="flex items-center gap-2">
-                        <button id="dashboardEditBtn" class="px-4 py-2 text-sm font-medium text-lamp-text bg-lamp-input hover:bg-lamp-border rounded-lg transition-colors">
-                            Edit Project
-                        </button>
-                        <button id="dashboardDeleteBtn" class="px-4 py-2 text-sm font-medium text-red-600 hover:bg-red-50 rounded-lg transition-colors">
-                            Delete
-                        </button>
+                        ${canEdit ? `
+                            <button id="dashboardEditBtn" class="px-4 py-2 text-sm font-medium text-lamp-text bg-lamp-input hover:bg-lamp-border rounded-lg transition-colors">
+                                Edit Project
+                            </button>
+                        ` : ''}
+                        ${role === 'owner' ? `
+                            <button id="dashboardDeleteBtn" class="px-4 py-2 text-sm font-medium text-red-600 hover:bg-red-50 rounded-lg transition-colors">
+                                Delete
+                            </button>
+                        ` : ''}
                     </div>
                 </div>
 
@@ -125,10 +143,27 @@ export class ProjectDashboard {
                         </div>
                         <textarea 
                             id="projectInstructions"
+                            ${canEdit ? '' : 'readonly'}
                             class="w-full h-40 px-4 py-3 bg-lamp-input border border-lamp-border rounded-xl text-lamp-text placeholder-lamp-muted focus:outline-none focus:ring-2 focus:ring-amber-500/20 focus:border-amber-500 resize-none text-sm"
                             placeholder="Enter custom instructions for the AI... (e.g., 'You are a helpful coding assistant specializing in React.')"
                         >${this._escapeHtml(project.instructions || '')}</textarea>
-                        <p id="instructionsSaveStatus" class="text-xs text-lamp-muted mt-2">Changes save automatically</p>
+                        <p id="instructionsSaveStatus" class="text-xs text-lamp-muted mt-2">${canEdit ? 'Changes save automatically' : 'Only the owner and editors can change instructions'}</p>
+
+                        <!-- Defaults for new chats -->
+                        <div class="mt-4 pt-4 border-t border-lamp-border">
+                            <label class="block mb-2">
+                                <span class="block text-xs text-lamp-muted mb-1">Default model for new chats</span>
+                                <select id="projectDefaultModel" ${canEdit ? '' : 'disabled'}
+                                    class="w-full px-3 py-1.5 text-sm bg-lamp-input border border-lamp-border rounded-lg focus:outline-none focus:border-lamp-accent disabled:opacity-60">
+                                    <option value="">Your default model</option>
+                                    ${getListedModels(stateManager.settings?.enabledModels).map(m => `<option value="${escapeHtml(m.id)}" ${m.id === project.defaultModel ? 'selected' : ''}>${escapeHtml(m.name)} (${escapeHtml(m.provider)})</option>`).join('')}
+                                </select>
+                            </label>
+                            <div id="projectDefaultParams">
+                                ${renderParamsFields(project.defaultParams || {}, { disabled: !canEdit })}
+                            </div>
+                            <p id="defaultsSaveStatus" class="text-xs text-lamp-muted mt-2">Chats keep their own copy once created</p>
+                        </div>
                     </div>
 
                     <!-- Project Files Card -->
@@ -145,12 +180,14 @@ export class ProjectDashboard {
                                     <p class="text-xs text-lamp-muted">Knowledge base for context</p>
                                 </div>
                             </div>
-                            <label class="px-3 py-1.5 text-sm font-medium text-amber-600 bg-amber-50 hover:bg-amber-100 rounded-lg cursor-pointer transition-colors">
-                                <input type="file" id="projectFileInput" class="hidden" multiple accept=".txt,.md,.json,.csv,.pdf">
-                                Add File
-                            </label>
+                            ${canEdit ? `
+                                <label class="px-3 py-1.5 text-sm font-medium text-amber-600 bg-amber-50 hover:bg-amber-100 rounded-lg cursor-pointer transition-colors">
+                                    <input type="file" id="projectFileInput" class="hidden" multiple accept=".txt,.md,.json,.csv,.pdf">
+                                    Add File
+                                </label>
+                            ` : ''}
                         </div>
-                        ${this._renderFileList(files)}
+                        ${this._renderFileList(files, canEdit)}
                     </div>
                 </div>
 
@@ -168,21 +205,197 @@ export class ProjectDashboard {
                                 <p class="text-xs text-lamp-muted">${chats.length} chat${chats.length !== 1 ? 's' : ''} in this project</p>
                             </div>
                         </div>
-                        <button id="newProjectChatBtn" class="px-4 py-2 text-sm font-medium text-white bg-lamp-accent hover:bg-lamp-hover rounded-lg transition-colors">
-                            New Chat
-                        </button>
+                        ${canEdit ? `
+                            <button id="newProjectChatBtn" class="px-4 py-2 text-sm font-medium text-white bg-lamp-accent hover:bg-lamp-hover rounded-lg transition-colors">
+                                New Chat
+                            </button>
+                        ` : ''}
                     </div>
                     ${this._renderChatList(chats)}
                 </div>
+
+                ${project.visibility === 'shared' ? this._renderMembersCard(role) : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the members card for shared projects
+     * Members load asynchronously into #projectMembersList
+     * @private
+     */
+    _renderMembersCard(role) {
+        return `
+            <div class="mt-6 bg-lamp-card rounded-2xl border border-lamp-border p-6">
+                <div class="flex items-center gap-3 mb-4">
+                    <div class="w-10 h-10 rounded-xl bg-lamp-input border border-lamp-border flex items-center justify-center">
+                        <svg class="w-5 h-5 text-amber-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0z"/>
+                        </svg>
+                    </div>
+                    <div>
+                        <h2 class="font-semibold text-lamp-text">Members</h2>
+                        <p class="text-xs text-lamp-muted">Viewers can read project chats; editors can also change the project and add chats</p>
+                    </div>
+                </div>
+                ${role === 'owner' ? `
+                    <form id="projectInviteForm" class="flex flex-wrap gap-2 mb-4">
+                        <input type="email" id="projectInviteEmail" required placeholder="teammate@example.com"
+                            class="flex-1 min-w-[200px] px-4 py-2 bg-lamp-input border border-lamp-border rounded-lg text-sm text-lamp-text placeholder-lamp-muted focus:outline-none focus:border-amber-500">
+                        <select id="projectInviteRole" class="px-3 py-2 bg-lamp-input border border-lamp-border rounded-lg text-sm text-lamp-text focus:outline-none">
+                            <option value="viewer">Viewer</option>
+                            <option value="editor">Editor</option>
+                        </select>
+                        <button type="submit" class="px-4 py-2 text-sm font-medium text-white bg-lamp-accent hover:bg-lamp-hover rounded-lg transition-colors">
+                            Invite
+                        </button>
+                    </form>
+                    <p id="projectInviteError" class="hidden text-sm text-red-600 mb-3"></p>
+                ` : ''}
+                <div id="projectMembersList" class="space-y-2">
+                    <p class="text-sm text-lamp-muted">Loading members...</p>
+                </div>
             </div>
         `;
     }
 
+    /**
+     * Render the loaded member rows
+     * @private
+     */
+    _renderMembers(project, members) {
+        const listEl = $('projectMembersList');
+        if (!listEl) return;
+
+        const isOwner = (project.role || 'owner') === 'owner';
+        const currentUserId = stateManager.state.user?.id;
+
+        if (members.length === 0) {
+            setHtml(listEl, `<p class="text-sm text-lamp-muted">${isOwner ? 'No one has been invited yet' : 'No other members'}</p>`);
+            return;
+        }
+
+        setHtml(listEl, members.map(member => {
+            const isSelf = member.userId === currentUserId;
+            let controls = `<span class="text-xs text-lamp-muted capitalize">${member.role}</span>`;
+            if (isOwner) {
+                controls = `
+                    <select class="project-member-role px-2 py-1 bg-lamp-card border border-lamp-border rounded-lg text-xs text-lamp-text focus:outline-none" data-member-id="${member.id}">
+                        <option value="viewer" ${member.role === 'viewer' ? 'selected' : ''}>Viewer</option>
+                        <option value="editor" ${member.role === 'editor' ? 'selected' : ''}>Editor</option>
+                    </select>
+                    <button class="project-member-remove px-2 py-1 text-xs text-red-600 hover:bg-red-50 rounded-lg transition-colors" data-member-id="${member.id}">Remove</button>
+                `;
+            } else if (isSelf) {
+                controls += `
+                    <button class="project-member-remove px-2 py-1 text-xs text-red-600 hover:bg-red-50 rounded-lg transition-colors" data-member-id="${member.id}">Leave</button>
+                `;
+            }
+
+            return `
+                <div class="flex items-center justify-between gap-3 px-3 py-2 bg-lamp-input rounded-lg">
+                    <div class="min-w-0">
+                        <p class="text-sm text-lamp-text truncate">${this._escapeHtml(member.name || member.email)}${isSelf ? ' (you)' : ''}</p>
+                        ${member.name ? `<p class="text-xs text-lamp-muted truncate">${this._escapeHtml(member.email)}</p>` : ''}
+                    </div>
+                    <div class="flex items-center gap-2 flex-shrink-0">${controls}</div>
+                </div>
+            `;
+        }).join(''));
+    }
+
+    /**
+     * Load members and wire the invite form and member controls
+     * @private
+     */
+    async _loadMembers(project) {
+        if (project.visibility !== 'shared') return;
+
+        const members = await stateManager.getProjectMembers(project.id);
+        // The dashboard may have moved on to another project while loading
+        if (stateManager.currentProject?.id !== project.id) return;
+        this._members = members;
+        this._renderMembers(project, members);
+    }
+
+    /**
+     * Bind the members card controls
+     * @private
+     */
+    _bindMemberEvents(project) {
+        const errorEl = $('projectInviteError');
+        const showError = (message) => {
+            if (!errorEl) return;
+            errorEl.textContent = message;
+            errorEl.classList.toggle('hidden', !message);
+        };
+
+        $('projectInviteForm')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const emailInput = $('projectInviteEmail');
+            const email = emailInput?.value.trim();
+            if (!email) return;
+
+            showError('');
+            try {
+                const member = await stateManager.addProjectMember(project.id, email, $('projectInviteRole')?.value || 'viewer');
+                this._members = [...this._members.filter(m => m.id !== member.id), member];
+                this._renderMembers(project, this._members);
+                emailInput.value = '';
+            } catch (error) {
+                showError(error.message || 'Failed to invite member');
+            }
+        });
+
+        $('projectMembersList')?.addEventListener('change', async (e) => {
+            const select = e.target.closest('.project-member-role');
+            if (!select) return;
+            showError('');
+            try {
+                await stateManager.updateProjectMember(project.id, select.dataset.memberId, select.value);
+                this._members = this._members.map(m => m.id === select.dataset.memberId ? { ...m, role: select.value } : m);
+            } catch (error) {
+                showError(error.message || 'Failed to change role');
+                this._renderMembers(project, this._members);
+            }
+        });
+
+        $('projectMembersList')?.addEventListener('click', async (e) => {
+            const removeBtn = e.target.closest('.project-member-remove');
+            if (!removeBtn) return;
+
+            const isOwner = (project.role || 'owner') === 'owner';
+            const confirmed = await showConfirm(
+                isOwner
+                    ? 'This person will lose access to the project and its chats.'
+                    : `You will lose access to "${this._escapeHtml(project.name)}" and its chats.`,
+                {
+                    title: isOwner ? 'Remove Member' : 'Leave Project',
+                    confirmText: isOwner ? 'Remove' : 'Leave',
+                    cancelText: 'Cancel',
+                    danger: true,
+                }
+            );
+            if (!confirmed) return;
+
+            const memberId = removeBtn.dataset.memberId;
+            const success = await stateManager.removeProjectMember(project.id, memberId);
+            if (!success) {
+                showError('Failed to remove member');
+                return;
+            }
+            if (isOwner) {
+                this._members = this._members.filter(m => m.id !== memberId);
+                this._renderMembers(project, this._members);
+            }
+        });
+    }
+
     /**
      * Render file list
      * @private
      */
-    _renderFileList(files) {
+    _renderFileList(files, canEdit = true) {
         if (files.length === 0) {
             return `
                 <div class="text-center py-8 text-lamp-muted">
@@ -206,11 +419,13 @@ export class ProjectDashboard {
                             <span class="text-sm text-lamp-text truncate">${this._escapeHtml(file.name)}</span>
                             <span class="text-xs text-lamp-muted">${this._formatFileSize(file.size)}</span>
                         </div>
-                        <button class="project-file-remove opacity-0 group-hover:opacity-100 p-1 text-lamp-muted hover:text-red-500 transition-all" data-file-id="${file.id}">
-                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
-                            </svg>
-                        </button>
+                        ${canEdit ? `
+                            <button class="project-file-remove opacity-0 group-hover:opacity-100 p-1 text-lamp-muted hover:text-red-500 transition-all" data-file-id="${file.id}">
+                                <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+                                </svg>
+                            </button>
+                        ` : ''}
                     </div>
                 `).join('')}
             </div>
@@ -222,6 +437,8 @@ export class ProjectDashboard {
      * @private
      */
     _renderChatList(chats) {
+        const currentUserId = stateManager.state.user?.id;
+
         if (chats.length === 0) {
             return `
                 <div class="text-center py-8 text-lamp-muted">
@@ -242,11 +459,13 @@ export class ProjectDashboard {
                             <p class="font-medium text-lamp-text truncate pr-6">${this._escapeHtml(chat.title)}</p>
                             <p class="text-xs text-lamp-muted mt-1">${formatRelativeTime(chat.updatedAt)}</p>
                         </button>
-                        <button class="project-chat-delete absolute top-2 right-2 p-1.5 opacity-0 group-hover:opacity-100 text-lamp-muted hover:text-red-500 hover:bg-red-50 rounded-lg transition-all" data-chat-id="${chat.id}" title="Delete chat">
-                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"/>
-                            </svg>
-                        </button>
+                        ${!chat.userId || !currentUserId || chat.userId === currentUserId ? `
+                            <button class="project-chat-delete absolute top-2 right-2 p-1.5 opacity-0 group-hover:opacity-100 text-lamp-muted hover:text-red-500 hover:bg-red-50 rounded-lg transition-all" data-chat-id="${chat.id}" title="Delete chat">
+                                <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"/>
+                                </svg>
+                            </button>
+                        ` : ''}
                     </div>
                 `).join('')}
                 ${chats.length > 9 ? `
@@ -304,6 +523,15 @@ export class ProjectDashboard {
             this._debouncedSaveInstructions(project.id);
         });
 
+        // Defaults for new chats save as soon as a field is committed
+        $('projectDefaultModel')?.addEventListener('change', (e) => {
+            this._saveDefaults(project.id, { defaultModel: e.target.value });
+        });
+        $('projectDefaultParams')?.addEventListener('change', (e) => {
+            if (!checkSchemaField(e.currentTarget)) return;
+            this._saveDefaults(project.id, { defaultParams: readParamsFields(e.currentTarget) });
+        });
+
         // File upload
         $('projectFileInput')?.addEventListener('change', async (e) => {
             await this._handleFileUpload(project.id, e.target.files);
@@ -361,6 +589,21 @@ export class ProjectDashboard {
         }, 1000);
     }
 
+    /**
+     * Save the model or parameters given to new chats in this project
+     * @private
+     */
+    async _saveDefaults(projectId, updates) {
+        const statusEl = $('defaultsSaveStatus');
+        if (statusEl) statusEl.textContent = 'Saving...';
+        try {
+            await stateManager.updateProject(projectId, updates);
+        } catch (error) {
+            console.error('Failed to save project defaults:', error);
+            if (statusEl) statusEl.textContent = 'Failed to save';
+        }
+    }
+
     /**
      * Handle file upload
      * @private
@@ -368,11 +611,17 @@ export class ProjectDashboard {
     async _handleFileUpload(projectId, files) {
         for (const file of files) {
             try {
-                const base64 = await fileToBase64(file);
+                const base64 = await fileToBase64(file, { allowText: true });
+                // Text files are decoded where they are indexed; only PDF text is
+                // extracted here, capped so the upload stays within the body limit
+                const text = isPdfFile(file)
+                    ? (await extractPdfText(base64).catch(() => '')).slice(0, MAX_FILE_TEXT_LENGTH)
+                    : undefined;
                 await stateManager.addProjectFile(projectId, {
                     name: file.name,
                     type: file.type || 'text/plain',
                     data: base64,
+                    ...(text ? { text } : {}),
                     size: file.size,
                 });
             } catch (error) {
@@ -3,8 +3,13 @@
 
 import { stateManager } from '../services/state.js';
 import { authService } from '../services/auth.js';
-import { $, setHtml, showConfirm } from '../utils/dom.js';
-import { MODELS } from '../config/models.js';
+import { $, setHtml, showConfirm, escapeHtml } from '../utils/dom.js';
+import { DEFAULT_TITLE_MODEL, isImageGenerationModel, getModelById, getListedModels } from '../config/models.js';
+import { PROMPT_VARIABLES } from '../config/personas.js';
+import { DEFAULT_CONTEXT_STRATEGY } from '../utils/context.js';
+import { formatCost, formatTokens, groupUsage } from '../utils/usage.js';
+import { formatBudgetAmount } from '../utils/budget.js';
+import { MAX_FALLBACK_MODELS } from '../utils/fallbacks.js';
 import { APP_NAME } from '../config/constants.js';
 import { mixinComponentLifecycle } from './Component.js';
 
@@ -20,6 +25,12 @@ export class Settings {
         };
 
         this._activeTab = 'account';
+        // Persona open in the Personas tab editor ('new' for an unsaved one)
+        this._editingPersonaId = null;
+        // Period shown in the Usage tab
+        this._usageDays = 30;
+        // Model whose fallback chain is open in the Models tab
+        this._fallbackModel = null;
         this._unsubscribers = [];
 
         // Add lifecycle management for automatic cleanup
@@ -141,6 +152,8 @@ export class Settings {
                                 <button data-tab="account" class="settings-tab px-4 py-2 text-sm font-medium rounded-lg bg-lamp-card border border-lamp-border">Account</button>
                                 <button data-tab="customization" class="settings-tab px-4 py-2 text-sm font-medium rounded-lg text-lamp-muted hover:text-lamp-text hover:bg-lamp-card/50 transition-colors">Customization</button>
                                 <button data-tab="models" class="settings-tab px-4 py-2 text-sm font-medium rounded-lg text-lamp-muted hover:text-lamp-text hover:bg-lamp-card/50 transition-colors">Models</button>
+                                <button data-tab="personas" class="settings-tab px-4 py-2 text-sm font-medium rounded-lg text-lamp-muted hover:text-lamp-text hover:bg-lamp-card/50 transition-colors">Personas</button>
+                                <button data-tab="usage" class="settings-tab px-4 py-2 text-sm font-medium rounded-lg text-lamp-muted hover:text-lamp-text hover:bg-lamp-card/50 transition-colors">Usage</button>
                                 <button data-tab="api" class="settings-tab px-4 py-2 text-sm font-medium rounded-lg text-lamp-muted hover:text-lamp-text hover:bg-lamp-card/50 transition-colors">API Keys</button>
                                 <button data-tab="data" class="settings-tab px-4 py-2 text-sm font-medium rounded-lg text-lamp-muted hover:text-lamp-text hover:bg-lamp-card/50 transition-colors">Data</button>
                             </div>
@@ -218,14 +231,15 @@ export class Settings {
 
     /**
      * Open the settings page
+     * @param {string} [tab='account'] - Tab to show first
      */
-    open() {
+    open(tab = 'account') {
         // Update user info
         this._updateUserInfo();
         this._updateChatCount();
 
         this.elements.page?.classList.remove('hidden');
-        this._switchTab('account');
+        this._switchTab(tab);
         document.body.style.overflow = 'hidden';
     }
 
@@ -436,17 +450,26 @@ export class Settings {
                 break;
 
             case 'models':
-                const defaultModelOptions = MODELS.map(m =>
-                    `<option value="${m.id}" ${m.id === settings?.selectedModel ? 'selected' : ''}>${m.name} (${m.provider})</option>`
+                // Catalog models show up here once enabled from the model picker
+                const listedModels = getListedModels(settings?.enabledModels);
+                const defaultModelOptions = listedModels.map(m =>
+                    `<option value="${escapeHtml(m.id)}" ${m.id === settings?.selectedModel ? 'selected' : ''}>${escapeHtml(m.name)} (${escapeHtml(m.provider)})</option>`
                 ).join('');
 
-                const modelCheckboxes = MODELS.map(m => `
+                const titleModel = settings?.titleModel || DEFAULT_TITLE_MODEL;
+                const titleModelOptions = listedModels.filter(m => !isImageGenerationModel(m.id)).map(m =>
+                    `<option value="${escapeHtml(m.id)}" ${m.id === titleModel ? 'selected' : ''}>${escapeHtml(m.name)} (${escapeHtml(m.provider)})</option>`
+                ).join('');
+
+                const contextStrategy = settings?.contextStrategy || DEFAULT_CONTEXT_STRATEGY;
+
+                const modelCheckboxes = listedModels.map(m => `
                     <label class="flex items-center gap-3 p-3 rounded-lg hover:bg-lamp-input cursor-pointer border border-transparent hover:border-lamp-border transition-colors">
-                        <input type="checkbox" value="${m.id}" ${settings?.enabledModels?.includes(m.id) ? 'checked' : ''} 
+                        <input type="checkbox" value="${escapeHtml(m.id)}" ${settings?.enabledModels?.includes(m.id) ? 'checked' : ''} 
                             class="model-checkbox w-4 h-4 rounded border-lamp-border text-lamp-accent focus:ring-lamp-accent">
                         <div class="flex-1">
-                            <div class="text-sm font-medium">${m.name}</div>
-                            <div class="text-xs text-lamp-muted">${m.provider}</div>
+                            <div class="text-sm font-medium">${escapeHtml(m.name)}</div>
+                            <div class="text-xs text-lamp-muted">${escapeHtml(m.provider)}</div>
                         </div>
                         ${m.id === settings?.selectedModel ? '<span class="text-xs bg-amber-100 text-amber-700 px-2 py-0.5 rounded">Default</span>' : ''}
                     </label>
@@ -467,11 +490,38 @@ export class Settings {
                                 Save Default
                             </button>
                         </div>
+
+                        <div class="bg-lamp-card border border-lamp-border rounded-xl p-6 mb-6">
+                            <label class="block text-sm font-medium mb-2">Title Model</label>
+                            <select id="settingsTitleModel" class="w-full px-4 py-2.5 bg-lamp-input border border-lamp-border rounded-lg focus:outline-none focus:border-lamp-accent transition-colors">
+                                ${titleModelOptions}
+                            </select>
+                            <p class="text-xs text-lamp-muted mt-2">Names new chats after the first reply. A small, cheap model works best.</p>
+
+                            <button id="saveTitleModelBtn" class="mt-4 px-4 py-2 bg-lamp-accent text-white rounded-lg hover:bg-lamp-hover transition-colors">
+                                Save Title Model
+                            </button>
+                        </div>
+
+                        <div class="bg-lamp-card border border-lamp-border rounded-xl p-6 mb-6">
+                            <label class="block text-sm font-medium mb-2">Long Conversations</label>
+                            <select id="settingsContextStrategy" class="w-full px-4 py-2.5 bg-lamp-input border border-lamp-border rounded-lg focus:outline-none focus:border-lamp-accent transition-colors">
+                                <option value="truncate" ${contextStrategy === 'truncate' ? 'selected' : ''}>Drop the oldest messages</option>
+                                <option value="summarize" ${contextStrategy === 'summarize' ? 'selected' : ''}>Summarize older messages</option>
+                            </select>
+                            <p class="text-xs text-lamp-muted mt-2">What happens when a chat outgrows the model's context window. Summaries are written by the title model and kept with the chat.</p>
+
+                            <button id="saveContextStrategyBtn" class="mt-4 px-4 py-2 bg-lamp-accent text-white rounded-lg hover:bg-lamp-hover transition-colors">
+                                Save
+                            </button>
+                        </div>
+
+                        ${this._renderFallbacksCard(listedModels)}
                         
                         <div class="bg-lamp-card border border-lamp-border rounded-xl p-6">
                             <div class="flex items-center justify-between mb-4">
                                 <h3 class="font-medium">Available Models</h3>
-                                <span class="text-xs text-lamp-muted">${MODELS.length} models</span>
+                                <span class="text-xs text-lamp-muted">${listedModels.length} models</span>
                             </div>
                             <div id="modelCheckboxes" class="space-y-1 max-h-96 overflow-y-auto">
                                 ${modelCheckboxes}
@@ -484,6 +534,52 @@ export class Settings {
                 `;
                 break;
 
+            case 'personas':
+                html = this._renderPersonasTab();
+                break;
+
+            case 'usage':
+                const budget = settings?.budget;
+                // Caps are enforced by the chat proxy, which only signed-in users go through
+                const budgetCard = authService.isLoggedIn() ? `
+                    <div class="bg-lamp-card border border-lamp-border rounded-xl p-6 mb-6">
+                        <label class="block text-sm font-medium mb-2">Spending Cap</label>
+                        <div class="flex gap-2">
+                            <input type="number" id="budgetLimit" min="0" step="any" placeholder="No cap"
+                                value="${budget?.limit ?? ''}"
+                                class="flex-1 px-4 py-2.5 bg-lamp-input border border-lamp-border rounded-lg focus:outline-none focus:border-lamp-accent transition-colors">
+                            <select id="budgetUnit" class="px-3 py-2.5 bg-lamp-input border border-lamp-border rounded-lg focus:outline-none focus:border-lamp-accent transition-colors">
+                                <option value="usd" ${budget?.unit !== 'tokens' ? 'selected' : ''}>Dollars</option>
+                                <option value="tokens" ${budget?.unit === 'tokens' ? 'selected' : ''}>Tokens</option>
+                            </select>
+                            <select id="budgetPeriod" class="px-3 py-2.5 bg-lamp-input border border-lamp-border rounded-lg focus:outline-none focus:border-lamp-accent transition-colors">
+                                <option value="monthly" ${budget?.period !== 'daily' ? 'selected' : ''}>per month</option>
+                                <option value="daily" ${budget?.period === 'daily' ? 'selected' : ''}>per day</option>
+                            </select>
+                        </div>
+                        <p id="budgetUsed" class="text-xs text-lamp-muted mt-2"></p>
+                        <p class="text-xs text-lamp-muted mt-1">Messages are refused once the cap is reached. Periods reset at midnight UTC. Leave empty for no cap.</p>
+
+                        <button id="saveBudgetBtn" class="mt-4 px-4 py-2 bg-lamp-accent text-white rounded-lg hover:bg-lamp-hover transition-colors">
+                            Save Cap
+                        </button>
+                    </div>
+                ` : '';
+
+                html = `
+                    <section class="mb-8">
+                        <div class="flex items-center justify-between mb-6">
+                            <h2 class="text-xl font-semibold">Usage</h2>
+                            <select id="usagePeriod" class="px-3 py-2 text-sm bg-lamp-input border border-lamp-border rounded-lg focus:outline-none focus:border-lamp-accent transition-colors">
+                                ${[7, 30, 90].map(days => `<option value="${days}" ${days === this._usageDays ? 'selected' : ''}>Last ${days} days</option>`).join('')}
+                            </select>
+                        </div>
+                        ${budgetCard}
+                        <div id="usageContent" class="text-sm text-lamp-muted">Loading usage...</div>
+                    </section>
+                `;
+                break;
+
             case 'data':
                 html = `
                     <section class="mb-8">
@@ -552,10 +648,48 @@ export class Settings {
                 break;
             case 'models':
                 const saveDefaultModelBtn = $('saveDefaultModelBtn');
+                const saveTitleModelBtn = $('saveTitleModelBtn');
+                const saveContextStrategyBtn = $('saveContextStrategyBtn');
                 const saveModelsBtn = $('saveModelsBtn');
                 if (saveDefaultModelBtn) this.on(saveDefaultModelBtn, 'click', () => this._saveDefaultModel());
+                if (saveTitleModelBtn) this.on(saveTitleModelBtn, 'click', () => this._saveTitleModel());
+                if (saveContextStrategyBtn) this.on(saveContextStrategyBtn, 'click', () => this._saveContextStrategy());
+                const fallbackPrimary = $('fallbackPrimary');
+                const saveFallbacksBtn = $('saveFallbacksBtn');
+                if (fallbackPrimary) this.on(fallbackPrimary, 'change', () => {
+                    this._fallbackModel = fallbackPrimary.value;
+                    this._renderTabContent('models');
+                });
+                if (saveFallbacksBtn) this.on(saveFallbacksBtn, 'click', () => this._saveFallbacks());
                 if (saveModelsBtn) this.on(saveModelsBtn, 'click', () => this._saveEnabledModels());
                 break;
+            case 'usage':
+                const usagePeriod = $('usagePeriod');
+                if (usagePeriod) this.on(usagePeriod, 'change', () => {
+                    this._usageDays = Number(usagePeriod.value);
+                    this._loadUsage();
+                });
+                const saveBudgetBtn = $('saveBudgetBtn');
+                if (saveBudgetBtn) {
+                    this.on(saveBudgetBtn, 'click', () => this._saveBudget());
+                    this._updateBudgetUsed();
+                    stateManager.refreshBudgetStatus().then(() => this._updateBudgetUsed());
+                }
+                this._loadUsage();
+                break;
+            case 'personas':
+                const personaList = $('personaList');
+                const savePersonaBtn = $('savePersonaBtn');
+                const deletePersonaBtn = $('deletePersonaBtn');
+                if (personaList) this.on(personaList, 'click', (e) => {
+                    const btn = e.target.closest('[data-edit-persona]');
+                    if (!btn) return;
+                    this._editingPersonaId = btn.dataset.editPersona;
+                    this._renderTabContent('personas');
+                });
+                if (savePersonaBtn) this.on(savePersonaBtn, 'click', () => this._savePersona());
+                if (deletePersonaBtn) this.on(deletePersonaBtn, 'click', () => this._deletePersona());
+                break;
             case 'data':
                 const exportDataBtn = $('exportDataBtn');
                 const importDataBtn = $('importDataBtn');
@@ -620,6 +754,100 @@ export class Settings {
         this._showToast('Default model saved!');
     }
 
+    /**
+     * Save title model
+     * @private
+     */
+    async _saveTitleModel() {
+        const titleModel = $('settingsTitleModel')?.value;
+        await stateManager.updateSettings({ titleModel });
+        this._showToast('Title model saved!');
+    }
+
+    /**
+     * Save how history past the context window is handled
+     * @private
+     */
+    async _saveContextStrategy() {
+        const contextStrategy = $('settingsContextStrategy')?.value;
+        await stateManager.updateSettings({ contextStrategy });
+        this._showToast('Saved!');
+    }
+
+    /**
+     * Card for editing the fallback chain of one model at a time, with the
+     * chains already configured listed underneath
+     * @private
+     */
+    _renderFallbacksCard(listedModels) {
+        const chatModels = listedModels.filter(m => !isImageGenerationModel(m.id));
+        const fallbacks = stateManager.settings?.modelFallbacks || {};
+        const primary = this._fallbackModel || stateManager.settings?.selectedModel || chatModels[0]?.id;
+        const chain = fallbacks[primary] || [];
+        const nameOf = id => escapeHtml(getModelById(id)?.name || id);
+
+        const primaryOptions = chatModels.map(m =>
+            `<option value="${escapeHtml(m.id)}" ${m.id === primary ? 'selected' : ''}>${escapeHtml(m.name)} (${escapeHtml(m.provider)})</option>`
+        ).join('');
+
+        const chainSelects = Array.from({ length: MAX_FALLBACK_MODELS }, (_, i) => `
+            <select class="fallback-select w-full px-4 py-2.5 bg-lamp-input border border-lamp-border rounded-lg focus:outline-none focus:border-lamp-accent transition-colors">
+                <option value="">${i === 0 ? 'No fallback' : 'None'}</option>
+                ${chatModels.filter(m => m.id !== primary).map(m =>
+                    `<option value="${escapeHtml(m.id)}" ${m.id === chain[i] ? 'selected' : ''}>${i + 1}. ${escapeHtml(m.name)} (${escapeHtml(m.provider)})</option>`
+                ).join('')}
+            </select>
+        `).join('');
+
+        const configured = Object.entries(fallbacks).filter(([, ids]) => ids.length > 0).map(([id, ids]) =>
+            `<li>${nameOf(id)} → ${ids.map(nameOf).join(' → ')}</li>`
+        ).join('');
+
+        return `
+            <div class="bg-lamp-card border border-lamp-border rounded-xl p-6 mb-6">
+                <label class="block text-sm font-medium mb-2">Fallback Models</label>
+                <select id="fallbackPrimary" class="w-full px-4 py-2.5 bg-lamp-input border border-lamp-border rounded-lg focus:outline-none focus:border-lamp-accent transition-colors">
+                    ${primaryOptions}
+                </select>
+                <p class="text-xs text-lamp-muted mt-2 mb-2">When this model is rate limited or down, try these in order. Replies from a fallback are marked under the message.</p>
+                <div class="space-y-2">${chainSelects}</div>
+                ${configured ? `<ul class="text-xs text-lamp-muted mt-4 space-y-1">${configured}</ul>` : ''}
+
+                <button id="saveFallbacksBtn" class="mt-4 px-4 py-2 bg-lamp-accent text-white rounded-lg hover:bg-lamp-hover transition-colors">
+                    Save Fallbacks
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Save the fallback chain of the model open in the fallbacks card
+     * @private
+     */
+    async _saveFallbacks() {
+        const primary = $('fallbackPrimary')?.value;
+        if (!primary) return;
+
+        const chain = [...new Set(
+            Array.from(document.querySelectorAll('.fallback-select')).map(select => select.value).filter(Boolean)
+        )];
+        const modelFallbacks = { ...(stateManager.settings?.modelFallbacks || {}) };
+        if (chain.length > 0) {
+            modelFallbacks[primary] = chain;
+        } else {
+            delete modelFallbacks[primary];
+        }
+
+        this._fallbackModel = primary;
+        try {
+            await stateManager.updateSettings({ modelFallbacks });
+            this._showToast('Fallbacks saved!');
+        } catch (error) {
+            this._showToast('Failed to save fallbacks');
+        }
+        this._renderTabContent('models');
+    }
+
     /**
      * Save enabled models
      * @private
@@ -634,6 +862,267 @@ export class Settings {
         this._showToast('Model selection saved!');
     }
 
+    /**
+     * Save the spending cap; an empty limit removes it
+     * @private
+     */
+    async _saveBudget() {
+        const raw = $('budgetLimit')?.value.trim();
+        const limit = Number(raw);
+        if (raw && !(limit > 0)) {
+            this._showToast('Enter a cap above zero, or leave it empty');
+            return;
+        }
+
+        const budget = raw
+            ? { period: $('budgetPeriod').value, unit: $('budgetUnit').value, limit }
+            : null;
+        try {
+            await stateManager.updateSettings({ budget });
+            await stateManager.refreshBudgetStatus();
+            this._updateBudgetUsed();
+            this._showToast(budget ? 'Spending cap saved!' : 'Spending cap removed');
+        } catch (error) {
+            this._showToast('Failed to save spending cap');
+        }
+    }
+
+    /**
+     * Show how much of the current cap has been used
+     * @private
+     */
+    _updateBudgetUsed() {
+        const el = $('budgetUsed');
+        if (!el) return;
+
+        const status = stateManager.budgetStatus;
+        el.textContent = status?.budget
+            ? `Used so far: ${formatBudgetAmount(status.used, status.budget.unit)} of ${formatBudgetAmount(status.budget.limit, status.budget.unit)}`
+            : '';
+    }
+
+    /**
+     * Fetch usage for the selected period and render the breakdowns
+     * @private
+     */
+    async _loadUsage() {
+        const days = this._usageDays;
+        let records;
+        try {
+            records = await stateManager.getUsage(days);
+        } catch (error) {
+            console.error('Load usage error:', error);
+            setHtml($('usageContent'), 'Failed to load usage.');
+            return;
+        }
+        // Ignore a response for a period that is no longer selected
+        if (days !== this._usageDays || this._activeTab !== 'usage') return;
+
+        if (records.length === 0) {
+            setHtml($('usageContent'), 'No replies in this period.');
+            return;
+        }
+
+        const totals = records.reduce((sum, r) => ({
+            cost: sum.cost + r.cost,
+            messages: sum.messages + r.messages,
+            tokens: sum.tokens + r.promptTokens + r.completionTokens,
+        }), { cost: 0, messages: 0, tokens: 0 });
+        const byDay = groupUsage(records, 'day').sort((a, b) => b.key.localeCompare(a.key));
+        const byModel = groupUsage(records, 'model');
+        const byProject = groupUsage(records, 'projectId');
+        const projects = stateManager.state.projects;
+
+        setHtml($('usageContent'), `
+            <div class="grid grid-cols-3 gap-4 mb-6">
+                ${[
+                    ['Spend', formatCost(totals.cost)],
+                    ['Replies', totals.messages.toLocaleString()],
+                    ['Tokens', formatTokens(totals.tokens)],
+                ].map(([label, value]) => `
+                    <div class="bg-lamp-card border border-lamp-border rounded-xl p-4">
+                        <div class="text-xs text-lamp-muted">${label}</div>
+                        <div class="text-2xl font-semibold text-lamp-text mt-1">${value}</div>
+                    </div>
+                `).join('')}
+            </div>
+            ${this._renderUsageTable('By Model', byModel, key => escapeHtml(getModelById(key)?.name || key || 'Unknown'))}
+            ${this._renderUsageTable('By Project', byProject, key => key ? escapeHtml(projects[key]?.name || 'Deleted project') : 'No project')}
+            ${this._renderUsageTable('By Day', byDay, key => new Date(`${key}T00:00:00`).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' }))}
+            <p class="text-xs text-lamp-muted">Costs are what OpenRouter reported for each reply, or list prices when it reported none. Replies from before cost tracking only count tokens.</p>
+        `);
+    }
+
+    /**
+     * One usage breakdown card with a bar per row
+     * @private
+     */
+    _renderUsageTable(title, groups, labelFor) {
+        const maxCost = Math.max(...groups.map(g => g.cost)) || 1;
+        const rows = groups.map(group => `
+            <div class="flex items-center gap-3 py-2">
+                <div class="w-40 truncate text-lamp-text">${labelFor(group.key)}</div>
+                <div class="flex-1 h-2 bg-lamp-input rounded-full overflow-hidden">
+                    <div class="h-full bg-lamp-accent" style="width: ${(group.cost / maxCost) * 100}%"></div>
+                </div>
+                <div class="w-20 text-right text-lamp-text">${formatCost(group.cost)}</div>
+                <div class="w-24 text-right text-xs text-lamp-muted">${group.messages} ${group.messages === 1 ? 'reply' : 'replies'}</div>
+            </div>
+        `).join('');
+
+        return `
+            <div class="bg-lamp-card border border-lamp-border rounded-xl p-6 mb-6">
+                <h3 class="font-medium mb-2">${title}</h3>
+                <div class="text-sm max-h-80 overflow-y-auto">${rows}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Persona currently open in the editor
+     * @private
+     */
+    _getEditingPersona() {
+        if (this._editingPersonaId === 'new') {
+            return { id: null, name: '', prompt: '', defaultModel: null };
+        }
+        const personas = stateManager.personas;
+        return personas.find(p => p.id === this._editingPersonaId) || personas[0];
+    }
+
+    /**
+     * Render the persona list and editor
+     * @private
+     */
+    _renderPersonasTab() {
+        const editing = this._getEditingPersona();
+
+        const personaButtons = stateManager.personas.map(p => {
+            const active = p.id === editing.id;
+            return `
+                <button data-edit-persona="${escapeHtml(p.id)}" class="px-3 py-1.5 text-sm rounded-lg border transition-colors ${active ? 'bg-lamp-card border-lamp-accent text-lamp-text' : 'border-lamp-border text-lamp-muted hover:text-lamp-text'}">
+                    ${escapeHtml(p.name)}${p.isDefault ? ' <span class="text-xs text-lamp-muted">(default)</span>' : ''}
+                </button>
+            `;
+        }).join('');
+
+        const modelOptions = getListedModels(stateManager.settings?.enabledModels).filter(m => !isImageGenerationModel(m.id)).map(m =>
+            `<option value="${escapeHtml(m.id)}" ${m.id === editing.defaultModel ? 'selected' : ''}>${escapeHtml(m.name)} (${escapeHtml(m.provider)})</option>`
+        ).join('');
+
+        const variables = PROMPT_VARIABLES.map(v =>
+            `<li><code class="text-lamp-text">{{${v.name}}}</code> — ${v.description}</li>`
+        ).join('');
+
+        // The default can only be reset to the built-in prompt, and only once it has been edited
+        let secondaryAction = '';
+        if (editing.id && !editing.isDefault) {
+            secondaryAction = `<button id="deletePersonaBtn" class="px-4 py-2 border border-red-200 text-red-600 rounded-lg hover:bg-red-50 transition-colors">Delete Persona</button>`;
+        } else if (editing.isDefault && !editing.builtIn) {
+            secondaryAction = `<button id="deletePersonaBtn" class="px-4 py-2 border border-lamp-border rounded-lg hover:bg-lamp-input transition-colors">Restore Built-in Prompt</button>`;
+        }
+
+        return `
+            <section class="mb-8">
+                <h2 class="text-xl font-semibold mb-2">Personas</h2>
+                <p class="text-sm text-lamp-muted mb-6">Named system prompts. Pick one for a chat from the persona button next to the model picker; chats that never pick one use the default.</p>
+
+                <div id="personaList" class="flex flex-wrap gap-2 mb-6">
+                    ${personaButtons}
+                    <button data-edit-persona="new" class="px-3 py-1.5 text-sm rounded-lg border border-dashed transition-colors ${editing.id ? 'border-lamp-border text-lamp-muted hover:text-lamp-text' : 'border-lamp-accent text-lamp-text'}">+ New Persona</button>
+                </div>
+
+                <div class="bg-lamp-card border border-lamp-border rounded-xl p-6">
+                    <label class="block text-sm font-medium mb-2">Name</label>
+                    <input type="text" id="personaNameInput" placeholder="e.g. Code Reviewer" maxlength="200"
+                        value="${escapeHtml(editing.name)}"
+                        class="w-full px-4 py-2.5 bg-lamp-input border border-lamp-border rounded-lg focus:outline-none focus:border-lamp-accent transition-colors">
+
+                    <label class="block text-sm font-medium mt-4 mb-2">Default Model</label>
+                    <select id="personaModelInput" class="w-full px-4 py-2.5 bg-lamp-input border border-lamp-border rounded-lg focus:outline-none focus:border-lamp-accent transition-colors">
+                        <option value="">Keep the chat's model</option>
+                        ${modelOptions}
+                    </select>
+                    <p class="text-xs text-lamp-muted mt-2">Picking this persona switches the chat to this model</p>
+
+                    <label class="block text-sm font-medium mt-4 mb-2">System Prompt</label>
+                    <textarea id="personaPromptInput" rows="14"
+                        class="w-full px-4 py-3 bg-lamp-input border border-lamp-border rounded-lg focus:outline-none focus:border-lamp-accent transition-colors font-mono text-sm">${escapeHtml(editing.prompt)}</textarea>
+                    <div class="text-xs text-lamp-muted mt-2">
+                        <p class="mb-1">Variables filled in when a message is sent:</p>
+                        <ul class="space-y-0.5">${variables}</ul>
+                    </div>
+
+                    <div class="flex items-center gap-2 mt-4">
+                        <button id="savePersonaBtn" class="px-4 py-2 bg-lamp-accent text-white rounded-lg hover:bg-lamp-hover transition-colors">
+                            Save Persona
+                        </button>
+                        ${secondaryAction}
+                    </div>
+                </div>
+            </section>
+        `;
+    }
+
+    /**
+     * Save the persona open in the editor
+     * @private
+     */
+    async _savePersona() {
+        const editing = this._getEditingPersona();
+        const name = $('personaNameInput')?.value.trim() || '';
+        if (!name) {
+            this._showToast('Give the persona a name');
+            return;
+        }
+
+        try {
+            const persona = await stateManager.savePersona({
+                id: editing.id || undefined,
+                name,
+                prompt: $('personaPromptInput')?.value || '',
+                defaultModel: $('personaModelInput')?.value || '',
+            });
+            this._editingPersonaId = persona.id;
+            this._renderTabContent('personas');
+            this._showToast('Persona saved!');
+        } catch (error) {
+            console.error('Save persona error:', error);
+            this._showToast('Failed to save persona');
+        }
+    }
+
+    /**
+     * Delete the persona open in the editor, or restore the built-in default
+     * @private
+     */
+    async _deletePersona() {
+        const editing = this._getEditingPersona();
+        if (!editing.id) return;
+
+        const confirmed = await showConfirm(
+            editing.isDefault
+                ? 'Replace your edited default with the built-in LampChat prompt?'
+                : `Delete "${escapeHtml(editing.name)}"? Chats using it will switch to the default persona.`,
+            {
+                title: editing.isDefault ? 'Restore Built-in Prompt' : 'Delete Persona',
+                confirmText: editing.isDefault ? 'Restore' : 'Delete',
+                cancelText: 'Cancel',
+                danger: !editing.isDefault,
+            }
+        );
+        if (!confirmed) return;
+
+        const success = await stateManager.deletePersona(editing.id);
+        if (success) {
+            this._editingPersonaId = null;
+            this._renderTabContent('personas');
+            this._showToast(editing.isDefault ? 'Built-in prompt restored' : 'Persona deleted');
+        } else {
+            this._showToast('Failed to delete persona');
+        }
+    }
+
     /**
      * Export data
      * @private
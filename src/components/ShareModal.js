@@ -0,0 +1,283 @@
+// Share Modal Component
+// =====================
+// Create, copy and revoke public read-only links for a chat
+
+import { escapeHtml, setHtml } from '../utils/dom.js';
+import { stateManager } from '../services/state.js';
+import { mixinComponentLifecycle } from './Component.js';
+
+/**
+ * Build the public URL for a share token
+ * @param {string} token
+ * @returns {string}
+ */
+export function getShareUrl(token) {
+    return `${window.location.origin}/share/${token}`;
+}
+
+/**
+ * Share modal component - manages the share links of one chat
+ */
+export class ShareModal {
+    constructor() {
+        mixinComponentLifecycle(this);
+
+        this.elements = {
+            modal: null,
+            subtitle: null,
+            linkList: null,
+            createBtn: null,
+            errorMessage: null,
+        };
+
+        this._chatId = null;
+        this._shares = [];
+        this._isLoading = false;
+    }
+
+    /**
+     * Initialize the share modal
+     * @param {string} containerId - Container element ID
+     */
+    init(containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) {
+            console.error('Share modal container not found:', containerId);
+            return;
+        }
+
+        container.innerHTML = this._render();
+        this._cacheElements();
+        this._bindEvents();
+    }
+
+    /**
+     * Render modal HTML
+     * @private
+     */
+    _render() {
+        return `
+            <div id="shareModal" class="fixed inset-0 z-[100] items-center justify-center" style="display: none;">
+                <!-- Backdrop -->
+                <div id="shareBackdrop" class="absolute inset-0 bg-black/60 backdrop-blur-sm"></div>
+
+                <!-- Modal Content -->
+                <div class="relative bg-lamp-card rounded-2xl shadow-2xl w-full max-w-lg mx-4 overflow-hidden animate-scale-in">
+                    <!-- Header -->
+                    <div class="relative px-8 pt-8 pb-6 border-b border-lamp-border bg-gradient-to-b from-lamp-sidebar to-lamp-card">
+                        <button id="shareCloseBtn" class="absolute top-4 right-4 p-2 text-lamp-muted hover:text-lamp-text rounded-lg hover:bg-lamp-input transition-colors">
+                            <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+                            </svg>
+                        </button>
+
+                        <h2 class="text-2xl font-bold text-lamp-text">Share Chat</h2>
+                        <p id="shareSubtitle" class="text-sm text-lamp-muted mt-1 truncate"></p>
+                    </div>
+
+                    <div class="p-8 space-y-5">
+                        <p class="text-sm text-lamp-muted">
+                            Anyone with a link can read this conversation as it is right now.
+                            Messages you send afterwards are not included. Revoke a link to stop sharing.
+                        </p>
+
+                        <!-- Error Message -->
+                        <div id="shareError" class="hidden p-3 bg-red-50 border border-red-200 rounded-xl text-sm text-red-600"></div>
+
+                        <!-- Existing links -->
+                        <div id="shareLinkList" class="space-y-2"></div>
+
+                        <button
+                            id="shareCreateBtn"
+                            class="w-full py-3.5 bg-lamp-accent text-white font-semibold rounded-xl hover:bg-lamp-hover transition-all shadow-lg shadow-lamp-accent/20 flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            Create Link
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Cache DOM elements
+     * @private
+     */
+    _cacheElements() {
+        this.elements.modal = document.getElementById('shareModal');
+        this.elements.subtitle = document.getElementById('shareSubtitle');
+        this.elements.linkList = document.getElementById('shareLinkList');
+        this.elements.createBtn = document.getElementById('shareCreateBtn');
+        this.elements.errorMessage = document.getElementById('shareError');
+    }
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+        document.getElementById('shareCloseBtn')?.addEventListener('click', () => this.hide());
+        document.getElementById('shareBackdrop')?.addEventListener('click', () => this.hide());
+
+        this.elements.createBtn?.addEventListener('click', () => this._createLink());
+
+        this.elements.linkList?.addEventListener('click', (e) => {
+            const copyBtn = e.target.closest('[data-copy-share]');
+            const revokeBtn = e.target.closest('[data-revoke-share]');
+            if (copyBtn) {
+                this._copyLink(copyBtn);
+            } else if (revokeBtn) {
+                this._revokeLink(revokeBtn.dataset.revokeShare);
+            }
+        });
+
+        this.on(document, 'keydown', (e) => {
+            if (e.key === 'Escape' && this.elements.modal?.style.display !== 'none') {
+                this.hide();
+            }
+        });
+    }
+
+    /**
+     * Show the modal for a chat and load its existing links
+     * @param {Object} chat - Chat to share
+     */
+    async show(chat) {
+        if (!chat) return;
+
+        this._chatId = chat.id;
+        this._shares = [];
+        this._hideError();
+        if (this.elements.subtitle) this.elements.subtitle.textContent = chat.title || 'New Chat';
+        this._renderLinks();
+
+        if (this.elements.modal) {
+            this.elements.modal.style.display = 'flex';
+        }
+
+        try {
+            const shares = await stateManager.getShares(chat.id);
+            // Ignore results for a chat the modal is no longer showing
+            if (this._chatId !== chat.id) return;
+            this._shares = shares;
+            this._renderLinks();
+        } catch (error) {
+            console.error('Failed to load share links:', error);
+        }
+    }
+
+    /**
+     * Hide the modal
+     */
+    hide() {
+        if (this.elements.modal) {
+            this.elements.modal.style.display = 'none';
+        }
+        this._chatId = null;
+        this._shares = [];
+    }
+
+    /**
+     * Render the list of existing links
+     * @private
+     */
+    _renderLinks() {
+        if (!this.elements.linkList) return;
+
+        setHtml(this.elements.linkList, this._shares.map(share => {
+            const url = escapeHtml(getShareUrl(share.token));
+            return `
+                <div class="flex items-center gap-2">
+                    <input type="text" readonly value="${url}"
+                        class="flex-1 min-w-0 px-3 py-2 bg-lamp-input border border-lamp-border rounded-xl text-sm text-lamp-text focus:outline-none">
+                    <button data-copy-share="${url}" class="px-3 py-2 text-sm text-lamp-text border border-lamp-border rounded-xl hover:bg-lamp-input transition-colors">Copy</button>
+                    <button data-revoke-share="${share.id}" class="px-3 py-2 text-sm text-red-600 border border-lamp-border rounded-xl hover:bg-red-50 transition-colors">Revoke</button>
+                </div>
+            `;
+        }).join(''));
+    }
+
+    /**
+     * Create a new link for the current chat
+     * @private
+     */
+    async _createLink() {
+        if (this._isLoading || !this._chatId) return;
+
+        const chatId = this._chatId;
+        this._setLoading(true);
+        this._hideError();
+
+        try {
+            const share = await stateManager.createShare(chatId);
+            if (this._chatId !== chatId) return;
+            this._shares = [share, ...this._shares];
+            this._renderLinks();
+            navigator.clipboard?.writeText(getShareUrl(share.token)).catch(() => {});
+        } catch (error) {
+            console.error('Failed to create share link:', error);
+            this._showError(error.message || 'Failed to create share link.');
+        } finally {
+            this._setLoading(false);
+        }
+    }
+
+    /**
+     * Copy a link and briefly confirm on the button
+     * @private
+     */
+    async _copyLink(button) {
+        try {
+            await navigator.clipboard.writeText(button.dataset.copyShare);
+            button.textContent = 'Copied';
+            setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+        } catch (error) {
+            console.error('Copy failed:', error);
+        }
+    }
+
+    /**
+     * Revoke a link
+     * @private
+     */
+    async _revokeLink(shareId) {
+        const success = await stateManager.revokeShare(shareId);
+        if (!success) {
+            this._showError('Failed to revoke link. Please try again.');
+            return;
+        }
+        this._shares = this._shares.filter(share => share.id !== shareId);
+        this._renderLinks();
+    }
+
+    /**
+     * Show error message
+     * @private
+     */
+    _showError(message) {
+        if (this.elements.errorMessage) {
+            this.elements.errorMessage.textContent = message;
+            this.elements.errorMessage.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Hide error message
+     * @private
+     */
+    _hideError() {
+        this.elements.errorMessage?.classList.add('hidden');
+    }
+
+    /**
+     * Set loading state
+     * @private
+     */
+    _setLoading(loading) {
+        this._isLoading = loading;
+        if (this.elements.createBtn) {
+            this.elements.createBtn.disabled = loading;
+            this.elements.createBtn.textContent = loading ? 'Please wait...' : 'Create Link';
+        }
+    }
+}
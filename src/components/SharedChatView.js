@@ -0,0 +1,123 @@
+// Shared Chat View Component
+// ==========================
+// Read-only page for chats opened through a public /share/<token> link
+
+import { escapeHtml, setHtml } from '../utils/dom.js';
+import { processMessageContent } from '../utils/markdown.js';
+import { getModelById } from '../config/models.js';
+import { MessageRenderer } from './chat/MessageRenderer.js';
+
+/**
+ * Extract the share token from a /share/<token> path
+ * @param {string} pathname
+ * @returns {string|null}
+ */
+export function getShareTokenFromPath(pathname) {
+    const match = pathname.match(/^\/share\/([A-Za-z0-9_-]+)\/?$/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Shared chat view - fetches a snapshot without authentication and renders it
+ */
+export class SharedChatView {
+    constructor() {
+        this.container = null;
+        this._messageRenderer = new MessageRenderer();
+    }
+
+    /**
+     * Render the shared chat into a container
+     * @param {string} containerId - Container element ID
+     * @param {string} token - Share token
+     */
+    async init(containerId, token) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            console.error('Shared chat container not found:', containerId);
+            return;
+        }
+
+        this._renderStatus('Loading shared chat...');
+
+        try {
+            const response = await fetch(`/api/share?token=${encodeURIComponent(token)}`);
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                this._renderStatus(response.status === 404
+                    ? 'This share link does not exist or has been revoked.'
+                    : (data.error || 'Failed to load shared chat.'));
+                return;
+            }
+            this._renderChat(data);
+        } catch (error) {
+            console.error('Failed to load shared chat:', error);
+            this._renderStatus('Failed to load shared chat.');
+        }
+    }
+
+    /**
+     * Render a centered status or error message
+     * @private
+     */
+    _renderStatus(message) {
+        this.container.innerHTML = `
+            <main class="flex-1 flex items-center justify-center bg-lamp-card">
+                <p class="text-sm text-lamp-muted">${escapeHtml(message)}</p>
+            </main>
+        `;
+    }
+
+    /**
+     * Render the shared conversation
+     * @private
+     */
+    _renderChat(chat) {
+        document.title = `${chat.title || 'Shared Chat'} - LampChat`;
+
+        this.container.innerHTML = `
+            <main class="flex-1 flex flex-col min-w-0 bg-lamp-card overflow-hidden">
+                <header class="flex items-center justify-between gap-4 px-6 py-4 border-b border-lamp-border">
+                    <div class="min-w-0">
+                        <h1 class="text-lg font-semibold text-lamp-text truncate">${escapeHtml(chat.title || 'Shared Chat')}</h1>
+                        <p class="text-xs text-lamp-muted">Shared read-only snapshot${chat.sharedAt ? ` · ${new Date(chat.sharedAt).toLocaleDateString()}` : ''}</p>
+                    </div>
+                    <a href="/" class="shrink-0 px-4 py-2 text-sm font-medium text-white bg-lamp-accent rounded-xl hover:bg-lamp-hover transition-colors">Open LampChat</a>
+                </header>
+                <div class="flex-1 overflow-y-auto">
+                    <div id="sharedMessages" class="max-w-4xl mx-auto p-4 space-y-6"></div>
+                </div>
+            </main>
+        `;
+
+        const messagesEl = document.getElementById('sharedMessages');
+        setHtml(messagesEl, (chat.messages || []).map(msg => this._renderMessage(msg)).join(''));
+        processMessageContent(messagesEl);
+    }
+
+    /**
+     * Render one message without any of the interactive chat actions
+     * @private
+     */
+    _renderMessage(msg) {
+        if (msg.role === 'user') {
+            return `
+                <div class="flex flex-col items-end">
+                    <div class="user-bubble bg-lamp-accent text-white rounded-2xl px-4 py-2.5 max-w-[80%]">
+                        ${this._messageRenderer.renderUserMessageContent(msg)}
+                    </div>
+                </div>
+            `;
+        }
+
+        const modelName = msg.model ? (getModelById(msg.model)?.name || msg.model) : '';
+        return `
+            <div class="flex flex-col">
+                <div class="max-w-[80%]">
+                    ${this._messageRenderer.renderAssistantMessageContent(msg, { readOnly: true })}
+                </div>
+                ${modelName ? `<div class="mt-2 text-xs text-lamp-muted">${escapeHtml(modelName)}</div>` : ''}
+            </div>
+        `;
+    }
+}
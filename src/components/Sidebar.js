@@ -11,6 +11,8 @@ import { mixinComponentLifecycle } from './Component.js';
 const THREAD_BUTTON_BASE = 'w-full text-left px-3 py-2 rounded-lg text-sm truncate transition-colors';
 const THREAD_BUTTON_ACTIVE = 'bg-lamp-card text-lamp-text';
 const THREAD_BUTTON_INACTIVE = 'text-lamp-muted hover:text-lamp-text hover:bg-lamp-card/50';
+const THREAD_MENU_ITEM = 'w-full flex items-center gap-2 px-3 py-1.5 text-left hover:bg-lamp-input transition-colors';
+const PINNED_GROUP = 'Pinned';
 
 /**
  * Sidebar component - handles chat list and navigation
@@ -254,12 +256,21 @@ export class Sidebar {
         if (this.elements.threadList) {
             this.on(this.elements.threadList, 'click', (e) => {
                 const threadBtn = e.target.closest('[data-chat-id]');
-                const deleteBtn = e.target.closest('[data-delete-id]');
+                const menuBtn = e.target.closest('[data-thread-menu]');
+                const menuAction = e.target.closest('[data-menu-action]');
+                const archiveToggle = e.target.closest('[data-archived-view]');
 
-                if (deleteBtn) {
+                if (menuAction) {
                     e.stopPropagation();
-                    this._onDeleteChat(deleteBtn.dataset.deleteId);
-                } else if (threadBtn) {
+                    const chatId = menuAction.closest('[data-thread-id]')?.dataset.threadId;
+                    this._closeThreadMenu();
+                    if (chatId) this._handleThreadMenuAction(menuAction.dataset.menuAction, chatId);
+                } else if (menuBtn) {
+                    e.stopPropagation();
+                    this._toggleThreadMenu(menuBtn.dataset.threadMenu);
+                } else if (archiveToggle) {
+                    stateManager.setArchivedView(archiveToggle.dataset.archivedView === 'true');
+                } else if (threadBtn && !e.target.closest('.thread-rename-input')) {
                     this._onSelectChat(threadBtn.dataset.chatId);
                 }
             });
@@ -276,6 +287,13 @@ export class Sidebar {
             });
         }
 
+        // Close the thread menu when clicking anywhere else
+        this.on(document, 'click', (e) => {
+            if (!e.target.closest('.thread-menu')) {
+                this._closeThreadMenu();
+            }
+        });
+
         // Subscribe to auth changes
         this._unsubscribers.push(authService.subscribe(() => {
             this._updateAuthUI();
@@ -297,6 +315,7 @@ export class Sidebar {
                 }
             }),
             stateManager.subscribe('chatsLoaded', () => this.renderThreads()),
+            stateManager.subscribe('archivedViewChanged', () => this.renderThreads()),
             stateManager.subscribe('chatsReloaded', () => {
                 this._clearSearch();
                 this.renderThreads();
@@ -413,7 +432,10 @@ export class Sidebar {
         const isSearching = this._searchResults !== null;
         // Use search results if we're in search mode, otherwise use cached chats
         const chats = isSearching ? this._searchResults : stateManager.allChats;
-        const groups = groupByDate(chats);
+        const showArchived = stateManager.showArchived;
+        // Pinned chats get their own group; the archive is a flat date-grouped list
+        const pinnedChats = showArchived ? [] : chats.filter(chat => chat.pinned);
+        const groups = groupByDate(showArchived ? chats : chats.filter(chat => !chat.pinned));
         const currentChatId = stateManager.currentChat?.id;
         const hasMore = !isSearching && stateManager.hasMoreChats;
         const isLoading = !isSearching && stateManager.isLoadingChats;
@@ -438,9 +460,9 @@ export class Sidebar {
                             ${escapeHtml(chat.title)}
                         </button>
                         <div class="thread-actions absolute right-1 top-1/2 -translate-y-1/2 flex gap-0.5">
-                            <button data-delete-id="${chat.id}" class="p-1.5 hover:bg-lamp-input rounded-lg transition-colors" title="Delete">
-                                <svg class="w-3.5 h-3.5 text-lamp-muted" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"/>
+                            <button data-thread-menu="${chat.id}" class="p-1.5 hover:bg-lamp-input rounded-lg transition-colors" title="More">
+                                <svg class="w-3.5 h-3.5 text-lamp-muted" fill="currentColor" viewBox="0 0 24 24">
+                                    <circle cx="5" cy="12" r="2"/><circle cx="12" cy="12" r="2"/><circle cx="19" cy="12" r="2"/>
                                 </svg>
                             </button>
                         </div>
@@ -455,6 +477,7 @@ export class Sidebar {
             return groupHtml;
         };
 
+        html += renderGroup(PINNED_GROUP, pinnedChats);
         html += renderGroup(DATE_GROUPS.TODAY, groups[DATE_GROUPS.TODAY]);
         html += renderGroup(DATE_GROUPS.YESTERDAY, groups[DATE_GROUPS.YESTERDAY]);
         html += renderGroup(DATE_GROUPS.LAST_WEEK, groups[DATE_GROUPS.LAST_WEEK]);
@@ -484,6 +507,30 @@ export class Sidebar {
             `;
         }
 
+        if (!html && !isSearching) {
+            html = `<div class="px-3 py-8 text-center text-sm text-lamp-muted">${showArchived ? 'No archived chats' : 'No chats yet'}</div>`;
+        }
+
+        if (showArchived && !isSearching) {
+            html = `
+                <div class="flex items-center justify-between px-3 py-2 text-xs text-lamp-muted border-b border-lamp-border mb-2">
+                    <span class="font-medium">Archived chats</span>
+                    <button data-archived-view="false" class="text-lamp-accent hover:underline">Back to chats</button>
+                </div>
+            ` + html;
+        } else if (!isSearching) {
+            html += `
+                <div class="px-3 py-2">
+                    <button data-archived-view="true" class="flex items-center gap-2 text-xs text-lamp-muted hover:text-lamp-text transition-colors">
+                        <svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4"/>
+                        </svg>
+                        Archived chats
+                    </button>
+                </div>
+            `;
+        }
+
         // Show search indicator if in search mode
         if (isSearching) {
             const searchCount = this._searchResults.length;
@@ -495,7 +542,7 @@ export class Sidebar {
             ` + html;
         }
 
-        setHtml(this.elements.threadList, html || '<div class="px-3 py-8 text-center text-sm text-lamp-muted">No chats yet</div>');
+        setHtml(this.elements.threadList, html);
 
         // Re-cache and bind load more button
         this._bindLoadMoreButton();
@@ -538,7 +585,11 @@ export class Sidebar {
             return false;
         }
 
-        const targetGroup = getDateGroup(chat.updatedAt);
+        if (!!chat.archived !== stateManager.showArchived) {
+            return false;
+        }
+
+        const targetGroup = chat.pinned && !stateManager.showArchived ? PINNED_GROUP : getDateGroup(chat.updatedAt);
         if (threadNode.dataset.threadGroup !== targetGroup) {
             return false;
         }
@@ -744,6 +795,134 @@ export class Sidebar {
         if (this.onDeleteChat) this.onDeleteChat(chatId);
     }
 
+    /**
+     * Find a listed chat by ID (search results take precedence)
+     * @private
+     */
+    _findListedChat(chatId) {
+        return this._searchResults?.find(chat => chat.id === chatId) || stateManager.state.chats[chatId] || null;
+    }
+
+    /**
+     * Open or close the actions menu for a thread
+     * @private
+     */
+    _toggleThreadMenu(chatId) {
+        const alreadyOpen = this.elements.threadList?.querySelector(`[data-thread-id="${chatId}"] .thread-menu`);
+        this._closeThreadMenu();
+        if (alreadyOpen) return;
+
+        const threadNode = this.elements.threadList?.querySelector(`[data-thread-id="${chatId}"]`);
+        const chat = this._findListedChat(chatId);
+        if (!threadNode || !chat) return;
+
+        threadNode.classList.add('menu-open');
+        threadNode.insertAdjacentHTML('beforeend', `
+            <div class="thread-menu absolute right-1 top-full mt-1 z-20 w-44 py-1 bg-lamp-card border border-lamp-border rounded-lg shadow-lg text-sm text-lamp-text">
+                <button data-menu-action="rename" class="${THREAD_MENU_ITEM}">Rename</button>
+                <button data-menu-action="pin" class="${THREAD_MENU_ITEM}">${chat.pinned ? 'Unpin' : 'Pin to top'}</button>
+                <button data-menu-action="archive" class="${THREAD_MENU_ITEM}">${chat.archived ? 'Unarchive' : 'Archive'}</button>
+                <button data-menu-action="retitle" class="${THREAD_MENU_ITEM}">Regenerate title</button>
+                <button data-menu-action="share" class="${THREAD_MENU_ITEM}">Share link</button>
+                <button data-menu-action="delete" class="${THREAD_MENU_ITEM} text-red-600">Delete</button>
+            </div>
+        `);
+    }
+
+    /**
+     * Close any open thread menu
+     * @private
+     */
+    _closeThreadMenu() {
+        const menu = this.elements.threadList?.querySelector('.thread-menu');
+        if (!menu) return;
+        menu.closest('.thread-item')?.classList.remove('menu-open');
+        menu.remove();
+    }
+
+    /**
+     * Run an action picked from a thread menu
+     * @private
+     */
+    _handleThreadMenuAction(action, chatId) {
+        const chat = this._findListedChat(chatId);
+        switch (action) {
+            case 'rename':
+                this._startRenamingThread(chatId);
+                break;
+            case 'pin':
+                if (this.onPinChat) this.onPinChat(chatId, !chat?.pinned);
+                break;
+            case 'archive':
+                if (this.onArchiveChat) this.onArchiveChat(chatId, !chat?.archived);
+                break;
+            case 'retitle':
+                this._onRegenerateTitle(chatId);
+                break;
+            case 'share':
+                if (this.onShareChat && chat) this.onShareChat(chat);
+                break;
+            case 'delete':
+                this._onDeleteChat(chatId);
+                break;
+        }
+    }
+
+    /**
+     * Swap a thread's title for an input to rename it in place
+     * Enter or blur saves, Escape cancels
+     * @private
+     */
+    _startRenamingThread(chatId) {
+        const threadNode = this.elements.threadList?.querySelector(`[data-thread-id="${chatId}"]`);
+        const button = threadNode?.querySelector('[data-thread-button]');
+        if (!button || threadNode.querySelector('.thread-rename-input')) return;
+
+        const currentTitle = this._findListedChat(chatId)?.title || button.textContent.trim();
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = currentTitle;
+        input.maxLength = 255;
+        input.className = 'thread-rename-input w-full px-3 py-2 rounded-lg text-sm bg-lamp-input border border-lamp-border text-lamp-text focus:outline-none focus:border-lamp-accent';
+
+        button.classList.add('hidden');
+        threadNode.classList.add('menu-open');
+        button.insertAdjacentElement('beforebegin', input);
+        input.focus();
+        input.select();
+
+        let finished = false;
+        const finish = (save) => {
+            if (finished) return;
+            finished = true;
+            const title = input.value.trim();
+            input.remove();
+            button.classList.remove('hidden');
+            threadNode.classList.remove('menu-open');
+            if (save && title && title !== currentTitle && this.onRenameChat) {
+                this.onRenameChat(chatId, title);
+            }
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    /**
+     * Ask the app to generate a fresh title for the chat from its first exchange
+     * @private
+     */
+    _onRegenerateTitle(chatId) {
+        if (this.onRegenerateTitle) this.onRegenerateTitle(chatId);
+    }
+
     _onSearch(query) {
         if (this.onSearch) this.onSearch(query);
     }
@@ -772,6 +951,11 @@ export class Sidebar {
         this.onNewChat = handlers.onNewChat;
         this.onSelectChat = handlers.onSelectChat;
         this.onDeleteChat = handlers.onDeleteChat;
+        this.onRegenerateTitle = handlers.onRegenerateTitle;
+        this.onRenameChat = handlers.onRenameChat;
+        this.onPinChat = handlers.onPinChat;
+        this.onArchiveChat = handlers.onArchiveChat;
+        this.onShareChat = handlers.onShareChat;
         this.onSearch = handlers.onSearch;
         this.onSettingsClick = handlers.onSettingsClick;
         this.onAuthClick = handlers.onAuthClick;
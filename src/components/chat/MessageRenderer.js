@@ -4,7 +4,10 @@
 
 import DOMPurify from 'dompurify';
 import { renderMarkdown } from '../../utils/markdown.js';
+import { escapeHtml } from '../../utils/dom.js';
 import { getModelById } from '../../config/models.js';
+import { formatCost } from '../../utils/usage.js';
+import { parseJsonReply, childPath } from '../../utils/jsonSchema.js';
 
 /**
  * Sanitize text content for safe HTML insertion
@@ -18,10 +21,56 @@ function sanitizeText(text) {
     return DOMPurify.sanitize(text, { ALLOWED_TAGS: [], ALLOWED_ATTR: [] });
 }
 
+/**
+ * Escape text for a double- or single-quoted HTML attribute.
+ * sanitizeText leaves quotes alone, so it is not enough inside attributes.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeAttribute(value) {
+    return escapeHtml(String(value ?? '')).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Render one node of a JSON value as a collapsible tree. Nodes whose path
+ * has a validation error are highlighted; paths match jsonSchema.js.
+ * @param {*} value
+ * @param {string} path
+ * @param {Set<string>} errorPaths
+ * @param {string} [label] - Property name or index shown before the value
+ * @returns {string}
+ */
+function renderJsonNode(value, path, errorPaths, label) {
+    const hasError = errorPaths.has(path);
+    const highlight = hasError ? ' bg-red-500/10 rounded ring-1 ring-red-500/40' : '';
+    const key = label === undefined ? '' : `<span class="text-lamp-muted">${sanitizeText(label)}:</span> `;
+
+    if (value !== null && typeof value === 'object') {
+        const isArray = Array.isArray(value);
+        const entries = isArray ? value.map((item, index) => [index, item]) : Object.entries(value);
+        const summary = isArray ? `[${entries.length} ${entries.length === 1 ? 'item' : 'items'}]` : `{${entries.length} ${entries.length === 1 ? 'key' : 'keys'}}`;
+        const children = entries
+            .map(([childKey, child]) => renderJsonNode(child, childPath(path, childKey), errorPaths, String(childKey)))
+            .join('');
+
+        return `
+            <details open class="json-node${highlight}">
+                <summary class="cursor-pointer select-none">${key}<span class="text-lamp-muted">${summary}</span></summary>
+                <div class="pl-4 border-l border-lamp-border ml-1">${children}</div>
+            </details>
+        `;
+    }
+
+    const color = typeof value === 'string' ? 'text-green-600'
+        : typeof value === 'number' ? 'text-blue-500'
+            : 'text-purple-500';
+    return `<div class="json-leaf break-all${highlight}">${key}<span class="${color}">${sanitizeText(JSON.stringify(value))}</span></div>`;
+}
+
 /**
  * Sanitize URL for safe use in src/href attributes
  * @param {string} url - URL to sanitize
- * @returns {string} - Sanitized URL or empty string if unsafe
+ * @returns {string} - Normalized URL, or empty string if unsafe. Escape it before putting it in an attribute.
  */
 function sanitizeUrl(url) {
     if (!url) return '';
@@ -30,7 +79,7 @@ function sanitizeUrl(url) {
     try {
         const parsed = new URL(url, window.location.origin);
         if (safeProtocols.includes(parsed.protocol)) {
-            return url;
+            return parsed.href;
         }
     } catch {
         // For data URLs that may not parse correctly, check manually
@@ -81,7 +130,7 @@ export class MessageRenderer {
             if (imageParts.length > 0) {
                 html += '<div class="flex flex-wrap gap-2 mt-2">';
                 for (const img of imageParts) {
-                    const url = sanitizeUrl(img.image_url?.url || '');
+                    const url = escapeAttribute(sanitizeUrl(img.image_url?.url || ''));
                     if (url) {
                         html += `
                             <div class="relative">
@@ -131,8 +180,8 @@ export class MessageRenderer {
         
         for (const att of attachments) {
             if (att.type === 'image') {
-                const url = sanitizeUrl(att.dataUrl);
-                const name = sanitizeText(att.name);
+                const url = escapeAttribute(sanitizeUrl(att.dataUrl));
+                const name = escapeAttribute(att.name);
                 if (url) {
                     html += `
                         <div class="relative">
@@ -162,31 +211,40 @@ export class MessageRenderer {
     /**
      * Render assistant message content (handles generated images)
      * @param {Object} msg - The message object
+     * @param {{readOnly?: boolean}} [options] - readOnly leaves out actions that change the chat
      * @returns {string} - HTML string
      */
-    renderAssistantMessageContent(msg) {
-        let html = '';
+    renderAssistantMessageContent(msg, { readOnly = false } = {}) {
+        let html = this.renderMentionedModel(msg) + this.renderReasoning(msg) + this.renderToolCalls(msg.toolCalls);
         
         // Render text content (renderMarkdown already uses DOMPurify)
         if (msg.content) {
-            html += `<div class="message-content prose prose-sm max-w-none text-lamp-text">${renderMarkdown(msg.content)}</div>`;
+            html += `<div class="message-content prose prose-sm max-w-none text-lamp-text">${this.renderStructuredOutput(msg, { readOnly }) || renderMarkdown(msg.content)}</div>`;
         }
         
-        // Render generated images
+        // Render generated images; several from one prompt go in a grid
         const images = msg.generatedImages || msg.images || [];
         if (images.length > 0) {
-            html += '<div class="flex flex-wrap gap-3 mt-4">';
-            for (const img of images) {
-                const url = sanitizeUrl(img.url || img.image_url?.url || '');
+            const isGrid = images.length > 1;
+            html += `<div class="${isGrid ? 'grid grid-cols-2 gap-3' : 'flex flex-wrap gap-3'} mt-4">`;
+            images.forEach((img, index) => {
+                const url = escapeAttribute(sanitizeUrl(img.url || img.image_url?.url || ''));
                 if (url) {
                     html += `
                         <div class="relative group/img">
-                            <img src="${url}" alt="Generated image" 
-                                class="max-w-full rounded-xl shadow-lg cursor-pointer hover:shadow-xl transition-shadow"
+                            <img src="${url}" alt="Generated image ${index + 1}" 
+                                class="${isGrid ? 'w-full h-full object-cover' : 'max-w-full'} rounded-xl shadow-lg cursor-pointer hover:shadow-xl transition-shadow"
                                 style="max-height: 400px;"
                                 data-image-url="${url}">
-                            <div class="absolute bottom-2 right-2 opacity-0 group-hover/img:opacity-100 transition-opacity">
-                                <a href="${url}" download="generated-image.png" 
+                            <div class="absolute bottom-2 right-2 flex gap-1 opacity-0 group-hover/img:opacity-100 transition-opacity">
+                                ${readOnly ? '' : `<button type="button" data-use-image="${index}" title="Attach this image to your next message to edit or vary it"
+                                    class="flex items-center gap-1 px-2 py-1 bg-black/70 text-white text-xs rounded-lg hover:bg-black/90">
+                                    <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z"/>
+                                    </svg>
+                                    Use as input
+                                </button>`}
+                                <a href="${url}" download="generated-image-${index + 1}.png" 
                                     class="flex items-center gap-1 px-2 py-1 bg-black/70 text-white text-xs rounded-lg hover:bg-black/90 download-btn">
                                     <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"/>
@@ -197,13 +255,213 @@ export class MessageRenderer {
                         </div>
                     `;
                 }
-            }
+            });
             html += '</div>';
         }
+
+        // Render web search sources
+        html += this.renderCitations(msg.citations);
         
         return html;
     }
 
+    /**
+     * Render a structured-output reply as a JSON tree with its validation
+     * result, and a repair button when it failed
+     * @param {Object} msg - Assistant message with stats.structuredOutput
+     * @param {{readOnly?: boolean}} [options] - readOnly leaves out the repair button
+     * @returns {string} - HTML string, empty when the message is not structured output
+     */
+    renderStructuredOutput(msg, { readOnly = false } = {}) {
+        const errors = msg?.stats?.structuredOutput?.errors;
+        if (!Array.isArray(errors)) return '';
+
+        const parsed = parseJsonReply(msg.content);
+        const errorPaths = new Set(errors.map(error => error.path));
+        const body = parsed
+            ? `<div class="json-tree not-prose font-mono text-xs leading-relaxed p-3 rounded-lg bg-lamp-input border border-lamp-border overflow-x-auto">${renderJsonNode(parsed.value, '$', errorPaths)}</div>`
+            : renderMarkdown(msg.content || '');
+
+        if (errors.length === 0) {
+            return `
+                ${body}
+                <div class="flex items-center gap-1 mt-2 text-xs text-green-600">
+                    <svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7"/></svg>
+                    Matches schema
+                </div>
+            `;
+        }
+
+        const items = errors.map(error => `
+            <li><span class="font-mono">${sanitizeText(error.path)}</span> ${sanitizeText(error.message)}</li>
+        `).join('');
+
+        return `
+            ${body}
+            <div class="structured-errors not-prose mt-2 p-3 rounded-lg border border-red-500/40 bg-red-500/5 text-xs">
+                <div class="flex items-center justify-between gap-2 mb-1">
+                    <span class="font-medium text-red-500">${errors.length} schema ${errors.length === 1 ? 'error' : 'errors'}</span>
+                    ${readOnly ? '' : `<button data-repair-msg="${msg.id}" class="px-2 py-1 rounded-md bg-lamp-accent text-white hover:opacity-90 transition-opacity" title="Ask the model to fix these errors">Repair</button>`}
+                </div>
+                <ul class="space-y-0.5 text-lamp-text">${items}</ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the "@Model" line over a reply that was routed with a mention
+     * @param {Object} msg - Assistant message with stats.mentioned
+     * @returns {string} - HTML string, empty for replies from the chat's own model
+     */
+    renderMentionedModel(msg) {
+        if (!msg?.stats?.mentioned || !msg.stats.model) return '';
+
+        const name = getModelById(msg.stats.model)?.name || msg.stats.model.split('/').pop();
+        return `
+            <div class="message-mention flex items-center gap-1 mb-1 text-xs text-lamp-muted" title="${escapeAttribute(msg.stats.model)}">
+                <span class="font-medium text-lamp-accent">@${escapeHtml(name)}</span>
+                <span>answered this message</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the collapsible "Thought for Ns" block for a reasoning model's thinking
+     * @param {Object} msg - Assistant message with optional reasoning and stats.reasoningTime
+     * @returns {string} - HTML string, empty when the model did not reason
+     */
+    renderReasoning(msg) {
+        if (!msg?.reasoning) return '';
+
+        const seconds = msg.stats?.reasoningTime;
+        const label = seconds ? `Thought for ${Math.max(1, Math.round(seconds))}s` : 'Thoughts';
+
+        return `
+            <details class="message-reasoning mb-3 text-sm">
+                <summary class="cursor-pointer select-none text-lamp-muted hover:text-lamp-text">${label}</summary>
+                <div class="reasoning-content prose prose-sm max-w-none mt-2 pl-3 border-l-2 border-lamp-border text-lamp-muted">${renderMarkdown(msg.reasoning)}</div>
+            </details>
+        `;
+    }
+
+    /**
+     * Render each tool call as an expandable step showing its arguments and result
+     * @param {Array<{name: string, arguments: string, result?: string, error?: boolean}>} toolCalls
+     * @returns {string} - HTML string, empty when no tools were called
+     */
+    renderToolCalls(toolCalls) {
+        if (!Array.isArray(toolCalls) || toolCalls.length === 0) return '';
+
+        const formatJson = (value) => {
+            try {
+                return JSON.stringify(JSON.parse(value), null, 2);
+            } catch {
+                return value || '';
+            }
+        };
+
+        const steps = toolCalls.map(call => {
+            const status = call.result === undefined
+                ? '<span class="text-lamp-muted">Running...</span>'
+                : call.error
+                    ? '<span class="text-red-500">Failed</span>'
+                    : '<span class="text-green-600">Done</span>';
+
+            return `
+                <details class="tool-call rounded-lg border border-lamp-border bg-lamp-card">
+                    <summary class="flex items-center gap-2 px-3 py-1.5 cursor-pointer select-none text-lamp-muted hover:text-lamp-text">
+                        <svg class="w-3.5 h-3.5 shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z"/>
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"/>
+                        </svg>
+                        <span class="font-mono text-lamp-text">${sanitizeText(call.name)}</span>
+                        ${status}
+                    </summary>
+                    <div class="px-3 pb-2 space-y-2 text-xs">
+                        <div>
+                            <div class="text-lamp-muted mb-1">Arguments</div>
+                            <pre class="whitespace-pre-wrap break-all font-mono text-lamp-text">${sanitizeText(formatJson(call.arguments))}</pre>
+                        </div>
+                        ${call.result === undefined ? '' : `
+                        <div>
+                            <div class="text-lamp-muted mb-1">Result</div>
+                            <pre class="whitespace-pre-wrap break-all font-mono text-lamp-text max-h-64 overflow-y-auto">${sanitizeText(formatJson(call.result))}</pre>
+                        </div>`}
+                    </div>
+                </details>
+            `;
+        }).join('');
+
+        return `<div class="message-tool-calls mb-3 space-y-1.5 text-sm">${steps}</div>`;
+    }
+
+    /**
+     * Render the "Sources" list for web search citations
+     * @param {Array<{url: string, title?: string}>} citations
+     * @returns {string} - HTML string
+     */
+    renderCitations(citations) {
+        if (!Array.isArray(citations) || citations.length === 0) return '';
+
+        const items = citations.map((citation, index) => {
+            const url = sanitizeUrl(citation.url);
+            if (!url || url.startsWith('data:')) return '';
+
+            let host = '';
+            try {
+                host = new URL(url).hostname.replace(/^www\./, '');
+            } catch {
+                host = url;
+            }
+            // Titles and URLs come from third-party pages and are stored as-is
+            const title = escapeAttribute(citation.title || host);
+
+            return `
+                <li class="flex items-baseline gap-2 min-w-0">
+                    <span class="text-lamp-muted shrink-0">${index + 1}.</span>
+                    <a href="${escapeAttribute(url)}" target="_blank" rel="noopener noreferrer" class="truncate text-lamp-text hover:underline" title="${title}">${title}</a>
+                    <span class="text-lamp-muted shrink-0">${escapeAttribute(host)}</span>
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <div class="message-citations mt-4 pt-3 border-t border-lamp-border">
+                <div class="text-xs font-medium text-lamp-muted uppercase tracking-wide mb-2">Sources</div>
+                <ol class="space-y-1 text-sm">${items}</ol>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the "‹ 2/3 ›" control for moving between sibling branches
+     * @param {Object} msg - Message with siblingIds
+     * @returns {string} - HTML string, empty when there is only one branch
+     */
+    renderBranchSwitcher(msg) {
+        const siblings = Array.isArray(msg?.siblingIds) ? msg.siblingIds : [];
+        if (siblings.length < 2) return '';
+
+        const index = siblings.indexOf(msg.id);
+        if (index === -1) return '';
+
+        const prevId = siblings[index - 1];
+        const nextId = siblings[index + 1];
+        const buttonClass = 'p-1 rounded-md transition-colors hover:bg-lamp-input disabled:opacity-30 disabled:hover:bg-transparent';
+
+        return `
+            <div class="branch-switcher flex items-center gap-0.5 text-xs text-lamp-muted select-none">
+                <button ${prevId ? `data-branch-target="${prevId}"` : 'disabled'} class="${buttonClass}" title="Previous version">
+                    <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 19l-7-7 7-7"/></svg>
+                </button>
+                <span class="tabular-nums">${index + 1}/${siblings.length}</span>
+                <button ${nextId ? `data-branch-target="${nextId}"` : 'disabled'} class="${buttonClass}" title="Next version">
+                    <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"/></svg>
+                </button>
+            </div>
+        `;
+    }
+
     /**
      * Render message stats HTML
      * @param {Object} stats - Stats object
@@ -216,13 +474,18 @@ export class MessageRenderer {
         const tokPerSec = stats?.tokensPerSecond ? stats.tokensPerSecond.toFixed(2) : '';
         const tokens = stats?.completionTokens || '';
         const ttft = stats?.timeToFirstToken ? stats.timeToFirstToken.toFixed(2) : '';
+        const cost = typeof stats?.cost === 'number' ? formatCost(stats.cost) : '';
+        const requestedName = stats?.requestedModel ? (getModelById(stats.requestedModel)?.name || stats.requestedModel.split('/').pop()) : '';
         
         return `
             <div class="flex items-center gap-4 text-xs text-lamp-muted">
-                ${modelName ? `<span>${modelName}</span>` : ''}
+                ${modelName ? `<span>${escapeHtml(modelName)}</span>` : ''}
                 ${tokPerSec ? `<span class="flex items-center gap-1"><svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 10V3L4 14h7v7l9-11h-7z"/></svg>${tokPerSec} tok/sec</span>` : ''}
                 ${tokens ? `<span class="flex items-center gap-1"><svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M7 21h10a2 2 0 002-2V9.414a1 1 0 00-.293-.707l-5.414-5.414A1 1 0 0012.586 3H7a2 2 0 00-2 2v14a2 2 0 002 2z"/></svg>${tokens} tokens</span>` : ''}
                 ${ttft ? `<span class="flex items-center gap-1"><svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>Time-to-First: ${ttft} sec</span>` : ''}
+                ${cost ? `<span class="flex items-center gap-1" title="Cost of this reply"><svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>${cost}</span>` : ''}
+                ${stats?.stopped ? `<span class="flex items-center gap-1"><svg class="w-3 h-3" fill="currentColor" viewBox="0 0 24 24"><rect x="6" y="6" width="12" height="12" rx="2"/></svg>Stopped</span>` : ''}
+                ${requestedName ? `<span class="flex items-center gap-1 text-amber-500"><svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 5l7 7-7 7M5 5l7 7-7 7"/></svg>Answered by fallback ${escapeHtml(modelName)} (${escapeHtml(requestedName)} unavailable)</span>` : ''}
             </div>
         `;
     }
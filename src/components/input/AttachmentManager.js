@@ -92,6 +92,22 @@ export class AttachmentManager {
         return newAttachments;
     }
 
+    /**
+     * Attach an image by URL, e.g. one generated earlier in the chat.
+     * Goes through the same checks as a picked file.
+     * @param {string} url - Data URL or fetchable image URL
+     * @param {string} [name]
+     * @returns {Promise<Attachment[]>}
+     */
+    async addImageFromUrl(url, name = 'generated-image.png') {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load image: ${response.status}`);
+        }
+        const blob = await response.blob();
+        return this.handleFileSelect([new File([blob], name, { type: blob.type || 'image/png' })]);
+    }
+
     /**
      * Remove an attachment
      * @param {string} attachmentId
@@ -117,6 +133,16 @@ export class AttachmentManager {
         this._render();
     }
 
+    /**
+     * Put back attachments taken by a send that didn't go through
+     * @param {Attachment[]} attachments
+     */
+    restoreAttachments(attachments) {
+        const current = new Set(this._attachments.map(att => att.id));
+        this._attachments = [...attachments.filter(att => !current.has(att.id)), ...this._attachments];
+        this._render();
+    }
+
     /**
      * Render attachments preview
      * @private
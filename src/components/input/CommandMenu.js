@@ -0,0 +1,213 @@
+// Command Menu Component
+// ======================
+// Autocomplete popup for slash commands (command names while the first word
+// is typed, then the command's own suggestions for its argument) and for
+// "@model" mentions anywhere in the message.
+
+import { setHtml, escapeHtml } from '../../utils/dom.js';
+import { stateManager } from '../../services/state.js';
+import { getCommands } from '../../services/commands.js';
+import { getAvailableModels, getListedModels } from '../../config/models.js';
+import { getMentionName } from '../../utils/mentions.js';
+import { mixinComponentLifecycle } from '../Component.js';
+
+const MENTION_SUGGESTION_LIMIT = 8;
+
+/**
+ * Command menu class - suggests and completes slash commands in a textarea
+ */
+export class CommandMenu {
+    /**
+     * @param {HTMLTextAreaElement} textarea - Message input
+     * @param {HTMLElement} menu - Popup container
+     */
+    constructor(textarea, menu) {
+        mixinComponentLifecycle(this);
+
+        this.textarea = textarea;
+        this.menu = menu;
+
+        /**
+         * Suggestions shown. Command items complete the whole input to `text`;
+         * mention items replace the range in `replace`.
+         * @type {Array<{text: string, label: string, detail: string, takesArgs?: boolean, replace?: {start: number, end: number}}>}
+         */
+        this._items = [];
+        this._activeIndex = 0;
+
+        /** @type {Function|null} Called after a completion changes the input */
+        this.onComplete = null;
+    }
+
+    /**
+     * Initialize the menu
+     */
+    init() {
+        this.on(this.textarea, 'input', () => this.refresh());
+        this.on(this.textarea, 'blur', () => this.close());
+
+        // mousedown keeps focus in the textarea
+        this.on(this.menu, 'mousedown', (e) => {
+            const item = e.target.closest('[data-command-index]');
+            if (!item) return;
+            e.preventDefault();
+            this._complete(Number(item.dataset.commandIndex));
+        });
+    }
+
+    /**
+     * Whether the popup is showing
+     * @returns {boolean}
+     */
+    get isOpen() {
+        return this._items.length > 0;
+    }
+
+    /**
+     * Handle navigation keys while the popup is open
+     * @param {KeyboardEvent} e
+     * @returns {boolean} - True when the key was used by the menu
+     */
+    handleKeydown(e) {
+        if (!this.isOpen) return false;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this._activeIndex = (this._activeIndex + step + this._items.length) % this._items.length;
+            this._render();
+        } else if (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey && this._shouldCompleteOnEnter())) {
+            this._complete(this._activeIndex);
+        } else if (e.key === 'Escape') {
+            this.close();
+        } else {
+            return false;
+        }
+
+        e.preventDefault();
+        return true;
+    }
+
+    /**
+     * Enter sends once the input already matches the command suggestion;
+     * a mention being typed is always completed first
+     * @private
+     */
+    _shouldCompleteOnEnter() {
+        const item = this._items[this._activeIndex];
+        return Boolean(item.replace) || item.text !== this.textarea.value.trim();
+    }
+
+    /**
+     * Recompute suggestions from the textarea
+     */
+    refresh() {
+        const value = this.textarea?.value || '';
+        const commandItems = this._getItems(value);
+        this._items = commandItems.length > 0
+            ? commandItems
+            : this._getMentionItems(value, this.textarea?.selectionStart ?? value.length);
+        this._activeIndex = 0;
+        this._render();
+    }
+
+    /**
+     * Hide the popup
+     */
+    close() {
+        this._items = [];
+        this._render();
+    }
+
+    /**
+     * @private
+     */
+    _getItems(value) {
+        const nameOnly = value.match(/^\/([a-z0-9-]*)$/);
+        if (nameOnly) {
+            return getCommands()
+                .filter(command => command.name.startsWith(nameOnly[1]))
+                .map(command => ({
+                    text: `/${command.name}`,
+                    label: `/${command.name}${command.usage ? ` ${command.usage}` : ''}`,
+                    detail: command.description,
+                    takesArgs: Boolean(command.usage),
+                }));
+        }
+
+        const withArgs = value.match(/^\/([a-z0-9-]+)\s+(.*)$/);
+        const command = withArgs && getCommands().find(c => c.name === withArgs[1]);
+        if (!command?.getSuggestions) return [];
+        return command.getSuggestions(withArgs[2]).map(suggestion => ({
+            text: `/${command.name} ${suggestion.value}`,
+            label: suggestion.label,
+            detail: suggestion.detail || '',
+        }));
+    }
+
+    /**
+     * Models matching the "@word" just before the caret. Models the user has
+     * enabled come first, then the rest of the catalog.
+     * @private
+     */
+    _getMentionItems(value, caret) {
+        const match = value.slice(0, caret).match(/(^|\s)@([A-Za-z0-9._\-/:]*)$/);
+        if (!match) return [];
+
+        const query = match[2].toLowerCase();
+        const enabledIds = stateManager.settings?.enabledModels || [];
+        const listed = getListedModels(enabledIds);
+        const listedIds = new Set(listed.map(m => m.id));
+        const candidates = query ? [...listed, ...getAvailableModels().filter(m => !listedIds.has(m.id))] : listed;
+
+        return candidates
+            .filter(m => !query || m.id.toLowerCase().includes(query) || m.name.toLowerCase().includes(query))
+            .slice(0, MENTION_SUGGESTION_LIMIT)
+            .map(m => ({
+                text: `@${getMentionName(m)}`,
+                label: `@${getMentionName(m)}`,
+                detail: m.name,
+                replace: { start: caret - match[2].length - 1, end: caret },
+            }));
+    }
+
+    /**
+     * Put a suggestion into the textarea
+     * @private
+     */
+    _complete(index) {
+        const item = this._items[index];
+        if (!item) return;
+
+        if (item.replace) {
+            const { start, end } = item.replace;
+            const value = this.textarea.value;
+            this.textarea.value = `${value.slice(0, start)}${item.text} ${value.slice(end)}`;
+            const caret = start + item.text.length + 1;
+            this.textarea.setSelectionRange(caret, caret);
+        } else {
+            // Commands that take an argument get a space so it can be typed straight away
+            this.textarea.value = item.takesArgs ? `${item.text} ` : item.text;
+        }
+        this.textarea.focus();
+        this.refresh();
+        this.onComplete?.();
+    }
+
+    /**
+     * @private
+     */
+    _render() {
+        this.menu?.classList.toggle('hidden', !this.isOpen);
+        if (!this.isOpen) {
+            setHtml(this.menu, '');
+            return;
+        }
+
+        setHtml(this.menu, this._items.map((item, index) => `
+            <div data-command-index="${index}" class="flex items-baseline gap-3 px-3 py-2 rounded-lg cursor-pointer ${index === this._activeIndex ? 'bg-lamp-input' : 'hover:bg-lamp-input'}">
+                <span class="shrink-0 text-sm font-mono text-lamp-text">${escapeHtml(item.label)}</span>
+                <span class="min-w-0 truncate text-xs text-lamp-muted">${escapeHtml(item.detail)}</span>
+            </div>
+        `).join(''));
+    }
+}
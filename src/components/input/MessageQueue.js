@@ -0,0 +1,164 @@
+// Message Queue Component
+// =======================
+// Lists follow-ups typed while a reply streams. Each can be edited or
+// cancelled until it is sent; the chat controller sends them in order.
+
+import { setHtml, escapeHtml } from '../../utils/dom.js';
+import { stateManager } from '../../services/state.js';
+import { mixinComponentLifecycle } from '../Component.js';
+
+const BUTTON_CLASS = 'px-2 py-1 text-xs text-lamp-muted hover:text-lamp-text hover:bg-lamp-input rounded-md transition-colors';
+
+/**
+ * Message queue class - shows and edits the current chat's queued follow-ups
+ */
+export class MessageQueue {
+    /**
+     * @param {HTMLElement} container - Element the queue renders into
+     */
+    constructor(container) {
+        mixinComponentLifecycle(this);
+
+        this.container = container;
+
+        /** @type {Function|null} Called with an item ID to send it now */
+        this.onSend = null;
+    }
+
+    /**
+     * Initialize the queue list
+     */
+    init() {
+        this._bindEvents();
+        this._subscribeToState();
+        this.refresh();
+    }
+
+    /**
+     * Bind event handlers
+     * @private
+     */
+    _bindEvents() {
+        this.container?.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-queue-item]');
+            const chatId = stateManager.currentChat?.id;
+            if (!row || !chatId) return;
+            const itemId = row.dataset.queueItem;
+
+            if (e.target.closest('[data-queue-send]')) {
+                this.onSend?.(itemId);
+            } else if (e.target.closest('[data-queue-edit]')) {
+                stateManager.updateQueuedMessage(chatId, itemId, { editing: true });
+                const editor = this.container.querySelector(`[data-queue-item="${itemId}"] textarea`);
+                editor?.focus();
+                editor?.setSelectionRange(editor.value.length, editor.value.length);
+            } else if (e.target.closest('[data-queue-save]')) {
+                this._saveEdit(row);
+            } else if (e.target.closest('[data-queue-remove]')) {
+                stateManager.removeQueuedMessage(chatId, itemId);
+            }
+        });
+
+        this.container?.addEventListener('keydown', (e) => {
+            const row = e.target.closest('[data-queue-item]');
+            if (!row || e.target.tagName !== 'TEXTAREA') return;
+
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this._saveEdit(row);
+            } else if (e.key === 'Escape') {
+                stateManager.updateQueuedMessage(stateManager.currentChat?.id, row.dataset.queueItem, { editing: false });
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _subscribeToState() {
+        this._unsubscribers.push(
+            stateManager.subscribe('messageQueueChanged', (state, payload) => {
+                if (payload?.chatId === stateManager.currentChat?.id) this.refresh();
+            }),
+            stateManager.subscribe('currentChatChanged', () => this.refresh()),
+            stateManager.subscribe('chatIdResolved', () => this.refresh()),
+            // "Send" appears once nothing is streaming
+            stateManager.subscribe('streamingChanged', () => this.refresh())
+        );
+    }
+
+    /**
+     * Store an edited item's text; clearing the text cancels the item
+     * @private
+     */
+    _saveEdit(row) {
+        const chatId = stateManager.currentChat?.id;
+        const content = row.querySelector('textarea')?.value.trim() || '';
+        const item = stateManager.getMessageQueue(chatId).find(i => i.id === row.dataset.queueItem);
+        if (!item) return;
+
+        if (!content && item.attachments.length === 0) {
+            stateManager.removeQueuedMessage(chatId, item.id);
+        } else {
+            stateManager.updateQueuedMessage(chatId, item.id, { content, editing: false });
+        }
+    }
+
+    /**
+     * Re-render the current chat's queue
+     */
+    refresh() {
+        const chatId = stateManager.currentChat?.id;
+        const queue = chatId ? stateManager.getMessageQueue(chatId) : [];
+        this.container?.classList.toggle('hidden', queue.length === 0);
+        if (queue.length === 0) {
+            setHtml(this.container, '');
+            return;
+        }
+
+        // Keep text typed into an open editor across re-renders
+        const drafts = new Map(
+            [...(this.container?.querySelectorAll('[data-queue-item] textarea') || [])]
+                .map(editor => [editor.closest('[data-queue-item]').dataset.queueItem, editor.value])
+        );
+        const canSend = !stateManager.isStreaming;
+
+        const rows = queue.map((item, index) => {
+            const attachmentNote = item.attachments.length > 0
+                ? `<span class="shrink-0 text-xs text-lamp-muted">+${item.attachments.length} ${item.attachments.length === 1 ? 'file' : 'files'}</span>`
+                : '';
+
+            const body = item.editing
+                ? `<textarea rows="2" class="flex-1 min-w-0 px-2 py-1 text-sm bg-lamp-input border border-lamp-border rounded-lg resize-none focus:outline-none focus:border-lamp-accent">${escapeHtml(drafts.get(item.id) ?? item.content)}</textarea>`
+                : `<span class="flex-1 min-w-0 truncate text-lamp-text" title="${escapeHtml(item.content).replace(/"/g, '&quot;')}">${escapeHtml(item.content) || '<span class="text-lamp-muted">(attachments only)</span>'}</span>`;
+
+            const actions = item.editing
+                ? `<button type="button" data-queue-save class="${BUTTON_CLASS}">Save</button>`
+                : `
+                    ${canSend && index === 0 ? `<button type="button" data-queue-send class="${BUTTON_CLASS}">Send</button>` : ''}
+                    <button type="button" data-queue-edit class="${BUTTON_CLASS}">Edit</button>
+                `;
+
+            return `
+                <div data-queue-item="${item.id}" class="flex items-center gap-2 px-3 py-1.5 text-sm">
+                    <span class="shrink-0 text-xs text-lamp-muted tabular-nums">${index + 1}.</span>
+                    ${body}
+                    ${attachmentNote}
+                    ${actions}
+                    <button type="button" data-queue-remove title="Cancel" class="${BUTTON_CLASS}">
+                        <svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+                        </svg>
+                    </button>
+                </div>
+            `;
+        }).join('');
+
+        setHtml(this.container, `
+            <div class="px-3 pt-2 text-xs font-medium text-lamp-muted">
+                ${canSend ? 'Queued (paused)' : 'Queued — sends when this reply finishes'}
+            </div>
+            ${rows}
+        `);
+    }
+}
@@ -2,11 +2,15 @@
 // ========================
 // Handles model dropdown, search, and selection
 
-import { $, setHtml } from '../../utils/dom.js';
+import { setHtml, escapeHtml } from '../../utils/dom.js';
 import { stateManager } from '../../services/state.js';
-import { MODELS, getModelById } from '../../config/models.js';
+import { getAvailableModels, getListedModels, getModelById, isImageGenerationModel } from '../../config/models.js';
+import { MAX_COMPARE_MODELS } from '../../config/constants.js';
 import { mixinComponentLifecycle } from '../Component.js';
 
+// Catalog rows shown at once when browsing; searching narrows the rest
+const BROWSE_LIMIT = 50;
+
 /**
  * Model selector class - handles model selection UI
  */
@@ -17,8 +21,9 @@ export class ModelSelector {
      * @param {HTMLElement} modelList - List container for models
      * @param {HTMLElement} modelSearch - Search input
      * @param {HTMLElement} selectedModelName - Element to display selected model name
+     * @param {HTMLElement} [compareToggle] - Button that switches to picking several models
      */
-    constructor(modelButton, modelDropdown, modelList, modelSearch, selectedModelName) {
+    constructor(modelButton, modelDropdown, modelList, modelSearch, selectedModelName, compareToggle) {
         mixinComponentLifecycle(this);
 
         this.modelButton = modelButton;
@@ -26,6 +31,13 @@ export class ModelSelector {
         this.modelList = modelList;
         this.modelSearch = modelSearch;
         this.selectedModelName = selectedModelName;
+        this.compareToggle = compareToggle;
+
+        // In compare mode, clicking a model adds it to or removes it from the comparison
+        this._comparing = stateManager.compareModels.length > 0;
+
+        // Whether the list also shows catalog models that are not enabled
+        this._browsing = false;
     }
 
     /**
@@ -47,18 +59,39 @@ export class ModelSelector {
         });
 
         // Model search
-        this.modelSearch?.addEventListener('input', (e) => {
-            this._filterModels(e.target.value);
+        this.modelSearch?.addEventListener('input', () => {
+            this._renderModelList();
         });
 
         // Model selection (delegated)
         this.modelList?.addEventListener('click', (e) => {
+            if (e.target.closest('[data-browse-models]')) {
+                // Keep the dropdown open; the outside-click handler sees a detached node
+                e.stopPropagation();
+                this._browsing = true;
+                this._renderModelList();
+                return;
+            }
+
+            const enableBtn = e.target.closest('[data-enable-model-id]');
+            if (enableBtn) {
+                this._enableModel(enableBtn.dataset.enableModelId);
+                return;
+            }
+
             const btn = e.target.closest('[data-model-id]');
-            if (btn) {
+            if (!btn) return;
+            if (this._comparing) {
+                this._toggleCompareModel(btn.dataset.modelId);
+            } else {
                 this._selectModel(btn.dataset.modelId);
             }
         });
 
+        this.compareToggle?.addEventListener('click', () => {
+            this._toggleCompareMode();
+        });
+
         // Close dropdown on outside click
         this.on(document, 'click', (e) => {
             if (!this.modelDropdown?.contains(e.target) &&
@@ -73,6 +106,7 @@ export class ModelSelector {
      */
     refresh() {
         this._updateSelectedModel();
+        this._updateCompareToggle();
         this._renderModelList();
     }
 
@@ -83,101 +117,117 @@ export class ModelSelector {
     _toggleDropdown() {
         this.modelDropdown?.classList.toggle('hidden');
         if (!this.modelDropdown?.classList.contains('hidden')) {
+            if (this._browsing) {
+                this._browsing = false;
+                this._renderModelList();
+            }
             this.modelSearch?.focus();
         }
     }
 
     /**
-     * Render model list
+     * IDs the user has enabled, or the curated models when none are valid
+     * @private
+     */
+    _getEnabledIds() {
+        const enabledModelIds = stateManager.settings?.enabledModels;
+        const hasValidEnabled = enabledModelIds?.some(id => getModelById(id));
+        return hasValidEnabled
+            ? enabledModelIds.filter(id => getModelById(id))
+            : getListedModels().map(m => m.id);
+    }
+
+    /**
+     * One row of the model list
+     * @private
+     */
+    _renderModelRow(model, isSelected, attribute) {
+        const hasImageCap = model.capabilities?.includes('image');
+        const hasVisionCap = model.capabilities?.includes('vision');
+
+        return `
+            <button type="button" ${attribute}="${escapeHtml(model.id)}"
+                class="w-full flex items-center gap-3 px-3 py-2 rounded-lg text-left hover:bg-lamp-input transition-colors ${isSelected ? 'bg-lamp-input' : ''}">
+                <div class="flex-1 min-w-0">
+                    <div class="text-sm font-medium flex items-center gap-2">
+                        <span class="truncate">${escapeHtml(model.name)}</span>
+                        ${hasImageCap ? '<span class="text-xs bg-purple-100 text-purple-700 px-1.5 py-0.5 rounded">Image</span>' : ''}
+                        ${hasVisionCap ? '<span class="text-xs bg-blue-100 text-blue-700 px-1.5 py-0.5 rounded">Vision</span>' : ''}
+                    </div>
+                    <div class="text-xs text-lamp-muted">${escapeHtml(model.provider)}</div>
+                </div>
+                ${isSelected ? '<svg class="w-4 h-4 text-lamp-accent" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"/></svg>' : ''}
+                ${attribute === 'data-enable-model-id' ? '<span class="text-xs text-lamp-accent">Enable</span>' : ''}
+            </button>
+        `;
+    }
+
+    /**
+     * Render model list: enabled models matching the search, then, while
+     * searching or browsing, the rest of the catalog so any model can be enabled
      * @param {string} [overrideSelectedModel] - Optional model ID to use instead of state
      * @private
      */
     _renderModelList(overrideSelectedModel) {
-        const settings = stateManager.settings;
-        // Default to all models enabled if enabledModels is undefined, null, empty, or contains no valid IDs
-        const enabledModelIds = settings?.enabledModels;
-        const validModelIds = MODELS.map(m => m.id);
-        const hasValidEnabled = enabledModelIds && enabledModelIds.length > 0 &&
-            enabledModelIds.some(id => validModelIds.includes(id));
-        const enabledModels = hasValidEnabled
-            ? MODELS.filter(m => enabledModelIds.includes(m.id))
-            : MODELS; // Show all models by default
-        const selectedModel = overrideSelectedModel ?? settings?.selectedModel;
-
-        let html = '';
-        for (const model of enabledModels) {
-            const isSelected = model.id === selectedModel;
-            const hasImageCap = model.capabilities?.includes('image');
-            const hasVisionCap = model.capabilities?.includes('vision');
+        const query = (this.modelSearch?.value || '').trim().toLowerCase();
+        const matches = m =>
+            (!this._comparing || !isImageGenerationModel(m.id)) && (
+                !query ||
+                m.name.toLowerCase().includes(query) ||
+                m.provider.toLowerCase().includes(query) ||
+                m.id.toLowerCase().includes(query)
+            );
+
+        const enabledIds = this._getEnabledIds();
+        const enabledModels = enabledIds.map(id => getModelById(id)).filter(matches);
+        const selectedModel = overrideSelectedModel ?? stateManager.selectedModel;
+
+        let html = enabledModels
+            .map(model => this._renderModelRow(model, this._isChecked(model.id, selectedModel), 'data-model-id'))
+            .join('');
 
+        const otherModels = getAvailableModels().filter(m => !enabledIds.includes(m.id));
+        if (query || this._browsing) {
+            const found = otherModels.filter(matches);
+            if (found.length > 0) {
+                html += `
+                    <div class="px-3 pt-3 pb-1 text-xs font-medium text-lamp-muted uppercase tracking-wide">More on OpenRouter</div>
+                    ${found.slice(0, BROWSE_LIMIT).map(model => this._renderModelRow(model, false, 'data-enable-model-id')).join('')}
+                    ${found.length > BROWSE_LIMIT ? `<div class="px-3 py-2 text-xs text-lamp-muted">${found.length - BROWSE_LIMIT} more — search to narrow the list</div>` : ''}
+                `;
+            }
+        } else if (otherModels.length > 0) {
             html += `
-                <button type="button" data-model-id="${model.id}"
-                    class="w-full flex items-center gap-3 px-3 py-2 rounded-lg text-left hover:bg-lamp-input transition-colors ${isSelected ? 'bg-lamp-input' : ''}">
-                    <div class="flex-1">
-                        <div class="text-sm font-medium flex items-center gap-2">
-                            ${model.name}
-                            ${hasImageCap ? '<span class="text-xs bg-purple-100 text-purple-700 px-1.5 py-0.5 rounded">Image</span>' : ''}
-                            ${hasVisionCap ? '<span class="text-xs bg-blue-100 text-blue-700 px-1.5 py-0.5 rounded">Vision</span>' : ''}
-                        </div>
-                        <div class="text-xs text-lamp-muted">${model.provider}</div>
-                    </div>
-                    ${isSelected ? '<svg class="w-4 h-4 text-lamp-accent" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"/></svg>' : ''}
+                <button type="button" data-browse-models class="w-full px-3 py-2 mt-1 text-sm text-left text-lamp-muted hover:text-lamp-text hover:bg-lamp-input rounded-lg transition-colors">
+                    Browse ${otherModels.length} more models…
                 </button>
             `;
         }
 
-        setHtml(this.modelList, html || '<div class="px-3 py-4 text-center text-sm text-lamp-muted">No models available</div>');
+        setHtml(this.modelList, html || `<div class="px-3 py-4 text-center text-sm text-lamp-muted">${query ? 'No models found' : 'No models available'}</div>`);
     }
 
     /**
-     * Filter models by search query
+     * Add a catalog model to the enabled list, then pick it
      * @private
      */
-    _filterModels(query) {
-        const settings = stateManager.settings;
-        // Default to all models enabled if enabledModels is undefined, null, empty, or contains no valid IDs
-        const enabledModelIds = settings?.enabledModels;
-        const validModelIds = MODELS.map(m => m.id);
-        const hasValidEnabled = enabledModelIds && enabledModelIds.length > 0 &&
-            enabledModelIds.some(id => validModelIds.includes(id));
-        const enabledModels = hasValidEnabled
-            ? MODELS.filter(m => enabledModelIds.includes(m.id))
-            : MODELS; // Show all models by default
-        const selectedModel = settings?.selectedModel;
-        const lowerQuery = query.toLowerCase();
-
-        const filtered = enabledModels.filter(m =>
-            m.name.toLowerCase().includes(lowerQuery) ||
-            m.provider.toLowerCase().includes(lowerQuery)
-        );
-
-        let html = '';
-        for (const model of filtered) {
-            const isSelected = model.id === selectedModel;
-            const hasImageCap = model.capabilities?.includes('image');
-            const hasVisionCap = model.capabilities?.includes('vision');
+    _enableModel(modelId) {
+        const enabledModels = [...this._getEnabledIds(), modelId];
+        stateManager.updateSettings({ enabledModels }).catch(error => {
+            console.error('Failed to enable model:', error);
+        });
 
-            html += `
-                <button type="button" data-model-id="${model.id}" 
-                    class="w-full flex items-center gap-3 px-3 py-2 rounded-lg text-left hover:bg-lamp-input transition-colors ${isSelected ? 'bg-lamp-input' : ''}">
-                    <div class="flex-1">
-                        <div class="text-sm font-medium flex items-center gap-2">
-                            ${model.name}
-                            ${hasImageCap ? '<span class="text-xs bg-purple-100 text-purple-700 px-1.5 py-0.5 rounded">Image</span>' : ''}
-                            ${hasVisionCap ? '<span class="text-xs bg-blue-100 text-blue-700 px-1.5 py-0.5 rounded">Vision</span>' : ''}
-                        </div>
-                        <div class="text-xs text-lamp-muted">${model.provider}</div>
-                    </div>
-                    ${isSelected ? '<svg class="w-4 h-4 text-lamp-accent" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"/></svg>' : ''}
-                </button>
-            `;
+        if (this.modelSearch) this.modelSearch.value = '';
+        this._browsing = false;
+        if (this._comparing) {
+            this._toggleCompareModel(modelId);
+        } else {
+            this._selectModel(modelId);
         }
-
-        setHtml(this.modelList, html || '<div class="px-3 py-4 text-center text-sm text-lamp-muted">No models found</div>');
     }
 
     /**
-     * Select a model
+     * Select the model for the current chat (or the next new chat)
      * Uses optimistic updates - UI updates instantly, server sync in background
      * @private
      */
@@ -190,20 +240,86 @@ export class ModelSelector {
         this._renderModelList(modelId);
 
         // Persist to server in background (non-blocking)
-        stateManager.updateSettings({ selectedModel: modelId }).catch(error => {
+        stateManager.setSelectedModel(modelId).catch(error => {
             console.error('Failed to save model selection:', error);
             // Rollback will happen via stateManager notification
         });
     }
 
+    /**
+     * Whether a model shows as picked in the list
+     * @private
+     */
+    _isChecked(modelId, selectedModel) {
+        return this._comparing
+            ? stateManager.compareModels.includes(modelId)
+            : modelId === selectedModel;
+    }
+
+    /**
+     * Switch between picking one model and picking several to compare.
+     * Compare mode starts from the selected model.
+     * @private
+     */
+    _toggleCompareMode() {
+        this._comparing = !this._comparing;
+        const selectedModel = stateManager.selectedModel;
+        const seed = selectedModel && !isImageGenerationModel(selectedModel) ? [selectedModel] : [];
+        stateManager.setCompareModels(this._comparing ? seed : []);
+
+        if (this.modelSearch) this.modelSearch.value = '';
+        this.refresh();
+    }
+
+    /**
+     * Add a model to the comparison, or remove it
+     * @private
+     */
+    _toggleCompareModel(modelId) {
+        const current = stateManager.compareModels;
+        if (current.includes(modelId)) {
+            stateManager.setCompareModels(current.filter(id => id !== modelId));
+        } else if (current.length < MAX_COMPARE_MODELS) {
+            stateManager.setCompareModels([...current, modelId]);
+        } else {
+            return;
+        }
+
+        this._updateSelectedModel();
+        this._renderModelList();
+    }
+
+    /**
+     * Reflect compare mode on its toggle
+     * @private
+     */
+    _updateCompareToggle() {
+        const btn = this.compareToggle;
+        if (!btn) return;
+
+        btn.classList.toggle('bg-lamp-accent', this._comparing);
+        btn.classList.toggle('text-white', this._comparing);
+        btn.classList.toggle('text-lamp-muted', !this._comparing);
+        btn.title = this._comparing
+            ? `Pick 2 to ${MAX_COMPARE_MODELS} models to answer side by side`
+            : 'Compare several models side by side';
+    }
+
     /**
      * Update selected model display
      * @param {string} [overrideModelId] - Optional model ID to use instead of state
      * @private
      */
     _updateSelectedModel(overrideModelId) {
-        const settings = stateManager.settings;
-        const modelId = overrideModelId ?? settings?.selectedModel;
+        if (this._comparing && this.selectedModelName) {
+            const count = stateManager.compareModels.length;
+            this.selectedModelName.textContent = count > 1
+                ? `Compare: ${count} models`
+                : 'Compare: pick 2+';
+            return;
+        }
+
+        const modelId = overrideModelId ?? stateManager.selectedModel;
         const model = getModelById(modelId);
         if (this.selectedModelName) {
             this.selectedModelName.textContent = model?.name || 'Select Model';
@@ -0,0 +1,282 @@
+// Params Popover Component
+// ========================
+// Edits the current chat's sampling parameters (temperature, top_p,
+// max tokens, stop sequences), structured-output schema and, for image
+// models, image options. Blank fields leave the model default.
+
+import { setHtml, escapeHtml } from '../../utils/dom.js';
+import { stateManager } from '../../services/state.js';
+import {
+    GENERATION_PARAM_LIMITS,
+    MAX_STOP_SEQUENCES,
+    MAX_STOP_LENGTH,
+    MAX_RESPONSE_SCHEMA_LENGTH,
+    buildResponseFormat,
+    sanitizeGenerationParams,
+} from '../../utils/generationParams.js';
+import { IMAGE_ASPECT_RATIOS, MAX_IMAGE_COUNT, IMAGE_STYLE_PRESETS } from '../../config/imageStyles.js';
+import { isImageGenerationModel } from '../../config/models.js';
+import { mixinComponentLifecycle } from '../Component.js';
+
+const NUMBER_FIELDS = [
+    { key: 'temperature', label: 'Temperature' },
+    { key: 'top_p', label: 'Top P' },
+    { key: 'max_tokens', label: 'Max tokens' },
+];
+
+/**
+ * Parse the structured-output schema field
+ * @param {string} raw
+ * @returns {{schema: Object|null, error: string|null}} - Both null when blank
+ */
+function parseSchemaInput(raw) {
+    const text = raw.trim();
+    if (!text) return { schema: null, error: null };
+    if (text.length > MAX_RESPONSE_SCHEMA_LENGTH) {
+        return { schema: null, error: `Schema is longer than ${MAX_RESPONSE_SCHEMA_LENGTH} characters` };
+    }
+    try {
+        const schema = JSON.parse(text);
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+            return { schema: null, error: 'Schema must be a JSON object' };
+        }
+        return { schema, error: null };
+    } catch (error) {
+        return { schema: null, error: `Invalid JSON: ${error.message}` };
+    }
+}
+
+const INPUT_CLASS = 'w-full px-3 py-1.5 text-sm bg-lamp-input border border-lamp-border rounded-lg focus:outline-none focus:border-lamp-accent disabled:opacity-60';
+
+/**
+ * Render a select whose first option is the model default
+ * @param {string} param - data-param name
+ * @param {Array<{value: string|number, label: string}>} options
+ * @param {string|number} [selected]
+ * @param {boolean} disabled
+ * @returns {string}
+ */
+function renderSelect(param, options, selected, disabled) {
+    const items = options.map(({ value, label }) =>
+        `<option value="${value}" ${String(value) === String(selected ?? '') ? 'selected' : ''}>${escapeHtml(label)}</option>`
+    ).join('');
+    return `<select data-param="${param}" ${disabled ? 'disabled' : ''} class="${INPUT_CLASS}">${items}</select>`;
+}
+
+/**
+ * Render inputs for a parameter set. Inputs carry `data-param` so
+ * readParamsFields can collect them from any container.
+ * @param {import('../../utils/generationParams.js').GenerationParams} [params]
+ * @param {{disabled?: boolean, showImageOptions?: boolean}} [options] - Image options
+ *   are always rendered so they are read back, but hidden when showImageOptions is false
+ * @returns {string}
+ */
+export function renderParamsFields(params = {}, { disabled = false, showImageOptions = true } = {}) {
+    const schema = params?.response_format?.json_schema?.schema;
+    const image = params?.image || {};
+    const numberInputs = NUMBER_FIELDS.map(({ key, label }) => {
+        const { min, max, step } = GENERATION_PARAM_LIMITS[key];
+        return `
+            <label class="block">
+                <span class="block text-xs text-lamp-muted mb-1">${label}</span>
+                <input type="number" data-param="${key}" min="${min}" max="${max}" step="${step}"
+                    value="${params?.[key] ?? ''}" placeholder="Default" ${disabled ? 'disabled' : ''}
+                    class="${INPUT_CLASS}">
+            </label>
+        `;
+    }).join('');
+
+    return `
+        <div class="grid grid-cols-3 gap-2">${numberInputs}</div>
+        <label class="block mt-2">
+            <span class="block text-xs text-lamp-muted mb-1">Stop sequences (one per line, up to ${MAX_STOP_SEQUENCES})</span>
+            <textarea data-param="stop" rows="2" ${disabled ? 'disabled' : ''}
+                class="${INPUT_CLASS} resize-none font-mono">${escapeHtml((params?.stop || []).join('\n'))}</textarea>
+        </label>
+        <label class="block mt-2">
+            <span class="block text-xs text-lamp-muted mb-1">Structured output (JSON Schema)</span>
+            <textarea data-param="response_format" rows="4" spellcheck="false" ${disabled ? 'disabled' : ''}
+                placeholder='{"type": "object", "properties": {...}}'
+                class="${INPUT_CLASS} resize-y font-mono text-xs">${escapeHtml(schema ? JSON.stringify(schema, null, 2) : '')}</textarea>
+            <span data-schema-error class="hidden block text-xs text-red-500 mt-1"></span>
+        </label>
+        <div data-image-options class="${showImageOptions ? '' : 'hidden'} mt-3 pt-3 border-t border-lamp-border">
+            <span class="block text-xs font-medium text-lamp-text mb-2">Image generation</span>
+            <div class="grid grid-cols-3 gap-2">
+                <label class="block">
+                    <span class="block text-xs text-lamp-muted mb-1">Aspect ratio</span>
+                    ${renderSelect('image_aspect', [
+                        { value: '', label: 'Default' },
+                        ...IMAGE_ASPECT_RATIOS.map(ratio => ({ value: ratio, label: ratio })),
+                    ], image.aspectRatio, disabled)}
+                </label>
+                <label class="block">
+                    <span class="block text-xs text-lamp-muted mb-1">Images</span>
+                    ${renderSelect('image_count', Array.from({ length: MAX_IMAGE_COUNT }, (_, i) => ({ value: i + 1, label: String(i + 1) })), image.count || 1, disabled)}
+                </label>
+                <label class="block">
+                    <span class="block text-xs text-lamp-muted mb-1">Style</span>
+                    ${renderSelect('image_style', [
+                        { value: '', label: 'None' },
+                        ...IMAGE_STYLE_PRESETS.map(style => ({ value: style.id, label: style.name })),
+                    ], image.style, disabled)}
+                </label>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Show or clear the error under the schema field rendered by renderParamsFields
+ * @param {HTMLElement} container
+ * @returns {boolean} - Whether the schema field holds a usable value
+ */
+export function checkSchemaField(container) {
+    const raw = container.querySelector('[data-param="response_format"]')?.value || '';
+    const { error } = parseSchemaInput(raw);
+    const errorEl = container.querySelector('[data-schema-error]');
+    if (errorEl) {
+        errorEl.textContent = error || '';
+        errorEl.classList.toggle('hidden', !error);
+    }
+    return !error;
+}
+
+/**
+ * Read the inputs rendered by renderParamsFields.
+ * Out-of-range numbers are clamped; blank fields and a schema that does
+ * not parse are left out.
+ * @param {HTMLElement} container
+ * @returns {import('../../utils/generationParams.js').GenerationParams}
+ */
+export function readParamsFields(container) {
+    const params = {};
+
+    for (const { key } of NUMBER_FIELDS) {
+        const raw = container.querySelector(`[data-param="${key}"]`)?.value.trim();
+        if (!raw) continue;
+        const value = Number(raw);
+        if (!Number.isFinite(value)) continue;
+        const { min, max } = GENERATION_PARAM_LIMITS[key];
+        const clamped = Math.min(max, Math.max(min, value));
+        params[key] = key === 'max_tokens' ? Math.round(clamped) : clamped;
+    }
+
+    const stop = (container.querySelector('[data-param="stop"]')?.value || '')
+        .split(/\r?\n/)
+        .filter(line => line.length > 0)
+        .slice(0, MAX_STOP_SEQUENCES)
+        .map(line => line.slice(0, MAX_STOP_LENGTH));
+    if (stop.length > 0) params.stop = stop;
+
+    const { schema } = parseSchemaInput(container.querySelector('[data-param="response_format"]')?.value || '');
+    if (schema) params.response_format = buildResponseFormat(schema);
+
+    const aspectRatio = container.querySelector('[data-param="image_aspect"]')?.value || undefined;
+    const count = Number(container.querySelector('[data-param="image_count"]')?.value) || 1;
+    const style = container.querySelector('[data-param="image_style"]')?.value || undefined;
+    params.image = { aspectRatio, count: count > 1 ? count : undefined, style };
+
+    return sanitizeGenerationParams(params);
+}
+
+/**
+ * Params popover class - edits generation parameters of the current chat
+ */
+export class ParamsPopover {
+    /**
+     * @param {HTMLElement} paramsButton - Button to toggle the popover
+     * @param {HTMLElement} paramsPopover - Popover container
+     */
+    constructor(paramsButton, paramsPopover) {
+        mixinComponentLifecycle(this);
+
+        this.paramsButton = paramsButton;
+        this.paramsPopover = paramsPopover;
+    }
+
+    /**
+     * Initialize the popover
+     */
+    init() {
+        this._bindEvents();
+        this.refresh();
+    }
+
+    /**
+     * Bind event handlers
+     * @private
+     */
+    _bindEvents() {
+        this.paramsButton?.addEventListener('click', () => {
+            this.paramsPopover?.classList.toggle('hidden');
+        });
+
+        // Save whenever a field is committed. A schema that doesn't parse is
+        // left for the user to fix rather than saved as "no schema".
+        this.paramsPopover?.addEventListener('change', () => {
+            if (!checkSchemaField(this.paramsPopover)) return;
+            this._save(readParamsFields(this.paramsPopover));
+        });
+
+        this.paramsPopover?.addEventListener('click', (e) => {
+            if (e.target.closest('[data-params-reset]')) {
+                this._save({});
+                this.refresh();
+            }
+        });
+
+        // Close popover on outside click
+        this.on(document, 'click', (e) => {
+            if (!this.paramsPopover?.contains(e.target) &&
+                !this.paramsButton?.contains(e.target)) {
+                this.paramsPopover?.classList.add('hidden');
+            }
+        });
+    }
+
+    /**
+     * Re-render the fields from the current chat's parameters
+     */
+    refresh() {
+        const params = stateManager.generationParams;
+        const isCustom = Object.keys(sanitizeGenerationParams(params)).length > 0;
+
+        setHtml(this.paramsPopover, `
+            <div class="flex items-center justify-between mb-2">
+                <span class="text-sm font-medium text-lamp-text">Parameters</span>
+                <button type="button" data-params-reset class="text-xs text-lamp-muted hover:text-lamp-text transition-colors">Reset</button>
+            </div>
+            ${renderParamsFields(params, { showImageOptions: isImageGenerationModel(stateManager.selectedModel) })}
+            <p class="text-xs text-lamp-muted mt-2">Applies to this chat only. Blank fields use the model default.</p>
+        `);
+
+        this._updateButton(isCustom);
+    }
+
+    /**
+     * Persist parameters to the current chat (or the next new chat)
+     * @private
+     */
+    _save(params) {
+        this._updateButton(Object.keys(params).length > 0);
+        stateManager.setGenerationParams(params).catch(error => {
+            console.error('Failed to save generation parameters:', error);
+        });
+    }
+
+    /**
+     * Highlight the button while the chat overrides any default
+     * @private
+     */
+    _updateButton(isCustom) {
+        const btn = this.paramsButton;
+        if (!btn) return;
+
+        btn.classList.toggle('text-lamp-accent', isCustom);
+        btn.classList.toggle('text-lamp-muted', !isCustom);
+        btn.title = isCustom
+            ? 'Custom generation parameters for this chat'
+            : 'Generation parameters for this chat';
+    }
+}
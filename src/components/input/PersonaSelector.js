@@ -0,0 +1,104 @@
+// Persona Selector Component
+// ==========================
+// Picks the persona (system prompt) used by the current chat
+
+import { setHtml, escapeHtml } from '../../utils/dom.js';
+import { stateManager } from '../../services/state.js';
+import { getModelById } from '../../config/models.js';
+import { mixinComponentLifecycle } from '../Component.js';
+
+/**
+ * Persona selector class - handles persona selection UI
+ */
+export class PersonaSelector {
+    /**
+     * @param {HTMLElement} personaButton - Button to toggle the dropdown
+     * @param {HTMLElement} personaDropdown - Dropdown container
+     * @param {HTMLElement} personaName - Element showing the current persona's name
+     */
+    constructor(personaButton, personaDropdown, personaName) {
+        mixinComponentLifecycle(this);
+
+        this.personaButton = personaButton;
+        this.personaDropdown = personaDropdown;
+        this.personaName = personaName;
+
+        /** @type {Function|null} */
+        this.onManage = null;
+    }
+
+    /**
+     * Initialize the persona selector
+     */
+    init() {
+        this._bindEvents();
+        this.refresh();
+    }
+
+    /**
+     * Bind event handlers
+     * @private
+     */
+    _bindEvents() {
+        this.personaButton?.addEventListener('click', () => {
+            this.personaDropdown?.classList.toggle('hidden');
+        });
+
+        // Persona selection (delegated)
+        this.personaDropdown?.addEventListener('click', (e) => {
+            if (e.target.closest('[data-manage-personas]')) {
+                this.personaDropdown.classList.add('hidden');
+                this.onManage?.();
+                return;
+            }
+
+            const btn = e.target.closest('[data-persona-id]');
+            if (!btn) return;
+            this.personaDropdown.classList.add('hidden');
+            stateManager.setChatPersona(btn.dataset.personaId).catch(error => {
+                console.error('Failed to change persona:', error);
+            });
+        });
+
+        // Close dropdown on outside click
+        this.on(document, 'click', (e) => {
+            if (!this.personaDropdown?.contains(e.target) &&
+                !this.personaButton?.contains(e.target)) {
+                this.personaDropdown?.classList.add('hidden');
+            }
+        });
+    }
+
+    /**
+     * Re-render the list and the button label
+     */
+    refresh() {
+        const current = stateManager.currentPersona;
+
+        if (this.personaName) {
+            this.personaName.textContent = current.name;
+        }
+
+        const items = stateManager.personas.map(persona => {
+            const isSelected = persona.id === current.id;
+            const model = persona.defaultModel ? getModelById(persona.defaultModel) : null;
+            return `
+                <button type="button" data-persona-id="${escapeHtml(persona.id)}"
+                    class="w-full flex items-center gap-3 px-3 py-2 rounded-lg text-left hover:bg-lamp-input transition-colors ${isSelected ? 'bg-lamp-input' : ''}">
+                    <div class="flex-1 min-w-0">
+                        <div class="text-sm font-medium truncate">${escapeHtml(persona.name)}</div>
+                        <div class="text-xs text-lamp-muted truncate">${persona.isDefault ? 'Default' : ''}${persona.isDefault && model ? ' · ' : ''}${model ? escapeHtml(model.name) : ''}</div>
+                    </div>
+                    ${isSelected ? '<svg class="w-4 h-4 text-lamp-accent" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"/></svg>' : ''}
+                </button>
+            `;
+        }).join('');
+
+        setHtml(this.personaDropdown, `
+            <div class="max-h-64 overflow-y-auto p-2">${items}</div>
+            <div class="p-2 border-t border-lamp-border">
+                <button type="button" data-manage-personas class="w-full px-3 py-2 text-sm text-left text-lamp-muted hover:text-lamp-text hover:bg-lamp-input rounded-lg transition-colors">Manage personas…</button>
+            </div>
+        `);
+    }
+}
@@ -13,15 +13,18 @@ export const STORAGE_KEYS = {
     STATE: 'lampchat_state',
     CHATS: 'lampchat_chats',
     PROJECTS: 'lampchat_projects',
+    PERSONAS: 'lampchat_personas',
     SETTINGS: 'lampchat_settings',
     USER: 'lampchat_user',
     AUTH_TOKEN: 'lampchat_auth_token',
     AUTH_USER: 'lampchat_auth_user',
+    MODEL_CATALOG: 'lampchat_model_catalog',
 };
 
 // UI Constants
 export const MAX_TEXTAREA_HEIGHT = 200;
 export const SIDEBAR_WIDTH = 288; // 72 * 4 = 288px (w-72 in Tailwind)
+export const MAX_COMPARE_MODELS = 4; // Columns shown side by side in compare mode
 
 // Date grouping thresholds
 export const DATE_GROUPS = {
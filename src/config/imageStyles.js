@@ -0,0 +1,41 @@
+// Image Generation Options
+// ========================
+// Aspect ratios, batch size and style presets offered for image models.
+// Styles are added to the prompt, since the models take no style parameter.
+
+/**
+ * Aspect ratios OpenRouter accepts in `image_config.aspect_ratio`
+ */
+export const IMAGE_ASPECT_RATIOS = ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'];
+
+/** Most images generated for one message; each is a separate request */
+export const MAX_IMAGE_COUNT = 4;
+
+/**
+ * @typedef {Object} ImageStylePreset
+ * @property {string} id
+ * @property {string} name - Shown in the options panel
+ * @property {string} prompt - Appended to the user's prompt
+ */
+
+/** @type {ImageStylePreset[]} */
+export const IMAGE_STYLE_PRESETS = [
+    { id: 'photo', name: 'Photographic', prompt: 'Photorealistic, natural lighting, sharp focus, shot on a full-frame camera.' },
+    { id: 'illustration', name: 'Illustration', prompt: 'Clean digital illustration with bold shapes and a limited color palette.' },
+    { id: 'watercolor', name: 'Watercolor', prompt: 'Loose watercolor painting on textured paper with soft bleeding edges.' },
+    { id: 'anime', name: 'Anime', prompt: 'Anime style with cel shading and expressive line art.' },
+    { id: 'pixel', name: 'Pixel art', prompt: '16-bit pixel art with a crisp, limited palette.' },
+    { id: '3d', name: '3D render', prompt: 'Polished 3D render with soft global illumination and studio lighting.' },
+    { id: 'sketch', name: 'Pencil sketch', prompt: 'Graphite pencil sketch with visible hatching on off-white paper.' },
+];
+
+/**
+ * Add a style preset's description to a prompt
+ * @param {string} prompt
+ * @param {string} [styleId]
+ * @returns {string}
+ */
+export function applyImageStyle(prompt, styleId) {
+    const style = IMAGE_STYLE_PRESETS.find(s => s.id === styleId);
+    return style ? `${prompt.trim()}\n\nStyle: ${style.prompt}` : prompt;
+}
@@ -2,3 +2,5 @@
 export * from './constants.js';
 export * from './models.js';
 
+export * from './personas.js';
+export * from './imageStyles.js';
@@ -6,8 +6,14 @@
  * @property {string} id - OpenRouter model ID
  * @property {string} name - Display name
  * @property {string} provider - Provider name (OpenAI, Anthropic, etc.)
- * @property {string[]} capabilities - Model capabilities (vision, tools, etc.)
+ * @property {string[]} capabilities - Model capabilities (vision, tools, reasoning, etc.)
  * @property {string} [description] - Optional description
+ * @property {number} [contextLength] - Context window in tokens
+ * @property {{prompt: number, completion: number}} [pricing] - USD per million prompt/completion tokens
+ * @property {boolean} [curated] - False for models known only from OpenRouter's catalog
+ * @property {string[]} [inputModalities] - Input types the model accepts (text, image, file, ...)
+ * @property {string[]} [outputModalities] - Output types the model produces
+ * @property {string[]} [supportedParameters] - Request parameters the model honors
  */
 
 /** @type {Model[]} */
@@ -17,15 +23,19 @@ export const MODELS = [
         id: 'openai/gpt-5.1',
         name: 'GPT-5.1',
         provider: 'OpenAI',
-        capabilities: ['vision', 'tools', 'chat'],
-        description: 'Next-generation multimodal chat model from OpenAI (high-capacity, vision + tools)'
+        capabilities: ['vision', 'tools', 'chat', 'reasoning'],
+        description: 'Next-generation multimodal chat model from OpenAI (high-capacity, vision + tools)',
+        contextLength: 400000,
+        pricing: { prompt: 1.25, completion: 10 }
     },
     {
         id: 'openai/gpt-5.1-chat',
         name: 'GPT-5.1 Chat',
         provider: 'OpenAI',
         capabilities: ['vision', 'chat'],
-        description: 'Chat-optimized variant of GPT-5.1 for conversational use-cases'
+        description: 'Chat-optimized variant of GPT-5.1 for conversational use-cases',
+        contextLength: 128000,
+        pricing: { prompt: 1.25, completion: 10 }
     },
 
     // xAI
@@ -33,22 +43,28 @@ export const MODELS = [
         id: 'x-ai/grok-4-fast',
         name: 'Grok 4 (Fast)',
         provider: 'xAI',
-        capabilities: ['fast', 'chat'],
-        description: 'xAI Grok 4 - tuned for fast conversational responses'
+        capabilities: ['fast', 'chat', 'reasoning'],
+        description: 'xAI Grok 4 - tuned for fast conversational responses',
+        contextLength: 2000000,
+        pricing: { prompt: 0.2, completion: 0.5 }
     },
     {
         id: 'x-ai/grok-4.1-fast:free',
         name: 'Grok 4.1 Fast (Free)',
         provider: 'xAI',
-        capabilities: ['fast', 'chat', 'free'],
-        description: 'xAI Grok 4.1 Fast - free tier model for conversational use'
+        capabilities: ['fast', 'chat', 'free', 'reasoning'],
+        description: 'xAI Grok 4.1 Fast - free tier model for conversational use',
+        contextLength: 2000000,
+        pricing: { prompt: 0, completion: 0 }
     },
     {
         id: 'x-ai/grok-code-fast-1',
         name: 'Grok Code (Fast)',
         provider: 'xAI',
-        capabilities: ['fast', 'code'],
-        description: 'xAI Grok family model optimized for code understanding and generation'
+        capabilities: ['fast', 'code', 'reasoning'],
+        description: 'xAI Grok family model optimized for code understanding and generation',
+        contextLength: 256000,
+        pricing: { prompt: 0.2, completion: 1.5 }
     },
 
     // Anthropic
@@ -56,22 +72,28 @@ export const MODELS = [
         id: 'anthropic/claude-opus-4.5',
         name: 'Claude Opus 4.5',
         provider: 'Anthropic',
-        capabilities: ['vision', 'chat'],
-        description: 'Anthropic Claude Opus — high-capacity multimodal chat model'
+        capabilities: ['vision', 'chat', 'reasoning'],
+        description: 'Anthropic Claude Opus — high-capacity multimodal chat model',
+        contextLength: 200000,
+        pricing: { prompt: 5, completion: 25 }
     },
     {
         id: 'anthropic/claude-haiku-4.5',
         name: 'Claude Haiku 4.5',
         provider: 'Anthropic',
-        capabilities: ['vision', 'chat', 'fast'],
-        description: 'Anthropic Claude Haiku — lightweight, low-latency variant'
+        capabilities: ['vision', 'chat', 'fast', 'reasoning'],
+        description: 'Anthropic Claude Haiku — lightweight, low-latency variant',
+        contextLength: 200000,
+        pricing: { prompt: 1, completion: 5 }
     },
     {
         id: 'anthropic/claude-sonnet-4.5',
         name: 'Claude Sonnet 4.5',
         provider: 'Anthropic',
-        capabilities: ['vision', 'chat', 'balanced'],
-        description: 'Anthropic Claude Sonnet — balanced model for quality and speed'
+        capabilities: ['vision', 'chat', 'balanced', 'reasoning'],
+        description: 'Anthropic Claude Sonnet — balanced model for quality and speed',
+        contextLength: 1000000,
+        pricing: { prompt: 3, completion: 15 }
     },
 
     // Google - Chat
@@ -79,29 +101,37 @@ export const MODELS = [
         id: 'google/gemini-3-pro-preview',
         name: 'Gemini 3 Pro (Preview)',
         provider: 'Google',
-        capabilities: ['vision', 'chat', 'tools'],
-        description: 'Google Gemini 3 Pro preview — multimodal and tools-enabled'
+        capabilities: ['vision', 'chat', 'tools', 'reasoning'],
+        description: 'Google Gemini 3 Pro preview — multimodal and tools-enabled',
+        contextLength: 1048576,
+        pricing: { prompt: 2, completion: 12 }
     },
     {
         id: 'google/gemini-2.5-pro',
         name: 'Gemini 2.5 Pro',
         provider: 'Google',
-        capabilities: ['vision', 'chat'],
-        description: 'Gemini 2.5 Pro — capable multimodal conversational model'
+        capabilities: ['vision', 'chat', 'reasoning'],
+        description: 'Gemini 2.5 Pro — capable multimodal conversational model',
+        contextLength: 1048576,
+        pricing: { prompt: 1.25, completion: 10 }
     },
     {
         id: 'google/gemini-2.5-flash',
         name: 'Gemini 2.5 Flash',
         provider: 'Google',
-        capabilities: ['fast', 'chat'],
-        description: 'Gemini Flash — lightweight and fast conversational model'
+        capabilities: ['fast', 'chat', 'reasoning'],
+        description: 'Gemini Flash — lightweight and fast conversational model',
+        contextLength: 1048576,
+        pricing: { prompt: 0.3, completion: 2.5 }
     },
     {
         id: 'google/gemini-2.5-flash-lite',
         name: 'Gemini 2.5 Flash (Lite)',
         provider: 'Google',
-        capabilities: ['fast', 'chat', 'lightweight'],
-        description: 'Flash (Lite) — ultra-lightweight low-latency variant'
+        capabilities: ['fast', 'chat', 'lightweight', 'reasoning'],
+        description: 'Flash (Lite) — ultra-lightweight low-latency variant',
+        contextLength: 1048576,
+        pricing: { prompt: 0.1, completion: 0.4 }
     },
 
     // OpenAI - Image generation
@@ -110,14 +140,18 @@ export const MODELS = [
         name: 'GPT-5 Image',
         provider: 'OpenAI',
         capabilities: ['image', 'vision'],
-        description: 'OpenAI GPT-5 image model — high-quality image generation'
+        description: 'OpenAI GPT-5 image model — high-quality image generation',
+        contextLength: 400000,
+        pricing: { prompt: 10, completion: 10 }
     },
     {
         id: 'openai/gpt-5-image-mini',
         name: 'GPT-5 Image (Mini)',
         provider: 'OpenAI',
         capabilities: ['image', 'fast'],
-        description: 'Smaller/faster image generation model for lower-latency use'
+        description: 'Smaller/faster image generation model for lower-latency use',
+        contextLength: 400000,
+        pricing: { prompt: 2.5, completion: 2 }
     },
 
     // Google - Image generation
@@ -126,17 +160,67 @@ export const MODELS = [
         name: 'Gemini 2.5 Flash Image',
         provider: 'Google',
         capabilities: ['image', 'vision', 'fast'],
-        description: 'Google Gemini 2.5 Flash image generation'
+        description: 'Google Gemini 2.5 Flash image generation',
+        contextLength: 32768,
+        pricing: { prompt: 0.3, completion: 2.5 }
     },
 ];
 
+// Curated models plus OpenRouter's live catalog, once the ModelCatalog
+// service has loaded it. Until then, just the curated list.
+let availableModels = MODELS;
+let modelsById = new Map(MODELS.map(m => [m.id, m]));
+
+/**
+ * Replace the models known to the app
+ * @param {Model[]} models - Curated models merged with the live catalog
+ */
+export function setAvailableModels(models) {
+    availableModels = models;
+    modelsById = new Map(models.map(m => [m.id, m]));
+}
+
+/**
+ * Every model the app knows about, curated ones first
+ * @returns {Model[]}
+ */
+export function getAvailableModels() {
+    return availableModels;
+}
+
+/**
+ * Curated models plus the catalog models a user has enabled, for lists
+ * where the whole catalog would be too long
+ * @param {string[]} [enabledIds]
+ * @returns {Model[]}
+ */
+export function getListedModels(enabledIds = []) {
+    return availableModels.filter(m => m.curated !== false || enabledIds.includes(m.id));
+}
+
 /**
  * Get a model by ID
  * @param {string} modelId 
  * @returns {Model|undefined}
  */
 export function getModelById(modelId) {
-    return MODELS.find(m => m.id === modelId);
+    return modelsById.get(modelId);
+}
+
+/**
+ * IDs that OpenRouter has renamed, mapped to their current ID
+ */
+export const LEGACY_MODEL_IDS = {
+    'google/gemini-2.5-flash-preview-image-generation': 'google/gemini-2.5-flash-image',
+};
+
+/**
+ * Map a possibly renamed model ID to its current one
+ * @param {string} modelId
+ * @returns {string}
+ */
+export function resolveModelId(modelId) {
+    return LEGACY_MODEL_IDS[modelId] || modelId;
 }
 
 /**
@@ -145,7 +229,7 @@ export function getModelById(modelId) {
  * @returns {Model[]}
  */
 export function getModelsByProvider(provider) {
-    return MODELS.filter(m => m.provider === provider);
+    return availableModels.filter(m => m.provider === provider);
 }
 
 /**
@@ -153,7 +237,7 @@ export function getModelsByProvider(provider) {
  * @returns {string[]}
  */
 export function getProviders() {
-    return [...new Set(MODELS.map(m => m.provider))];
+    return [...new Set(availableModels.map(m => m.provider))];
 }
 
 /**
@@ -162,7 +246,40 @@ export function getProviders() {
 export const DEFAULT_MODEL = 'openai/gpt-5.1';
 
 /**
- * Image generation model IDs
+ * Context window assumed for models without a known contextLength
+ */
+export const DEFAULT_CONTEXT_LENGTH = 128000;
+
+/**
+ * Get the context window of a model in tokens
+ * @param {string} modelId
+ * @returns {number}
+ */
+export function getContextLength(modelId) {
+    return getModelById(modelId)?.contextLength || DEFAULT_CONTEXT_LENGTH;
+}
+
+/**
+ * Estimate what a request cost from the pricing table, for responses that
+ * arrive without OpenRouter's own cost figure
+ * @param {string} modelId
+ * @param {number} promptTokens
+ * @param {number} completionTokens
+ * @returns {number|null} USD, or null when the model has no known pricing
+ */
+export function estimateCost(modelId, promptTokens = 0, completionTokens = 0) {
+    const pricing = getModelById(modelId)?.pricing;
+    if (!pricing) return null;
+    return (promptTokens * pricing.prompt + completionTokens * pricing.completion) / 1e6;
+}
+
+/**
+ * Default model for generating chat titles (small and cheap is enough)
+ */
+export const DEFAULT_TITLE_MODEL = 'google/gemini-2.5-flash-lite';
+
+/**
+ * Curated image generation model IDs
  * These models support the modalities: ['image', 'text'] parameter
  */
 export const IMAGE_GENERATION_MODELS = [
@@ -177,7 +294,8 @@ export const IMAGE_GENERATION_MODELS = [
  * @returns {boolean}
  */
 export function isImageGenerationModel(modelId) {
-    return IMAGE_GENERATION_MODELS.includes(modelId);
+    return IMAGE_GENERATION_MODELS.includes(modelId) ||
+        (getModelById(modelId)?.outputModalities?.includes('image') ?? false);
 }
 
 /**
@@ -185,7 +303,7 @@ export function isImageGenerationModel(modelId) {
  * @returns {Model[]}
  */
 export function getVisionModels() {
-    return MODELS.filter(m => m.capabilities?.includes('vision'));
+    return availableModels.filter(m => m.capabilities?.includes('vision'));
 }
 
 /**
@@ -193,6 +311,30 @@ export function getVisionModels() {
  * @returns {Model[]}
  */
 export function getImageGenerationModels() {
-    return MODELS.filter(m => m.capabilities?.includes('image'));
+    return availableModels.filter(m => m.capabilities?.includes('image'));
 }
 
+
+/**
+ * Reasoning effort levels accepted by OpenRouter's `reasoning` parameter.
+ * An empty value leaves the model's own default in place.
+ */
+export const REASONING_EFFORTS = ['low', 'medium', 'high'];
+
+/**
+ * Check if a model can stream reasoning tokens
+ * @param {string} modelId
+ * @returns {boolean}
+ */
+export function supportsReasoning(modelId) {
+    return getModelById(modelId)?.capabilities?.includes('reasoning') ?? false;
+}
+
+/**
+ * Check if a model accepts function (tool) definitions
+ * @param {string} modelId
+ * @returns {boolean}
+ */
+export function supportsTools(modelId) {
+    return getModelById(modelId)?.capabilities?.includes('tools') ?? false;
+}
@@ -7,6 +7,13 @@
  * @typedef {Object} Chat
  * @property {string} id - Unique identifier
  * @property {string} title - Chat title
+ * @property {boolean} [pinned] - Shown in the Pinned group above the date groups
+ * @property {boolean} [archived] - Hidden from the main list and shown in the Archived view
+ * @property {string} [reasoningEffort] - 'low' | 'medium' | 'high', or '' for the model default
+ * @property {string|null} [model] - Model used in this chat; unset falls back to settings.selectedModel
+ * @property {import('../utils/generationParams.js').GenerationParams|null} [params] - Sampling parameters sent with each request
+ * @property {string|null} [personaId] - Persona whose system prompt the chat uses; unset uses the default persona
+ * @property {import('../utils/context.js').ContextSummary|null} [contextSummary] - Rolling summary of turns past the context window
  * @property {Message[]} messages - Array of messages
  * @property {string} userId - Owner user ID (for multi-user support later)
  * @property {number} createdAt - Creation timestamp
@@ -16,9 +23,15 @@
 /**
  * @typedef {Object} Message
  * @property {string} id - Unique identifier
+ * @property {string|null} [parentId] - Previous message in the conversation tree
+ * @property {string[]} [siblingIds] - Alternatives sharing this message's parent (oldest first)
  * @property {string} role - 'user' | 'assistant' | 'system'
  * @property {string} content - Message content
  * @property {string} [model] - Model used for assistant messages
+ * @property {Object} [stats] - Generation stats for assistant messages
+ * @property {Array<{url: string, title: string, content: string}>} [citations] - Web search sources
+ * @property {string} [reasoning] - Thinking streamed by reasoning models before the answer
+ * @property {Array<{id: string, name: string, arguments: string, result: string, error?: boolean}>} [toolCalls] - Tools the assistant ran while answering
  * @property {number} createdAt - Creation timestamp
  */
 
@@ -38,6 +51,10 @@
  * @property {string} selectedModel - Currently selected model ID
  * @property {string[]} enabledModels - List of enabled model IDs
  * @property {boolean} webSearchEnabled - Web search toggle
+ * @property {string} titleModel - Model used to generate chat titles
+ * @property {string} contextStrategy - 'truncate' | 'summarize' for history past the context window
+ * @property {import('../utils/budget.js').Budget|null} [budget] - Spending cap enforced by the chat proxy
+ * @property {import('../utils/fallbacks.js').ModelFallbacks} modelFallbacks - Models to try when one is unavailable
  */
 
 /**
@@ -48,6 +65,10 @@
  * @property {string} description - Project description
  * @property {string} instructions - Custom system prompt for this project
  * @property {string} visibility - 'private' | 'shared'
+ * @property {string|null} [defaultModel] - Model given to new chats in this project
+ * @property {import('../utils/generationParams.js').GenerationParams|null} [defaultParams] - Parameters given to new chats in this project
+ * @property {string} [role] - Current user's access: 'owner' | 'editor' | 'viewer'
+ * @property {string} [ownerEmail] - Owner's email, shown on projects shared with you
  * @property {ProjectFile[]} files - Array of project files
  * @property {number} createdAt - Creation timestamp
  * @property {number} updatedAt - Last update timestamp
@@ -60,15 +81,56 @@
  * @property {string} name - File name
  * @property {string} type - MIME type
  * @property {string} data - Base64 encoded file data
+ * @property {string} [text] - Extracted text, sent on upload for indexing
  * @property {number} size - File size in bytes
  * @property {number} createdAt - Creation timestamp
  */
 
+/**
+ * @typedef {Object} KnowledgeResult
+ * @property {string} fileId - Source file ID
+ * @property {string} fileName - Source file name
+ * @property {string} section - Heading or part label within the file
+ * @property {number} index - Chunk position within the file
+ * @property {string} content - Chunk text
+ * @property {number} score - Relevance score
+ */
+
+/**
+ * @typedef {Object} ProjectMember
+ * @property {string} id - Membership ID
+ * @property {string} userId - Member user ID
+ * @property {string} email - Member email
+ * @property {string} name - Member display name
+ * @property {string} role - 'viewer' | 'editor'
+ * @property {string} createdAt - When the member was invited
+ */
+
+/**
+ * @typedef {Object} UsageRecord
+ * @property {string} day - Local calendar day, YYYY-MM-DD
+ * @property {string|null} model - Model that answered
+ * @property {string|null} projectId - Project of the chat, if any
+ * @property {number} cost - USD spent
+ * @property {number} promptTokens - Prompt tokens billed
+ * @property {number} completionTokens - Completion tokens billed
+ * @property {number} messages - Assistant messages counted
+ */
+
+/**
+ * @typedef {Object} ChatShare
+ * @property {string} id - Unique identifier
+ * @property {string} chatId - Shared chat ID
+ * @property {string} token - Unguessable token used in the public /share/<token> URL
+ * @property {string} createdAt - Creation timestamp
+ */
+
 /**
  * @typedef {Object} PaginationOptions
  * @property {number} [limit=20] - Maximum number of items to return
  * @property {number} [offset=0] - Number of items to skip
  * @property {string} [projectId] - Optional project ID filter for chats
+ * @property {boolean} [archived=false] - List archived chats instead of active ones
  */
 
 /**
@@ -134,6 +196,16 @@ export class BaseRepository {
         throw new Error('Method not implemented');
     }
 
+    /**
+     * Copy a chat up to and including a message into a new chat
+     * @param {string} chatId 
+     * @param {string} messageId - Last message to carry over
+     * @returns {Promise<Chat>} - The new chat (without messages)
+     */
+    async forkChat(chatId, messageId) {
+        throw new Error('Method not implemented');
+    }
+
     /**
      * Search chats by title or message content (server-side for Neon, client-side for localStorage)
      * @param {string} query - Search query string
@@ -171,7 +243,7 @@ export class BaseRepository {
     }
 
     /**
-     * Get messages for a chat
+     * Get messages on the active branch of a chat
      * @param {string} chatId 
      * @returns {Promise<Message[]>}
      */
@@ -179,6 +251,47 @@ export class BaseRepository {
         throw new Error('Method not implemented');
     }
 
+    /**
+     * Show the branch containing a message, following it down to its newest reply
+     * @param {string} chatId 
+     * @param {string} messageId 
+     * @returns {Promise<void>}
+     */
+    async setActiveBranch(chatId, messageId) {
+        throw new Error('Method not implemented');
+    }
+
+    // ==================
+    // Share Link Operations
+    // ==================
+
+    /**
+     * Create a public read-only link to a chat's current branch
+     * @param {string} chatId
+     * @returns {Promise<ChatShare>}
+     */
+    async createShare(chatId) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * List the share links created for a chat
+     * @param {string} chatId
+     * @returns {Promise<ChatShare[]>}
+     */
+    async getShares(chatId) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * Revoke a share link so it no longer resolves
+     * @param {string} shareId
+     * @returns {Promise<boolean>}
+     */
+    async revokeShare(shareId) {
+        throw new Error('Method not implemented');
+    }
+
     // ==================
     // User Operations
     // ==================
@@ -294,6 +407,17 @@ export class BaseRepository {
         throw new Error('Method not implemented');
     }
 
+    /**
+     * Find the project file chunks most relevant to a query
+     * @param {string} projectId
+     * @param {string} query - Usually the latest user message
+     * @param {number} [topK] - Maximum number of chunks to return
+     * @returns {Promise<KnowledgeResult[]>}
+     */
+    async searchProjectKnowledge(projectId, query, topK) {
+        throw new Error('Method not implemented');
+    }
+
     /**
      * Get chats for a specific project
      * @param {string} projectId
@@ -303,6 +427,107 @@ export class BaseRepository {
         throw new Error('Method not implemented');
     }
 
+    /**
+     * List the members invited to a shared project
+     * @param {string} projectId
+     * @returns {Promise<ProjectMember[]>}
+     */
+    async getProjectMembers(projectId) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * Invite an existing user to a shared project by email
+     * @param {string} projectId
+     * @param {{email: string, role: 'viewer'|'editor'}} memberData
+     * @returns {Promise<ProjectMember>}
+     */
+    async addProjectMember(projectId, memberData) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * Change a member's role
+     * @param {string} projectId
+     * @param {string} memberId
+     * @param {'viewer'|'editor'} role
+     * @returns {Promise<ProjectMember>}
+     */
+    async updateProjectMember(projectId, memberId, role) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * Remove a member from a project (members may remove themselves)
+     * @param {string} projectId
+     * @param {string} memberId
+     * @returns {Promise<boolean>}
+     */
+    async removeProjectMember(projectId, memberId) {
+        throw new Error('Method not implemented');
+    }
+
+    // ==================
+    // Persona Operations
+    // ==================
+
+    /**
+     * Get the user's saved personas
+     * @returns {Promise<import('../config/personas.js').Persona[]>}
+     */
+    async getPersonas() {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * Create a persona. With isDefault set, replaces the user's edited default.
+     * @param {Partial<import('../config/personas.js').Persona>} personaData
+     * @returns {Promise<import('../config/personas.js').Persona>}
+     */
+    async createPersona(personaData) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * Update a persona
+     * @param {string} personaId
+     * @param {Partial<import('../config/personas.js').Persona>} updates
+     * @returns {Promise<import('../config/personas.js').Persona>}
+     */
+    async updatePersona(personaId, updates) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * Delete a persona; chats using it fall back to the default
+     * @param {string} personaId
+     * @returns {Promise<boolean>}
+     */
+    async deletePersona(personaId) {
+        throw new Error('Method not implemented');
+    }
+
+    // ==================
+    // Usage Operations
+    // ==================
+
+    /**
+     * Get assistant message usage grouped by day, model and project
+     * @param {number} since - Timestamp (ms) of the earliest message to count
+     * @returns {Promise<UsageRecord[]>}
+     */
+    async getUsage(since) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * Get the spending cap and usage counted against it this period
+     * @returns {Promise<import('../utils/budget.js').BudgetStatus|null>} Null when requests bypass the proxy
+     */
+    async getBudgetStatus() {
+        throw new Error('Method not implemented');
+    }
+
     // ==================
     // Bulk Operations
     // ==================
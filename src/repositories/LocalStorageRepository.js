@@ -6,8 +6,11 @@
 
 import { BaseRepository } from './BaseRepository.js';
 import { STORAGE_KEYS } from '../config/constants.js';
-import { DEFAULT_MODEL, MODELS } from '../config/models.js';
+import { DEFAULT_MODEL, DEFAULT_TITLE_MODEL, MODELS } from '../config/models.js';
 import * as fileStorage from '../utils/fileStorage.js';
+import { DEFAULT_CONTEXT_STRATEGY } from '../utils/context.js';
+import { toDayKey } from '../utils/usage.js';
+import { chunkText, rankChunks, isTextFile, decodeTextData } from '../utils/knowledge.js';
 
 // Keys for tracking migrations
 const MESSAGES_MIGRATION_KEY = 'lampchat_messages_migrated';
@@ -28,6 +31,40 @@ function stripMessages(chat) {
     return { ...rest };
 }
 
+/**
+ * Sort messages chronologically and link any stored before branching existed
+ * (no parentId field) to the message right before them
+ * @param {Object[]} messages
+ * @returns {Object[]}
+ */
+function linkMessages(messages) {
+    const sorted = [...messages].sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+    return sorted.map((message, index) => (
+        'parentId' in message
+            ? message
+            : { ...message, parentId: index > 0 ? sorted[index - 1].id : null }
+    ));
+}
+
+/**
+ * Find the newest message at or below the given one in the tree
+ * @param {Object[]} messages - Linked messages in chronological order
+ * @param {string} messageId
+ * @returns {string}
+ */
+function findNewestDescendant(messages, messageId) {
+    const branch = new Set([messageId]);
+    let leafId = messageId;
+    // Chronological order guarantees parents are visited before their children
+    for (const message of messages) {
+        if (branch.has(message.parentId)) {
+            branch.add(message.id);
+            leafId = message.id;
+        }
+    }
+    return leafId;
+}
+
 /**
  * LocalStorage implementation of BaseRepository
  * Messages are stored in IndexedDB while metadata remains in localStorage
@@ -36,6 +73,8 @@ export class LocalStorageRepository extends BaseRepository {
     constructor() {
         super();
         this._migrationPromise = null;
+        /** @type {Map<string, Object[]>} In-memory chunk index per project, rebuilt when its files change */
+        this._knowledgeIndex = new Map();
         this._initializeStorage();
     }
 
@@ -53,6 +92,8 @@ export class LocalStorageRepository extends BaseRepository {
                 selectedModel: DEFAULT_MODEL,
                 enabledModels: MODELS.map(m => m.id),
                 webSearchEnabled: false,
+                titleModel: DEFAULT_TITLE_MODEL,
+                contextStrategy: DEFAULT_CONTEXT_STRATEGY,
             }));
         }
         if (!localStorage.getItem(STORAGE_KEYS.USER)) {
@@ -163,11 +204,12 @@ export class LocalStorageRepository extends BaseRepository {
 
     async getChats(userId, options = {}) {
         await this._ensureMigrated();
-        const { limit = 20, offset = 0, projectId = null } = options;
+        const { limit = 20, offset = 0, projectId = null, archived = false } = options;
         const { items, total } = await fileStorage.paginateChatMetadata({
             limit,
             offset,
             projectId,
+            archived,
         });
         const chats = items.map(stripMessages);
         const hasMore = offset + chats.length < total;
@@ -200,6 +242,8 @@ export class LocalStorageRepository extends BaseRepository {
             createdAt: now,
             updatedAt: now,
             messageCount: 0,
+            pinned: false,
+            archived: false,
             ...chatData,
         };
 
@@ -247,10 +291,12 @@ export class LocalStorageRepository extends BaseRepository {
             metaUpdates.messageCount = messages.length;
         }
 
+        // Flags and settings don't move the chat in the date-grouped list
+        const isActivity = messages !== undefined || metaUpdates.title !== undefined || metaUpdates.projectId !== undefined;
         const updatedMeta = {
             ...existing,
             ...metaUpdates,
-            updatedAt: Date.now(),
+            ...(isActivity ? { updatedAt: Date.now() } : {}),
         };
 
         await fileStorage.saveChatMetadata(updatedMeta);
@@ -260,6 +306,45 @@ export class LocalStorageRepository extends BaseRepository {
         return { ...updatedMeta, messages: allMessages };
     }
 
+    async forkChat(chatId, messageId) {
+        await this._ensureMigrated();
+        const chatMeta = await fileStorage.getChatMetadata(chatId);
+
+        if (!chatMeta) {
+            throw new Error(`Chat ${chatId} not found`);
+        }
+
+        const all = linkMessages(await fileStorage.getMessagesByChat(chatId) || []);
+        const byId = new Map(all.map(m => [m.id, m]));
+        if (!byId.has(messageId)) {
+            throw new Error(`Message ${messageId} not found`);
+        }
+
+        // Collect the branch ending at messageId, oldest first
+        const path = [];
+        for (let message = byId.get(messageId); message && !path.includes(message); message = byId.get(message.parentId)) {
+            path.unshift(message);
+        }
+
+        let parentId = null;
+        const messages = path.map(({ siblingIds, ...message }) => {
+            const copy = { ...message, id: generateId('msg_'), parentId };
+            parentId = copy.id;
+            return copy;
+        });
+
+        const fork = await this.createChat({
+            title: `Fork of ${chatMeta.title || 'New Chat'}`,
+            projectId: chatMeta.projectId || null,
+            model: chatMeta.model || null,
+            params: chatMeta.params || null,
+            personaId: chatMeta.personaId || null,
+            messages,
+        });
+
+        return stripMessages(fork);
+    }
+
     async deleteChat(chatId) {
         await this._ensureMigrated();
         const existing = await fileStorage.getChatMetadata(chatId);
@@ -324,6 +409,7 @@ export class LocalStorageRepository extends BaseRepository {
         const message = {
             id: generateId('msg_'),
             chatId: chatId,
+            parentId: null,
             role: 'user',
             content: '',
             createdAt: Date.now(),
@@ -333,9 +419,10 @@ export class LocalStorageRepository extends BaseRepository {
         // Store message in IndexedDB
         await fileStorage.storeMessage(message);
 
-        // Update metadata in localStorage
+        // Update metadata in localStorage; a new message means following the newest branch again
         const updatedMeta = {
             ...chatMeta,
+            activeLeafId: null,
             messageCount: (chatMeta.messageCount || 0) + 1,
             updatedAt: Date.now(),
         };
@@ -373,19 +460,78 @@ export class LocalStorageRepository extends BaseRepository {
         const limit = Math.min(Math.max(parseInt(options.limit ?? 50, 10) || 50, 1), 200);
         const offset = Math.max(parseInt(options.offset ?? 0, 10) || 0, 0);
 
-        const all = await fileStorage.getMessagesByChat(chatId) || [];
-        // Ensure chronological order
-        const sorted = [...all].sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
-        const total = sorted.length;
+        const chatMeta = await fileStorage.getChatMetadata(chatId);
+        const all = linkMessages(await fileStorage.getMessagesByChat(chatId) || []);
+        if (all.length === 0) {
+            return { messages: [], hasMore: false, total: 0 };
+        }
+
+        const byId = new Map(all.map(m => [m.id, m]));
+        const childrenByParent = new Map();
+        for (const message of all) {
+            const key = message.parentId ?? null;
+            if (!childrenByParent.has(key)) childrenByParent.set(key, []);
+            childrenByParent.get(key).push(message.id);
+        }
+
+        // Walk from the active leaf (or the newest message) back to the root
+        const leafId = byId.has(chatMeta?.activeLeafId) ? chatMeta.activeLeafId : all[all.length - 1].id;
+        const path = [];
+        const seen = new Set();
+        for (let message = byId.get(leafId); message && !seen.has(message.id); message = byId.get(message.parentId)) {
+            seen.add(message.id);
+            path.unshift({
+                ...message,
+                siblingIds: childrenByParent.get(message.parentId ?? null) || [message.id],
+            });
+        }
+        const total = path.length;
 
         const end = Math.max(total - offset, 0);
         const start = Math.max(end - limit, 0);
-        const page = sorted.slice(start, end);
+        const page = path.slice(start, end);
         const hasMore = start > 0;
 
         return { messages: page, hasMore, total };
     }
 
+    async setActiveBranch(chatId, messageId) {
+        await this._ensureMigrated();
+        const chatMeta = await fileStorage.getChatMetadata(chatId);
+
+        if (!chatMeta) {
+            throw new Error(`Chat ${chatId} not found`);
+        }
+
+        const all = linkMessages(await fileStorage.getMessagesByChat(chatId) || []);
+        if (!all.some(m => m.id === messageId)) {
+            throw new Error(`Message ${messageId} not found`);
+        }
+
+        await fileStorage.saveChatMetadata({
+            ...chatMeta,
+            activeLeafId: findNewestDescendant(all, messageId),
+        });
+    }
+
+    // ==================
+    // Share Link Operations
+    // ==================
+
+    // Local chats never leave the browser, so there is nothing a public link could serve
+
+    async createShare(chatId) {
+        throw new Error('Sign in to share chats with a link');
+    }
+
+    async getShares(chatId) {
+        return [];
+    }
+
+    async revokeShare(shareId) {
+        return false;
+    }
+
     // ==================
     // User Operations
     // ==================
@@ -412,12 +558,17 @@ export class LocalStorageRepository extends BaseRepository {
     // ==================
 
     async getSettings(userId) {
-        return this._get(STORAGE_KEYS.SETTINGS) || {
+        const defaults = {
             apiKey: '',
             selectedModel: DEFAULT_MODEL,
             enabledModels: MODELS.map(m => m.id),
             webSearchEnabled: false,
+            titleModel: DEFAULT_TITLE_MODEL,
+            contextStrategy: DEFAULT_CONTEXT_STRATEGY,
+            modelFallbacks: {},
         };
+        // Settings saved by older versions may lack newer fields
+        return { ...defaults, ...this._get(STORAGE_KEYS.SETTINGS) };
     }
 
     async saveSettings(settings, userId) {
@@ -505,6 +656,7 @@ export class LocalStorageRepository extends BaseRepository {
         if (projects[projectId]) {
             // Delete associated files from IndexedDB
             await fileStorage.deleteFilesByProject(projectId);
+            this._knowledgeIndex.delete(projectId);
 
             delete projects[projectId];
             this._set(STORAGE_KEYS.PROJECTS, projects);
@@ -526,16 +678,18 @@ export class LocalStorageRepository extends BaseRepository {
         }
 
         const fileId = generateId('file_');
-        const { data, ...metadata } = fileData;
+        const { data, text, ...metadata } = fileData;
 
-        // Store file data in IndexedDB (avoids localStorage quota limits)
+        // Store file data and extracted text in IndexedDB (avoids localStorage quota limits)
         if (data) {
             await fileStorage.storeFile(fileId, projectId, data, {
                 name: metadata.name,
                 type: metadata.type,
                 size: metadata.size,
+                text,
             });
         }
+        this._knowledgeIndex.delete(projectId);
 
         // Store metadata in localStorage (without the large data blob)
         const file = {
@@ -573,6 +727,7 @@ export class LocalStorageRepository extends BaseRepository {
 
         // Remove from IndexedDB
         await fileStorage.deleteFile(fileId);
+        this._knowledgeIndex.delete(projectId);
 
         // Remove from localStorage
         projects[projectId].files.splice(fileIndex, 1);
@@ -582,12 +737,145 @@ export class LocalStorageRepository extends BaseRepository {
         return true;
     }
 
+    async searchProjectKnowledge(projectId, query, topK) {
+        if (!this._knowledgeIndex.has(projectId)) {
+            const files = await fileStorage.getFilesByProject(projectId);
+            const chunks = files.flatMap(file => {
+                try {
+                    // Text files stored before extraction existed are decoded on the fly
+                    const text = file.text ?? (isTextFile(file) ? decodeTextData(file.data) : '');
+                    return chunkText(text).map(chunk => ({ ...chunk, fileId: file.id, fileName: file.name }));
+                } catch (error) {
+                    console.error('Failed to index project file:', file.name, error);
+                    return [];
+                }
+            });
+            this._knowledgeIndex.set(projectId, chunks);
+        }
+
+        return rankChunks(this._knowledgeIndex.get(projectId), query, topK);
+    }
+
     async getProjectChats(projectId) {
         await this._ensureMigrated();
         const chats = await fileStorage.getChatsByProject(projectId);
         return chats.map(stripMessages);
     }
 
+    // Guest projects live in this browser only, so they cannot have other members
+
+    async getProjectMembers(projectId) {
+        return [];
+    }
+
+    async addProjectMember(projectId, memberData) {
+        throw new Error('Sign in to invite people to a project');
+    }
+
+    async updateProjectMember(projectId, memberId, role) {
+        throw new Error('Sign in to manage project members');
+    }
+
+    async removeProjectMember(projectId, memberId) {
+        return false;
+    }
+
+    // ==================
+    // Persona Operations
+    // ==================
+
+    async getPersonas() {
+        const personas = this._get(STORAGE_KEYS.PERSONAS) || {};
+        return Object.values(personas)
+            .sort((a, b) => (b.isDefault ? 1 : 0) - (a.isDefault ? 1 : 0) || a.name.localeCompare(b.name));
+    }
+
+    async createPersona(personaData) {
+        const personas = this._get(STORAGE_KEYS.PERSONAS) || {};
+        const now = Date.now();
+
+        // Only one edited default is kept
+        const existingDefault = personaData.isDefault
+            ? Object.values(personas).find(p => p.isDefault)
+            : null;
+
+        const persona = {
+            id: existingDefault?.id || generateId('persona_'),
+            name: 'New Persona',
+            prompt: '',
+            defaultModel: null,
+            isDefault: false,
+            createdAt: existingDefault?.createdAt || now,
+            ...personaData,
+            updatedAt: now,
+        };
+
+        personas[persona.id] = persona;
+        this._set(STORAGE_KEYS.PERSONAS, personas);
+        return persona;
+    }
+
+    async updatePersona(personaId, updates) {
+        const personas = this._get(STORAGE_KEYS.PERSONAS) || {};
+
+        if (!personas[personaId]) {
+            throw new Error(`Persona ${personaId} not found`);
+        }
+
+        personas[personaId] = {
+            ...personas[personaId],
+            ...updates,
+            updatedAt: Date.now(),
+        };
+
+        this._set(STORAGE_KEYS.PERSONAS, personas);
+        return personas[personaId];
+    }
+
+    async deletePersona(personaId) {
+        const personas = this._get(STORAGE_KEYS.PERSONAS) || {};
+        if (!personas[personaId]) return false;
+
+        delete personas[personaId];
+        this._set(STORAGE_KEYS.PERSONAS, personas);
+        return true;
+    }
+
+    // ==================
+    // Usage Operations
+    // ==================
+
+    async getUsage(since) {
+        await this._ensureMigrated();
+        const metaList = await fileStorage.getAllChatMetadata();
+        const records = new Map();
+
+        for (const meta of metaList) {
+            const messages = await fileStorage.getMessagesByChat(meta.id);
+            for (const msg of messages) {
+                if (msg.role !== 'assistant' || !msg.stats || (msg.createdAt || 0) < since) continue;
+
+                const day = toDayKey(msg.createdAt);
+                const model = msg.stats.model || msg.model || null;
+                const projectId = meta.projectId || null;
+                const key = `${day}|${model}|${projectId}`;
+                const record = records.get(key) || { day, model, projectId, cost: 0, promptTokens: 0, completionTokens: 0, messages: 0 };
+                record.cost += msg.stats.cost || 0;
+                record.promptTokens += msg.stats.promptTokens || 0;
+                record.completionTokens += msg.stats.completionTokens || 0;
+                record.messages += 1;
+                records.set(key, record);
+            }
+        }
+
+        return [...records.values()].sort((a, b) => b.day.localeCompare(a.day));
+    }
+
+    async getBudgetStatus() {
+        // Local mode calls OpenRouter directly, so there is no proxy to enforce a cap
+        return null;
+    }
+
     // ==================
     // Bulk Operations
     // ==================
@@ -607,6 +895,7 @@ export class LocalStorageRepository extends BaseRepository {
         return {
             chats: fullChats,
             projects: this._get(STORAGE_KEYS.PROJECTS) || {},
+            personas: this._get(STORAGE_KEYS.PERSONAS) || {},
             user: this._get(STORAGE_KEYS.USER),
             settings: this._get(STORAGE_KEYS.SETTINGS),
             exportedAt: new Date().toISOString(),
@@ -641,6 +930,9 @@ export class LocalStorageRepository extends BaseRepository {
             if (data.projects) {
                 this._set(STORAGE_KEYS.PROJECTS, data.projects);
             }
+            if (data.personas) {
+                this._set(STORAGE_KEYS.PERSONAS, data.personas);
+            }
             if (data.user) {
                 this._set(STORAGE_KEYS.USER, data.user);
             }
@@ -657,11 +949,13 @@ export class LocalStorageRepository extends BaseRepository {
     async clearAll(userId) {
         // Clear files and messages from IndexedDB
         await fileStorage.clearAllFiles();
+        this._knowledgeIndex.clear();
         await fileStorage.clearAllMessages();
         await fileStorage.clearAllChatMetadata();
 
         // Clear localStorage
         localStorage.removeItem(STORAGE_KEYS.PROJECTS);
+        localStorage.removeItem(STORAGE_KEYS.PERSONAS);
         localStorage.removeItem(STORAGE_KEYS.USER);
         localStorage.removeItem(STORAGE_KEYS.SETTINGS);
         localStorage.removeItem(MESSAGES_MIGRATION_KEY);
@@ -5,7 +5,8 @@
 
 import { BaseRepository } from './BaseRepository.js';
 import { authService } from '../services/auth.js';
-import { DEFAULT_MODEL, MODELS } from '../config/models.js';
+import { DEFAULT_MODEL, DEFAULT_TITLE_MODEL, MODELS } from '../config/models.js';
+import { DEFAULT_CONTEXT_STRATEGY } from '../utils/context.js';
 
 /**
  * Neon PostgreSQL implementation of BaseRepository
@@ -36,9 +37,9 @@ export class NeonRepository extends BaseRepository {
 
     async getChats(userId, options = {}) {
         try {
-            const { limit = 20, offset = 0, projectId = null } = options;
+            const { limit = 20, offset = 0, projectId = null, archived = false } = options;
             const result = await this._request('getChats', {
-                data: { projectId, limit, offset },
+                data: { projectId, limit, offset, archived },
             });
             // API now returns { chats, hasMore, total }
             return {
@@ -92,6 +93,16 @@ export class NeonRepository extends BaseRepository {
         }
     }
 
+    async forkChat(chatId, messageId) {
+        try {
+            const chat = await this._request('forkChat', { chatId, messageId });
+            return chat;
+        } catch (error) {
+            console.error('NeonRepository.forkChat error:', error);
+            throw error;
+        }
+    }
+
     async searchChats(query, userId, options = {}) {
         try {
             const { limit = 20, offset = 0 } = options;
@@ -156,6 +167,49 @@ export class NeonRepository extends BaseRepository {
         }
     }
 
+    async setActiveBranch(chatId, messageId) {
+        try {
+            await this._request('setActiveBranch', { chatId, messageId });
+        } catch (error) {
+            console.error('NeonRepository.setActiveBranch error:', error);
+            throw error;
+        }
+    }
+
+    // ==================
+    // Share Link Operations
+    // ==================
+
+    async createShare(chatId) {
+        try {
+            const share = await this._request('createShare', { chatId });
+            return share;
+        } catch (error) {
+            console.error('NeonRepository.createShare error:', error);
+            throw error;
+        }
+    }
+
+    async getShares(chatId) {
+        try {
+            const shares = await this._request('getShares', { chatId });
+            return shares || [];
+        } catch (error) {
+            console.error('NeonRepository.getShares error:', error);
+            return [];
+        }
+    }
+
+    async revokeShare(shareId) {
+        try {
+            await this._request('revokeShare', { shareId });
+            return true;
+        } catch (error) {
+            console.error('NeonRepository.revokeShare error:', error);
+            return false;
+        }
+    }
+
     // ==================
     // User Operations
     // ==================
@@ -211,6 +265,10 @@ export class NeonRepository extends BaseRepository {
                 selectedModel: settings.selectedModel || DEFAULT_MODEL,
                 enabledModels: settings.enabledModels || MODELS.map(m => m.id),
                 webSearchEnabled: settings.webSearchEnabled || false,
+                titleModel: settings.titleModel || DEFAULT_TITLE_MODEL,
+                contextStrategy: settings.contextStrategy || DEFAULT_CONTEXT_STRATEGY,
+                budget: settings.budget || null,
+                modelFallbacks: settings.modelFallbacks || {},
             };
         } catch (error) {
             console.error('NeonRepository.getSettings error:', error);
@@ -220,6 +278,10 @@ export class NeonRepository extends BaseRepository {
                 selectedModel: DEFAULT_MODEL,
                 enabledModels: MODELS.map(m => m.id),
                 webSearchEnabled: false,
+                titleModel: DEFAULT_TITLE_MODEL,
+                contextStrategy: DEFAULT_CONTEXT_STRATEGY,
+                budget: null,
+                modelFallbacks: {},
             };
         }
     }
@@ -232,6 +294,10 @@ export class NeonRepository extends BaseRepository {
                 selectedModel: result.selectedModel || DEFAULT_MODEL,
                 enabledModels: result.enabledModels || MODELS.map(m => m.id),
                 webSearchEnabled: result.webSearchEnabled || false,
+                titleModel: result.titleModel || DEFAULT_TITLE_MODEL,
+                contextStrategy: result.contextStrategy || DEFAULT_CONTEXT_STRATEGY,
+                budget: result.budget || null,
+                modelFallbacks: result.modelFallbacks || {},
             };
         } catch (error) {
             console.error('NeonRepository.saveSettings error:', error);
@@ -313,6 +379,19 @@ export class NeonRepository extends BaseRepository {
         }
     }
 
+    async searchProjectKnowledge(projectId, query, topK) {
+        try {
+            const results = await this._request('searchProjectKnowledge', {
+                projectId,
+                data: { query, topK },
+            });
+            return results || [];
+        } catch (error) {
+            console.error('NeonRepository.searchProjectKnowledge error:', error);
+            return [];
+        }
+    }
+
     async getProjectChats(projectId) {
         try {
             const chats = await this._request('getProjectChats', { projectId });
@@ -323,6 +402,114 @@ export class NeonRepository extends BaseRepository {
         }
     }
 
+    async getProjectMembers(projectId) {
+        try {
+            const members = await this._request('getProjectMembers', { projectId });
+            return members || [];
+        } catch (error) {
+            console.error('NeonRepository.getProjectMembers error:', error);
+            return [];
+        }
+    }
+
+    async addProjectMember(projectId, memberData) {
+        try {
+            const member = await this._request('addProjectMember', { projectId, data: memberData });
+            return member;
+        } catch (error) {
+            console.error('NeonRepository.addProjectMember error:', error);
+            throw error;
+        }
+    }
+
+    async updateProjectMember(projectId, memberId, role) {
+        try {
+            const member = await this._request('updateProjectMember', { projectId, memberId, data: { role } });
+            return member;
+        } catch (error) {
+            console.error('NeonRepository.updateProjectMember error:', error);
+            throw error;
+        }
+    }
+
+    async removeProjectMember(projectId, memberId) {
+        try {
+            await this._request('removeProjectMember', { projectId, memberId });
+            return true;
+        } catch (error) {
+            console.error('NeonRepository.removeProjectMember error:', error);
+            return false;
+        }
+    }
+
+    // ==================
+    // Persona Operations
+    // ==================
+
+    async getPersonas() {
+        try {
+            const personas = await this._request('getPersonas');
+            return personas || [];
+        } catch (error) {
+            console.error('NeonRepository.getPersonas error:', error);
+            return [];
+        }
+    }
+
+    async createPersona(personaData) {
+        try {
+            const persona = await this._request('createPersona', { data: personaData });
+            return persona;
+        } catch (error) {
+            console.error('NeonRepository.createPersona error:', error);
+            throw error;
+        }
+    }
+
+    async updatePersona(personaId, updates) {
+        try {
+            const persona = await this._request('updatePersona', { personaId, data: updates });
+            return persona;
+        } catch (error) {
+            console.error('NeonRepository.updatePersona error:', error);
+            throw error;
+        }
+    }
+
+    async deletePersona(personaId) {
+        try {
+            await this._request('deletePersona', { personaId });
+            return true;
+        } catch (error) {
+            console.error('NeonRepository.deletePersona error:', error);
+            return false;
+        }
+    }
+
+    // ==================
+    // Usage Operations
+    // ==================
+
+    async getUsage(since) {
+        try {
+            return await this._request('getUsage', {
+                data: { since, timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone },
+            });
+        } catch (error) {
+            console.error('NeonRepository.getUsage error:', error);
+            throw error;
+        }
+    }
+
+    async getBudgetStatus() {
+        try {
+            return await this._request('getBudgetStatus');
+        } catch (error) {
+            console.error('NeonRepository.getBudgetStatus error:', error);
+            throw error;
+        }
+    }
+
     // ==================
     // Bulk Operations
     // ==================
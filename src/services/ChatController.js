@@ -4,79 +4,47 @@
 // Extracted from main.js to reduce monolithic code and improve testability.
 
 import { stateManager } from './state.js';
-import { isImageGenerationModel } from '../config/models.js';
+import { isImageGenerationModel, supportsReasoning, supportsTools, getContextLength, estimateCost, DEFAULT_TITLE_MODEL } from '../config/models.js';
+import { DEFAULT_TOP_K } from '../utils/knowledge.js';
+import { getToolDefinitions, executeTool } from './tools.js';
+import { getChatParams } from '../utils/generationParams.js';
+import { getModelChain, isFallbackError } from '../utils/fallbacks.js';
+import { validateJsonReply } from '../utils/jsonSchema.js';
+import { extractModelMention } from '../utils/mentions.js';
+import { DEFAULT_PERSONA_PROMPT, interpolatePrompt } from '../config/personas.js';
+import { applyImageStyle } from '../config/imageStyles.js';
+import {
+    estimateTokens,
+    estimateMessageTokens,
+    findContextStart,
+    RESPONSE_RESERVE_TOKENS,
+    MAX_CONTEXT_SUMMARY_LENGTH,
+} from '../utils/context.js';
+
+const TITLE_PROMPT = 'Write a concise title (at most 6 words) for the conversation below. Reply with the title only: no quotes, no trailing punctuation.';
+const TITLE_CONTEXT_CHARS = 1500;
+
+const REPAIR_PROMPT = 'Your previous reply does not match the required JSON Schema. Fix these problems and reply with the corrected JSON only:';
+
+// Model turns that may call tools before it has to answer in plain text
+const MAX_TOOL_ROUNDS = 5;
+
+const SUMMARY_PROMPT = 'Summarize the conversation below so it can stand in for the original turns. Keep facts, decisions, names, numbers, code identifiers and open questions; drop pleasantries. If a summary so far is given, merge the new turns into it. Reply with the summary only.';
+const SUMMARY_MAX_TOKENS = 1000;
+// Per-message cap on what the summarizer reads
+const SUMMARY_MESSAGE_CHARS = 4000;
+// Share of the budget left to recent turns after summarizing, so the next
+// few messages fit without another summary call
+const SUMMARY_HEADROOM = 0.75;
 
 /**
- * Dynamic system prompt that injects current date/time context
+ * Dynamic system prompt: a persona prompt with its date/time variables filled in
  * @param {string} [projectInstructions] - Optional project-specific instructions to append
+ * @param {string} [personaPrompt] - Persona prompt template; defaults to the built-in LampChat prompt
  * @returns {string} The system prompt with current context
  */
-export const getSystemPrompt = (projectInstructions = '') => {
-    let prompt = `You are a helpful, knowledgeable, and friendly AI assistant named LampChat. Your goal is to provide accurate, well-formatted, and contextually appropriate responses.
-
-## CRITICAL FORMATTING RULE
-
-When listing multiple items, you MUST use markdown bullet points with a dash (-) or asterisk (*) at the start of each line. Never list items on separate lines without bullet markers.
-
-Example of CORRECT formatting:
-- First item
-- Second item
-- Third item
-
-Example of WRONG formatting (never do this):
-First item
-Second item
-Third item
-
-## Context
-- **Current Date**: ${new Date().toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
-- **Current Time**: ${new Date().toLocaleTimeString()}
-
-## Response Formatting
-
-### Code and Technical Content
-- **ALWAYS** wrap code snippets in markdown code fences with the correct language identifier (e.g., \`\`\`javascript).
-- **Never render raw HTML/CSS/JS**: Display it as code blocks.
-- **Complete solutions**: When providing code, prioritize complete, runnable examples over partial snippets unless specifically asked for a modification.
-- **File Names**: If providing multiple files, use a comment at the top of the code block to indicate the filename (e.g., \`// src/App.js\`).
-
-### Visuals & Math
-- **No LaTeX**: Do not use LaTeX formatting (like $$ or \\frac) as the frontend cannot render it. Use Unicode/Plain text for math (e.g., "x = (-b ± √(b² - 4ac)) / 2a").
-- **Diagrams**: If a diagram is helpful, use Mermaid.js syntax inside a \`\`\`mermaid\`\`\` code block.
-
-### Markdown Best Practices
-- **Readability**: Keep paragraphs concise (3-4 lines max) to ensure readability on mobile devices.
-- **Structure**: Use headers (##) and bullet points to break up text and improve scannability.
-- **Emphasis**: Use **bold** for key concepts and *italics* for emphasis.
-- **Lists**: Always use - or * for unordered lists, and 1. 2. 3. for ordered/sequential lists.
-
-## Response Logic
-
-### Analysis and Reasoning
-- **Think Step-by-Step**: For complex logic or debugging, briefly outline your reasoning process before providing the final solution.
-- **Safety**: If a request is unsafe or unethical, refuse politely and concisely without lecturing the user.
-
-### Code Requests
-- Provide complete, working examples.
-- Include comments explaining complex logic.
-- Suggest best practices or libraries when relevant.
-
-## Communication Style
-
-- Be concise but thorough - provide enough detail without being verbose
-- Use clear, accessible language - avoid unnecessary jargon
-- Be helpful and proactive - anticipate follow-up questions
-- Admit uncertainty when appropriate - say "I'm not certain, but..." rather than guessing
-- Be polite and professional in all interactions
-
-## Special Considerations
-
-- **Context awareness**: Reference previous messages in the conversation when relevant
-- **Multimodal content**: When images or files are provided, describe and analyze them accurately
-- **Safety**: Decline requests that could cause harm, violate privacy, or break laws
-- **Accuracy**: If you're uncertain about facts, indicate this clearly
-- **Updates**: Acknowledge if information might be outdated and suggest verification
-`;
+export const getSystemPrompt = (projectInstructions = '', personaPrompt = DEFAULT_PERSONA_PROMPT) => {
+    let prompt = interpolatePrompt(personaPrompt);
 
     // Append project-specific instructions if provided
     if (projectInstructions && projectInstructions.trim()) {
@@ -105,6 +73,47 @@ export class ChatController {
         this.openRouter = openRouterService;
         this.chatArea = chatArea;
         this.settings = settings;
+        /** @type {AbortController|null} Controller for the in-flight request, if any */
+        this._abortController = null;
+    }
+
+    /**
+     * Abort the in-flight response. Text streamed so far is kept and the
+     * message is marked as stopped.
+     */
+    stopStreaming() {
+        if (this._abortController) {
+            this._abortController.abort();
+        }
+    }
+
+    /**
+     * Send a queued follow-up for the current chat
+     * @param {string} [itemId] - Defaults to the oldest; an item being edited is held back
+     */
+    sendQueuedMessage(itemId) {
+        const chatId = stateManager.currentChat?.id;
+        if (!chatId || stateManager.isStreaming) return;
+
+        const queue = stateManager.getMessageQueue(chatId);
+        const next = itemId ? queue.find(item => item.id === itemId) : queue[0];
+        if (!next || next.editing) return;
+
+        stateManager.takeQueuedMessage(chatId, next.id);
+        this.sendMessage(next.content, next.attachments).catch(error => {
+            console.error('Failed to send queued message:', error);
+        });
+    }
+
+    /**
+     * Clear the in-flight request and move on to the next queued follow-up.
+     * A reply the user stopped pauses the queue so they can change course.
+     * @private
+     */
+    _finishRequest() {
+        const stopped = this._abortController?.signal.aborted;
+        this._abortController = null;
+        if (!stopped) this.sendQueuedMessage();
     }
 
     /**
@@ -132,10 +141,12 @@ export class ChatController {
     }
 
     /**
-     * Get project context (instructions and files) for the current chat
-     * @returns {{instructions: string, filesContext: string}|null}
+     * Get project context for the current chat: its instructions plus the file
+     * excerpts most relevant to the latest user message, numbered for citation
+     * @param {Array} messages - Conversation about to be sent
+     * @returns {Promise<{instructions: string, filesContext: string}|null>}
      */
-    _getProjectContext() {
+    async _getProjectContext(messages) {
         const chat = stateManager.currentChat;
         if (!chat?.projectId) return null;
 
@@ -144,56 +155,64 @@ export class ChatController {
 
         const instructions = project.instructions || '';
 
-        // Build context from project files
         let filesContext = '';
-        if (project.files && project.files.length > 0) {
-            const MAX_TOTAL_BYTES = 16 * 1024; // 16KB cap to avoid prompt bloat
-            const MAX_PER_FILE = 8 * 1024; // 8KB per file
-            const allowedText = project.files.filter(f =>
-                f.type?.startsWith('text/') ||
-                f.name?.endsWith('.txt') ||
-                f.name?.endsWith('.md') ||
-                f.name?.endsWith('.json')
-            );
-
-            let remaining = MAX_TOTAL_BYTES;
-            if (allowedText.length > 0) {
-                filesContext = '## Project Knowledge Base\n\nThe following files have been provided as context:\n\n';
-                for (const file of allowedText) {
-                    if (remaining <= 0) break;
-                    try {
-                        // Decode base64 data if present
-                        let content = '';
-                        if (file.data) {
-                            const base64Data = file.data.includes(',')
-                                ? file.data.split(',')[1]
-                                : file.data;
-                            content = atob(base64Data);
-                        }
-                        let trimmed = content.slice(0, Math.min(MAX_PER_FILE, remaining));
-                        remaining -= trimmed.length;
-                        if (content.length > trimmed.length) {
-                            trimmed += '\n...[truncated]';
-                        }
-                        filesContext += `### ${file.name}\n\`\`\`\n${trimmed}\n\`\`\`\n\n`;
-                    } catch (e) {
-                        console.error('Failed to decode file:', file.name, e);
-                    }
+        const lastUserMessage = [...messages].reverse().find(m => m.role === 'user');
+        const query = lastUserMessage ? this.extractTextContent(lastUserMessage.content) : '';
+        if (project.files?.length > 0 && query.trim()) {
+            try {
+                const results = await stateManager.searchProjectKnowledge(project.id, query, DEFAULT_TOP_K);
+                if (results.length > 0) {
+                    filesContext = '## Project Knowledge Base\n\n' +
+                        'These excerpts from the project files were retrieved for the latest message. ' +
+                        'Cite the ones you rely on by their number, e.g. [1], and say so if they do not cover the question.\n\n' +
+                        results.map((result, i) =>
+                            `[${i + 1}] ${result.fileName} § ${result.section}\n\`\`\`\n${result.content}\n\`\`\``
+                        ).join('\n\n');
                 }
+            } catch (error) {
+                console.error('Failed to search project files:', error);
             }
         }
 
         return { instructions, filesContext };
     }
 
+    /**
+     * Build extra request options for chatStream from the current settings
+     * and the chat's generation parameters
+     * @param {string} model - Model the request goes to
+     * @param {AbortSignal} [signal] - Signal used to stop the stream
+     * @returns {Object}
+     */
+    _getRequestOptions(model, signal) {
+        const options = { ...getChatParams(stateManager.generationParams), signal };
+
+        // OpenRouter's web plugin runs a search and returns url_citation annotations
+        if (stateManager.settings?.webSearchEnabled) {
+            options.plugins = [{ id: 'web' }];
+        }
+
+        const effort = stateManager.reasoningEffort;
+        if (effort && supportsReasoning(model)) {
+            options.reasoning = { effort };
+        }
+
+        return options;
+    }
+
     /**
      * Send a message
      * @param {string} message - The text message
      * @param {Array} attachments - File attachments
+     * @param {Object} [options]
+     * @param {string} [options.model] - Answer with this model instead of the chat's, for this message only.
+     *   Without it, a model "@mention" in the message does the same.
      */
-    async sendMessage(message, attachments = []) {
+    async sendMessage(message, attachments = [], { model } = {}) {
         // Allow sending if there's a message OR attachments
         if (!message.trim() && attachments.length === 0) return;
+        // Only the owner can add to a chat; the server would reject the save
+        if (stateManager.isChatReadOnly()) return;
 
         // Check for API key
         if (!this.openRouter.hasApiKey()) {
@@ -202,9 +221,28 @@ export class ChatController {
             return;
         }
 
-        const settings = stateManager.settings;
-        const selectedModel = settings.selectedModel;
+        // "@model" routes this one message without changing the chat's model
+        const mention = model ? null : extractModelMention(message);
+        if (mention && (mention.text || attachments.length > 0)) {
+            message = mention.text;
+            model = mention.model;
+        }
+        const mentioned = Boolean(model) && model === mention?.model;
+
+        const selectedModel = model || stateManager.selectedModel;
         const isImageGen = isImageGenerationModel(selectedModel);
+        const compareModels = model ? [] : stateManager.compareModels.filter(id => !isImageGenerationModel(id));
+
+        // Moving on without picking keeps the left-most finished reply
+        const pending = stateManager.activeComparison;
+        if (pending) {
+            const first = pending.responses.find(r => r.status === 'done');
+            if (first) {
+                await this.keepComparisonResponse(first.id);
+            } else {
+                stateManager.clearComparison();
+            }
+        }
 
         try {
             // Build user message content
@@ -223,6 +261,8 @@ export class ChatController {
 
             // Set streaming state (typing indicator will show after user message renders)
             stateManager.setStreaming(true);
+            this._abortController = new AbortController();
+            const { signal } = this._abortController;
 
             // Ensure we have a current chat before adding messages
             if (!stateManager.currentChat) {
@@ -235,7 +275,18 @@ export class ChatController {
             }
 
             // Add user message (network request happens while UI shows feedback)
-            await stateManager.addMessage(userMessageData);
+            const userMsg = await stateManager.addMessage(userMessageData);
+
+            if (compareModels.length > 1) {
+                const history = stateManager.currentChat.messages.map(m => ({
+                    id: m.id,
+                    role: m.role,
+                    content: typeof m.content === 'string' ? m.content : this.extractTextContent(m.content),
+                    ...(m.role === 'user' && m.attachments?.length > 0 ? { attachments: m.attachments } : {}),
+                }));
+                await this._handleCompare(history, compareModels, userMsg.id, attachments, signal);
+                return;
+            }
 
             // Add placeholder for assistant message
             const assistantMsg = await stateManager.addMessage({
@@ -249,6 +300,7 @@ export class ChatController {
                 throw new Error('Failed to create or access chat');
             }
             const messages = chat.messages.slice(0, -1).map(m => ({
+                id: m.id,
                 role: m.role,
                 content: typeof m.content === 'string' ? m.content : this.extractTextContent(m.content),
                 ...(m.role === 'user' && m.attachments?.length > 0 ? { attachments: m.attachments } : {}),
@@ -258,9 +310,9 @@ export class ChatController {
                 // Hide typing indicator and show image generation shimmer instead
                 this.chatArea.hideTypingIndicator();
                 this.chatArea.showImageGenerationShimmer();
-                await this._handleImageGeneration(message, selectedModel, assistantMsg.id);
+                await this._handleImageGeneration(message, selectedModel, assistantMsg.id, signal, { mentioned, attachments });
             } else {
-                await this._handleChatStream(messages, selectedModel, assistantMsg.id, attachments);
+                await this._handleChatStream(messages, selectedModel, assistantMsg.id, attachments, signal, { mentioned });
             }
 
         } catch (error) {
@@ -268,19 +320,24 @@ export class ChatController {
             this.chatArea.hideTypingIndicator();
             stateManager.setStreaming(false);
             alert('Failed to send message: ' + error.message);
+        } finally {
+            this._finishRequest();
         }
     }
 
     /**
-     * Regenerate a response
+     * Regenerate a response as a new sibling branch, keeping the old reply
      * @param {string} messageId - The message ID to regenerate
+     * @param {Object} [options]
+     * @param {Array} [options.followUp] - Turns sent after the history that are not saved to the chat
      */
-    async regenerateResponse(messageId) {
+    async regenerateResponse(messageId, { followUp = [] } = {}) {
         if (stateManager.isStreaming) return;
 
         const chat = stateManager.currentChat;
-        if (!chat) return;
+        if (!chat || stateManager.isChatReadOnly(chat)) return;
 
+        stateManager.clearComparison();
         await stateManager.loadMessages(chat.id);
 
         // Find the message index
@@ -289,6 +346,7 @@ export class ChatController {
 
         // Get messages up to (but not including) this assistant message
         const messagesForContext = chat.messages.slice(0, msgIndex).map(m => ({
+            id: m.id,
             role: m.role,
             content: typeof m.content === 'string' ? m.content : this.extractTextContent(m.content),
             ...(m.role === 'user' && m.attachments?.length > 0 ? { attachments: m.attachments } : {}),
@@ -302,12 +360,21 @@ export class ChatController {
 
         try {
             stateManager.setStreaming(true);
+            this._abortController = new AbortController();
+            const { signal } = this._abortController;
+
+            // Swap the old reply out of view and start a sibling in its place
+            const { parentId, siblingIds } = stateManager.branchFrom(messageId);
+            const branchId = crypto.randomUUID();
+            await stateManager.addMessage({
+                id: branchId,
+                role: 'assistant',
+                content: '',
+                parentId,
+                siblingIds: [...siblingIds, branchId],
+            });
 
-            // Clear the existing message content
-            await stateManager.updateMessage(messageId, { content: '', stats: null, generatedImages: null });
-
-            const settings = stateManager.settings;
-            const selectedModel = settings.selectedModel;
+            const selectedModel = stateManager.selectedModel;
             const isImageGen = isImageGenerationModel(selectedModel);
 
             if (isImageGen) {
@@ -315,11 +382,11 @@ export class ChatController {
                 this.chatArea.showImageGenerationShimmer();
                 // Get the original user message for image regeneration
                 const userMessage = messagesForContext[messagesForContext.length - 1]?.content || '';
-                await this._handleImageGeneration(userMessage, selectedModel, messageId);
+                await this._handleImageGeneration(userMessage, selectedModel, branchId, signal, { attachments });
             } else {
                 // Show typing indicator for chat models
                 this.chatArea.showTypingIndicator();
-                await this._handleRegenerateStream(messagesForContext, selectedModel, messageId, attachments);
+                await this._handleRegenerateStream(messagesForContext, selectedModel, branchId, attachments, signal, followUp);
             }
 
         } catch (error) {
@@ -327,35 +394,252 @@ export class ChatController {
             this.chatArea.hideTypingIndicator();
             this.chatArea.hideImageGenerationShimmer();
             stateManager.setStreaming(false);
+        } finally {
+            this._finishRequest();
+        }
+    }
+
+    /**
+     * Edit a user message and stream a fresh reply from that point.
+     * The edit becomes a sibling branch, so the original turn stays reachable.
+     * @param {string} messageId - The user message to edit
+     * @param {string} content - The new message text
+     */
+    async editMessage(messageId, content) {
+        if (stateManager.isStreaming) return;
+
+        const chat = stateManager.currentChat;
+        if (!chat || stateManager.isChatReadOnly(chat)) return;
+
+        stateManager.clearComparison();
+        await stateManager.loadMessages(chat.id);
+
+        const original = chat.messages.find(m => m.id === messageId);
+        if (!original || original.role !== 'user') return;
+
+        const attachments = original.attachments || [];
+        if (!content.trim() && attachments.length === 0) return;
+
+        // Check for API key
+        if (!this.openRouter.hasApiKey()) {
+            alert('Please set your OpenRouter API key in Settings first.');
+            this.settings.open();
+            return;
+        }
+
+        const selectedModel = stateManager.selectedModel;
+        const isImageGen = isImageGenerationModel(selectedModel);
+
+        try {
+            stateManager.setStreaming(true);
+            this._abortController = new AbortController();
+            const { signal } = this._abortController;
+
+            const { parentId, siblingIds } = stateManager.branchFrom(messageId);
+            const branchId = crypto.randomUUID();
+            await stateManager.addMessage({
+                id: branchId,
+                role: 'user',
+                content,
+                attachments,
+                parentId,
+                siblingIds: [...siblingIds, branchId],
+            });
+
+            // Add placeholder for the new assistant reply
+            this.chatArea.showTypingIndicator();
+            const assistantMsg = await stateManager.addMessage({
+                role: 'assistant',
+                content: '',
+            });
+
+            const currentChat = stateManager.currentChat;
+            const messages = currentChat.messages.slice(0, -1).map(m => ({
+                id: m.id,
+                role: m.role,
+                content: typeof m.content === 'string' ? m.content : this.extractTextContent(m.content),
+                ...(m.role === 'user' && m.attachments?.length > 0 ? { attachments: m.attachments } : {}),
+            }));
+
+            if (isImageGen) {
+                this.chatArea.hideTypingIndicator();
+                this.chatArea.showImageGenerationShimmer();
+                await this._handleImageGeneration(content, selectedModel, assistantMsg.id, signal, { attachments });
+            } else {
+                await this._handleChatStream(messages, selectedModel, assistantMsg.id, attachments, signal);
+            }
+
+        } catch (error) {
+            console.error('Edit message error:', error);
+            this.chatArea.hideTypingIndicator();
+            this.chatArea.hideImageGenerationShimmer();
+            stateManager.setStreaming(false);
+            alert('Failed to resend message: ' + error.message);
+        } finally {
+            this._finishRequest();
         }
     }
 
     /**
-     * Handle image generation (non-streaming)
+     * Keep one reply of a side-by-side comparison as the continuation of the chat.
+     * The other replies stay reachable through the branch switcher.
+     * @param {string} responseId - Comparison reply to keep
+     * @returns {Promise<void>}
+     */
+    async keepComparisonResponse(responseId) {
+        if (stateManager.isStreaming) return;
+
+        const comparison = stateManager.activeComparison;
+        const response = comparison?.responses.find(r => r.id === responseId);
+        if (!response || response.status !== 'done') return;
+
+        const saved = await response.saved;
+        stateManager.clearComparison();
+
+        if (saved) {
+            await stateManager.switchBranch(response.id);
+        } else {
+            // The reply never reached storage, so add it to the chat like a normal one
+            const { status, saved: _saved, ...messageData } = response;
+            await stateManager.addMessage({
+                ...messageData,
+                role: 'assistant',
+                parentId: comparison.parentId,
+            });
+        }
+
+        const chat = stateManager.currentChat;
+        if (chat?.messages?.length === 2 && response.content && stateManager.hasAutoTitle(chat)) {
+            this.generateTitle(chat.id).catch(error =>
+                console.error('Failed to generate chat title:', error)
+            );
+        }
+    }
+
+    /**
+     * Ask the model to fix a structured-output reply that failed validation.
+     * The bad reply and the errors are sent as hidden turns, and the fix lands
+     * as a new sibling of the bad reply instead of a visible follow-up.
+     * @param {string} messageId - The assistant message that failed
+     */
+    async repairStructuredOutput(messageId) {
+        if (stateManager.isStreaming) return;
+
+        const msg = stateManager.currentChat?.messages?.find(m => m.id === messageId);
+        const errors = msg?.stats?.structuredOutput?.errors;
+        if (!Array.isArray(errors) || errors.length === 0) return;
+
+        const problems = errors.map(error => `- ${error.path}: ${error.message}`).join('\n');
+        await this.regenerateResponse(messageId, {
+            followUp: [
+                { role: 'assistant', content: typeof msg.content === 'string' ? msg.content : this.extractTextContent(msg.content) },
+                { role: 'user', content: `${REPAIR_PROMPT}\n${problems}` },
+            ],
+        });
+    }
+
+    /**
+     * Name a chat from its first exchange using the configured title model.
+     * Falls back to the first-words heuristic when there is no API key or the call fails.
+     * @param {string} chatId
+     * @returns {Promise<void>}
+     */
+    async generateTitle(chatId) {
+        const messages = await stateManager.loadMessages(chatId);
+        const firstUser = messages.find(m => m.role === 'user');
+        if (!firstUser) return;
+
+        const question = this.extractTextContent(firstUser.content);
+        const answer = this.extractTextContent(messages.find(m => m.role === 'assistant')?.content || '');
+        const fallbackTitle = stateManager.generateHeuristicTitle(question);
+
+        if (!this.openRouter.hasApiKey() || !question.trim()) {
+            await stateManager.updateChat(chatId, { title: fallbackTitle });
+            return;
+        }
+
+        try {
+            const model = stateManager.settings?.titleModel || DEFAULT_TITLE_MODEL;
+            const transcript = `User: ${question.slice(0, TITLE_CONTEXT_CHARS)}`
+                + (answer ? `\n\nAssistant: ${answer.slice(0, TITLE_CONTEXT_CHARS)}` : '');
+            const response = await this.openRouter.chat(model, [
+                { role: 'system', content: TITLE_PROMPT },
+                { role: 'user', content: transcript },
+            ], { max_tokens: 30 });
+
+            const title = (response || '')
+                .split('\n')[0]
+                .replace(/^["'`*#\s]+|["'`*.\s]+$/g, '')
+                .slice(0, 80);
+            await stateManager.updateChat(chatId, { title: title || fallbackTitle });
+        } catch (error) {
+            console.error('Title generation error:', error);
+            await stateManager.updateChat(chatId, { title: fallbackTitle });
+        }
+    }
+
+    /**
+     * Handle image generation (non-streaming). Uses the chat's image options;
+     * attached images are sent along for the model to edit or vary. Each
+     * requested image is a separate request, run in parallel; the images that
+     * come back are kept even when others in the batch fail.
      * @private
      */
-    async _handleImageGeneration(prompt, model, messageId) {
+    async _handleImageGeneration(prompt, model, messageId, signal, { mentioned = false, attachments = [] } = {}) {
         try {
-            const result = await this.openRouter.generateImage(prompt, model);
+            const { aspectRatio, count = 1, style } = stateManager.generationParams?.image || {};
+            const options = { aspectRatio, images: attachments, signal };
+            const styledPrompt = applyImageStyle(prompt, style);
+
+            const settled = await Promise.allSettled(
+                Array.from({ length: count }, () => this.openRouter.generateImage(styledPrompt, model, options))
+            );
+            const results = settled.filter(r => r.status === 'fulfilled').map(r => r.value);
+            if (!results.some(r => r.images?.length > 0)) {
+                const failure = settled.find(r => r.status === 'rejected');
+                if (failure) throw failure.reason;
+            }
+            const failedCount = settled.length - results.length;
 
             this.chatArea.hideImageGenerationShimmer();
             stateManager.setStreaming(false);
 
+            const images = results.flatMap(r => r.images || []);
+            const promptTokens = results.reduce((sum, r) => sum + (r.promptTokens || 0), 0);
+            const completionTokens = results.reduce((sum, r) => sum + (r.completionTokens || 0), 0);
+            const cost = results.every(r => typeof r.cost === 'number')
+                ? results.reduce((sum, r) => sum + r.cost, 0)
+                : estimateCost(model, promptTokens, completionTokens);
+            const summary = results.find(r => r.text)?.text || (images.length > 1 ? `${images.length} images generated.` : 'Image generated successfully.');
             const updateData = {
-                content: result.text || 'Image generated successfully.',
-                stats: { model },
+                content: failedCount > 0 ? `${summary}\n\n${failedCount} of ${settled.length} images failed to generate.` : summary,
+                stats: {
+                    model,
+                    ...(mentioned ? { mentioned: true } : {}),
+                    promptTokens,
+                    completionTokens,
+                    ...(cost !== null ? { cost } : {}),
+                },
             };
 
-            if (result.images && result.images.length > 0) {
-                updateData.generatedImages = result.images;
+            if (images.length > 0) {
+                updateData.generatedImages = images;
             }
 
             await stateManager.updateMessage(messageId, updateData);
         } catch (error) {
-            console.error('Image generation error:', error);
             this.chatArea.hideImageGenerationShimmer();
             stateManager.setStreaming(false);
 
+            if (signal?.aborted) {
+                await stateManager.updateMessage(messageId, {
+                    content: 'Image generation stopped.',
+                    stats: { model, stopped: true },
+                });
+                return;
+            }
+
+            console.error('Image generation error:', error);
             await stateManager.updateMessage(messageId, {
                 content: `Error: ${error.message}`,
             });
@@ -363,20 +647,22 @@ export class ChatController {
     }
 
     /**
-     * Handle chat streaming for new messages
+     * Prepend the system prompt and any retrieved project context to a conversation,
+     * trimming the history to fit the target models' context windows
+     * @param {Array} messages - Conversation history
+     * @param {string[]} models - Models the request goes to
+     * @returns {Promise<Array>}
      * @private
      */
-    async _handleChatStream(messages, model, messageId, attachments) {
-        let streamedContent = '';
-
+    async _buildMessagesWithSystem(messages, models) {
         // Get project context if applicable
-        const projectContext = this._getProjectContext();
-        const systemPrompt = getSystemPrompt(projectContext?.instructions || '');
+        const projectContext = await this._getProjectContext(messages);
+        const systemPrompt = getSystemPrompt(projectContext?.instructions || '', stateManager.currentPersona.prompt);
 
-        // Build messages array with system prompt
-        const messagesWithSystem = [
-            { role: 'system', content: systemPrompt },
-        ];
+        // Build messages array with system prompt (a persona may have an empty one)
+        const messagesWithSystem = systemPrompt.trim()
+            ? [{ role: 'system', content: systemPrompt.trim() }]
+            : [];
 
         // Add project files context if available
         if (projectContext?.filesContext) {
@@ -386,36 +672,292 @@ export class ChatController {
             });
         }
 
-        messagesWithSystem.push(...messages);
+        const history = await this._fitToContext(messages, models, messagesWithSystem);
+        messagesWithSystem.push(...history);
+        return messagesWithSystem;
+    }
+
+    /**
+     * Leave out the oldest history when the request would overflow the smallest
+     * context window among the models, either dropping it or folding it into the
+     * chat's rolling summary depending on the contextStrategy setting.
+     * What was left out is recorded so the chat can mark it.
+     * @param {Array} messages - Conversation history, with message IDs
+     * @param {string[]} models - Models the request goes to
+     * @param {Array} systemMessages - System messages sent ahead of the history
+     * @returns {Promise<Array>} History to send, led by the summary if one is used
+     * @private
+     */
+    async _fitToContext(messages, models, systemMessages) {
+        const chat = stateManager.currentChat;
+        const contextLength = Math.min(...models.map(getContextLength));
+        const reserve = stateManager.generationParams?.max_tokens || RESPONSE_RESERVE_TOKENS;
+        const systemTokens = systemMessages.reduce((sum, m) => sum + estimateMessageTokens(m), 0);
+        const budget = contextLength - reserve - systemTokens;
+
+        const summarize = stateManager.settings?.contextStrategy === 'summarize';
+        let summary = summarize ? chat?.contextSummary || null : null;
+        // A summary made on another branch does not describe this history
+        let summaryEnd = summary ? messages.findIndex(m => m.id === summary.throughMessageId) + 1 : 0;
+        if (summaryEnd === 0) summary = null;
+
+        let start = findContextStart(messages, budget - (summary ? estimateTokens(summary.content) : 0), summaryEnd);
+
+        if (summarize && chat && start > summaryEnd) {
+            const target = Math.max(start, findContextStart(messages, budget * SUMMARY_HEADROOM - SUMMARY_MAX_TOKENS, summaryEnd));
+            try {
+                const content = await this._summarize(summary?.content || '', messages.slice(summaryEnd, target));
+                summary = { content, throughMessageId: messages[target - 1].id };
+                start = target;
+                await stateManager.updateChat(chat.id, { contextSummary: summary });
+            } catch (error) {
+                // Sending without the new turns summarized still beats failing the message
+                console.error('Context summary error:', error);
+            }
+        }
+
+        if (chat) {
+            stateManager.setContextWindow(chat.id, {
+                startMessageId: start > 0 ? messages[start].id : null,
+                summarized: Boolean(summary),
+            });
+        }
+
+        const history = messages.slice(start);
+        if (!summary) return history;
+        return [
+            { role: 'system', content: `Summary of the earlier conversation:\n\n${summary.content}` },
+            ...history,
+        ];
+    }
+
+    /**
+     * Fold turns into a chat's rolling summary using the title model
+     * @param {string} previousSummary - Summary so far, or '' for the first one
+     * @param {Array} messages - Turns to add to it
+     * @returns {Promise<string>}
+     * @private
+     */
+    async _summarize(previousSummary, messages) {
+        const model = stateManager.settings?.titleModel || DEFAULT_TITLE_MODEL;
+        const transcript = messages.map(m =>
+            `${m.role === 'user' ? 'User' : 'Assistant'}: ${this.extractTextContent(m.content).slice(0, SUMMARY_MESSAGE_CHARS)}`
+        ).join('\n\n');
+        const input = previousSummary
+            ? `Summary so far:\n${previousSummary}\n\nNew turns:\n${transcript}`
+            : transcript;
+
+        const summary = (await this.openRouter.chat(model, [
+            { role: 'system', content: SUMMARY_PROMPT },
+            { role: 'user', content: input },
+        ], { max_tokens: SUMMARY_MAX_TOKENS })).trim();
+
+        if (!summary) {
+            throw new Error('The summary model returned nothing');
+        }
+        return summary.slice(0, MAX_CONTEXT_SUMMARY_LENGTH);
+    }
+
+    /**
+     * Turn a finished stream into the fields saved on the assistant message
+     * @param {string} model - Model the reply was requested from
+     * @param {string} fullContent - Final reply text
+     * @param {Object} stats - Stream stats
+     * @param {Object} [extra] - Images, citations, reasoning, tool calls, the model that answered, any response_format and whether the model was @-mentioned
+     * @returns {Object}
+     * @private
+     */
+    _buildResponseData(model, fullContent, stats, extra) {
+        const answeredBy = extra?.model || model;
+        const cost = stats.cost ?? estimateCost(answeredBy, stats.promptTokens, stats.completionTokens);
+        const updateData = {
+            content: fullContent,
+            stats: {
+                model: answeredBy,
+                ...(answeredBy !== model ? { requestedModel: model } : {}),
+                ...(extra?.mentioned ? { mentioned: true } : {}),
+                completionTokens: stats.completionTokens,
+                promptTokens: stats.promptTokens,
+                tokensPerSecond: stats.tokensPerSecond,
+                timeToFirstToken: stats.timeToFirstToken,
+                ...(stats.reasoningTime ? { reasoningTime: stats.reasoningTime } : {}),
+                ...(stats.stopped ? { stopped: true } : {}),
+                ...(cost !== null ? { cost } : {}),
+            },
+        };
 
-        await this.openRouter.chatStream(
+        // A stopped reply is unfinished, so it is not held to the schema
+        const schema = extra?.responseFormat?.json_schema?.schema;
+        if (schema && !stats.stopped) {
+            updateData.stats.structuredOutput = { errors: validateJsonReply(fullContent, schema) };
+        }
+
+        if (extra?.images && extra.images.length > 0) {
+            updateData.generatedImages = extra.images;
+        }
+
+        if (extra?.citations && extra.citations.length > 0) {
+            updateData.citations = extra.citations;
+        }
+
+        if (extra?.reasoning) {
+            updateData.reasoning = extra.reasoning;
+        }
+
+        if (extra?.toolCalls && extra.toolCalls.length > 0) {
+            updateData.toolCalls = extra.toolCalls;
+        }
+
+        return updateData;
+    }
+
+    /**
+     * Stream a reply, running any tools the model calls and streaming again with
+     * their results until it answers without calling one.
+     * Text from every round accumulates into the same reply. A round that fails
+     * with a rate limit or outage before streaming anything moves on to the
+     * next model in the user's fallback chain.
+     * @param {string} model - Model ID
+     * @param {Array} messages - Conversation including system messages
+     * @param {Object} callbacks
+     * @param {function(string, Object): void} callbacks.onUpdate - Receives the reply so far and any reasoning or tool calls
+     * @param {function(string, Object, Object): Promise<void>} callbacks.onComplete - Receives the full reply, summed stats and extras
+     * @param {function(Error): Promise<void>} callbacks.onError
+     * @param {AbortSignal} [signal] - Signal used to stop the stream
+     * @param {Array} [attachments] - Attachments for the latest user message
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _streamWithTools(model, messages, callbacks, signal, attachments) {
+        const chain = getModelChain(model, stateManager.settings?.modelFallbacks);
+        let chainIndex = 0;
+        let activeModel = model;
+        let tools = supportsTools(activeModel) ? getToolDefinitions() : [];
+        const conversation = [...messages];
+        const toolCalls = [];
+        const citations = [];
+        let content = '';
+        let reasoning = '';
+        let totals = null;
+        let round = 0;
+
+        while (true) {
+            // Separate the text of each round once it starts streaming
+            let separator = content ? '\n\n' : '';
+            let streamed = false;
+            const options = this._getRequestOptions(activeModel, signal);
+            // The last round offers no tools, so the model has to answer
+            if (tools.length > 0 && round < MAX_TOOL_ROUNDS) {
+                options.tools = tools;
+            }
+
+            let response;
+            try {
+                response = await new Promise((resolve, reject) => {
+                    this.openRouter.chatStream(
+                        activeModel,
+                        conversation,
+                        {
+                            onToken: (token) => {
+                                streamed = true;
+                                content += separator + token;
+                                separator = '';
+                                callbacks.onUpdate(content, {});
+                            },
+                            onReasoning: (token) => {
+                                streamed = true;
+                                reasoning += token;
+                                callbacks.onUpdate(content, { reasoning });
+                            },
+                            onComplete: (fullContent, stats, extra) => resolve({ fullContent, stats, extra }),
+                            onError: reject,
+                        },
+                        options,
+                        attachments
+                    ).catch(reject);
+                });
+            } catch (error) {
+                if (!streamed && isFallbackError(error) && chainIndex < chain.length - 1) {
+                    console.warn(`${activeModel} unavailable (${error.message}), falling back to ${chain[chainIndex + 1]}`);
+                    activeModel = chain[++chainIndex];
+                    tools = supportsTools(activeModel) ? getToolDefinitions() : [];
+                    continue;
+                }
+                await callbacks.onError(error);
+                return;
+            }
+
+            const { fullContent, stats, extra } = response;
+            citations.push(...(extra?.citations || []).filter(c => !citations.some(seen => seen.url === c.url)));
+            totals = totals
+                ? {
+                    ...stats,
+                    completionTokens: totals.completionTokens + stats.completionTokens,
+                    promptTokens: totals.promptTokens + stats.promptTokens,
+                    timeToFirstToken: totals.timeToFirstToken,
+                    reasoningTime: (totals.reasoningTime || 0) + (stats.reasoningTime || 0) || undefined,
+                    // A round without a reported cost leaves the total to the pricing table
+                    cost: totals.cost !== undefined && stats.cost !== undefined ? totals.cost + stats.cost : undefined,
+                }
+                : stats;
+
+            const calls = extra?.toolCalls || [];
+            if (calls.length === 0 || stats.stopped || signal?.aborted) {
+                await callbacks.onComplete(content, totals, { ...extra, citations, reasoning, toolCalls, model: activeModel, responseFormat: options.response_format });
+                return;
+            }
+
+            conversation.push({ role: 'assistant', content: fullContent, tool_calls: calls });
+            for (const call of calls) {
+                const step = { id: call.id, name: call.function.name, arguments: call.function.arguments };
+                toolCalls.push(step);
+                callbacks.onUpdate(content, { toolCalls: [...toolCalls] });
+
+                const { result, error } = await executeTool(step.name, step.arguments);
+                step.result = result;
+                if (error) step.error = true;
+                callbacks.onUpdate(content, { toolCalls: [...toolCalls] });
+
+                conversation.push({ role: 'tool', tool_call_id: call.id, content: result });
+            }
+
+            if (signal?.aborted) {
+                await callbacks.onComplete(content, { ...totals, stopped: true }, { ...extra, citations, reasoning, toolCalls, model: activeModel, responseFormat: options.response_format });
+                return;
+            }
+            round++;
+        }
+    }
+
+    /**
+     * Handle chat streaming for new messages
+     * @param {Object} [options]
+     * @param {boolean} [options.mentioned] - The model was picked with an @mention for this message
+     * @private
+     */
+    async _handleChatStream(messages, model, messageId, attachments, signal, { mentioned = false } = {}) {
+        const messagesWithSystem = await this._buildMessagesWithSystem(messages, [model]);
+
+        await this._streamWithTools(
             model,
             messagesWithSystem,
             {
-                onToken: (token) => {
-                    streamedContent += token;
-                    stateManager.updateStreamingMessage(messageId, streamedContent);
+                onUpdate: (content, extra) => {
+                    stateManager.updateStreamingMessage(messageId, content, extra);
                 },
                 onComplete: async (fullContent, stats, extra) => {
                     this.chatArea.hideTypingIndicator();
 
-                    const updateData = {
-                        content: fullContent,
-                        stats: {
-                            model,
-                            completionTokens: stats.completionTokens,
-                            promptTokens: stats.promptTokens,
-                            tokensPerSecond: stats.tokensPerSecond,
-                            timeToFirstToken: stats.timeToFirstToken,
-                        },
-                    };
+                    await stateManager.updateMessage(messageId, this._buildResponseData(model, fullContent, stats, { ...extra, mentioned }));
+                    stateManager.setStreaming(false);
 
-                    if (extra?.images && extra.images.length > 0) {
-                        updateData.generatedImages = extra.images;
+                    // Replace the placeholder title once the first exchange is complete
+                    const chat = stateManager.currentChat;
+                    if (chat?.messages?.length === 2 && fullContent && stateManager.hasAutoTitle(chat)) {
+                        this.generateTitle(chat.id).catch(error =>
+                            console.error('Failed to generate chat title:', error)
+                        );
                     }
-
-                    await stateManager.updateMessage(messageId, updateData);
-                    stateManager.setStreaming(false);
                 },
                 onError: async (error) => {
                     console.error('Stream error:', error);
@@ -427,64 +969,31 @@ export class ChatController {
                     });
                 },
             },
-            {},
+            signal,
             attachments
         );
     }
 
     /**
      * Handle chat streaming for regeneration
+     * @param {Array} [followUp] - Unsaved turns appended after the fitted history
      * @private
      */
-    async _handleRegenerateStream(messages, model, messageId, attachments) {
-        let streamedContent = '';
-
-        // Get project context if applicable
-        const projectContext = this._getProjectContext();
-        const systemPrompt = getSystemPrompt(projectContext?.instructions || '');
+    async _handleRegenerateStream(messages, model, messageId, attachments, signal, followUp = []) {
+        const messagesWithSystem = await this._buildMessagesWithSystem(messages, [model]);
+        messagesWithSystem.push(...followUp);
 
-        // Build messages array with system prompt
-        const messagesWithSystem = [
-            { role: 'system', content: systemPrompt },
-        ];
-
-        // Add project files context if available
-        if (projectContext?.filesContext) {
-            messagesWithSystem.push({
-                role: 'system',
-                content: projectContext.filesContext,
-            });
-        }
-
-        messagesWithSystem.push(...messages);
-
-        await this.openRouter.chatStream(
+        await this._streamWithTools(
             model,
             messagesWithSystem,
             {
-                onToken: (token) => {
-                    streamedContent += token;
-                    stateManager.updateStreamingMessage(messageId, streamedContent);
+                onUpdate: (content, extra) => {
+                    stateManager.updateStreamingMessage(messageId, content, extra);
                 },
                 onComplete: async (fullContent, stats, extra) => {
                     this.chatArea.hideTypingIndicator();
 
-                    const updateData = {
-                        content: fullContent,
-                        stats: {
-                            model,
-                            completionTokens: stats.completionTokens,
-                            promptTokens: stats.promptTokens,
-                            tokensPerSecond: stats.tokensPerSecond,
-                            timeToFirstToken: stats.timeToFirstToken,
-                        },
-                    };
-
-                    if (extra?.images && extra.images.length > 0) {
-                        updateData.generatedImages = extra.images;
-                    }
-
-                    await stateManager.updateMessage(messageId, updateData);
+                    await stateManager.updateMessage(messageId, this._buildResponseData(model, fullContent, stats, extra));
                     stateManager.setStreaming(false);
                 },
                 onError: async (error) => {
@@ -497,8 +1006,60 @@ export class ChatController {
                     });
                 },
             },
-            {},
+            signal,
             attachments
         );
     }
+
+    /**
+     * Stream the same conversation to several models at once. Each reply is
+     * saved as a sibling branch under the user message as soon as it finishes,
+     * and stays side by side until one is kept.
+     * @param {Array} messages - Conversation ending with the new user message
+     * @param {string[]} models - Models to compare
+     * @param {string} parentId - The new user message's ID
+     * @param {Array} attachments - Attachments for the user message
+     * @param {AbortSignal} signal - Stops every stream
+     * @private
+     */
+    async _handleCompare(messages, models, parentId, attachments, signal) {
+        const chatId = stateManager.currentChat?.id;
+        const messagesWithSystem = await this._buildMessagesWithSystem(messages, models);
+        const comparison = stateManager.startComparison(parentId, models);
+        this.chatArea.hideTypingIndicator();
+
+        await Promise.all(comparison.responses.map(response => this._streamWithTools(
+            response.model,
+            messagesWithSystem,
+            {
+                onUpdate: (content, extra) => {
+                    stateManager.updateComparisonResponse(response.id, { content, ...extra });
+                },
+                onComplete: async (fullContent, stats, extra) => {
+                    const data = this._buildResponseData(response.model, fullContent, stats, extra);
+                    stateManager.updateComparisonResponse(response.id, {
+                        ...data,
+                        status: 'done',
+                        saved: stateManager.addBranchMessage(chatId, {
+                            id: response.id,
+                            role: 'assistant',
+                            parentId,
+                            ...data,
+                        }),
+                    });
+                },
+                onError: async (error) => {
+                    console.error('Compare stream error:', error);
+                    stateManager.updateComparisonResponse(response.id, {
+                        content: `Error: ${error.message}`,
+                        status: 'error',
+                    });
+                },
+            },
+            signal,
+            attachments
+        )));
+
+        stateManager.setStreaming(false);
+    }
 }
@@ -0,0 +1,227 @@
+// Slash Command Registry
+// ======================
+// Commands typed into the message input as "/name arguments". The built-in
+// commands are registered below; other modules add their own with
+// registerCommand, and can limit them to a project or persona through
+// isAvailable.
+
+import { stateManager } from './state.js';
+import { getAvailableModels, getModelById, getImageGenerationModels, isImageGenerationModel } from '../config/models.js';
+
+const COMMAND_NAME_PATTERN = /^[a-z][a-z0-9-]{0,31}$/;
+const SUGGESTION_LIMIT = 8;
+
+const SUMMARIZE_PROMPT = 'Summarize our conversation so far: the main points, any decisions made and open questions. Use a short bulleted list.';
+
+/**
+ * @typedef {Object} CommandSuggestion
+ * @property {string} value - Argument text to complete to
+ * @property {string} label
+ * @property {string} [detail]
+ */
+
+/**
+ * @typedef {Object} CommandContext
+ * @property {import('./ChatController.js').ChatController} chatController
+ * @property {Array} attachments - Files attached in the input when the command ran
+ */
+
+/**
+ * @typedef {Object} SlashCommand
+ * @property {string} name - Typed after the slash; lowercase letters, digits and dashes
+ * @property {string} description - Shown in the autocomplete menu
+ * @property {string} [usage] - Argument hint, e.g. "<prompt>"
+ * @property {function(): boolean} [isAvailable] - Hide the command when false
+ * @property {function(string): CommandSuggestion[]} [getSuggestions] - Completions for the argument typed so far
+ * @property {function(string, CommandContext): Promise<void>|void} run - Runs with the argument text. Throw to show an error and keep the input.
+ */
+
+/** @type {Map<string, SlashCommand>} */
+const commands = new Map();
+
+/**
+ * Add a command
+ * @param {SlashCommand} command
+ * @returns {Function} - Removes the command again
+ */
+export function registerCommand(command) {
+    if (!COMMAND_NAME_PATTERN.test(command?.name || '')) {
+        throw new Error(`Invalid command name "${command?.name}"`);
+    }
+    if (commands.has(command.name)) {
+        throw new Error(`Command "/${command.name}" is already registered`);
+    }
+    commands.set(command.name, command);
+    return () => {
+        if (commands.get(command.name) === command) commands.delete(command.name);
+    };
+}
+
+/**
+ * Commands usable right now, by name
+ * @returns {SlashCommand[]}
+ */
+export function getCommands() {
+    return [...commands.values()]
+        .filter(command => !command.isAvailable || command.isAvailable())
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Split input text into a command and its argument text
+ * @param {string} text
+ * @returns {{command: SlashCommand, args: string}|null} - Null when the text is not a usable command
+ */
+export function parseCommand(text) {
+    const match = String(text || '').match(/^\/([a-z][a-z0-9-]*)(?:\s+([\s\S]*))?$/);
+    if (!match) return null;
+
+    const command = getCommands().find(c => c.name === match[1]);
+    return command ? { command, args: (match[2] || '').trim() } : null;
+}
+
+/**
+ * Run the command in a line of input
+ * @param {string} text
+ * @param {CommandContext} context
+ * @returns {Promise<boolean>} - False when the text is not a command
+ */
+export async function runCommand(text, context) {
+    const parsed = parseCommand(text);
+    if (!parsed) return false;
+    await parsed.command.run(parsed.args, context);
+    return true;
+}
+
+// ==================
+// Built-in Commands
+// ==================
+
+function ensureIdle() {
+    if (stateManager.isStreaming) {
+        throw new Error('Wait for the current reply to finish first.');
+    }
+}
+
+/**
+ * Best match for a model typed by name or ID
+ * @param {string} query
+ * @returns {import('../config/models.js').Model|undefined}
+ */
+function findModel(query) {
+    const q = query.toLowerCase();
+    const models = getAvailableModels();
+    return getModelById(query) ||
+        models.find(m => m.name.toLowerCase() === q) ||
+        models.find(m => m.id.toLowerCase().endsWith(`/${q}`)) ||
+        models.find(m => m.name.toLowerCase().includes(q) || m.id.toLowerCase().includes(q));
+}
+
+function findPersona(query) {
+    const q = query.toLowerCase();
+    return stateManager.personas.find(p => p.name.toLowerCase() === q) ||
+        stateManager.personas.find(p => p.name.toLowerCase().includes(q));
+}
+
+/**
+ * A chat as Markdown, one section per message
+ * @returns {string}
+ */
+function chatToMarkdown(chat) {
+    const turns = (chat.messages || []).map(m => {
+        const text = typeof m.content === 'string'
+            ? m.content
+            : (m.content || []).filter(part => part.type === 'text').map(part => part.text).join('\n');
+        const heading = m.role === 'user'
+            ? 'You'
+            : getModelById(m.stats?.model || m.model)?.name || 'Assistant';
+        return `## ${heading}\n\n${text}`;
+    });
+    return `# ${chat.title || 'Chat'}\n\n${turns.join('\n\n')}\n`;
+}
+
+const BUILT_IN_COMMANDS = [
+    {
+        name: 'model',
+        usage: '<name>',
+        description: 'Switch this chat to another model',
+        getSuggestions: (args) => {
+            const q = args.toLowerCase();
+            return getAvailableModels()
+                .filter(m => !q || m.name.toLowerCase().includes(q) || m.id.toLowerCase().includes(q))
+                .sort((a, b) => Number(b.curated !== false) - Number(a.curated !== false))
+                .slice(0, SUGGESTION_LIMIT)
+                .map(m => ({ value: m.id, label: m.name, detail: m.provider }));
+        },
+        run: async (args) => {
+            if (!args) throw new Error('Usage: /model <name>');
+            const model = findModel(args);
+            if (!model) throw new Error(`No model matches "${args}"`);
+            await stateManager.setSelectedModel(model.id);
+        },
+    },
+    {
+        name: 'image',
+        usage: '<prompt>',
+        description: 'Generate an image, even if this chat uses a text model',
+        run: async (args, { chatController, attachments }) => {
+            if (!args) throw new Error('Usage: /image <prompt>');
+            ensureIdle();
+            const selected = stateManager.selectedModel;
+            const model = isImageGenerationModel(selected) ? selected : getImageGenerationModels()[0]?.id;
+            if (!model) throw new Error('No image generation model is available');
+            await chatController.sendMessage(args, attachments, { model });
+        },
+    },
+    {
+        name: 'persona',
+        usage: '<name>',
+        description: 'Use a saved persona in this chat',
+        getSuggestions: (args) => {
+            const q = args.toLowerCase();
+            return stateManager.personas
+                .filter(p => p.name.toLowerCase().includes(q))
+                .slice(0, SUGGESTION_LIMIT)
+                .map(p => ({ value: p.name, label: p.name }));
+        },
+        run: async (args) => {
+            if (!args) throw new Error('Usage: /persona <name>');
+            const persona = findPersona(args);
+            if (!persona) throw new Error(`No persona matches "${args}"`);
+            await stateManager.setChatPersona(persona.id);
+        },
+    },
+    {
+        name: 'summarize',
+        description: 'Ask the model to summarize this chat',
+        isAvailable: () => (stateManager.currentChat?.messages?.length || 0) > 0,
+        run: async (args, { chatController }) => {
+            ensureIdle();
+            await chatController.sendMessage(args ? `${SUMMARIZE_PROMPT} Focus on: ${args}` : SUMMARIZE_PROMPT);
+        },
+    },
+    {
+        name: 'clear',
+        description: 'Start a new chat in the same project',
+        run: async () => {
+            await stateManager.createChat({ projectId: stateManager.currentChat?.projectId ?? stateManager.state.currentProjectId });
+        },
+    },
+    {
+        name: 'export',
+        description: 'Download this chat as Markdown',
+        isAvailable: () => (stateManager.currentChat?.messages?.length || 0) > 0,
+        run: () => {
+            const chat = stateManager.currentChat;
+            const blob = new Blob([chatToMarkdown(chat)], { type: 'text/markdown' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${(chat.title || 'chat').replace(/[^\w\- ]+/g, '').trim().slice(0, 60) || 'chat'}.md`;
+            a.click();
+            URL.revokeObjectURL(url);
+        },
+    },
+];
+
+BUILT_IN_COMMANDS.forEach(registerCommand);
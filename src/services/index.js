@@ -3,3 +3,5 @@ export { OpenRouterService, getOpenRouterService } from './openrouter.js';
 export { stateManager } from './state.js';
 export { ChatController } from './ChatController.js';
 export { authService } from './auth.js';
+export { modelCatalog } from './modelCatalog.js';
+export { registerCommand, getCommands, runCommand } from './commands.js';
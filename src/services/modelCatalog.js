@@ -0,0 +1,147 @@
+// Model Catalog Service
+// =====================
+// Loads OpenRouter's model list from /api/models and merges it with the
+// curated list in config/models.js. The last copy is kept in localStorage
+// so catalog models resolve as soon as the app starts.
+
+import { STORAGE_KEYS } from '../config/constants.js';
+import { MODELS, setAvailableModels, getAvailableModels } from '../config/models.js';
+
+const CATALOG_URL = '/api/models';
+const CATALOG_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Merge the live catalog into the curated list. Curated entries keep their
+ * names, descriptions and capability tags; the catalog supplies current
+ * context lengths, prices and parameters, and every model not curated.
+ * @param {import('../config/models.js').Model[]} catalog
+ * @returns {import('../config/models.js').Model[]}
+ */
+function mergeCatalog(catalog) {
+    const liveById = new Map(catalog.map(m => [m.id, m]));
+
+    const curated = MODELS.map(model => {
+        const live = liveById.get(model.id);
+        return {
+            ...model,
+            curated: true,
+            contextLength: live?.contextLength || model.contextLength,
+            pricing: live?.pricing || model.pricing,
+            inputModalities: live?.inputModalities,
+            outputModalities: live?.outputModalities,
+            supportedParameters: live?.supportedParameters,
+        };
+    });
+
+    const curatedIds = new Set(MODELS.map(m => m.id));
+    const extra = catalog
+        .filter(m => !curatedIds.has(m.id))
+        .map(m => ({ ...m, curated: false }));
+
+    return [...curated, ...extra];
+}
+
+/**
+ * Model catalog - fetches, caches and publishes the available models
+ */
+class ModelCatalog {
+    constructor() {
+        this._listeners = new Set();
+        this._loadPromise = null;
+        this._loadedAt = 0;
+    }
+
+    /**
+     * Apply the cached catalog, then refresh it in the background if stale
+     */
+    init() {
+        try {
+            const cached = JSON.parse(localStorage.getItem(STORAGE_KEYS.MODEL_CATALOG) || 'null');
+            if (Array.isArray(cached?.models)) {
+                this._apply(cached.models);
+                this._loadedAt = cached.fetchedAt || 0;
+            }
+        } catch (error) {
+            console.error('Failed to read cached model catalog:', error);
+        }
+
+        if (Date.now() - this._loadedAt > CATALOG_MAX_AGE_MS) {
+            this.refresh().catch(error => {
+                console.error('Failed to load model catalog:', error);
+            });
+        }
+    }
+
+    /**
+     * Fetch the catalog again. Concurrent calls share one request.
+     * @returns {Promise<void>}
+     */
+    refresh() {
+        if (!this._loadPromise) {
+            this._loadPromise = this._fetch().finally(() => {
+                this._loadPromise = null;
+            });
+        }
+        return this._loadPromise;
+    }
+
+    /**
+     * Whether any catalog has been applied (from cache or the network)
+     * @returns {boolean}
+     */
+    get isLoaded() {
+        return this._loadedAt > 0;
+    }
+
+    /**
+     * Number of models available, curated and catalog together
+     * @returns {number}
+     */
+    get size() {
+        return getAvailableModels().length;
+    }
+
+    /**
+     * Subscribe to catalog updates
+     * @param {Function} callback
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(callback) {
+        this._listeners.add(callback);
+        return () => this._listeners.delete(callback);
+    }
+
+    /**
+     * @private
+     */
+    async _fetch() {
+        const response = await fetch(CATALOG_URL);
+        if (!response.ok) {
+            throw new Error(`Model catalog request failed: ${response.status}`);
+        }
+
+        const models = await response.json();
+        if (!Array.isArray(models)) {
+            throw new Error('Model catalog response was not a list');
+        }
+
+        this._loadedAt = Date.now();
+        this._apply(models);
+        try {
+            localStorage.setItem(STORAGE_KEYS.MODEL_CATALOG, JSON.stringify({ fetchedAt: this._loadedAt, models }));
+        } catch (error) {
+            // Storage full; the catalog still applies for this session
+            console.error('Failed to cache model catalog:', error);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _apply(catalog) {
+        setAvailableModels(mergeCatalog(catalog));
+        this._listeners.forEach(cb => cb());
+    }
+}
+
+export const modelCatalog = new ModelCatalog();
@@ -3,12 +3,14 @@
 // Handles all communication with the OpenRouter API
 
 import { OPENROUTER_API_URL, OPENROUTER_IMAGE_GEN_URL, APP_NAME } from '../config/constants.js';
-import { IMAGE_GENERATION_MODELS } from '../config/models.js';
+import { isImageGenerationModel } from '../config/models.js';
 
 /**
  * @typedef {Object} ChatMessage
- * @property {string} role - 'user' | 'assistant' | 'system'
+ * @property {string} role - 'user' | 'assistant' | 'system' | 'tool'
  * @property {string|Array} content - Message content (string or multimodal array)
+ * @property {Array} [tool_calls] - Function calls requested by an assistant message
+ * @property {string} [tool_call_id] - Call answered by a tool message
  */
 
 /**
@@ -29,12 +31,23 @@ import { IMAGE_GENERATION_MODELS } from '../config/models.js';
  * @property {number} timeToFirstToken - Time to first token in seconds
  * @property {number} tokensPerSecond - Tokens per second
  * @property {number} totalTime - Total generation time in seconds
+ * @property {number} [reasoningTime] - Seconds spent thinking before the answer started
+ * @property {number} [cost] - USD charged for the request, as reported by OpenRouter
+ * @property {boolean} [stopped] - True when the stream was aborted before the model finished
+ */
+
+/**
+ * @typedef {Object} Citation
+ * @property {string} url - Source URL
+ * @property {string} [title] - Source page title
+ * @property {string} [content] - Snippet quoted from the source
  */
 
 /**
  * @typedef {Object} StreamCallbacks
  * @property {function(string): void} onToken - Called for each token
- * @property {function(string, StreamStats, Object): void} onComplete - Called when stream completes with stats and optional images
+ * @property {function(string): void} [onReasoning] - Called for each reasoning (thinking) token
+ * @property {function(string, StreamStats, Object): void} onComplete - Called when stream completes with stats, optional images, citations, reasoning and tool calls
  * @property {function(Error): void} onError - Called on error
  */
 
@@ -42,7 +55,22 @@ import { IMAGE_GENERATION_MODELS } from '../config/models.js';
  * @typedef {Object} ImageGenerationResult
  * @property {string} text - Any text content in the response
  * @property {Array<{url: string}>} images - Generated images (base64 data URLs)
+ * @property {number} [promptTokens] - Prompt tokens billed
+ * @property {number} [completionTokens] - Completion tokens billed
+ * @property {number} [cost] - USD charged, as reported by OpenRouter
+ */
+
+/**
+ * Error message from a failed response body. OpenRouter nests it under
+ * error.message; the chat proxy's own refusals send a plain string.
+ * @param {Object} payload - Parsed error response
+ * @param {string} fallback - Message when the body has none
+ * @returns {string}
  */
+function getErrorMessage(payload, fallback) {
+    if (typeof payload?.error === 'string') return payload.error;
+    return payload?.error?.message || fallback;
+}
 
 /**
  * OpenRouter API client
@@ -182,6 +210,45 @@ export class OpenRouterService {
         return content;
     }
 
+    /**
+     * Collect url_citation annotations into a de-duplicated citation list
+     * @private
+     * @param {Array} annotations - Annotations from a response chunk
+     * @param {Citation[]} citations - List to append to (mutated)
+     */
+    _collectCitations(annotations, citations) {
+        for (const annotation of annotations) {
+            if (annotation?.type !== 'url_citation') continue;
+            const source = annotation.url_citation || annotation;
+            if (!source.url || citations.some(c => c.url === source.url)) continue;
+            citations.push({
+                url: source.url,
+                title: source.title || '',
+                content: source.content || '',
+            });
+        }
+    }
+
+    /**
+     * Merge streamed tool call fragments into complete calls
+     * @param {Array} deltas - delta.tool_calls entries from one chunk
+     * @param {Array} toolCalls - Calls accumulated so far (mutated)
+     * @private
+     */
+    _collectToolCalls(deltas, toolCalls) {
+        for (const delta of deltas) {
+            const index = delta.index ?? toolCalls.length;
+            const call = toolCalls[index] ||= {
+                id: '',
+                type: 'function',
+                function: { name: '', arguments: '' },
+            };
+            if (delta.id) call.id = delta.id;
+            if (delta.function?.name) call.function.name += delta.function.name;
+            if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+        }
+    }
+
     /**
      * Send a chat completion request (non-streaming)
      * @param {string} model - Model ID
@@ -207,7 +274,7 @@ export class OpenRouterService {
 
         if (!response.ok) {
             const error = await response.json();
-            throw new Error(error.error?.message || `API request failed: ${response.status}`);
+            throw new Error(getErrorMessage(error, `API request failed: ${response.status}`));
         }
 
         const data = await response.json();
@@ -219,7 +286,8 @@ export class OpenRouterService {
      * @param {string} model - Model ID
      * @param {ChatMessage[]} messages - Conversation messages
      * @param {StreamCallbacks} callbacks - Streaming callbacks
-     * @param {Object} [options] - Additional options
+     * @param {Object} [options] - Additional request body options
+     * @param {AbortSignal} [options.signal] - Aborts the request; partial content is reported via onComplete
      * @param {Attachment[]} [attachments] - Attachments for the latest user message
      * @returns {Promise<void>}
      */
@@ -227,6 +295,9 @@ export class OpenRouterService {
         const MAX_RETRIES = 3;
         const BASE_DELAY = 1000; // 1 second
 
+        // The signal is a fetch option, not part of the request body
+        const { signal, ...requestOptions } = options;
+
         if (!this.hasApiKey()) {
             callbacks.onError(new Error('API key not configured'));
             return;
@@ -258,11 +329,13 @@ export class OpenRouterService {
             return {
                 role: msg.role,
                 content: msg.content,
+                ...(msg.tool_calls ? { tool_calls: msg.tool_calls } : {}),
+                ...(msg.tool_call_id ? { tool_call_id: msg.tool_call_id } : {}),
             };
         });
 
         // Check if this is an image generation model
-        const isImageGenModel = IMAGE_GENERATION_MODELS.includes(model);
+        const isImageGenModel = isImageGenerationModel(model);
         const hasPdfAttachment =
             attachments.some(att => att.type === 'pdf') ||
             messages.some(m => Array.isArray(m.attachments) && m.attachments.some(att => att.type === 'pdf'));
@@ -276,20 +349,45 @@ export class OpenRouterService {
             let tokenCount = 0;
             let usageStats = null;
             let generatedImages = [];
+            let citations = [];
+            let fullContent = '';
+            let fullReasoning = '';
+            let reasoningEndTime = null;
+            let toolCalls = [];
             let parseFailureCount = 0;
             const MAX_PARSE_FAILURES = 10; // Track parse failures to detect issues
 
+            const buildStats = () => {
+                const endTime = performance.now();
+                const totalTimeMs = endTime - startTime;
+                const timeToFirstMs = firstTokenTime ? firstTokenTime - startTime : totalTimeMs;
+                const generationTimeMs = firstTokenTime ? endTime - firstTokenTime : totalTimeMs;
+
+                return {
+                    completionTokens: usageStats?.completion_tokens || tokenCount,
+                    promptTokens: usageStats?.prompt_tokens || 0,
+                    totalTokens: usageStats?.total_tokens || tokenCount,
+                    timeToFirstToken: timeToFirstMs / 1000,
+                    tokensPerSecond: generationTimeMs > 0 ? ((usageStats?.completion_tokens || tokenCount) / (generationTimeMs / 1000)) : 0,
+                    totalTime: totalTimeMs / 1000,
+                    ...(fullReasoning ? {
+                        reasoningTime: ((reasoningEndTime ?? endTime) - (firstTokenTime ?? startTime)) / 1000,
+                    } : {}),
+                    ...(typeof usageStats?.cost === 'number' ? { cost: usageStats.cost } : {}),
+                };
+            };
+
             try {
                 const requestBody = {
                     model,
                     messages: processedMessages,
                     stream: true,
                     usage: { include: true },
-                    ...options,
+                    ...requestOptions,
                 };
 
                 // Add file-parser plugin automatically for PDFs if not provided
-                const plugins = Array.isArray(options.plugins) ? [...options.plugins] : [];
+                const plugins = Array.isArray(requestOptions.plugins) ? [...requestOptions.plugins] : [];
                 if (hasPdfAttachment && !plugins.some(p => p?.id === 'file-parser')) {
                     plugins.push({
                         id: 'file-parser',
@@ -311,6 +409,7 @@ export class OpenRouterService {
                     method: 'POST',
                     headers: this._getHeaders(),
                     body: JSON.stringify(requestBody),
+                    signal,
                 });
 
                 if (!response.ok) {
@@ -327,73 +426,103 @@ export class OpenRouterService {
                     }
 
                     const errorPayload = await response.json().catch(() => ({ error: { message: `HTTP ${status}` } }));
-                    const errorMessage = errorPayload.error?.message || `API request failed: ${status}`;
+                    const apiError = new Error(getErrorMessage(errorPayload, `API request failed: ${status}`));
+                    // Lets callers tell outages and rate limits from bad requests
+                    apiError.status = status;
 
                     // Break immediately on non-rate-limit 4xx errors to avoid hammering with bad credentials
                     if (status >= 400 && status < 500) {
-                        callbacks.onError(new Error(errorMessage));
+                        callbacks.onError(apiError);
                         return;
                     }
 
-                    throw new Error(errorMessage);
+                    throw apiError;
                 }
 
                 const reader = response.body.getReader();
                 const decoder = new TextDecoder();
-                let fullContent = '';
                 let buffer = ''; // Accumulate incomplete lines
 
+                // Parse a single SSE line and dispatch its payload
+                const processLine = (line) => {
+                    if (!line.startsWith('data: ')) return;
+                    const data = line.slice(6);
+                    if (data === '[DONE]') return;
+
+                    try {
+                        const parsed = JSON.parse(data);
+
+                        // Check for usage stats (comes in final chunk)
+                        if (parsed.usage) {
+                            usageStats = parsed.usage;
+                        }
+
+                        const choice = parsed.choices?.[0];
+
+                        // Handle reasoning tokens, which stream before the answer
+                        const reasoning = choice?.delta?.reasoning || '';
+                        if (reasoning) {
+                            if (firstTokenTime === null) {
+                                firstTokenTime = performance.now();
+                            }
+                            tokenCount++;
+                            fullReasoning += reasoning;
+                            callbacks.onReasoning?.(reasoning);
+                        }
+
+                        // Handle text content
+                        const content = choice?.delta?.content || '';
+                        if (content) {
+                            // Track first token time
+                            if (firstTokenTime === null) {
+                                firstTokenTime = performance.now();
+                            }
+                            if (fullReasoning && reasoningEndTime === null) {
+                                reasoningEndTime = performance.now();
+                            }
+                            tokenCount++;
+                            fullContent += content;
+                            callbacks.onToken(content);
+                        }
+
+                        // Tool call arguments arrive in fragments keyed by index
+                        const toolCallDeltas = choice?.delta?.tool_calls;
+                        if (toolCallDeltas && toolCallDeltas.length > 0) {
+                            this._collectToolCalls(toolCallDeltas, toolCalls);
+                        }
+
+                        // Handle generated images (for image generation models)
+                        const images = choice?.delta?.images || choice?.message?.images;
+                        if (images && images.length > 0) {
+                            for (const img of images) {
+                                const imgUrl = img.image_url?.url || img.imageUrl?.url || img.url;
+                                if (imgUrl) {
+                                    generatedImages.push({ url: imgUrl });
+                                }
+                            }
+                        }
+
+                        // Handle web search citations (url_citation annotations)
+                        const annotations = choice?.delta?.annotations || choice?.message?.annotations;
+                        if (annotations && annotations.length > 0) {
+                            this._collectCitations(annotations, citations);
+                        }
+                    } catch (e) {
+                        parseFailureCount++;
+                        // Log parse errors (don't silently ignore)
+                        if (parseFailureCount <= MAX_PARSE_FAILURES) {
+                            console.warn('Failed to parse SSE data:', e, 'Data:', data);
+                        }
+                    }
+                };
+
                 while (true) {
                     const { done, value } = await reader.read();
 
                     if (done) {
                         // Process any remaining buffer
                         if (buffer.trim()) {
-                            // Try to parse remaining buffer
-                            const lines = buffer.split('\n');
-                            for (const line of lines) {
-                                if (line.startsWith('data: ')) {
-                                    const data = line.slice(6);
-                                    if (data === '[DONE]') continue;
-
-                                    try {
-                                        const parsed = JSON.parse(data);
-
-                                        // Check for usage stats
-                                        if (parsed.usage) {
-                                            usageStats = parsed.usage;
-                                        }
-
-                                        // Handle text content
-                                        const content = parsed.choices?.[0]?.delta?.content || '';
-                                        if (content) {
-                                            if (firstTokenTime === null) {
-                                                firstTokenTime = performance.now();
-                                            }
-                                            tokenCount++;
-                                            fullContent += content;
-                                            callbacks.onToken(content);
-                                        }
-
-                                        // Handle generated images
-                                        const images = parsed.choices?.[0]?.delta?.images ||
-                                            parsed.choices?.[0]?.message?.images;
-                                        if (images && images.length > 0) {
-                                            for (const img of images) {
-                                                const imgUrl = img.image_url?.url || img.imageUrl?.url || img.url;
-                                                if (imgUrl) {
-                                                    generatedImages.push({ url: imgUrl });
-                                                }
-                                            }
-                                        }
-                                    } catch (e) {
-                                        parseFailureCount++;
-                                        if (parseFailureCount <= MAX_PARSE_FAILURES) {
-                                            console.warn('Failed to parse SSE data:', e, 'Data:', data);
-                                        }
-                                    }
-                                }
-                            }
+                            buffer.split('\n').forEach(processLine);
                         }
                         break;
                     }
@@ -404,52 +533,7 @@ export class OpenRouterService {
                     // Split by newlines, keeping incomplete line in buffer
                     const lines = buffer.split('\n');
                     buffer = lines.pop() || ''; // Keep last incomplete line in buffer
-
-                    for (const line of lines) {
-                        if (line.startsWith('data: ')) {
-                            const data = line.slice(6);
-                            if (data === '[DONE]') continue;
-
-                            try {
-                                const parsed = JSON.parse(data);
-
-                                // Check for usage stats (comes in final chunk)
-                                if (parsed.usage) {
-                                    usageStats = parsed.usage;
-                                }
-
-                                // Handle text content
-                                const content = parsed.choices?.[0]?.delta?.content || '';
-                                if (content) {
-                                    // Track first token time
-                                    if (firstTokenTime === null) {
-                                        firstTokenTime = performance.now();
-                                    }
-                                    tokenCount++;
-                                    fullContent += content;
-                                    callbacks.onToken(content);
-                                }
-
-                                // Handle generated images (for image generation models)
-                                const images = parsed.choices?.[0]?.delta?.images ||
-                                    parsed.choices?.[0]?.message?.images;
-                                if (images && images.length > 0) {
-                                    for (const img of images) {
-                                        const imgUrl = img.image_url?.url || img.imageUrl?.url || img.url;
-                                        if (imgUrl) {
-                                            generatedImages.push({ url: imgUrl });
-                                        }
-                                    }
-                                }
-                            } catch (e) {
-                                parseFailureCount++;
-                                // Log parse errors (don't silently ignore)
-                                if (parseFailureCount <= MAX_PARSE_FAILURES) {
-                                    console.warn('Failed to parse SSE data:', e, 'Data:', data);
-                                }
-                            }
-                        }
-                    }
+                    lines.forEach(processLine);
                 }
 
                 // Report if too many parse failures occurred
@@ -457,26 +541,17 @@ export class OpenRouterService {
                     console.warn(`Warning: ${parseFailureCount} parse failures occurred during streaming. Some data may be incomplete.`);
                 }
 
-                const endTime = performance.now();
-                const totalTimeMs = endTime - startTime;
-                const timeToFirstMs = firstTokenTime ? firstTokenTime - startTime : totalTimeMs;
-                const generationTimeMs = firstTokenTime ? endTime - firstTokenTime : totalTimeMs;
-
-                // Build stats object
-                const stats = {
-                    completionTokens: usageStats?.completion_tokens || tokenCount,
-                    promptTokens: usageStats?.prompt_tokens || 0,
-                    totalTokens: usageStats?.total_tokens || tokenCount,
-                    timeToFirstToken: timeToFirstMs / 1000,
-                    tokensPerSecond: generationTimeMs > 0 ? ((usageStats?.completion_tokens || tokenCount) / (generationTimeMs / 1000)) : 0,
-                    totalTime: totalTimeMs / 1000,
-                };
-
                 // Pass images in the completion callback
-                callbacks.onComplete(fullContent, stats, { images: generatedImages });
+                callbacks.onComplete(fullContent, buildStats(), { images: generatedImages, citations, reasoning: fullReasoning, toolCalls: toolCalls.filter(Boolean) });
                 return; // Success - exit the retry loop
 
             } catch (error) {
+                // User pressed stop: keep whatever streamed so far instead of reporting an error
+                if (signal?.aborted) {
+                    callbacks.onComplete(fullContent, { ...buildStats(), stopped: true }, { images: generatedImages, citations, reasoning: fullReasoning, toolCalls: toolCalls.filter(Boolean) });
+                    return;
+                }
+
                 // Only retry network errors if we haven't exceeded retries
                 if (retryCount < MAX_RETRIES && error.name === 'TypeError' && error.message.includes('fetch')) {
                     const delay = BASE_DELAY * Math.pow(2, retryCount);
@@ -501,7 +576,10 @@ export class OpenRouterService {
      * Note: OpenRouter uses the chat completions endpoint with modalities for image generation
      * @param {string} prompt - The image generation prompt
      * @param {string} model - The image generation model ID
-     * @param {Object} [options] - Additional options (aspect_ratio, etc.)
+     * @param {Object} [options] - Additional options
+     * @param {string} [options.aspectRatio] - e.g. "16:9"
+     * @param {Attachment[]} [options.images] - Input images to edit or vary
+     * @param {AbortSignal} [options.signal] - Cancels the pending request
      * @returns {Promise<ImageGenerationResult>}
      */
     async generateImage(prompt, model, options = {}) {
@@ -514,11 +592,12 @@ export class OpenRouterService {
             messages: [
                 {
                     role: 'user',
-                    content: prompt,
+                    content: this._buildMessageContent(prompt, (options.images || []).filter(img => img.type === 'image')),
                 },
             ],
             modalities: ['image', 'text'],
             stream: false,
+            usage: { include: true },
         };
 
         // Add image config if provided (e.g., aspect_ratio)
@@ -532,11 +611,12 @@ export class OpenRouterService {
             method: 'POST',
             headers: this._getHeaders(),
             body: JSON.stringify(requestBody),
+            signal: options.signal,
         });
 
         if (!response.ok) {
             const error = await response.json();
-            throw new Error(error.error?.message || `Image generation failed: ${response.status}`);
+            throw new Error(getErrorMessage(error, `Image generation failed: ${response.status}`));
         }
 
         const data = await response.json();
@@ -545,6 +625,9 @@ export class OpenRouterService {
         const result = {
             text: message?.content || '',
             images: [],
+            promptTokens: data.usage?.prompt_tokens || 0,
+            completionTokens: data.usage?.completion_tokens || 0,
+            ...(typeof data.usage?.cost === 'number' ? { cost: data.usage.cost } : {}),
         };
 
         // Extract generated images
@@ -4,6 +4,7 @@
 
 import { repository } from '../repositories/index.js';
 import { DEFAULT_MODEL } from '../config/models.js';
+import { DEFAULT_PERSONA, DEFAULT_PERSONA_ID } from '../config/personas.js';
 
 /**
  * @typedef {Object} AppState
@@ -15,10 +16,30 @@ import { DEFAULT_MODEL } from '../config/models.js';
  * @property {Object} settings - User settings
  * @property {Object<string, Object>} chats - Cached chats
  * @property {Object<string, Object>} projects - Cached projects
+ * @property {Object<string, import('../config/personas.js').Persona>} personas - Saved personas
  * @property {boolean} hasMoreChats - Whether there are more chats to load
  * @property {boolean} isLoadingChats - Whether chats are currently being loaded
  * @property {number} chatOffset - Current pagination offset
  * @property {number} chatLimit - Number of chats to load per page
+ * @property {boolean} showArchived - Whether the chat list shows archived chats
+ * @property {string[]} compareModels - Models a prompt is fanned out to; compare mode is on with 2 or more
+ * @property {Comparison|null} comparison - Side-by-side replies waiting for the user to pick one
+ */
+
+/**
+ * @typedef {Object} ComparisonResponse
+ * @property {string} id - Message ID the reply is saved under
+ * @property {string} model - Model that wrote it
+ * @property {string} content - Reply text streamed so far
+ * @property {'streaming'|'done'|'error'} status
+ * @property {Object} [stats] - Generation stats once finished
+ * @property {Promise<boolean>} [saved] - Resolves once the reply is stored as a branch
+ */
+
+/**
+ * @typedef {Object} Comparison
+ * @property {string} parentId - User message the replies answer
+ * @property {ComparisonResponse[]} responses - One per model, in column order
  */
 
 /** @constant {number} */
@@ -39,6 +60,7 @@ class StateManager {
             settings: null,
             chats: {},
             projects: {},
+            personas: {},
             // Chat message caches
             messagesByChatId: {},
             messagesLoadingByChatId: {},
@@ -50,6 +72,22 @@ class StateManager {
             isLoadingChats: false,
             chatOffset: 0,
             chatLimit: DEFAULT_CHAT_LIMIT,
+            // Whether the sidebar lists archived chats instead of active ones
+            showArchived: false,
+            // Reasoning effort picked before the first message; applied to the next new chat
+            draftReasoningEffort: '',
+            // Model and parameters picked before the first message; applied to the next new chat
+            draftModel: null,
+            draftParams: null,
+            draftPersonaId: null,
+            compareModels: [],
+            comparison: null,
+            // Part of each chat's history sent with its latest request
+            contextWindows: {},
+            // Spending cap and this period's usage, when the chat proxy enforces one
+            budgetStatus: null,
+            // Follow-ups typed while a reply streams, per chat, sent in order (this session only)
+            messageQueues: {},
         };
 
         /** @type {Map<string, Set<Function>>} */
@@ -121,6 +159,7 @@ class StateManager {
         const chatsResult = await repository.getChats(null, {
             limit: this.state.chatLimit,
             offset: 0,
+            archived: this.state.showArchived,
         });
 
         // Store chats and pagination state
@@ -139,6 +178,13 @@ class StateManager {
             return acc;
         }, {});
 
+        // Load personas
+        const personas = await repository.getPersonas();
+        this.state.personas = personas.reduce((acc, persona) => {
+            acc[persona.id] = persona;
+            return acc;
+        }, {});
+
         // Set current chat to most recent, or create new one
         if (chatsResult.chats.length > 0) {
             this.state.currentChatId = chatsResult.chats[0].id;
@@ -158,6 +204,8 @@ class StateManager {
             console.error('Chat prefetch failed:', error);
         });
 
+        this.refreshBudgetStatus();
+
         this._initialized = true;
         this._notify('initialized');
     }
@@ -206,8 +254,10 @@ class StateManager {
     }
 
     get allChats() {
+        // Only list chats matching the active/archived view
+        const chats = Object.values(this.state.chats)
+            .filter(chat => !!chat.archived === this.state.showArchived);
         // Filter by current project if one is selected
-        const chats = Object.values(this.state.chats);
         if (this.state.currentProjectId) {
             return chats
                 .filter(chat => chat.projectId === this.state.currentProjectId)
@@ -235,10 +285,81 @@ class StateManager {
         return this.state.isStreaming;
     }
 
+    /** Reasoning effort of the current chat, or of the next new chat ('' = model default) */
+    get reasoningEffort() {
+        const chat = this.currentChat;
+        return chat ? (chat.reasoningEffort || '') : this.state.draftReasoningEffort;
+    }
+
+    /**
+     * Model of the current chat, or of the next new chat.
+     * Falls back to the project default, then to the user's default model.
+     */
+    get selectedModel() {
+        const chat = this.currentChat;
+        if (chat) {
+            return chat.model ||
+                this.state.projects[chat.projectId]?.defaultModel ||
+                this.state.settings?.selectedModel;
+        }
+        return this.state.draftModel ||
+            this.currentProject?.defaultModel ||
+            this.state.settings?.selectedModel;
+    }
+
+    /** Sampling parameters of the current chat, or of the next new chat */
+    get generationParams() {
+        const chat = this.currentChat;
+        if (chat) {
+            return chat.params || this.state.projects[chat.projectId]?.defaultParams || {};
+        }
+        return this.state.draftParams || this.currentProject?.defaultParams || {};
+    }
+
+    /** The user's edited default persona, or the built-in LampChat one */
+    get defaultPersona() {
+        return Object.values(this.state.personas).find(p => p.isDefault) || DEFAULT_PERSONA;
+    }
+
+    /** Every persona the user can pick, default first */
+    get personas() {
+        const others = Object.values(this.state.personas)
+            .filter(p => !p.isDefault)
+            .sort((a, b) => a.name.localeCompare(b.name));
+        return [this.defaultPersona, ...others];
+    }
+
+    /** Persona of the current chat, or of the next new chat */
+    get currentPersona() {
+        const chat = this.currentChat;
+        const personaId = chat ? chat.personaId : this.state.draftPersonaId;
+        return (personaId && this.state.personas[personaId]) || this.defaultPersona;
+    }
+
+    get compareModels() {
+        return this.state.compareModels;
+    }
+
+    /** Comparison still waiting for a pick in the current chat, if any */
+    get activeComparison() {
+        const comparison = this.state.comparison;
+        const messages = this.currentChat?.messages;
+        if (!comparison || !messages?.length) return null;
+        return messages[messages.length - 1].id === comparison.parentId ? comparison : null;
+    }
+
+    get budgetStatus() {
+        return this.state.budgetStatus;
+    }
+
     get sidebarOpen() {
         return this.state.sidebarOpen;
     }
 
+    get showArchived() {
+        return this.state.showArchived;
+    }
+
     get hasMoreChats() {
         return this.state.hasMoreChats;
     }
@@ -356,6 +477,17 @@ class StateManager {
         this._notify('chatSyncStatusChanged', { chatId, status, error: errorMessage });
     }
 
+    /**
+     * Whether a chat belongs to someone else. Project members can open a
+     * teammate's chat, but only its owner can add to or change it.
+     * @param {Object} [chat] - Defaults to the current chat
+     * @returns {boolean}
+     */
+    isChatReadOnly(chat = this.currentChat) {
+        const userId = this.state.user?.id;
+        return Boolean(chat?.userId && userId && chat.userId !== userId);
+    }
+
     isChatSendBlocked(chatId) {
         if (!chatId) return false;
         return this.state.chats[chatId]?._syncStatus === 'error';
@@ -379,11 +511,25 @@ class StateManager {
         const tempId = this._generateTempId();
 
         // Create optimistic chat immediately for instant UI feedback
+        const reasoningEffort = this.state.draftReasoningEffort;
+        this.state.draftReasoningEffort = '';
+        const project = projectId ? this.state.projects[projectId] : null;
+        const model = this.state.draftModel || project?.defaultModel || this.state.settings?.selectedModel || null;
+        const params = this.state.draftParams || project?.defaultParams || null;
+        this.state.draftModel = null;
+        this.state.draftParams = null;
+        const personaId = this.state.draftPersonaId;
+        this.state.draftPersonaId = null;
+
         const optimisticChat = {
             id: tempId,
             title: 'New Chat',
             messages: [],
             projectId: projectId || null,
+            reasoningEffort,
+            model,
+            params,
+            personaId,
             createdAt: now,
             updatedAt: now,
             _isOptimistic: true, // Flag to track optimistic state
@@ -414,6 +560,10 @@ class StateManager {
                 title: 'New Chat',
                 messages: [],
                 projectId: projectId || null,
+                reasoningEffort,
+                model,
+                params,
+                personaId,
             });
 
             if (!serverChat || !serverChat.id) {
@@ -447,6 +597,8 @@ class StateManager {
             this._pendingChatCreations.delete(tempId);
             resolveRealId(serverChat.id);
 
+            this._moveMessageQueue(tempId, serverChat.id);
+
             // Notify listeners that the chat ID has been finalized so DOM bindings can update cleanly
             this._notify('chatIdResolved', { tempId, realId: serverChat.id, chat: serverChat });
 
@@ -518,6 +670,7 @@ class StateManager {
 
             this._pendingChatCreations.delete(chatId);
             resolveRealId(serverChat.id);
+            this._moveMessageQueue(chatId, serverChat.id);
             this._notify('chatIdResolved', { tempId: chatId, realId: serverChat.id, chat: serverChat });
             this._notify('chatUpdated', serverChat);
             return serverChat;
@@ -529,6 +682,31 @@ class StateManager {
         }
     }
 
+    /**
+     * Start a new chat from the current one, carrying over everything up to a message
+     * @param {string} messageId - Last message to include in the fork
+     * @returns {Promise<Object|null>} - The new chat, which becomes the current chat
+     */
+    async forkChat(messageId) {
+        if (!this.state.currentChatId) return null;
+
+        const realChatId = await this._resolveChatId(this.state.currentChatId);
+        if (!realChatId || realChatId.startsWith('temp_')) {
+            throw new Error('Chat has not finished saving yet');
+        }
+
+        const forked = await repository.forkChat(realChatId, messageId);
+        if (!forked || !forked.id) {
+            throw new Error('Server did not return a chat identifier');
+        }
+
+        const chat = this._storeChatMetadata(forked);
+        this._notify('chatCreated', chat);
+        await this.selectChat(chat.id);
+
+        return chat;
+    }
+
     /**
      * Select a chat
      * @param {string} chatId
@@ -712,6 +890,7 @@ class StateManager {
                 limit: this.state.chatLimit,
                 offset: this.state.chatOffset,
                 projectId: this.state.currentProjectId,
+                archived: this.state.showArchived,
             });
 
             // Append new chats to existing ones
@@ -754,6 +933,7 @@ class StateManager {
                 limit: this.state.chatLimit,
                 offset: 0,
                 projectId,
+                archived: this.state.showArchived,
             });
 
             // Replace existing chats (clear non-project chats when filtering by project)
@@ -783,6 +963,181 @@ class StateManager {
         }
     }
 
+    /**
+     * Switch the chat list between active and archived chats
+     * The open chat stays open even if it isn't part of the new list
+     * @param {boolean} showArchived
+     * @returns {Promise<void>}
+     */
+    async setArchivedView(showArchived) {
+        if (this.state.showArchived === showArchived) return;
+
+        const openChat = this.currentChat;
+        this.state.showArchived = showArchived;
+        await this.reloadChats();
+
+        if (openChat && !this.state.chats[openChat.id]) {
+            this._storeChatMetadata(openChat);
+        }
+
+        this._notify('archivedViewChanged', showArchived);
+    }
+
+    /**
+     * Set the reasoning effort of the current chat (or of the next new chat)
+     * @param {string} effort - 'low', 'medium', 'high' or '' for the model default
+     */
+    async setReasoningEffort(effort) {
+        const chat = this.currentChat;
+        if (chat) {
+            await this.updateChat(chat.id, { reasoningEffort: effort });
+        } else {
+            this.state.draftReasoningEffort = effort;
+        }
+        this._notify('reasoningEffortChanged', effort);
+    }
+
+    /**
+     * Set the model of the current chat (or of the next new chat).
+     * The user's default model is changed from Settings instead.
+     * @param {string} modelId
+     */
+    async setSelectedModel(modelId) {
+        const chat = this.currentChat;
+        if (chat) {
+            await this.updateChat(chat.id, { model: modelId });
+        } else {
+            this.state.draftModel = modelId;
+        }
+        this._notify('selectedModelChanged', modelId);
+    }
+
+    /**
+     * Set the sampling parameters of the current chat (or of the next new chat)
+     * @param {import('../utils/generationParams.js').GenerationParams} params - Empty object restores model defaults
+     */
+    async setGenerationParams(params) {
+        const chat = this.currentChat;
+        if (chat) {
+            await this.updateChat(chat.id, { params });
+        } else {
+            this.state.draftParams = params;
+        }
+        this._notify('generationParamsChanged', params);
+    }
+
+    /**
+     * Record which part of a chat's history the latest request sent
+     * @param {string} chatId
+     * @param {{startMessageId: string|null, summarized: boolean}} window - Messages before startMessageId were left out
+     */
+    setContextWindow(chatId, window) {
+        this.state.contextWindows[chatId] = window;
+        this._notify('contextWindowChanged', { chatId, window });
+    }
+
+    /**
+     * Which part of a chat's history the model sees. Until a request is made
+     * this session, a stored summary is the only record of it.
+     * @param {string} chatId
+     * @returns {{startMessageId: string|null, summarized: boolean}|null}
+     */
+    getContextWindow(chatId) {
+        const recorded = this.state.contextWindows[chatId];
+        if (recorded) return recorded;
+
+        const chat = this.state.chats[chatId];
+        const summary = chat?.contextSummary;
+        if (!summary || this.state.settings?.contextStrategy !== 'summarize') return null;
+
+        const messages = chat.messages || this.state.messagesByChatId[chatId] || [];
+        const index = messages.findIndex(m => m.id === summary.throughMessageId);
+        if (index === -1 || index === messages.length - 1) return null;
+        return { startMessageId: messages[index + 1].id, summarized: true };
+    }
+
+    /**
+     * Choose the models a prompt is sent to side by side
+     * @param {string[]} modelIds - 2 or more turns compare mode on, fewer turns it off
+     */
+    setCompareModels(modelIds) {
+        this.state.compareModels = [...modelIds];
+        this._notify('compareModelsChanged', this.state.compareModels);
+    }
+
+    /**
+     * Start a side-by-side comparison under a user message
+     * @param {string} parentId - User message being answered
+     * @param {string[]} models - One column per model
+     * @returns {Comparison}
+     */
+    startComparison(parentId, models) {
+        this.state.comparison = {
+            parentId,
+            responses: models.map(model => ({
+                id: crypto.randomUUID(),
+                model,
+                content: '',
+                status: 'streaming',
+            })),
+        };
+        this._notify('comparisonUpdated', { comparison: this.state.comparison });
+        return this.state.comparison;
+    }
+
+    /**
+     * Update one column of the comparison in memory
+     * @param {string} responseId
+     * @param {Partial<ComparisonResponse>} updates
+     */
+    updateComparisonResponse(responseId, updates) {
+        const response = this.state.comparison?.responses.find(r => r.id === responseId);
+        if (!response) return;
+
+        Object.assign(response, updates);
+        this._notify('comparisonUpdated', { comparison: this.state.comparison, response });
+    }
+
+    /**
+     * Forget the comparison (its saved replies stay as branches)
+     */
+    clearComparison() {
+        if (!this.state.comparison) return;
+        this.state.comparison = null;
+        this._notify('comparisonUpdated', { comparison: null });
+    }
+
+    /**
+     * Save a message as a branch of a chat without showing it.
+     * switchBranch brings it into view.
+     * @param {string} chatId - Chat the branch belongs to (a temp ID is resolved first)
+     * @param {Object} messageData - Must include id, role and parentId
+     * @returns {Promise<boolean>} - Whether the message was stored
+     */
+    async addBranchMessage(chatId, messageData) {
+        const realChatId = await this._resolveChatId(chatId);
+        if (!realChatId || realChatId.startsWith('temp_')) return false;
+
+        const { id, role, content, model, parentId, ...details } = messageData;
+        try {
+            await repository.addMessage(realChatId, {
+                id,
+                role,
+                content,
+                model,
+                parentId,
+                createdAt: Date.now(),
+            });
+            if (Object.keys(details).length > 0) {
+                await repository.updateMessage(realChatId, id, details);
+            }
+            return true;
+        } catch (error) {
+            console.error('Failed to save branch message:', error);
+            return false;
+        }
+    }
+
     /**
      * Update current chat
      * Uses optimistic updates for instant UI response
@@ -791,16 +1146,28 @@ class StateManager {
      */
     async updateCurrentChat(updates) {
         if (!this.state.currentChatId) return null;
+        return this.updateChat(this.state.currentChatId, updates);
+    }
 
-        const chatId = this.state.currentChatId;
+    /**
+     * Update any loaded chat, not just the current one
+     * Uses optimistic updates for instant UI response
+     * @param {string} chatId
+     * @param {Object} updates
+     * @returns {Promise<Object|null>}
+     */
+    async updateChat(chatId, updates) {
         const existingChat = this.state.chats[chatId];
         if (!existingChat) return null;
 
-        // IMMEDIATELY update local state (optimistic update)
+        // IMMEDIATELY update local state (optimistic update).
+        // The sidebar groups by updatedAt, so pinning, archiving and settings
+        // changes leave it alone; only a new title or project counts as activity.
+        const isActivity = updates.title !== undefined || updates.projectId !== undefined;
         const updatedChat = {
             ...existingChat,
             ...updates,
-            updatedAt: Date.now(),
+            ...(isActivity ? { updatedAt: Date.now() } : {}),
         };
         if (this.state.messagesByChatId[chatId]) {
             updatedChat.messages = this.state.messagesByChatId[chatId];
@@ -836,6 +1203,7 @@ class StateManager {
         delete this.state.messagesErrorByChatId[chatId];
         delete this.state.messagesPaginationByChatId[chatId];
         delete this.state.messagesAppendingByChatId[chatId];
+        delete this.state.messageQueues[chatId];
         this._messageLoadPromises.delete(chatId);
 
         // If deleted current chat, switch to another immediately
@@ -890,14 +1258,19 @@ class StateManager {
         }
 
         const messageStore = this._ensureMessageCache(chatId);
+        const lastMessage = messageStore[messageStore.length - 1];
 
         // Generate UUID client-side for instant optimistic updates
         const messageId = messageData.id || crypto.randomUUID();
         const optimisticMessage = {
+            parentId: lastMessage?.id ?? null,
             ...messageData,
             id: messageId,
-            createdAt: Date.now(),
+            // Strictly increasing so the newest message is always the tip of the newest branch
+            createdAt: Math.max(Date.now(), (lastMessage?.createdAt || 0) + 1),
         };
+        // siblingIds is derived when loading, never stored
+        const { siblingIds, ...persistedData } = optimisticMessage;
 
         // IMMEDIATELY update local state (optimistic update)
         messageStore.push(optimisticMessage);
@@ -907,9 +1280,11 @@ class StateManager {
         // Notify listeners IMMEDIATELY so UI updates instantly
         this._notify('messageAdded', { chat, message: optimisticMessage });
 
-        // Auto-generate title from first user message (fire and forget)
-        if (chat.messages.length === 1 && messageData.role === 'user') {
-            const title = this._generateTitle(messageData.content);
+        // Auto-generate title from first user message (fire and forget).
+        // Editing the first message of a named chat also lands here, so only
+        // a chat still on the placeholder gets one.
+        if (chat.messages.length === 1 && messageData.role === 'user' && (!chat.title || chat.title === 'New Chat')) {
+            const title = this.generateHeuristicTitle(messageData.content);
             this.updateCurrentChat({ title }).catch(err =>
                 console.error('Failed to update chat title:', err)
             );
@@ -925,11 +1300,7 @@ class StateManager {
             }
 
             try {
-                return await repository.addMessage(realChatId, {
-                    ...messageData,
-                    id: messageId,
-                    createdAt: optimisticMessage.createdAt,
-                });
+                return await repository.addMessage(realChatId, persistedData);
             } catch (error) {
                 console.error('Failed to persist message:', error);
                 return null;
@@ -996,14 +1367,76 @@ class StateManager {
         return updatedMessage;
     }
 
+    /**
+     * Drop a message and everything after it from the current chat view so a new
+     * branch can be started in its place. Nothing is deleted from storage.
+     * @param {string} messageId - First message to replace
+     * @returns {{parentId: string|null, siblingIds: string[]}|null} - Where the new branch attaches
+     */
+    branchFrom(messageId) {
+        if (!this.state.currentChatId) return null;
+
+        const chatId = this.state.currentChatId;
+        const chat = this.state.chats[chatId];
+        const messages = this.state.messagesByChatId[chatId];
+        if (!chat || !messages) return null;
+
+        const msgIndex = messages.findIndex(m => m.id === messageId);
+        if (msgIndex === -1) return null;
+
+        const target = messages[msgIndex];
+        const branchPoint = {
+            parentId: target.parentId ?? (msgIndex > 0 ? messages[msgIndex - 1].id : null),
+            siblingIds: target.siblingIds?.length ? [...target.siblingIds] : [target.id],
+        };
+
+        const removed = messages.splice(msgIndex);
+        chat.messages = messages;
+
+        const pagination = this.state.messagesPaginationByChatId[chatId];
+        if (pagination) {
+            pagination.fetched = messages.length;
+            pagination.total = Math.max((pagination.total || 0) - removed.length, messages.length);
+        }
+
+        this._notify('messagesTruncated', { chat, messageIds: removed.map(m => m.id) });
+
+        return branchPoint;
+    }
+
+    /**
+     * Show a different branch of the current chat
+     * @param {string} messageId - Sibling message to switch to
+     * @returns {Promise<void>}
+     */
+    async switchBranch(messageId) {
+        if (!this.state.currentChatId) return;
+
+        const chatId = this.state.currentChatId;
+        const realChatId = await this._resolveChatId(chatId);
+        if (!realChatId || realChatId.startsWith('temp_')) return;
+
+        try {
+            await repository.setActiveBranch(realChatId, messageId);
+        } catch (error) {
+            console.error('Failed to switch branch:', error);
+            return;
+        }
+
+        await this.loadMessages(realChatId, { force: true });
+    }
+
     /**
      * Update a streaming message in memory only (no disk write)
      * Used during streaming to avoid blocking the main thread with localStorage writes
      * @param {string} messageId 
      * @param {string} content - The streaming content
+     * @param {Object} [extra] - Other fields streamed alongside the content
+     * @param {string} [extra.reasoning] - The streaming reasoning, if the model thinks out loud
+     * @param {Array} [extra.toolCalls] - Tool calls made so far in this reply
      * @returns {Object|null} - The updated message or null
      */
-    updateStreamingMessage(messageId, content) {
+    updateStreamingMessage(messageId, content, extra = {}) {
         if (!this.state.currentChatId) return null;
 
         const chat = this.state.chats[this.state.currentChatId];
@@ -1017,6 +1450,12 @@ class StateManager {
         if (!message) return null;
 
         message.content = content;
+        if (extra.reasoning !== undefined) {
+            message.reasoning = extra.reasoning;
+        }
+        if (extra.toolCalls !== undefined) {
+            message.toolCalls = extra.toolCalls;
+        }
 
         // Notify listeners without persisting to storage
         this._notify('messageUpdated', { chat, message });
@@ -1024,12 +1463,27 @@ class StateManager {
     }
 
     /**
-     * Generate title from message content
-     * @private
+     * Whether a chat's title was set automatically and can be replaced: the
+     * placeholder or the quick title of its first message. Renamed chats
+     * keep their name.
+     * @param {Object} chat
+     * @returns {boolean}
+     */
+    hasAutoTitle(chat) {
+        if (!chat) return false;
+        if (!chat.title || chat.title === 'New Chat') return true;
+        const firstUser = (chat.messages || []).find(m => m.role === 'user');
+        return typeof firstUser?.content === 'string' &&
+            chat.title === this.generateHeuristicTitle(firstUser.content);
+    }
+
+    /**
+     * Generate a quick title from the first words of a message
+     * Used until (or instead of) a model-generated title
      * @param {string} content 
      * @returns {string}
      */
-    _generateTitle(content) {
+    generateHeuristicTitle(content) {
         const cleaned = content.replace(/[#*`]/g, '').trim();
         const words = cleaned.split(/\s+/).slice(0, 6);
         let title = words.join(' ');
@@ -1159,6 +1613,146 @@ class StateManager {
         return success;
     }
 
+    /**
+     * Find the project file excerpts most relevant to a query
+     * @param {string} projectId
+     * @param {string} query
+     * @param {number} [topK]
+     * @returns {Promise<Array>}
+     */
+    async searchProjectKnowledge(projectId, query, topK) {
+        return repository.searchProjectKnowledge(projectId, query, topK);
+    }
+
+    /**
+     * Load a project with its file data
+     * @param {string} projectId
+     * @returns {Promise<Object|null>}
+     */
+    async getProjectById(projectId) {
+        return repository.getProjectById(projectId);
+    }
+
+    /**
+     * List members of a shared project
+     * @param {string} projectId
+     * @returns {Promise<Array>}
+     */
+    async getProjectMembers(projectId) {
+        return repository.getProjectMembers(projectId);
+    }
+
+    /**
+     * Invite a user to a shared project by email
+     * @param {string} projectId
+     * @param {string} email
+     * @param {'viewer'|'editor'} role
+     * @returns {Promise<Object>}
+     */
+    async addProjectMember(projectId, email, role) {
+        return repository.addProjectMember(projectId, { email, role });
+    }
+
+    /**
+     * Change a project member's role
+     * @param {string} projectId
+     * @param {string} memberId
+     * @param {'viewer'|'editor'} role
+     * @returns {Promise<Object>}
+     */
+    async updateProjectMember(projectId, memberId, role) {
+        return repository.updateProjectMember(projectId, memberId, role);
+    }
+
+    /**
+     * Remove a member from a project, or leave a project shared with you
+     * @param {string} projectId
+     * @param {string} memberId
+     * @returns {Promise<boolean>}
+     */
+    async removeProjectMember(projectId, memberId) {
+        const success = await repository.removeProjectMember(projectId, memberId);
+        const project = this.state.projects[projectId];
+        // Leaving drops the project from the list entirely
+        if (success && project && project.role && project.role !== 'owner') {
+            delete this.state.projects[projectId];
+            if (this.state.currentProjectId === projectId) {
+                await this.selectProject(null);
+            }
+            this._notify('projectDeleted', projectId);
+        }
+        return success;
+    }
+
+    // ==================
+    // Persona Operations
+    // ==================
+
+    /**
+     * Use a persona in the current chat (or the next new chat).
+     * A persona with a default model also switches the chat to that model.
+     * @param {string|null} personaId - null or the default persona's ID picks the default
+     */
+    async setChatPersona(personaId) {
+        const persona = personaId ? this.state.personas[personaId] : null;
+        // Chats follow the default persona through a null ID, so edits to it apply everywhere
+        const storedId = persona && !persona.isDefault ? persona.id : null;
+
+        const chat = this.currentChat;
+        if (chat) {
+            await this.updateChat(chat.id, { personaId: storedId });
+        } else {
+            this.state.draftPersonaId = storedId;
+        }
+
+        const defaultModel = (persona || this.defaultPersona).defaultModel;
+        if (defaultModel) {
+            await this.setSelectedModel(defaultModel);
+        }
+        this._notify('personaChanged', this.currentPersona);
+    }
+
+    /**
+     * Create or update a persona. Saving the built-in default stores an edited copy.
+     * @param {Partial<import('../config/personas.js').Persona>} personaData - Include `id` to update
+     * @returns {Promise<import('../config/personas.js').Persona>}
+     */
+    async savePersona(personaData) {
+        const { id, builtIn, createdAt, updatedAt, ...fields } = personaData;
+        let persona;
+        if (!id || id === DEFAULT_PERSONA_ID || !this.state.personas[id]) {
+            persona = await repository.createPersona({ ...fields, isDefault: id === DEFAULT_PERSONA_ID || fields.isDefault === true });
+        } else {
+            persona = await repository.updatePersona(id, fields);
+        }
+
+        this.state.personas[persona.id] = persona;
+        this._notify('personasUpdated', this.personas);
+        return persona;
+    }
+
+    /**
+     * Delete a persona. Deleting the edited default restores the built-in prompt.
+     * @param {string} personaId
+     * @returns {Promise<boolean>}
+     */
+    async deletePersona(personaId) {
+        if (!this.state.personas[personaId]) return false;
+
+        const success = await repository.deletePersona(personaId);
+        if (success) {
+            delete this.state.personas[personaId];
+            for (const chat of Object.values(this.state.chats)) {
+                if (chat.personaId === personaId) chat.personaId = null;
+            }
+            if (this.state.draftPersonaId === personaId) {
+                this.state.draftPersonaId = null;
+            }
+            this._notify('personasUpdated', this.personas);
+        }
+        return success;
+    }
+
     // ==================
     // Settings Operations
     // ==================
@@ -1208,6 +1802,11 @@ class StateManager {
     setStreaming(isStreaming) {
         this.state.isStreaming = isStreaming;
         this._notify('streamingChanged', isStreaming);
+
+        // A finished reply has been counted against the cap by now
+        if (!isStreaming) {
+            this.refreshBudgetStatus();
+        }
     }
 
     /**
@@ -1227,6 +1826,167 @@ class StateManager {
         this._notify('sidebarToggled', open);
     }
 
+    // ==================
+    // Message Queue
+    // ==================
+
+    /**
+     * @typedef {Object} QueuedMessage
+     * @property {string} id
+     * @property {string} content
+     * @property {Array} attachments
+     * @property {boolean} [editing] - Held back from sending while the user edits it
+     */
+
+    /**
+     * Follow-ups waiting to be sent in a chat
+     * @param {string} chatId
+     * @returns {QueuedMessage[]}
+     */
+    getMessageQueue(chatId) {
+        return this.state.messageQueues[chatId] || [];
+    }
+
+    /**
+     * Queue a follow-up for the current chat, to be sent once the reply in progress finishes
+     * @param {string} content
+     * @param {Array} [attachments]
+     * @returns {QueuedMessage|null} - Null when there is no current chat
+     */
+    enqueueMessage(content, attachments = []) {
+        const chatId = this.state.currentChatId;
+        if (!chatId) return null;
+
+        const item = { id: crypto.randomUUID(), content, attachments };
+        this._setMessageQueue(chatId, [...this.getMessageQueue(chatId), item]);
+        return item;
+    }
+
+    /**
+     * Change a queued follow-up before it is sent
+     * @param {string} chatId
+     * @param {string} itemId
+     * @param {Partial<QueuedMessage>} updates
+     */
+    updateQueuedMessage(chatId, itemId, updates) {
+        const queue = this.getMessageQueue(chatId);
+        if (!queue.some(item => item.id === itemId)) return;
+        this._setMessageQueue(chatId, queue.map(item => item.id === itemId ? { ...item, ...updates } : item));
+    }
+
+    /**
+     * Cancel a queued follow-up
+     * @param {string} chatId
+     * @param {string} itemId
+     */
+    removeQueuedMessage(chatId, itemId) {
+        const queue = this.getMessageQueue(chatId);
+        if (!queue.some(item => item.id === itemId)) return;
+        this._setMessageQueue(chatId, queue.filter(item => item.id !== itemId));
+    }
+
+    /**
+     * Remove and return a queued follow-up so it can be sent
+     * @param {string} chatId
+     * @param {string} [itemId] - Defaults to the oldest item
+     * @returns {QueuedMessage|null}
+     */
+    takeQueuedMessage(chatId, itemId) {
+        const queue = this.getMessageQueue(chatId);
+        const item = itemId ? queue.find(i => i.id === itemId) : queue[0];
+        if (!item) return null;
+        this._setMessageQueue(chatId, queue.filter(i => i !== item));
+        return item;
+    }
+
+    /**
+     * @private
+     */
+    _setMessageQueue(chatId, queue) {
+        if (queue.length > 0) {
+            this.state.messageQueues[chatId] = queue;
+        } else {
+            delete this.state.messageQueues[chatId];
+        }
+        this._notify('messageQueueChanged', { chatId, queue });
+    }
+
+    /**
+     * Carry a chat's queue over when its temporary ID is replaced
+     * @private
+     */
+    _moveMessageQueue(tempId, realId) {
+        const queue = this.state.messageQueues[tempId];
+        if (!queue) return;
+        delete this.state.messageQueues[tempId];
+        this.state.messageQueues[realId] = queue;
+    }
+
+    // ==================
+    // Share Link Operations
+    // ==================
+
+    /**
+     * Create a public read-only link to a chat
+     * @param {string} chatId
+     * @returns {Promise<Object>} - The share ({ id, token, createdAt })
+     */
+    async createShare(chatId) {
+        const realChatId = await this._resolveChatId(chatId);
+        if (!realChatId || realChatId.startsWith('temp_')) {
+            throw new Error('Chat has not finished saving yet');
+        }
+        return repository.createShare(realChatId);
+    }
+
+    /**
+     * List share links for a chat
+     * @param {string} chatId
+     * @returns {Promise<Array>}
+     */
+    async getShares(chatId) {
+        if (chatId.startsWith('temp_')) return [];
+        return repository.getShares(chatId);
+    }
+
+    /**
+     * Revoke a share link
+     * @param {string} shareId
+     * @returns {Promise<boolean>}
+     */
+    async revokeShare(shareId) {
+        return repository.revokeShare(shareId);
+    }
+
+    // ==================
+    // Usage Operations
+    // ==================
+
+    /**
+     * Usage records for the last few days, today included
+     * @param {number} days
+     * @returns {Promise<import('../repositories/BaseRepository.js').UsageRecord[]>}
+     */
+    async getUsage(days) {
+        const since = new Date();
+        since.setHours(0, 0, 0, 0);
+        since.setDate(since.getDate() - (days - 1));
+        return repository.getUsage(since.getTime());
+    }
+
+    /**
+     * Reload the spending cap status. Failures keep the last known status.
+     * @returns {Promise<void>}
+     */
+    async refreshBudgetStatus() {
+        try {
+            this.state.budgetStatus = await repository.getBudgetStatus();
+            this._notify('budgetStatusChanged', this.state.budgetStatus);
+        } catch (error) {
+            console.error('Failed to load budget status:', error);
+        }
+    }
+
     // ==================
     // Data Operations
     // ==================
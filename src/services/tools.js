@@ -0,0 +1,322 @@
+// Tool Registry
+// =============
+// Functions advertised to tool-capable models. The model asks for a call,
+// the browser runs it and the result goes back to the model as a `tool` message.
+
+import { stateManager } from './state.js';
+import { isTextFile, decodeTextData } from '../utils/knowledge.js';
+import { extractPdfText } from '../utils/files.js';
+
+/**
+ * Longest tool result returned to the model, in characters
+ */
+export const MAX_TOOL_RESULT_LENGTH = 20000;
+
+const SEARCH_RESULT_LIMIT = 10;
+
+/**
+ * @typedef {Object} ToolDefinition
+ * @property {string} name - Function name the model calls
+ * @property {string} description - What the tool does, shown to the model
+ * @property {Object} parameters - JSON Schema for the arguments
+ * @property {function(Object): Promise<*>|*} execute - Runs the tool with parsed arguments
+ */
+
+/**
+ * @typedef {Object} ToolCall
+ * @property {string} id - Call ID assigned by the model
+ * @property {string} name - Tool name
+ * @property {string} arguments - Raw JSON arguments
+ * @property {string} [result] - Serialized result sent back to the model
+ * @property {boolean} [error] - True when the call failed
+ */
+
+// ==================
+// Calculator
+// ==================
+
+const MATH_FUNCTIONS = {
+    sqrt: Math.sqrt,
+    abs: Math.abs,
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    asin: Math.asin,
+    acos: Math.acos,
+    atan: Math.atan,
+    ln: Math.log,
+    log: Math.log10,
+    exp: Math.exp,
+    round: Math.round,
+    floor: Math.floor,
+    ceil: Math.ceil,
+};
+
+const MATH_CONSTANTS = {
+    pi: Math.PI,
+    e: Math.E,
+};
+
+/**
+ * Evaluate an arithmetic expression without eval().
+ * Supports + - * / % ^, parentheses, unary minus, constants and MATH_FUNCTIONS.
+ * @param {string} expression
+ * @returns {number}
+ */
+export function evaluateExpression(expression) {
+    const tokens = String(expression).match(/\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+|[a-z_]+|\*\*|[-+*/%^(),]|\S/gi) || [];
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const expect = (token) => {
+        if (next() !== token) throw new Error(`Expected "${token}"`);
+    };
+
+    // expression := term (('+' | '-') term)*
+    const parseExpression = () => {
+        let value = parseTerm();
+        while (peek() === '+' || peek() === '-') {
+            value = next() === '+' ? value + parseTerm() : value - parseTerm();
+        }
+        return value;
+    };
+
+    // term := unary (('*' | '/' | '%') unary)*
+    const parseTerm = () => {
+        let value = parseUnary();
+        while (peek() === '*' || peek() === '/' || peek() === '%') {
+            const op = next();
+            const right = parseUnary();
+            value = op === '*' ? value * right : op === '/' ? value / right : value % right;
+        }
+        return value;
+    };
+
+    // unary := ('-' | '+') unary | power
+    const parseUnary = () => {
+        if (peek() === '-') { next(); return -parseUnary(); }
+        if (peek() === '+') { next(); return parseUnary(); }
+        return parsePower();
+    };
+
+    // power := primary (('^' | '**') unary)?  (right-associative)
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (peek() === '^' || peek() === '**') {
+            next();
+            return Math.pow(base, parseUnary());
+        }
+        return base;
+    };
+
+    const parsePrimary = () => {
+        const token = next();
+        if (token === undefined) throw new Error('Unexpected end of expression');
+
+        if (token === '(') {
+            const value = parseExpression();
+            expect(')');
+            return value;
+        }
+
+        if (/^[\d.]/.test(token)) return Number(token);
+
+        const name = token.toLowerCase();
+        if (Object.hasOwn(MATH_FUNCTIONS, name)) {
+            expect('(');
+            const value = parseExpression();
+            expect(')');
+            return MATH_FUNCTIONS[name](value);
+        }
+        if (Object.hasOwn(MATH_CONSTANTS, name)) return MATH_CONSTANTS[name];
+
+        throw new Error(`Unknown token "${token}"`);
+    };
+
+    const result = parseExpression();
+    if (pos < tokens.length) throw new Error(`Unexpected "${peek()}"`);
+    if (!Number.isFinite(result)) throw new Error('Result is not a finite number');
+    return result;
+}
+
+// ==================
+// Built-in Tools
+// ==================
+
+/**
+ * Find a file in the current chat's project
+ * @param {string} name - File name, matched case-insensitively
+ * @returns {Promise<Object>}
+ */
+async function readProjectFile(name) {
+    const projectId = stateManager.currentChat?.projectId;
+    if (!projectId) {
+        throw new Error('This chat is not part of a project');
+    }
+
+    const project = await stateManager.getProjectById(projectId);
+    const files = project?.files || [];
+    const wanted = (name || '').trim().toLowerCase();
+    const file = files.find(f => f.name.toLowerCase() === wanted) ||
+        files.find(f => f.name.toLowerCase().includes(wanted));
+
+    if (!file) {
+        return {
+            error: `No file named "${name}"`,
+            availableFiles: files.map(f => f.name),
+        };
+    }
+
+    let text = file.text || '';
+    if (!text && file.data) {
+        if (isTextFile(file)) {
+            text = decodeTextData(file.data);
+        } else if (file.type === 'application/pdf') {
+            text = await extractPdfText(file.data);
+        }
+    }
+
+    if (!text) {
+        return { name: file.name, error: 'No readable text in this file' };
+    }
+
+    return {
+        name: file.name,
+        content: text.slice(0, MAX_TOOL_RESULT_LENGTH),
+        ...(text.length > MAX_TOOL_RESULT_LENGTH ? { truncated: true } : {}),
+    };
+}
+
+/** @type {ToolDefinition[]} */
+const TOOLS = [
+    {
+        name: 'calculator',
+        description: 'Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, pi, e and sqrt, abs, sin, cos, tan, asin, acos, atan, ln, log (base 10), exp, round, floor, ceil.',
+        parameters: {
+            type: 'object',
+            properties: {
+                expression: { type: 'string', description: 'Expression to evaluate, e.g. "(3.5 + 2) * sqrt(16)"' },
+            },
+            required: ['expression'],
+        },
+        execute: ({ expression }) => ({ expression, result: evaluateExpression(expression) }),
+    },
+    {
+        name: 'current_time',
+        description: 'Get the current date and time, optionally in a specific IANA time zone.',
+        parameters: {
+            type: 'object',
+            properties: {
+                timezone: { type: 'string', description: 'IANA time zone such as "Europe/Paris". Defaults to the user\'s local zone.' },
+            },
+        },
+        execute: ({ timezone } = {}) => {
+            const now = new Date();
+            const timeZone = timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+            return {
+                iso: now.toISOString(),
+                local: now.toLocaleString('en-US', { timeZone, dateStyle: 'full', timeStyle: 'long' }),
+                timezone: timeZone,
+            };
+        },
+    },
+    {
+        name: 'search_chats',
+        description: 'Search the user\'s previous chats by title and message text. Returns matching chat titles and dates.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'Words to search for' },
+            },
+            required: ['query'],
+        },
+        execute: async ({ query }) => {
+            if (!query?.trim()) throw new Error('query is required');
+            const { chats, total } = await stateManager.searchChats(query, { limit: SEARCH_RESULT_LIMIT });
+            return {
+                total,
+                chats: chats.map(chat => ({
+                    id: chat.id,
+                    title: chat.title,
+                    updatedAt: new Date(chat.updatedAt).toISOString(),
+                })),
+            };
+        },
+    },
+    {
+        name: 'read_project_file',
+        description: 'Read the text of a file attached to the current project. Only available in project chats.',
+        parameters: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', description: 'File name, e.g. "notes.md"' },
+            },
+            required: ['name'],
+        },
+        execute: ({ name }) => readProjectFile(name),
+    },
+];
+
+/**
+ * Tool definitions in the OpenAI `tools` request format
+ * @returns {Array<{type: 'function', function: {name: string, description: string, parameters: Object}}>}
+ */
+export function getToolDefinitions() {
+    const inProject = Boolean(stateManager.currentChat?.projectId);
+    return TOOLS
+        .filter(tool => inProject || tool.name !== 'read_project_file')
+        .map(({ name, description, parameters }) => ({
+            type: 'function',
+            function: { name, description, parameters },
+        }));
+}
+
+/**
+ * Serialize a tool result to at most MAX_TOOL_RESULT_LENGTH characters of
+ * valid JSON. An over-long `content` string is shortened until the whole
+ * object fits; any other result is replaced by a truncated preview.
+ * @param {Object} output
+ * @returns {string}
+ */
+function serializeToolResult(output) {
+    let json = JSON.stringify(output);
+    if (json.length <= MAX_TOOL_RESULT_LENGTH) return json;
+
+    const field = typeof output?.content === 'string' ? 'content' : 'preview';
+    const base = field === 'content' ? { ...output, truncated: true } : { truncated: true };
+    const text = field === 'content' ? output.content : json;
+    const fits = (length) => JSON.stringify({ ...base, [field]: text.slice(0, length) }).length <= MAX_TOOL_RESULT_LENGTH;
+
+    // Escaping changes how long each character is once serialized, so search for the longest cut that fits
+    let low = 0;
+    let high = text.length;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (fits(mid)) low = mid;
+        else high = mid - 1;
+    }
+    return JSON.stringify({ ...base, [field]: text.slice(0, low) });
+}
+
+/**
+ * Run a tool call requested by the model.
+ * Failures are returned as an error payload so the model can recover.
+ * @param {string} name - Tool name
+ * @param {string} argsJson - Raw JSON arguments from the model
+ * @returns {Promise<{result: string, error: boolean}>}
+ */
+export async function executeTool(name, argsJson) {
+    const tool = TOOLS.find(t => t.name === name);
+    try {
+        if (!tool) throw new Error(`Unknown tool "${name}"`);
+        const args = argsJson ? JSON.parse(argsJson) : {};
+        const output = await tool.execute(args);
+        return {
+            result: serializeToolResult(output),
+            error: Boolean(output?.error),
+        };
+    } catch (error) {
+        return { result: JSON.stringify({ error: error.message }), error: true };
+    }
+}
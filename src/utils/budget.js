@@ -0,0 +1,89 @@
+// Spending Caps
+// =============
+// Budget settings enforced by the chat proxy for signed-in users. Periods
+// run in UTC so the proxy and every client agree on when a cap resets.
+// Shared by the browser and the API.
+
+import { formatCost, formatTokens } from './usage.js';
+
+export const BUDGET_PERIODS = ['daily', 'monthly'];
+export const BUDGET_UNITS = ['usd', 'tokens'];
+
+/** Share of the cap at which the chat starts warning */
+export const BUDGET_WARNING_RATIO = 0.8;
+
+/**
+ * @typedef {Object} Budget
+ * @property {'daily'|'monthly'} period - How often usage resets
+ * @property {'usd'|'tokens'} unit - What the limit counts
+ * @property {number} limit - Dollars or tokens allowed per period
+ */
+
+/**
+ * @typedef {Object} BudgetStatus
+ * @property {Budget|null} budget - The cap, or null when none is set
+ * @property {number} used - Dollars or tokens used this period
+ * @property {string} [resetsAt] - ISO time the period ends
+ */
+
+/**
+ * Check a budget sent by a client; null removes the cap
+ * @param {*} budget
+ * @returns {boolean}
+ */
+export function isValidBudget(budget) {
+    if (budget === null) return true;
+    return Boolean(budget) &&
+        typeof budget === 'object' &&
+        BUDGET_PERIODS.includes(budget.period) &&
+        BUDGET_UNITS.includes(budget.unit) &&
+        typeof budget.limit === 'number' &&
+        Number.isFinite(budget.limit) &&
+        budget.limit > 0;
+}
+
+/**
+ * Start of the budget period containing `now`
+ * @param {'daily'|'monthly'} period
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export function getBudgetPeriodStart(period, now = new Date()) {
+    return period === 'monthly'
+        ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+        : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+/**
+ * When the budget period containing `now` ends
+ * @param {'daily'|'monthly'} period
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export function getBudgetResetTime(period, now = new Date()) {
+    return period === 'monthly'
+        ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+        : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+}
+
+/**
+ * Format an amount in the budget's unit
+ * @param {number} amount
+ * @param {'usd'|'tokens'} unit
+ * @returns {string}
+ */
+export function formatBudgetAmount(amount, unit) {
+    return unit === 'usd' ? formatCost(amount) : `${formatTokens(Math.round(amount))} tokens`;
+}
+
+/**
+ * Message shown when a request is refused because the cap is used up
+ * @param {BudgetStatus} status
+ * @returns {string}
+ */
+export function describeBudgetExceeded(status) {
+    const { budget } = status;
+    const resetsAt = getBudgetResetTime(budget.period);
+    return `${budget.period === 'monthly' ? 'Monthly' : 'Daily'} spending cap of ${formatBudgetAmount(budget.limit, budget.unit)} reached. ` +
+        `It resets ${resetsAt.toUTCString()}; you can raise it in Settings → Usage.`;
+}
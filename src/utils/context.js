@@ -0,0 +1,101 @@
+// Context Window
+// ==============
+// Rough token estimates and the choice of which history fits a model's
+// context window. Shared by the browser and the API validator.
+
+/**
+ * How history that no longer fits is handled:
+ * - truncate: drop the oldest messages
+ * - summarize: fold older turns into a rolling summary stored on the chat
+ */
+export const CONTEXT_STRATEGIES = ['truncate', 'summarize'];
+export const DEFAULT_CONTEXT_STRATEGY = 'truncate';
+
+/** Tokens kept free for the reply when the chat sets no max_tokens */
+export const RESPONSE_RESERVE_TOKENS = 4096;
+
+/** Longest rolling summary accepted from a client */
+export const MAX_CONTEXT_SUMMARY_LENGTH = 20000;
+
+// English text averages about four characters per token across tokenizers
+const CHARS_PER_TOKEN = 4;
+// Role markers and separators the API adds around every message
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// Providers bill images at roughly this many tokens each
+const IMAGE_TOKENS = 1000;
+// Allowance for an attached PDF, whose text is only extracted by the provider
+const FILE_TOKENS = 5000;
+
+/**
+ * @typedef {Object} ContextSummary
+ * @property {string} content - Summary of the turns it covers
+ * @property {string} throughMessageId - Last message folded into the summary
+ */
+
+/**
+ * Estimate the tokens in a piece of text
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+    if (!text) return 0;
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the tokens a message takes up in a request, attachments included
+ * @param {{content: string|Array, attachments?: Array}} message
+ * @returns {number}
+ */
+export function estimateMessageTokens(message) {
+    let tokens = MESSAGE_OVERHEAD_TOKENS;
+
+    if (typeof message.content === 'string') {
+        tokens += estimateTokens(message.content);
+    } else if (Array.isArray(message.content)) {
+        for (const part of message.content) {
+            tokens += part.type === 'text' ? estimateTokens(part.text) : IMAGE_TOKENS;
+        }
+    }
+
+    for (const attachment of message.attachments || []) {
+        tokens += attachment.type === 'image' ? IMAGE_TOKENS : FILE_TOKENS;
+    }
+
+    return tokens;
+}
+
+/**
+ * Find the oldest message that still fits when filling the budget from the
+ * newest message backwards. The newest message is always kept, even alone
+ * over budget, so a request is never empty.
+ * @param {Array} messages - Conversation in order
+ * @param {number} budget - Tokens available for the history
+ * @param {number} [from=0] - Index before which messages are never included
+ * @returns {number} Index of the first message to send
+ */
+export function findContextStart(messages, budget, from = 0) {
+    let used = 0;
+    for (let i = messages.length - 1; i >= from; i--) {
+        used += estimateMessageTokens(messages[i]);
+        if (used > budget) {
+            return Math.min(i + 1, messages.length - 1);
+        }
+    }
+    return from;
+}
+
+/**
+ * Check a rolling summary sent by a client
+ * @param {*} summary
+ * @returns {boolean}
+ */
+export function isValidContextSummary(summary) {
+    if (summary === null) return true;
+    return Boolean(summary) &&
+        typeof summary === 'object' &&
+        typeof summary.content === 'string' &&
+        summary.content.length <= MAX_CONTEXT_SUMMARY_LENGTH &&
+        typeof summary.throughMessageId === 'string' &&
+        summary.throughMessageId.length > 0;
+}
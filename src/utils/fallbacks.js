@@ -0,0 +1,54 @@
+// Model Fallbacks
+// ===============
+// Per-model lists of models to try, in order, when a model is rate limited
+// or its providers are down. Shared by the browser and the API validator.
+
+/** Most fallbacks kept for one model */
+export const MAX_FALLBACK_MODELS = 3;
+
+/** Most models a user can configure fallbacks for */
+const MAX_FALLBACK_CHAINS = 100;
+
+const MODEL_ID_PATTERN = /^[A-Za-z0-9._\-/:]{1,200}$/;
+
+/**
+ * @typedef {Object<string, string[]>} ModelFallbacks
+ * Model ID → fallback model IDs, tried in order
+ */
+
+/**
+ * Check a fallback map sent by a client
+ * @param {*} fallbacks
+ * @returns {boolean}
+ */
+export function isValidModelFallbacks(fallbacks) {
+    if (!fallbacks || typeof fallbacks !== 'object' || Array.isArray(fallbacks)) return false;
+    const entries = Object.entries(fallbacks);
+    return entries.length <= MAX_FALLBACK_CHAINS && entries.every(([modelId, chain]) =>
+        MODEL_ID_PATTERN.test(modelId) &&
+        Array.isArray(chain) &&
+        chain.length <= MAX_FALLBACK_MODELS &&
+        chain.every(id => typeof id === 'string' && MODEL_ID_PATTERN.test(id) && id !== modelId)
+    );
+}
+
+/**
+ * Models to try for a request, the requested one first, without repeats
+ * @param {string} modelId
+ * @param {ModelFallbacks} [fallbacks]
+ * @returns {string[]}
+ */
+export function getModelChain(modelId, fallbacks = {}) {
+    return [...new Set([modelId, ...(fallbacks[modelId] || [])])];
+}
+
+/**
+ * Whether a failed request might succeed on another model: rate limits,
+ * provider outages and network failures, but not bad keys or bad requests
+ * @param {Error & {status?: number}} error
+ * @returns {boolean}
+ */
+export function isFallbackError(error) {
+    if (error?.status === undefined) return error?.name === 'TypeError';
+    return error.status === 429 || error.status >= 500;
+}
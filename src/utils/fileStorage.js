@@ -4,13 +4,18 @@
 // localStorage has ~5MB limit, while IndexedDB allows significantly larger storage
 
 const DB_NAME = 'LampChatFileStorage';
-const DB_VERSION = 3; // Bumped version for chat metadata store
+const DB_VERSION = 4; // Bumped version for the pinned/archived list indexes
 const FILE_STORE = 'files';
 const MESSAGE_STORE = 'messages';
 const CHAT_STORE = 'chats';
 const CHAT_UPDATED_INDEX = 'updatedAt';
 const CHAT_PROJECT_INDEX = 'projectId';
 const CHAT_PROJECT_UPDATED_INDEX = 'projectIdUpdatedAt';
+// Chat list order: archived or not, then pinned first, then newest first
+const CHAT_LIST_INDEX = 'listUpdatedAt';
+const CHAT_PROJECT_LIST_INDEX = 'projectIdListUpdatedAt';
+const CHAT_LIST_KEY_PATH = ['listArchived', 'listPinned', 'updatedAt'];
+const CHAT_PROJECT_LIST_KEY_PATH = ['projectId', 'listArchived', 'listPinned', 'updatedAt'];
 
 let dbPromise = null;
 
@@ -53,6 +58,8 @@ function openDB() {
                 chatStore.createIndex(CHAT_UPDATED_INDEX, 'updatedAt', { unique: false });
                 chatStore.createIndex(CHAT_PROJECT_INDEX, 'projectId', { unique: false });
                 chatStore.createIndex(CHAT_PROJECT_UPDATED_INDEX, ['projectId', 'updatedAt'], { unique: false });
+                chatStore.createIndex(CHAT_LIST_INDEX, CHAT_LIST_KEY_PATH, { unique: false });
+                chatStore.createIndex(CHAT_PROJECT_LIST_INDEX, CHAT_PROJECT_LIST_KEY_PATH, { unique: false });
             } else {
                 const chatStore = event.target.transaction?.objectStore(CHAT_STORE);
                 if (chatStore) {
@@ -65,6 +72,18 @@ function openDB() {
                     if (!chatStore.indexNames.contains(CHAT_PROJECT_UPDATED_INDEX)) {
                         chatStore.createIndex(CHAT_PROJECT_UPDATED_INDEX, ['projectId', 'updatedAt'], { unique: false });
                     }
+                    if (!chatStore.indexNames.contains(CHAT_LIST_INDEX)) {
+                        chatStore.createIndex(CHAT_LIST_INDEX, CHAT_LIST_KEY_PATH, { unique: false });
+                        chatStore.createIndex(CHAT_PROJECT_LIST_INDEX, CHAT_PROJECT_LIST_KEY_PATH, { unique: false });
+
+                        // Existing chats need the list fields before the new indexes can see them
+                        chatStore.openCursor().onsuccess = (e) => {
+                            const cursor = e.target.result;
+                            if (!cursor) return;
+                            cursor.update(toChatRecord(cursor.value));
+                            cursor.continue();
+                        };
+                    }
                 }
             }
         };
@@ -444,6 +463,40 @@ export async function migrateMessagesToIndexedDB(chats) {
 // Chat Metadata Operations
 // ==================
 
+/**
+ * Add the fields the chat list indexes sort on. Booleans can't be
+ * IndexedDB keys, so pinned and archived are stored as 0 or 1.
+ * @param {Object} chat
+ * @returns {Object}
+ */
+function toChatRecord(chat) {
+    return { ...chat, listArchived: chat.archived ? 1 : 0, listPinned: chat.pinned ? 1 : 0 };
+}
+
+/**
+ * Drop the index-only fields added by toChatRecord
+ * @param {Object|null} record
+ * @returns {Object|null}
+ */
+function fromChatRecord(record) {
+    if (!record) return null;
+    const { listArchived, listPinned, ...chat } = record;
+    return chat;
+}
+
+/**
+ * Key range over one chat list (archived or not, optionally in a project)
+ * in the list indexes
+ * @param {string|null} projectId
+ * @param {boolean} archived
+ * @returns {IDBKeyRange}
+ */
+function getListKeyRange(projectId, archived) {
+    const prefix = projectId ? [projectId, archived ? 1 : 0] : [archived ? 1 : 0];
+    // An array sorts after every number, so [...prefix, []] bounds all pinned values and dates
+    return IDBKeyRange.bound(prefix, [...prefix, []]);
+}
+
 function getProjectKeyRange(projectId) {
     if (!projectId) return null;
     return IDBKeyRange.bound(
@@ -460,7 +513,7 @@ export async function saveChatMetadata(chatMeta) {
     return new Promise((resolve, reject) => {
         const transaction = db.transaction([CHAT_STORE], 'readwrite');
         const store = transaction.objectStore(CHAT_STORE);
-        const request = store.put(chatMeta);
+        const request = store.put(toChatRecord(chatMeta));
         request.onsuccess = () => resolve(chatMeta);
         request.onerror = () => {
             console.error('Failed to store chat metadata:', request.error);
@@ -480,7 +533,7 @@ export async function saveChatMetadataBatch(chats) {
         let completed = 0;
         const total = chats.length;
         for (const chat of chats) {
-            const request = store.put(chat);
+            const request = store.put(toChatRecord(chat));
             request.onsuccess = () => {
                 completed++;
                 if (completed === total) resolve();
@@ -499,7 +552,7 @@ export async function getChatMetadata(chatId) {
         const transaction = db.transaction([CHAT_STORE], 'readonly');
         const store = transaction.objectStore(CHAT_STORE);
         const request = store.get(chatId);
-        request.onsuccess = () => resolve(request.result || null);
+        request.onsuccess = () => resolve(fromChatRecord(request.result));
         request.onerror = () => {
             console.error('Failed to get chat metadata:', request.error);
             reject(request.error);
@@ -522,15 +575,16 @@ export async function deleteChatMetadata(chatId) {
 }
 
 export async function paginateChatMetadata(options = {}) {
-    const { limit = 20, offset = 0, projectId = null } = options;
+    const { limit = 20, offset = 0, projectId = null, archived = false } = options;
     const db = await openDB();
     return new Promise((resolve, reject) => {
         const transaction = db.transaction([CHAT_STORE], 'readonly');
         const store = transaction.objectStore(CHAT_STORE);
+        // Pinned chats sort first within the list index, so pages stay a bounded cursor walk
         const index = projectId
-            ? store.index(CHAT_PROJECT_UPDATED_INDEX)
-            : store.index(CHAT_UPDATED_INDEX);
-        const keyRange = projectId ? getProjectKeyRange(projectId) : null;
+            ? store.index(CHAT_PROJECT_LIST_INDEX)
+            : store.index(CHAT_LIST_INDEX);
+        const keyRange = getListKeyRange(projectId, archived);
 
         const countRequest = index.count(keyRange);
         countRequest.onerror = () => {
@@ -540,14 +594,14 @@ export async function paginateChatMetadata(options = {}) {
 
         countRequest.onsuccess = () => {
             const total = countRequest.result || 0;
-            if (total === 0) {
-                resolve({ items: [], total: 0 });
+            if (total === 0 || offset >= total) {
+                resolve({ items: [], total });
                 return;
             }
 
             const cursorRequest = index.openCursor(keyRange, 'prev');
             const items = [];
-            let skipped = 0;
+            let advanced = offset === 0;
             let settled = false;
 
             cursorRequest.onerror = () => {
@@ -567,15 +621,13 @@ export async function paginateChatMetadata(options = {}) {
                     return;
                 }
 
-                if (skipped < offset) {
-                    skipped++;
-                    cursor.continue();
+                if (!advanced) {
+                    advanced = true;
+                    cursor.advance(offset);
                     return;
                 }
 
-                if (items.length < limit) {
-                    items.push(cursor.value);
-                }
+                items.push(fromChatRecord(cursor.value));
 
                 if (items.length >= limit) {
                     settled = true;
@@ -595,7 +647,7 @@ export async function getAllChatMetadata() {
         const transaction = db.transaction([CHAT_STORE], 'readonly');
         const store = transaction.objectStore(CHAT_STORE);
         const request = store.getAll();
-        request.onsuccess = () => resolve(request.result || []);
+        request.onsuccess = () => resolve((request.result || []).map(fromChatRecord));
         request.onerror = () => {
             console.error('Failed to get chats:', request.error);
             reject(request.error);
@@ -625,7 +677,7 @@ export async function getChatsByProject(projectId) {
                 resolve(items);
                 return;
             }
-            items.push(cursor.value);
+            items.push(fromChatRecord(cursor.value));
             cursor.continue();
         };
     });
@@ -666,7 +718,7 @@ export async function unlinkProjectFromChats(projectId) {
                 return;
             }
             const chat = { ...cursor.value, projectId: null };
-            cursor.update(chat);
+            cursor.update(toChatRecord(chat));
             cursor.continue();
         };
     });
@@ -1,6 +1,8 @@
 // File Processing Utilities
 // =========================
 
+import { isTextFile } from './knowledge.js';
+
 /**
  * Maximum file size in bytes (10MB)
  */
@@ -25,10 +27,12 @@ export const SUPPORTED_PDF_TYPE = 'application/pdf';
 /**
  * Convert a File to a Base64 data URL
  * @param {File} file - The file to convert
+ * @param {Object} [options]
+ * @param {boolean} [options.allowText=false] - Also accept plain text files (project knowledge)
  * @returns {Promise<string>} - Base64 data URL (e.g., "data:image/jpeg;base64,...")
  * @throws {Error} - If file is too large or type is unsupported
  */
-export function fileToBase64(file) {
+export function fileToBase64(file, { allowText = false } = {}) {
     return new Promise((resolve, reject) => {
         // Validate file size
         if (file.size > MAX_FILE_SIZE) {
@@ -40,7 +44,9 @@ export function fileToBase64(file) {
         const isImage = SUPPORTED_IMAGE_TYPES.includes(file.type);
         const isPdf = file.type === SUPPORTED_PDF_TYPE;
         
-        if (!isImage && !isPdf) {
+        const isText = allowText && isTextFile(file);
+
+        if (!isImage && !isPdf && !isText) {
             reject(new Error(`Unsupported file type: ${file.type}. Supported: images (PNG, JPEG, WebP, GIF) and PDF.`));
             return;
         }
@@ -109,3 +115,111 @@ export function createImagePreview(base64DataUrl) {
     return base64DataUrl;
 }
 
+/**
+ * Best-effort text extraction from a PDF data URL. Reads the text-showing
+ * operators of uncompressed and Flate-compressed content streams; scanned
+ * pages and fonts with custom encodings yield little or no text.
+ * @param {string} dataUrl
+ * @returns {Promise<string>}
+ */
+export async function extractPdfText(dataUrl) {
+    const binary = atob(dataUrl.split(',')[1] || dataUrl);
+    const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+    const blocks = [];
+
+    let pos = 0;
+    while ((pos = binary.indexOf('stream', pos)) !== -1) {
+        if (binary.slice(pos - 3, pos) === 'end') {
+            pos += 6;
+            continue;
+        }
+
+        let start = pos + 6;
+        if (binary[start] === '\r') start++;
+        if (binary[start] === '\n') start++;
+        let end = binary.indexOf('endstream', start);
+        if (end === -1) break;
+        const dict = binary.slice(binary.lastIndexOf('obj', pos), pos);
+        pos = end + 9;
+        while (end > start && (binary[end - 1] === '\n' || binary[end - 1] === '\r')) end--;
+
+        // Skip images, fonts and other non-content streams
+        if (/\/(Subtype|Type)\s*\/(Image|XObject|XRef|ObjStm|FontFile)|\/Length1/.test(dict)) continue;
+
+        let content;
+        if (/\/FlateDecode/.test(dict)) {
+            content = await inflate(bytes.subarray(start, end));
+            if (content === null) continue;
+        } else if (!/\/Filter/.test(dict)) {
+            content = binary.slice(start, end);
+        } else {
+            continue;
+        }
+
+        const text = readPdfTextOperators(content);
+        if (text.trim()) blocks.push(text.trim());
+    }
+
+    return blocks.join('\n\n');
+}
+
+/**
+ * Inflate a zlib stream to a latin1 string
+ * @param {Uint8Array} data
+ * @returns {Promise<string|null>}
+ */
+async function inflate(data) {
+    try {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+        const buffer = await new Response(stream).arrayBuffer();
+        return new TextDecoder('latin1').decode(buffer);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Collect the strings drawn by Tj, TJ, ' and " inside a content stream
+ * @param {string} content
+ * @returns {string}
+ */
+function readPdfTextOperators(content) {
+    if (!content.includes('BT')) return '';
+
+    let text = '';
+    const tokenPattern = /\((?:\\[^]|[^\\)])*\)|\[(?:\((?:\\[^]|[^\\)])*\)|[^\]])*\]\s*TJ|T\*|\b(?:Td|TD|ET)\b/g;
+    let match;
+    while ((match = tokenPattern.exec(content)) !== null) {
+        const token = match[0];
+        if (token === 'ET' || token === 'T*' || token === 'Td' || token === 'TD') {
+            if (text && !text.endsWith('\n')) text += '\n';
+        } else if (token.startsWith('[')) {
+            // Large negative kerning between strings is a word gap
+            const parts = token.match(/\((?:\\[^]|[^\\)])*\)|-?\d+(?:\.\d+)?/g) || [];
+            for (const part of parts) {
+                if (part.startsWith('(')) {
+                    text += decodePdfString(part);
+                } else if (parseFloat(part) < -200) {
+                    text += ' ';
+                }
+            }
+        } else {
+            text += decodePdfString(token);
+        }
+    }
+    return text;
+}
+
+/**
+ * Decode a PDF literal string such as "(Hello\\051 world)"
+ * @param {string} literal
+ * @returns {string}
+ */
+function decodePdfString(literal) {
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+    return literal.slice(1, -1).replace(/\\([0-7]{1,3}|[^])/g, (_, code) => {
+        if (/^[0-7]+$/.test(code)) return String.fromCharCode(parseInt(code, 8));
+        if (code === '\n' || code === '\r') return '';
+        return escapes[code] ?? code;
+    });
+}
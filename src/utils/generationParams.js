@@ -0,0 +1,144 @@
+// Generation Parameters
+// =====================
+// Sampling options stored per chat (and as project defaults). Keys use the
+// OpenRouter request names so a sanitized set can be spread into a request;
+// the exception is `image`, options for image models that getChatParams
+// leaves out. Shared by the browser and the API validator.
+
+import { IMAGE_ASPECT_RATIOS, MAX_IMAGE_COUNT, IMAGE_STYLE_PRESETS } from '../config/imageStyles.js';
+
+/**
+ * Allowed range for each numeric parameter
+ */
+export const GENERATION_PARAM_LIMITS = {
+    temperature: { min: 0, max: 2, step: 0.1 },
+    top_p: { min: 0, max: 1, step: 0.05 },
+    max_tokens: { min: 1, max: 200000, step: 1 },
+};
+
+export const MAX_STOP_SEQUENCES = 4;
+export const MAX_STOP_LENGTH = 100;
+
+/** Longest JSON Schema accepted for structured output, in characters of JSON */
+export const MAX_RESPONSE_SCHEMA_LENGTH = 20000;
+
+const SCHEMA_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * @typedef {Object} GenerationParams
+ * @property {number} [temperature] - Sampling temperature
+ * @property {number} [top_p] - Nucleus sampling cutoff
+ * @property {number} [max_tokens] - Longest completion allowed
+ * @property {string[]} [stop] - Sequences that end the completion
+ * @property {{type: 'json_schema', json_schema: {name: string, schema: Object}}} [response_format] - JSON Schema replies must follow
+ * @property {ImageOptions} [image] - Options for image generation models
+ */
+
+/**
+ * @typedef {Object} ImageOptions
+ * @property {string} [aspectRatio] - One of IMAGE_ASPECT_RATIOS
+ * @property {number} [count] - Images per message, 1 to MAX_IMAGE_COUNT
+ * @property {string} [style] - ID of an IMAGE_STYLE_PRESETS entry
+ */
+
+function isInRange(key, value) {
+    const limits = GENERATION_PARAM_LIMITS[key];
+    if (typeof value !== 'number' || !Number.isFinite(value)) return false;
+    if (key === 'max_tokens' && !Number.isInteger(value)) return false;
+    return value >= limits.min && value <= limits.max;
+}
+
+function isValidStop(stop) {
+    return Array.isArray(stop) &&
+        stop.length <= MAX_STOP_SEQUENCES &&
+        stop.every(s => typeof s === 'string' && s.length > 0 && s.length <= MAX_STOP_LENGTH);
+}
+
+function isValidResponseFormat(format) {
+    const schema = format?.json_schema?.schema;
+    return format?.type === 'json_schema' &&
+        SCHEMA_NAME_PATTERN.test(format.json_schema.name || '') &&
+        schema !== null && typeof schema === 'object' && !Array.isArray(schema) &&
+        JSON.stringify(schema).length <= MAX_RESPONSE_SCHEMA_LENGTH;
+}
+
+function isValidImageOptions(image) {
+    if (!image || typeof image !== 'object' || Array.isArray(image)) return false;
+    return Object.entries(image).every(([key, value]) => {
+        if (value === undefined) return true;
+        if (key === 'aspectRatio') return IMAGE_ASPECT_RATIOS.includes(value);
+        if (key === 'count') return Number.isInteger(value) && value >= 1 && value <= MAX_IMAGE_COUNT;
+        if (key === 'style') return IMAGE_STYLE_PRESETS.some(s => s.id === value);
+        return false;
+    });
+}
+
+/**
+ * Wrap a JSON Schema in the response_format OpenRouter expects. The name
+ * comes from the schema's title when it has one.
+ * @param {Object} schema
+ * @returns {GenerationParams['response_format']}
+ */
+export function buildResponseFormat(schema) {
+    const name = String(schema?.title || '').replace(/[^A-Za-z0-9_-]+/g, '_').slice(0, 64) || 'response';
+    return { type: 'json_schema', json_schema: { name, schema } };
+}
+
+/**
+ * Keep only the recognised, in-range parameters. Unset values are dropped
+ * so the model's own defaults apply.
+ * @param {Object} [params]
+ * @returns {GenerationParams}
+ */
+export function sanitizeGenerationParams(params) {
+    const clean = {};
+    if (!params || typeof params !== 'object') return clean;
+
+    for (const key of Object.keys(GENERATION_PARAM_LIMITS)) {
+        if (isInRange(key, params[key])) clean[key] = params[key];
+    }
+    if (isValidStop(params.stop) && params.stop.length > 0) {
+        clean.stop = [...params.stop];
+    }
+    if (isValidResponseFormat(params.response_format)) {
+        const { name, schema } = params.response_format.json_schema;
+        clean.response_format = { type: 'json_schema', json_schema: { name, schema } };
+    }
+    if (isValidImageOptions(params.image) && Object.values(params.image).some(v => v !== undefined)) {
+        const { aspectRatio, count, style } = params.image;
+        clean.image = {
+            ...(aspectRatio ? { aspectRatio } : {}),
+            ...(count ? { count } : {}),
+            ...(style ? { style } : {}),
+        };
+    }
+    return clean;
+}
+
+/**
+ * The parameters to send with a chat request: everything but the image options
+ * @param {Object} [params]
+ * @returns {GenerationParams}
+ */
+export function getChatParams(params) {
+    const { image, ...chatParams } = sanitizeGenerationParams(params);
+    return chatParams;
+}
+
+/**
+ * Check a parameter set sent by a client
+ * @param {*} params
+ * @returns {boolean}
+ */
+export function isValidGenerationParams(params) {
+    if (params === null) return true;
+    if (typeof params !== 'object' || Array.isArray(params)) return false;
+
+    return Object.entries(params).every(([key, value]) => {
+        if (value === undefined) return true;
+        if (key === 'stop') return isValidStop(value);
+        if (key === 'response_format') return isValidResponseFormat(value);
+        if (key === 'image') return isValidImageOptions(value);
+        return key in GENERATION_PARAM_LIMITS && isInRange(key, value);
+    });
+}
@@ -0,0 +1,170 @@
+// JSON Schema Checks
+// ==================
+// Validates structured-output replies against the schema the chat asked for.
+// Covers the keywords models are usually given: type, properties, required,
+// additionalProperties, items, enum, const, anyOf, oneOf, allOf and the
+// common numeric, string and array bounds. $ref and formats are not followed.
+
+/** Most validation errors kept for one reply */
+export const MAX_SCHEMA_ERRORS = 20;
+
+/**
+ * @typedef {Object} SchemaError
+ * @property {string} path - Location in the reply, e.g. "$.items[2].name"
+ * @property {string} message
+ */
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+/**
+ * Path of a property or array item below a path, as used in SchemaError
+ * @param {string} path
+ * @param {string|number} key
+ * @returns {string}
+ */
+export function childPath(path, key) {
+    return typeof key === 'number'
+        ? `${path}[${key}]`
+        : /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+function isObject(value) {
+    return typeOf(value) === 'object';
+}
+
+function check(value, schema, path, errors) {
+    if (errors.length >= MAX_SCHEMA_ERRORS) return;
+    if (schema === false) {
+        errors.push({ path, message: 'No value is allowed here' });
+        return;
+    }
+    if (!isObject(schema)) return;
+
+    const fail = (message) => errors.push({ path, message });
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            fail(`Expected ${types.join(' or ')}, got ${typeOf(value) === 'integer' ? 'number' : typeOf(value)}`);
+            return;
+        }
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        fail(`Must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        fail(`Must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'number') {
+        if (typeof schema.minimum === 'number' && value < schema.minimum) fail(`Must be at least ${schema.minimum}`);
+        if (typeof schema.maximum === 'number' && value > schema.maximum) fail(`Must be at most ${schema.maximum}`);
+        if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) fail(`Must be greater than ${schema.exclusiveMinimum}`);
+        if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) fail(`Must be less than ${schema.exclusiveMaximum}`);
+    }
+
+    if (typeof value === 'string') {
+        const length = [...value].length;
+        if (typeof schema.minLength === 'number' && length < schema.minLength) fail(`Must be at least ${schema.minLength} characters`);
+        if (typeof schema.maxLength === 'number' && length > schema.maxLength) fail(`Must be at most ${schema.maxLength} characters`);
+        if (typeof schema.pattern === 'string') {
+            try {
+                if (!new RegExp(schema.pattern, 'u').test(value)) fail(`Must match /${schema.pattern}/`);
+            } catch {
+                // A pattern JavaScript can't compile is left unchecked
+            }
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (typeof schema.minItems === 'number' && value.length < schema.minItems) fail(`Must have at least ${schema.minItems} items`);
+        if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) fail(`Must have at most ${schema.maxItems} items`);
+        if (schema.uniqueItems === true && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+            fail('Items must be unique');
+        }
+        if (schema.items !== undefined && !Array.isArray(schema.items)) {
+            value.forEach((item, index) => check(item, schema.items, childPath(path, index), errors));
+        }
+    }
+
+    if (isObject(value)) {
+        const properties = isObject(schema.properties) ? schema.properties : {};
+        for (const key of Array.isArray(schema.required) ? schema.required : []) {
+            if (!(key in value)) fail(`Missing required property "${key}"`);
+        }
+        for (const [key, child] of Object.entries(value)) {
+            if (key in properties) {
+                check(child, properties[key], childPath(path, key), errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath(path, key), message: 'Property is not allowed' });
+            } else if (isObject(schema.additionalProperties)) {
+                check(child, schema.additionalProperties, childPath(path, key), errors);
+            }
+        }
+    }
+
+    if (Array.isArray(schema.allOf)) {
+        schema.allOf.forEach(sub => check(value, sub, path, errors));
+    }
+    if (Array.isArray(schema.anyOf) || Array.isArray(schema.oneOf)) {
+        const options = schema.anyOf || schema.oneOf;
+        const matches = options.filter(sub => validateJsonSchema(value, sub).length === 0).length;
+        if (matches === 0) {
+            fail('Does not match any of the allowed shapes');
+        } else if (schema.oneOf && matches > 1) {
+            fail('Matches more than one of the allowed shapes');
+        }
+    }
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value
+ * @param {Object|boolean} schema
+ * @returns {SchemaError[]} - Empty when the value matches
+ */
+export function validateJsonSchema(value, schema) {
+    const errors = [];
+    check(value, schema, '$', errors);
+    return errors.slice(0, MAX_SCHEMA_ERRORS);
+}
+
+/**
+ * Parse a reply that should be JSON. Models sometimes wrap it in a code
+ * fence even when asked not to, so one surrounding fence is allowed.
+ * @param {string} content
+ * @returns {{value: *}|null} - Null when the reply is not JSON
+ */
+export function parseJsonReply(content) {
+    const text = String(content || '').trim()
+        .replace(/^```(?:json)?\s*\n([\s\S]*?)\n?```$/i, '$1');
+    try {
+        return { value: JSON.parse(text) };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Check a finished structured-output reply
+ * @param {string} content - Reply text
+ * @param {Object} schema - Schema the reply was requested with
+ * @returns {SchemaError[]} - Empty when the reply is JSON that matches
+ */
+export function validateJsonReply(content, schema) {
+    const parsed = parseJsonReply(content);
+    if (!parsed) return [{ path: '$', message: 'Reply is not valid JSON' }];
+    return validateJsonSchema(parsed.value, schema);
+}
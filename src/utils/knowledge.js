@@ -0,0 +1,174 @@
+// Project Knowledge Utilities
+// ===========================
+// Chunking and keyword ranking for project files. Shared by the browser
+// (local mode) and the API (fallback when no vector index is configured).
+
+/**
+ * Target chunk length in characters
+ */
+export const CHUNK_SIZE = 1200;
+
+/**
+ * Characters repeated at the start of the next chunk in the same section
+ */
+export const CHUNK_OVERLAP = 200;
+
+/**
+ * Number of chunks injected into the prompt by default
+ */
+export const DEFAULT_TOP_K = 6;
+
+/**
+ * Longest extracted text sent with an uploaded PDF. Leaves room for the
+ * base64 file data within the API's request body limit; text past this
+ * is not indexed.
+ */
+export const MAX_FILE_TEXT_LENGTH = 1024 * 1024;
+
+const TEXT_FILE_EXTENSIONS = ['.txt', '.md', '.json', '.csv'];
+
+// BM25 tuning constants
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * @typedef {Object} KnowledgeChunk
+ * @property {string} [fileId] - Source file ID
+ * @property {string} [fileName] - Source file name
+ * @property {number} [index] - Position of the chunk within its file
+ * @property {string} section - Heading or part label used for citations
+ * @property {string} content - Chunk text
+ * @property {number} [score] - Relevance score (search results only)
+ */
+
+/**
+ * Check if a project file holds plain text
+ * @param {{name?: string, type?: string}} file
+ * @returns {boolean}
+ */
+export function isTextFile(file) {
+    const name = (file?.name || '').toLowerCase();
+    return Boolean(file?.type?.startsWith('text/')) ||
+        file?.type === 'application/json' ||
+        TEXT_FILE_EXTENSIONS.some(ext => name.endsWith(ext));
+}
+
+/**
+ * Decode a base64 data URL (or bare base64) holding UTF-8 text
+ * @param {string} data
+ * @returns {string}
+ */
+export function decodeTextData(data) {
+    if (!data) return '';
+    const base64 = data.includes(',') ? data.split(',')[1] : data;
+    const binary = atob(base64);
+    const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Split text into overlapping chunks, labelled with the nearest markdown heading
+ * @param {string} text
+ * @returns {KnowledgeChunk[]}
+ */
+export function chunkText(text) {
+    const chunks = [];
+    if (!text || !text.trim()) return chunks;
+
+    const paragraphs = text.replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+    let section = '';
+    let current = '';
+
+    const flush = () => {
+        const content = current.trim();
+        if (content) {
+            chunks.push({ section: section || `Part ${chunks.length + 1}`, content });
+        }
+        current = '';
+    };
+
+    for (const paragraph of paragraphs) {
+        const trimmed = paragraph.trim();
+        if (!trimmed) continue;
+
+        const heading = trimmed.match(/^#{1,6}\s+(.+)/);
+        if (heading) {
+            flush();
+            section = heading[1].trim().slice(0, 120);
+        }
+
+        // Paragraphs longer than a chunk are sliced with the same overlap
+        if (trimmed.length > CHUNK_SIZE) {
+            // A short lead-in such as a lone heading stays with the first slice
+            let lead = current.length < CHUNK_OVERLAP ? current : '';
+            if (!lead) flush();
+            const step = CHUNK_SIZE - CHUNK_OVERLAP;
+            for (let start = 0; start < trimmed.length; start += step) {
+                current = (lead ? `${lead}\n\n` : '') + trimmed.slice(start, start + CHUNK_SIZE);
+                lead = '';
+                flush();
+                if (start + CHUNK_SIZE >= trimmed.length) break;
+            }
+            continue;
+        }
+
+        if (current && current.length + trimmed.length + 2 > CHUNK_SIZE) {
+            const overlap = current.slice(-CHUNK_OVERLAP);
+            flush();
+            current = overlap;
+        }
+        current += (current ? '\n\n' : '') + trimmed;
+    }
+    flush();
+
+    return chunks.map((chunk, index) => ({ ...chunk, index }));
+}
+
+/**
+ * Lowercase word tokens used for keyword ranking
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    return (text || '').toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [];
+}
+
+/**
+ * Rank chunks against a query with BM25 and return the best matches
+ * @param {KnowledgeChunk[]} chunks
+ * @param {string} query
+ * @param {number} [topK]
+ * @returns {KnowledgeChunk[]}
+ */
+export function rankChunks(chunks, query, topK = DEFAULT_TOP_K) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (!chunks.length || !queryTerms.length) return [];
+
+    const docs = chunks.map(chunk => {
+        const terms = tokenize(`${chunk.section} ${chunk.content}`);
+        const freq = new Map();
+        for (const term of terms) freq.set(term, (freq.get(term) || 0) + 1);
+        return { chunk, length: terms.length, freq };
+    });
+
+    const avgLength = docs.reduce((sum, doc) => sum + doc.length, 0) / docs.length || 1;
+    const idf = new Map(queryTerms.map(term => {
+        const df = docs.filter(doc => doc.freq.has(term)).length;
+        return [term, Math.log(1 + (docs.length - df + 0.5) / (df + 0.5))];
+    }));
+
+    return docs
+        .map(({ chunk, length, freq }) => {
+            let score = 0;
+            for (const term of queryTerms) {
+                const tf = freq.get(term);
+                if (!tf) continue;
+                score += idf.get(term) * (tf * (BM25_K1 + 1)) /
+                    (tf + BM25_K1 * (1 - BM25_B + BM25_B * length / avgLength));
+            }
+            return { ...chunk, score };
+        })
+        .filter(chunk => chunk.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+}
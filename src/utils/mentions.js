@@ -0,0 +1,55 @@
+// Model Mentions
+// ==============
+// "@model-name" in a message routes that one turn to another model. A
+// mention is the full model ID or the part after the provider, e.g.
+// "@claude-sonnet-4.5" for "anthropic/claude-sonnet-4.5".
+
+import { getAvailableModels, getModelById } from '../config/models.js';
+
+const MENTION_PATTERN = /(^|\s)@([A-Za-z0-9._\-/:]+)/g;
+
+/**
+ * Model a mention token refers to. Curated models win when the short
+ * name is shared between providers.
+ * @param {string} token - Mention without the "@"
+ * @returns {import('../config/models.js').Model|undefined}
+ */
+export function resolveMention(token) {
+    const exact = getModelById(token);
+    if (exact) return exact;
+
+    const name = token.toLowerCase();
+    const matches = getAvailableModels().filter(m => m.id.toLowerCase().split('/').pop() === name);
+    return matches.find(m => m.curated !== false) || matches[0];
+}
+
+/**
+ * Shortest mention that resolves back to a model
+ * @param {import('../config/models.js').Model} model
+ * @returns {string} - Mention without the "@"
+ */
+export function getMentionName(model) {
+    const short = model.id.split('/').pop();
+    return resolveMention(short)?.id === model.id ? short : model.id;
+}
+
+/**
+ * Find the first model mention in a message and remove it
+ * @param {string} text
+ * @returns {{model: string, text: string}|null} - Null when nothing mentioned resolves to a model
+ */
+export function extractModelMention(text) {
+    for (const match of String(text || '').matchAll(MENTION_PATTERN)) {
+        // Allow a full stop or colon straight after the mention; it goes with it
+        const token = resolveMention(match[2]) ? match[2] : match[2].replace(/[.:]+$/, '');
+        const model = resolveMention(token);
+        if (!model) continue;
+
+        const start = match.index + match[1].length;
+        const stripped = (text.slice(0, start) + text.slice(start + match[2].length + 1))
+            .replace(/[ \t]{2,}/g, ' ')
+            .trim();
+        return { model: model.id, text: stripped };
+    }
+    return null;
+}
@@ -0,0 +1,67 @@
+// Usage & Cost
+// ============
+// Formatting and roll-ups for the cost recorded in assistant message stats.
+
+/**
+ * Format a dollar amount, keeping sub-cent costs readable
+ * @param {number} usd
+ * @returns {string}
+ */
+export function formatCost(usd) {
+    if (!usd) return '$0.00';
+    if (usd < 0.01) return `$${usd.toFixed(4)}`;
+    return `$${usd.toFixed(2)}`;
+}
+
+/**
+ * Format a token count compactly (e.g. 12.3k, 4.5M)
+ * @param {number} tokens
+ * @returns {string}
+ */
+export function formatTokens(tokens) {
+    if (!tokens) return '0';
+    if (tokens >= 1e6) return `${(tokens / 1e6).toFixed(1)}M`;
+    if (tokens >= 1e3) return `${(tokens / 1e3).toFixed(1)}k`;
+    return String(tokens);
+}
+
+/**
+ * Total cost of a list of messages
+ * @param {Array} messages
+ * @returns {number}
+ */
+export function getMessagesCost(messages = []) {
+    return messages.reduce((sum, m) => sum + (m.stats?.cost || 0), 0);
+}
+
+/**
+ * Local calendar day of a timestamp, as YYYY-MM-DD
+ * @param {number|string|Date} timestamp
+ * @returns {string}
+ */
+export function toDayKey(timestamp) {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Merge usage records that share a key, biggest spend first
+ * @param {import('../repositories/BaseRepository.js').UsageRecord[]} records
+ * @param {'day'|'model'|'projectId'} key
+ * @returns {Array<{key: string|null, cost: number, promptTokens: number, completionTokens: number, messages: number}>}
+ */
+export function groupUsage(records, key) {
+    const groups = new Map();
+    for (const record of records) {
+        const id = record[key] ?? null;
+        const group = groups.get(id) || { key: id, cost: 0, promptTokens: 0, completionTokens: 0, messages: 0 };
+        group.cost += record.cost || 0;
+        group.promptTokens += record.promptTokens || 0;
+        group.completionTokens += record.completionTokens || 0;
+        group.messages += record.messages || 0;
+        groups.set(id, group);
+    }
+    return [...groups.values()].sort((a, b) => b.cost - a.cost || b.messages - a.messages);
+}